@@ -1,33 +1,198 @@
 import { api } from './intercpter'
 
+export interface ReportFeedback {
+  rating: 'up' | 'down' | null;
+  correctedSql?: string | null;
+  comment?: string | null;
+}
+
+export interface TraceSpan {
+  spanId: string;
+  parentSpanId: string | null;
+  name: string;
+  kind: 'report' | 'stage' | 'llm' | 'sql';
+  offsetMs: number;
+  durationMs: number | null;
+  attributes: Record<string, string | number | boolean | null>;
+  status: 'ok' | 'error';
+  error: string | null;
+}
+
+export interface ReportTrace {
+  reportId: string;
+  traceId: string;
+  status: 'running' | 'ok' | 'error';
+  startTime: string | null;
+  durationMs: number | null;
+  spans: TraceSpan[];
+}
+
+export interface UsageTotals {
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  cost: number;
+  calls: number;
+}
+
+// LLM usage of a report, sent with its final response
+export interface ReportUsage extends UsageTotals {
+  currency: string;
+  estimated: boolean;
+  byStage: Record<string, UsageTotals>;
+}
+
+// Reconnects allowed in a row without receiving an event, and the delay before
+// the first one (later ones wait longer)
+const MAX_RECONNECT_ATTEMPTS = 5;
+const RECONNECT_DELAY_MS = 1000;
+
 export const ChatApi = {
+  // Start a background report job and stream its events. The returned
+  // response's body carries the same `data: {...}` events as before; if the
+  // connection drops, the stream reconnects and resumes after the last event
+  // it received instead of failing.
   generateReport: async (prompt: string, conversationHistory?: string[]) => {
+    let jobId: string;
     try {
+      const response = await api.post('/ai/report-jobs', { prompt, conversationHistory });
+      jobId = response.data.jobId;
+    } catch (error) {
+      console.error('Error in API call:', error);
+      const message = (error as { response?: { data?: { message?: string } } }).response?.data?.message;
+      throw new Error(message || 'Failed to generate report');
+    }
+
+    const encoder = new TextEncoder();
+    let lastEventId = 0;
+    let attempts = 0;
+    let activeReader: ReadableStreamDefaultReader<Uint8Array> | null = null;
+    let cancelled = false;
+
+    // Read one connection to the event stream, passing each data event on.
+    // Returns true once the server has sent the end event.
+    const readEvents = async (controller: ReadableStreamDefaultController<Uint8Array>) => {
       // Extract auth token as a string
       const authHeader = api.defaults.headers.common?.['Authorization'] as string | undefined;
-      
-      // Use fetch directly for streaming support
-      const response = await fetch(`${api.defaults.baseURL}/ai/generate-report-stream`, {
-        method: 'POST',
+
+      const response = await fetch(`${api.defaults.baseURL}/ai/report-jobs/${jobId}/events`, {
         headers: {
-          'Content-Type': 'application/json',
-          ...(authHeader ? { 'Authorization': authHeader } : {})
-        },
-        body: JSON.stringify({ prompt, conversationHistory })
+          ...(authHeader ? { 'Authorization': authHeader } : {}),
+          ...(lastEventId ? { 'Last-Event-ID': String(lastEventId) } : {})
+        }
       });
 
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to generate report');
+        const errorData = await response.json().catch(() => ({}));
+        const error = new Error(errorData.message || 'Failed to stream report') as Error & { status?: number };
+        error.status = response.status;
+        throw error;
+      }
+
+      const reader = response.body?.getReader();
+      if (!reader) {
+        throw new Error('Failed to create stream reader');
+      }
+      activeReader = reader;
+
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) return false;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop() || '';
+
+        for (const event of events) {
+          let id: number | null = null;
+          let type = 'message';
+          const data: string[] = [];
+
+          for (const line of event.split('\n')) {
+            if (line.startsWith('id: ')) id = Number(line.slice(4));
+            else if (line.startsWith('event: ')) type = line.slice(7);
+            else if (line.startsWith('data: ')) data.push(line.slice(6));
+          }
+
+          if (type === 'end') return true;
+          if (!data.length) continue; // keep-alive comment
+
+          if (id) lastEventId = id;
+          attempts = 0;
+          controller.enqueue(encoder.encode(`data: ${data.join('\n')}\n\n`));
+        }
+      }
+    };
+
+    const stream = new ReadableStream<Uint8Array>({
+      async start(controller) {
+        while (!cancelled) {
+          try {
+            if (await readEvents(controller)) break;
+          } catch (error) {
+            if (cancelled) break;
+
+            // A missing or invalid job won't come back
+            const status = (error as { status?: number }).status;
+            if (status && status < 500) {
+              controller.error(error);
+              return;
+            }
+            console.warn('Report stream interrupted, reconnecting...', error);
+          }
+
+          if (cancelled) break;
+          attempts++;
+          if (attempts > MAX_RECONNECT_ATTEMPTS) {
+            controller.error(new Error('Lost the connection to the report stream'));
+            return;
+          }
+          await new Promise((resolve) => setTimeout(resolve, RECONNECT_DELAY_MS * attempts));
+        }
+        controller.close();
+      },
+      cancel() {
+        cancelled = true;
+        activeReader?.cancel().catch(() => {});
       }
+    });
+
+    return new Response(stream, { headers: { 'Content-Type': 'text/event-stream' } });
+  },
 
-      return response;
+  // Stop a report job that is still running
+  cancelReport: async (jobId: string) => {
+    const response = await api.post(`/ai/report-jobs/${encodeURIComponent(jobId)}/cancel`);
+    return response.data;
+  },
+
+  // Status of a report job, with the final report once it has finished
+  getReportJob: async (jobId: string) => {
+    const response = await api.get(`/ai/report-jobs/${encodeURIComponent(jobId)}`);
+    return response.data;
+  },
+  
+  // Timings of a report's stages, LLM calls and queries
+  getReportTrace: async (reportId: string): Promise<ReportTrace> => {
+    const response = await api.get(`/ai/reports/${encodeURIComponent(reportId)}/trace`);
+    return response.data;
+  },
+
+  // Send thumbs up/down, corrected SQL or a comment for a generated report
+  submitFeedback: async (reportId: string, feedback: ReportFeedback) => {
+    try {
+      const response = await api.post(`/ai/reports/${encodeURIComponent(reportId)}/feedback`, feedback);
+      return response.data;
     } catch (error) {
-      console.error('Error in API call:', error);
-      throw error;
+      // The server explains rejected feedback (e.g. invalid SQL) in the response body
+      const message = (error as { response?: { data?: { message?: string } } }).response?.data?.message;
+      throw new Error(message || 'Failed to submit feedback');
     }
   },
-  
+
   // Keep the original method for backward compatibility
   generateReportNonStreaming: async (prompt: string, conversationHistory?: string[]) => {
     const response = await api.post('/ai/generate-report', { prompt, conversationHistory });
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react'
-import { ChatApi } from '../Api/ChatApi'
+import { ChatApi, ReportTrace, ReportUsage, TraceSpan } from '../Api/ChatApi'
 import './ChatBot.css'
 import ReactMarkdown from 'react-markdown'
 import * as XLSX from 'xlsx'
@@ -16,6 +16,215 @@ interface Insight {
   content: string;
 }
 
+interface ReportFeedbackProps {
+  reportId: string;
+  generatedSQL?: string;
+}
+
+// Thumbs up/down, SQL correction and comment for a generated report
+const ReportFeedback = ({ reportId, generatedSQL = '' }: ReportFeedbackProps) => {
+  const [rating, setRating] = useState<'up' | 'down' | null>(null)
+  const [showCorrection, setShowCorrection] = useState(false)
+  const [correctedSql, setCorrectedSql] = useState(generatedSQL)
+  const [comment, setComment] = useState('')
+  const [status, setStatus] = useState<'idle' | 'submitting' | 'submitted' | 'error'>('idle')
+  const [errorMessage, setErrorMessage] = useState('')
+
+  const submitFeedback = async () => {
+    // Only send the SQL if the user actually changed it
+    const sqlChanged = showCorrection && correctedSql.trim() !== '' && correctedSql.trim() !== generatedSQL.trim();
+
+    if (!rating && !sqlChanged && !comment.trim()) {
+      setStatus('error');
+      setErrorMessage('Choose a rating, correct the SQL or add a comment.');
+      return;
+    }
+
+    setStatus('submitting');
+    try {
+      await ChatApi.submitFeedback(reportId, {
+        rating,
+        correctedSql: sqlChanged ? correctedSql : null,
+        comment: comment.trim() || null
+      });
+      setStatus('submitted');
+    } catch (error) {
+      setStatus('error');
+      setErrorMessage(error instanceof Error ? error.message : 'Failed to submit feedback');
+    }
+  }
+
+  if (status === 'submitted') {
+    return (
+      <div className="feedback-section">
+        <p className="feedback-status">Thanks for your feedback!</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="feedback-section">
+      <h3>Was this report helpful?</h3>
+      <div className="feedback-actions">
+        <button
+          className={`feedback-btn ${rating === 'up' ? 'selected' : ''}`}
+          onClick={() => setRating(rating === 'up' ? null : 'up')}
+          aria-label="Thumbs up"
+        >
+          👍
+        </button>
+        <button
+          className={`feedback-btn ${rating === 'down' ? 'selected' : ''}`}
+          onClick={() => setRating(rating === 'down' ? null : 'down')}
+          aria-label="Thumbs down"
+        >
+          👎
+        </button>
+        <button
+          className="toggle-data-btn"
+          onClick={() => setShowCorrection(!showCorrection)}
+        >
+          {showCorrection ? 'Hide SQL' : 'Correct SQL'}
+        </button>
+      </div>
+
+      {showCorrection && (
+        <textarea
+          className="feedback-sql"
+          value={correctedSql}
+          onChange={(e) => setCorrectedSql(e.target.value)}
+          rows={6}
+          spellCheck={false}
+        />
+      )}
+
+      <textarea
+        className="feedback-comment"
+        placeholder="Anything else we should know? (optional)"
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        rows={2}
+      />
+
+      <div className="feedback-footer">
+        <button
+          className="feedback-submit-btn"
+          onClick={submitFeedback}
+          disabled={status === 'submitting'}
+        >
+          {status === 'submitting' ? 'Sending...' : 'Send feedback'}
+        </button>
+        {status === 'error' && <span className="feedback-error">{errorMessage}</span>}
+      </div>
+    </div>
+  )
+}
+
+// Short summary of what a span did, from its attributes
+const describeSpan = (span: TraceSpan) => {
+  const attributes = span.attributes;
+  if (span.kind === 'llm') {
+    const retries = Number(attributes['llm.retries'] || 0);
+    const size = attributes['llm.prompt_tokens'] !== undefined
+      ? `${attributes['llm.prompt_tokens']} → ${attributes['llm.completion_tokens']} tokens`
+      : `${attributes['llm.prompt_chars'] ?? 0} → ${attributes['llm.response_chars'] ?? 0} chars`;
+    return [
+      attributes['llm.model'],
+      size,
+      retries > 0 ? `${retries} ${retries === 1 ? 'retry' : 'retries'}` : null
+    ].filter(Boolean).join(' · ');
+  }
+  if (span.kind === 'sql') {
+    return attributes['db.row_count'] !== undefined ? `${attributes['db.row_count']} rows` : '';
+  }
+  if (attributes['pipeline.stage.skipped']) return 'skipped';
+  return '';
+}
+
+const formatDuration = (ms: number | null) => {
+  if (ms === null) return 'running';
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`;
+}
+
+// Collapsible timeline of a report's stages, LLM calls and queries. The
+// trace is loaded when the timeline is first opened.
+const ReportTimeline = ({ reportId, usage }: { reportId: string; usage?: ReportUsage | null }) => {
+  const [open, setOpen] = useState(false)
+  const [trace, setTrace] = useState<ReportTrace | null>(null)
+  const [status, setStatus] = useState<'idle' | 'loading' | 'error'>('idle')
+
+  const toggle = async () => {
+    setOpen(!open);
+    if (open || trace) return;
+
+    setStatus('loading');
+    try {
+      setTrace(await ChatApi.getReportTrace(reportId));
+      setStatus('idle');
+    } catch {
+      setStatus('error');
+    }
+  }
+
+  // Spans in tree order with their depth, children after their parent
+  const rows: { span: TraceSpan; depth: number }[] = [];
+  if (trace) {
+    const addChildren = (parentSpanId: string | null, depth: number) => {
+      trace.spans
+        .filter(span => span.parentSpanId === parentSpanId)
+        .forEach(span => {
+          rows.push({ span, depth });
+          addChildren(span.spanId, depth + 1);
+        });
+    };
+    addChildren(null, 0);
+  }
+  const totalMs = trace?.durationMs || Math.max(1, ...rows.map(({ span }) => span.offsetMs + (span.durationMs || 0)));
+
+  return (
+    <div className="timeline-section">
+      <button className="toggle-data-btn" onClick={toggle}>
+        {open ? 'Hide timing' : 'Show timing'}
+      </button>
+
+      {open && status === 'loading' && <p className="timeline-status">Loading trace...</p>}
+      {open && status === 'error' && <p className="timeline-status">The trace of this report is not available.</p>}
+
+      {open && trace && (
+        <div className="timeline">
+          <p className="timeline-status">
+            Total: {formatDuration(trace.durationMs)}
+            {usage && ` · ${usage.totalTokens.toLocaleString()} tokens${usage.estimated ? ' (estimated)' : ''}`}
+            {usage && usage.cost > 0 && ` · ${usage.cost.toFixed(4)} ${usage.currency}`}
+          </p>
+          {rows.map(({ span, depth }) => (
+            <div
+              key={span.spanId}
+              className={`timeline-row timeline-${span.kind} ${span.status === 'error' ? 'timeline-failed' : ''}`}
+              title={span.error || Object.entries(span.attributes).map(([key, value]) => `${key}: ${value}`).join('\n')}
+            >
+              <div className="timeline-label" style={{ paddingLeft: `${depth * 1}rem` }}>
+                <span className="timeline-name">{span.name}</span>
+                <span className="timeline-detail">{describeSpan(span)}</span>
+              </div>
+              <div className="timeline-track">
+                <div
+                  className="timeline-bar"
+                  style={{
+                    left: `${(span.offsetMs / totalMs) * 100}%`,
+                    width: `${Math.max(((span.durationMs || 0) / totalMs) * 100, 0.5)}%`
+                  }}
+                />
+              </div>
+              <span className="timeline-duration">{formatDuration(span.durationMs)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
 export const ChatBot = () => {
   const [messages, setMessages] = useState<Message[]>([])
   const [inputMessage, setInputMessage] = useState('')
@@ -127,6 +336,11 @@ export const ChatBot = () => {
                     messageText = "I've analyzed your data and prepared a report.";
                   } else if (jsonData.status === 'error') {
                     messageText = `Error: ${jsonData.message || 'Something went wrong'}`;
+                  } else if (jsonData.status === 'rejected') {
+                    messageText = jsonData.message || 'The generated query was rejected for safety reasons.';
+                  } else if (jsonData.status === 'cancelled') {
+                    // e.g. stopped by an LLM budget
+                    messageText = jsonData.message || 'Report generation was stopped.';
                   }
                   
                   // Update the message
@@ -375,6 +589,24 @@ export const ChatBot = () => {
             </div>
           )}
           
+          {/* Feedback on the report and its SQL */}
+          {message.data.reportId && message.data.status === 'complete' && (
+            <ReportFeedback
+              key={message.data.reportId}
+              reportId={message.data.reportId}
+              generatedSQL={message.data.generatedSQL}
+            />
+          )}
+
+          {/* Where the time went: stages, LLM calls and queries */}
+          {message.data.reportId && message.data.status === 'complete' && (
+            <ReportTimeline
+              key={`timeline-${message.data.reportId}`}
+              reportId={message.data.reportId}
+              usage={message.data.usage}
+            />
+          )}
+          
           {/* Display calculations if available */}
           {message.data.calculations && Object.keys(message.data.calculations).some(key => 
             message.data.calculations[key] && Object.keys(message.data.calculations[key]).length > 0
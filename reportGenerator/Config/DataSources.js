@@ -0,0 +1,101 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const readList = (value) =>
+    Array.isArray(value)
+        ? value.map((item) => String(item).trim()).filter(Boolean)
+        : [];
+
+const DEFAULT_NAME = process.env.DATA_SOURCE_DEFAULT || 'default';
+
+const DIALECTS = ['postgresql', 'mysql', 'sqlite'];
+
+// Connection settings; the password can be kept out of the JSON with
+// "passwordEnv", the variable to read it from. SQLite only needs "filename".
+const readConnection = (value) => ({
+    connectionString: value.connectionString,
+    host: value.host,
+    port: value.port,
+    user: value.user,
+    password: value.passwordEnv ? process.env[value.passwordEnv] : value.password,
+    database: value.database,
+    ssl: value.ssl,
+    filename: value.filename,
+});
+
+// Connection and schema settings of one data source. Sources that are not
+// Postgres name a Postgres "store" for their knowledge base, embeddings,
+// glossary and schema snapshots.
+const readDataSource = (name, value) => ({
+    name,
+    description: value.description || null,
+    dialect: value.dialect || 'postgresql',
+    connection: readConnection(value),
+    store: value.store ? readConnection(value.store) : null,
+    // Overrides of SCHEMA_INCLUDE, SCHEMA_EXCLUDE and SCHEMA_DEFAULT
+    introspection: {
+        ...(value.includeSchemas ? { includeSchemas: readList(value.includeSchemas) } : {}),
+        ...(value.excludeSchemas
+            ? { excludeSchemas: ['report_ai', 'information_schema', ...readList(value.excludeSchemas)] }
+            : {}),
+        ...(value.defaultSchema ? { defaultSchema: value.defaultSchema } : {}),
+    },
+});
+
+const isValidDataSource = (source) => {
+    if (!DIALECTS.includes(source.dialect)) {
+        console.error(
+            `Data source "${source.name}" has unknown dialect "${source.dialect}", expected one of ${DIALECTS.join(', ')}`
+        );
+        return false;
+    }
+    if (source.dialect !== 'postgresql' && !source.store) {
+        console.error(`Data source "${source.name}" needs a Postgres "store" for its knowledge base`);
+        return false;
+    }
+    if (source.dialect === 'sqlite' && !source.connection.filename) {
+        console.error(`SQLite data source "${source.name}" needs a "filename"`);
+        return false;
+    }
+    return true;
+};
+
+// Data sources besides the default one as JSON, e.g.
+// {"finance": {"host": "finance-db", "database": "finance", "user": "reports",
+//              "passwordEnv": "FINANCE_DB_PASSWORD", "includeSchemas": ["ledger"]},
+//  "legacy": {"dialect": "sqlite", "filename": "/data/legacy.db",
+//             "store": {"connectionString": "postgres://reports@db/legacy_ai"}}}
+const readDataSources = (value) => {
+    if (!value) return [];
+
+    try {
+        return Object.entries(JSON.parse(value))
+            .filter(([name]) => {
+                if (name === DEFAULT_NAME) {
+                    console.error(`DATA_SOURCES can't redefine the default data source "${name}"`);
+                    return false;
+                }
+                if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+                    console.error(`Invalid data source name "${name}", use letters, digits, - and _`);
+                    return false;
+                }
+                return true;
+            })
+            .map(([name, source]) => readDataSource(name, source || {}))
+            .filter(isValidDataSource);
+    } catch (error) {
+        console.error('Could not parse DATA_SOURCES:', error.message);
+        return [];
+    }
+};
+
+// Databases reports can run on. The default one is the DB_* database, which
+// also holds the report jobs, traces and LLM usage.
+const dataSourcesConfig = {
+    defaultName: DEFAULT_NAME,
+    defaultDescription: process.env.DATA_SOURCE_DEFAULT_DESCRIPTION || null,
+    sources: readDataSources(process.env.DATA_SOURCES),
+};
+
+export default dataSourcesConfig;
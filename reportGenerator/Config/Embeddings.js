@@ -0,0 +1,67 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const readNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const dimensions = readNumber(process.env.EMBEDDING_HASH_DIMENSIONS, 512);
+
+// Defaults for each supported embedding provider
+const providerDefaults = {
+  // Sentence-transformers model run in-process, loaded from EMBEDDING_MODEL_DIR
+  local: {
+    baseUrl: null,
+    model: "Xenova/all-MiniLM-L6-v2",
+    apiKey: null,
+  },
+  // Any server exposing /embeddings: Ollama, vLLM, llama.cpp server, OpenAI...
+  openai: {
+    baseUrl: "http://localhost:11434/v1",
+    model: "nomic-embed-text",
+    apiKey: process.env.OPENAI_API_KEY,
+  },
+  mistral: {
+    baseUrl: "https://api.mistral.ai/v1",
+    model: "mistral-embed",
+    apiKey: process.env.MISTRAL_API_KEY,
+  },
+  // Hashed word and character n-grams, needs neither a model nor the network
+  hash: {
+    baseUrl: null,
+    model: `hash-${dimensions}`,
+    apiKey: null,
+  },
+};
+
+const provider = (process.env.EMBEDDING_PROVIDER || "local").toLowerCase();
+const defaults = providerDefaults[provider] || providerDefaults.local;
+
+if (!providerDefaults[provider]) {
+  console.warn(
+    `Unknown EMBEDDING_PROVIDER "${process.env.EMBEDDING_PROVIDER}", falling back to local`
+  );
+}
+
+const embeddingConfig = {
+  provider: providerDefaults[provider] ? provider : "local",
+  model: process.env.EMBEDDING_MODEL || defaults.model,
+  baseUrl: process.env.EMBEDDING_BASE_URL || defaults.baseUrl,
+  apiKey: process.env.EMBEDDING_API_KEY || defaults.apiKey || "",
+  // Directory with local models, e.g. ./models/Xenova/all-MiniLM-L6-v2
+  modelDir: process.env.EMBEDDING_MODEL_DIR || null,
+  // Let the local provider download models missing from modelDir
+  allowDownload: process.env.EMBEDDING_ALLOW_DOWNLOAD === "true",
+  // Vector size of the hashed fallback embeddings
+  dimensions,
+  // Texts sent to the provider per request
+  batchSize: readNumber(process.env.EMBEDDING_BATCH_SIZE, 32) || 32,
+  // Tables returned by nearest-neighbour table selection
+  tableLimit: readNumber(process.env.EMBEDDING_TABLE_LIMIT, 5),
+  // Minimum cosine similarity for a table (or one of its columns) to be selected
+  tableMinScore: readNumber(process.env.EMBEDDING_TABLE_MIN_SCORE, 0.35),
+};
+
+export default embeddingConfig;
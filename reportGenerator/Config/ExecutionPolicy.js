@@ -0,0 +1,25 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const readNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Limits applied to every generated query before and during execution.
+// A value of 0 disables the corresponding check.
+const executionPolicy = {
+    // Per-query statement_timeout in milliseconds
+    statementTimeoutMs: readNumber(process.env.SQL_STATEMENT_TIMEOUT_MS, 30000),
+    // Maximum number of rows returned, enforced by wrapping the query in a LIMIT
+    maxRows: readNumber(process.env.SQL_MAX_ROWS, 5000),
+    // Maximum planner cost reported by EXPLAIN (FORMAT JSON)
+    maxCost: readNumber(process.env.SQL_MAX_COST, 1000000),
+    // What to do with queries over maxCost: "refuse" or "rewrite" (ask the LLM for a cheaper query)
+    onCostExceeded: process.env.SQL_COST_ACTION === 'refuse' ? 'refuse' : 'rewrite',
+    // How many times the LLM may be asked to make a query cheaper
+    maxCostRewrites: readNumber(process.env.SQL_MAX_COST_REWRITES, 1),
+};
+
+export default executionPolicy;
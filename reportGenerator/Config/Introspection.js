@@ -0,0 +1,24 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const readList = (value) =>
+    (value || '')
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+// Which database schemas are introspected and shown to the LLM
+const introspectionConfig = {
+    // Schemas to read; empty means every schema except the system ones
+    includeSchemas: readList(process.env.SCHEMA_INCLUDE),
+    // Schemas never read. report_ai holds this service's own tables.
+    excludeSchemas: ['report_ai', 'information_schema', ...readList(process.env.SCHEMA_EXCLUDE)],
+    // Schemas never read with the others, by name prefix. Uploaded files get a
+    // schema per session, which is only added to that session's reports.
+    excludeSchemaPrefixes: ['report_uploads_'],
+    // Tables in this schema keep their bare name; others are keyed "schema.table"
+    defaultSchema: process.env.SCHEMA_DEFAULT || 'public',
+};
+
+export default introspectionConfig;
@@ -0,0 +1,31 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const readNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Settings for the Postgres-backed query knowledge base
+const knowledgeBaseConfig = {
+    // Most recent successful queries kept in memory for similarity lookups
+    loadLimit: readNumber(process.env.KNOWLEDGE_BASE_LOAD_LIMIT, 1000),
+    // How often to reload what other server instances have learned (0 disables)
+    refreshIntervalMs: readNumber(process.env.KNOWLEDGE_BASE_REFRESH_MS, 60000),
+    // Similar past prompt/SQL pairs added to the SQL prompt as examples (0 disables)
+    fewShotExamples: readNumber(process.env.KNOWLEDGE_BASE_FEW_SHOT_EXAMPLES, 3),
+    // Minimum prompt similarity (0-1) for a past query to be used as an example
+    minExampleSimilarity: readNumber(process.env.KNOWLEDGE_BASE_MIN_SIMILARITY, 0.3),
+    // Reuse a past query outright when its prompt is at least this similar (0 disables)
+    reuseSimilarity: readNumber(process.env.KNOWLEDGE_BASE_REUSE_SIMILARITY, 0),
+    // Minimum weight of a past query to reuse it outright, so one that users
+    // voted down is regenerated instead; learned queries start at 1
+    reuseMinWeight: readNumber(process.env.KNOWLEDGE_BASE_REUSE_MIN_WEIGHT, 1),
+    // Weight added to (thumbs up) or removed from (thumbs down) a report's learned queries
+    feedbackWeightStep: readNumber(process.env.KNOWLEDGE_BASE_FEEDBACK_STEP, 0.5),
+    // Weight of SQL corrected by a user; learned queries start at 1
+    correctedQueryWeight: readNumber(process.env.KNOWLEDGE_BASE_CORRECTED_WEIGHT, 2),
+};
+
+export default knowledgeBaseConfig;
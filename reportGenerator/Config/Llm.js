@@ -0,0 +1,50 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Defaults for each supported LLM provider
+const providerDefaults = {
+  mistral: {
+    baseUrl: "https://api.mistral.ai/v1",
+    model: "mistral-small-latest",
+    apiKey: process.env.MISTRAL_API_KEY,
+  },
+  // Any server exposing /chat/completions: vLLM, llama.cpp server, Ollama, OpenAI...
+  openai: {
+    baseUrl: "http://localhost:11434/v1",
+    model: "llama3.1",
+    apiKey: process.env.OPENAI_API_KEY,
+  },
+  // Deterministic in-process provider, never leaves the machine
+  fake: {
+    baseUrl: null,
+    model: "fake-model",
+    apiKey: null,
+  },
+};
+
+const provider = (process.env.LLM_PROVIDER || "mistral").toLowerCase();
+const defaults = providerDefaults[provider] || providerDefaults.mistral;
+
+if (!providerDefaults[provider]) {
+  console.warn(
+    `Unknown LLM_PROVIDER "${process.env.LLM_PROVIDER}", falling back to mistral`
+  );
+}
+
+const llmConfig = {
+  provider: providerDefaults[provider] ? provider : "mistral",
+  model: process.env.LLM_MODEL || defaults.model,
+  baseUrl: process.env.LLM_BASE_URL || defaults.baseUrl,
+  apiKey: process.env.LLM_API_KEY || defaults.apiKey || "",
+  // Set LLM_JSON_MODE=false for servers that reject response_format
+  jsonMode: process.env.LLM_JSON_MODE !== "false",
+  // JSON file with canned responses for the fake provider
+  fakeResponsesFile: process.env.LLM_FAKE_RESPONSES || null,
+  // Record LLM responses into fixture files or replay them: "record",
+  // "replay", "auto" (replay what is recorded, record the rest) or "off"
+  fixturesMode: (process.env.LLM_FIXTURES || "off").toLowerCase(),
+  fixturesDir: process.env.LLM_FIXTURES_DIR || "./Fixtures/llm",
+};
+
+export default llmConfig;
@@ -0,0 +1,43 @@
+import fs from "fs";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Generation settings for every LLM stage of the report pipeline.
+// `default` applies to all stages; a null value means "use the provider default".
+const defaultStages = {
+  default: { model: null, temperature: null, maxTokens: null, stop: null },
+  promptAnalysis: {},
+  tableIdentification: {},
+  sqlGeneration: { temperature: 0 },
+  decisions: {},
+  conceptExtraction: {},
+  metricMapping: {},
+  semanticFilters: { temperature: 0 },
+  report: {},
+};
+
+// Optional JSON file overriding the defaults, for example:
+// { "sqlGeneration": { "model": "codestral-latest" },
+//   "report": { "model": "mistral-large-latest", "temperature": 0.7, "maxTokens": 4000 } }
+const loadStageOverrides = (file) => {
+  if (!file) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.error(`Could not load LLM stage settings from ${file}:`, error);
+    return {};
+  }
+};
+
+const overrides = loadStageOverrides(process.env.LLM_STAGE_CONFIG);
+
+const llmStages = {};
+new Set([...Object.keys(defaultStages), ...Object.keys(overrides)]).forEach(
+  (stage) => {
+    llmStages[stage] = { ...defaultStages[stage], ...overrides[stage] };
+  }
+);
+
+export default llmStages;
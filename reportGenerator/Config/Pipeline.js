@@ -0,0 +1,36 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const readNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Per-stage timeouts as JSON, e.g. {"executeSql": 60000, "writeReport": 120000}
+const readStageTimeouts = (value) => {
+    if (!value) return {};
+
+    try {
+        const parsed = JSON.parse(value);
+        return Object.fromEntries(
+            Object.entries(parsed).map(([stage, ms]) => [stage, readNumber(ms, 0)])
+        );
+    } catch (error) {
+        console.error('Could not parse PIPELINE_STAGE_TIMEOUTS:', error.message);
+        return {};
+    }
+};
+
+// Report pipeline stages (see Services/ReportPipeline.js)
+const pipelineConfig = {
+    // Timeout of every stage that has none of its own (0 for none)
+    stageTimeoutMs: readNumber(process.env.PIPELINE_STAGE_TIMEOUT_MS, 0),
+    // Timeouts by stage name, taking precedence over the stages' own
+    stageTimeouts: readStageTimeouts(process.env.PIPELINE_STAGE_TIMEOUTS),
+    // Module whose default export, a function of (pipeline, reportService),
+    // adds custom stages to the report pipeline
+    stagesPath: process.env.PIPELINE_STAGES_PATH || null,
+};
+
+export default pipelineConfig;
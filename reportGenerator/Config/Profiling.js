@@ -0,0 +1,22 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const readNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Column profiles (top values, ranges, null ratios) shown to the LLM so that
+// generated filters use values that exist in the data
+const profilingConfig = {
+    enabled: process.env.COLUMN_PROFILING !== 'false',
+    // Most common values listed per column
+    topValues: readNumber(process.env.COLUMN_PROFILE_TOP_VALUES, 10),
+    // Columns with more distinct values than this are not listed value by value
+    maxDistinct: readNumber(process.env.COLUMN_PROFILE_MAX_DISTINCT, 50),
+    // Rows read from tables without planner statistics (views, never-analyzed tables)
+    sampleRows: readNumber(process.env.COLUMN_PROFILE_SAMPLE_ROWS, 1000),
+};
+
+export default profilingConfig;
@@ -0,0 +1,24 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const readNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Background report jobs and their resumable event streams
+const reportJobsConfig = {
+    // How often a stream checks the database for events of a job running on
+    // another server instance
+    pollIntervalMs: readNumber(process.env.REPORT_JOB_POLL_MS, 1000) || 1000,
+    // Comment lines sent on idle streams so proxies don't close them
+    keepAliveMs: readNumber(process.env.REPORT_JOB_KEEPALIVE_MS, 15000) || 15000,
+    // A job without events for this long is considered interrupted, e.g. by a
+    // restart of the server that ran it
+    staleAfterMs: readNumber(process.env.REPORT_JOB_STALE_MS, 10 * 60 * 1000),
+    // Finished jobs and their events are deleted after this many days (0 keeps them)
+    retentionDays: readNumber(process.env.REPORT_JOB_RETENTION_DAYS, 7),
+};
+
+export default reportJobsConfig;
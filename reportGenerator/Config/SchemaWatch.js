@@ -0,0 +1,26 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const readNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const MODES = ['auto', 'notify', 'poll', 'off'];
+const mode = (process.env.SCHEMA_WATCH || 'auto').toLowerCase();
+
+// How schema changes are detected. "notify" listens for the event trigger
+// created by the migrations, "poll" re-introspects the schema on an interval
+// and "auto" listens when the trigger exists and polls otherwise.
+const schemaWatchConfig = {
+    mode: MODES.includes(mode) ? mode : 'auto',
+    // Interval between schema checks when polling
+    pollIntervalMs: readNumber(process.env.SCHEMA_POLL_MS, 60000) || 60000,
+    // Wait for a burst of DDL (e.g. a migration) to finish before re-reading the schema
+    debounceMs: readNumber(process.env.SCHEMA_CHANGE_DEBOUNCE_MS, 1000),
+    // Fallback lifetime of the cached schema in ReportService
+    cacheTtlMs: readNumber(process.env.SCHEMA_CACHE_TTL_MS, 5 * 60 * 1000),
+};
+
+export default schemaWatchConfig;
@@ -0,0 +1,11 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Declarative business definitions (metrics, dimensions, join paths, synonyms)
+const semanticModelConfig = {
+    // YAML (.yaml/.yml) or JSON file; unset disables the semantic layer
+    path: process.env.SEMANTIC_MODEL_PATH || null,
+};
+
+export default semanticModelConfig;
@@ -0,0 +1,38 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const readNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// OTEL_EXPORTER_OTLP_HEADERS, e.g. "authorization=Bearer abc,x-tenant=reports"
+const readHeaders = (value) => {
+    if (!value) return {};
+
+    return Object.fromEntries(
+        value
+            .split(',')
+            .map(pair => pair.split('='))
+            .filter(([key, ...rest]) => key.trim() && rest.length)
+            .map(([key, ...rest]) => [key.trim(), decodeURIComponent(rest.join('=').trim())])
+    );
+};
+
+// Traces of report runs: stages, LLM calls and SQL executions
+const tracingConfig = {
+    enabled: process.env.TRACING !== 'false',
+    // OTLP/HTTP collector, e.g. http://localhost:4318 (traces are sent to
+    // /v1/traces); unset to only keep traces for the API
+    otlpEndpoint: process.env.OTEL_EXPORTER_OTLP_ENDPOINT || null,
+    otlpHeaders: readHeaders(process.env.OTEL_EXPORTER_OTLP_HEADERS),
+    exportTimeoutMs: readNumber(process.env.OTEL_EXPORTER_OTLP_TIMEOUT, 10000) || 10000,
+    serviceName: process.env.OTEL_SERVICE_NAME || 'report-generator',
+    // Traces kept in memory for the API while they are stored
+    maxRecentTraces: readNumber(process.env.TRACE_MEMORY_LIMIT, 100),
+    // Stored traces are deleted after this many days (0 keeps them)
+    retentionDays: readNumber(process.env.TRACE_RETENTION_DAYS, 7),
+};
+
+export default tracingConfig;
@@ -0,0 +1,25 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const readNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// CSV, XLSX and JSON files uploaded as tables of a session (see UploadService)
+const uploadsConfig = {
+    // Request header naming the session uploads belong to; reports sent with
+    // the same header can query them
+    sessionHeader: (process.env.UPLOAD_SESSION_HEADER || 'X-Session-Id').toLowerCase(),
+    maxFileBytes: readNumber(process.env.UPLOAD_MAX_FILE_BYTES, 20 * 1024 * 1024),
+    // Per table
+    maxRows: readNumber(process.env.UPLOAD_MAX_ROWS, 200000),
+    maxColumns: readNumber(process.env.UPLOAD_MAX_COLUMNS, 200),
+    // Per session
+    maxTables: readNumber(process.env.UPLOAD_MAX_TABLES, 20),
+    // Sessions unused for this long are dropped with their tables
+    sessionTtlHours: readNumber(process.env.UPLOAD_SESSION_TTL_HOURS, 24),
+};
+
+export default uploadsConfig;
@@ -0,0 +1,57 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const readNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Prices per million tokens by model as JSON, e.g.
+// {"mistral-small-latest": {"prompt": 0.1, "completion": 0.3}, "*": {"prompt": 1, "completion": 3}}
+// "*" prices the models not listed; unpriced models cost 0.
+const readPricing = (value) => {
+    if (!value) return {};
+
+    try {
+        const parsed = JSON.parse(value);
+        return Object.fromEntries(
+            Object.entries(parsed).map(([model, price]) => [
+                model,
+                {
+                    prompt: readNumber(price?.prompt, 0),
+                    completion: readNumber(price?.completion, 0),
+                },
+            ])
+        );
+    } catch (error) {
+        console.error('Could not parse LLM_PRICING:', error.message);
+        return {};
+    }
+};
+
+// LLM token usage, its cost and the budgets that stop a report (0 for no limit)
+const usageConfig = {
+    pricing: readPricing(process.env.LLM_PRICING),
+    currency: process.env.LLM_PRICING_CURRENCY || 'USD',
+    // Request header identifying the user usage is counted for
+    userHeader: (process.env.USAGE_USER_HEADER || 'X-User-Id').toLowerCase(),
+    budgets: {
+        report: {
+            maxTokens: readNumber(process.env.USAGE_REPORT_MAX_TOKENS, 0),
+            maxCost: readNumber(process.env.USAGE_REPORT_MAX_COST, 0),
+        },
+        // Per user and UTC day
+        userDaily: {
+            maxTokens: readNumber(process.env.USAGE_USER_DAILY_MAX_TOKENS, 0),
+            maxCost: readNumber(process.env.USAGE_USER_DAILY_MAX_COST, 0),
+        },
+        // All users together per UTC day
+        daily: {
+            maxTokens: readNumber(process.env.USAGE_DAILY_MAX_TOKENS, 0),
+            maxCost: readNumber(process.env.USAGE_DAILY_MAX_COST, 0),
+        },
+    },
+};
+
+export default usageConfig;
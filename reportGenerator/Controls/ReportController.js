@@ -1,6 +1,47 @@
-import { ReportService } from '../Services/ReportService.js';
+import { DataSourceService } from '../Services/DataSourceService.js';
+import { ReportJobService } from '../Services/ReportJobService.js';
+import { createCancellationError } from '../Services/CancellationService.js';
+import reportJobsConfig from '../Config/ReportJobs.js';
+import usageConfig from '../Config/Usage.js';
+import uploadsConfig from '../Config/Uploads.js';
 
-const reportService = new ReportService();
+const dataSourceService = new DataSourceService();
+const reportJobService = new ReportJobService(dataSourceService);
+
+// The default data source is set up (and its schema watched) from the start,
+// the others on their first request
+dataSourceService.getReportService();
+
+// The report service of the data source a request names with `dataSource` (in
+// the query string or the body), the default one if it names none. Throws
+// UNKNOWN_DATA_SOURCE for a name that isn't configured.
+const getReportService = (req) =>
+    dataSourceService.getReportService(req.query.dataSource || req.body?.dataSource || null);
+
+const sendDataSourceError = (res, error) =>
+    res.status(error.statusCode).json({ 
+        error: 'Unknown data source',
+        message: error.message 
+    });
+
+// Signal aborted when the client goes away before the response is complete.
+// The response's 'close' is used rather than the request's, which fires as
+// soon as the request body has been read.
+const abortOnDisconnect = (res) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort(createCancellationError('Client disconnected'));
+        }
+    });
+    return controller.signal;
+}
+
+// Who a request's LLM usage is counted for
+const getUserId = (req) => req.get(usageConfig.userHeader) || null;
+
+// The upload session whose tables a request can query
+const getSessionId = (req) => req.get(uploadsConfig.sessionHeader) || null;
 
 export const generateReport = async (req, res) => {
     try {
@@ -11,23 +52,35 @@ export const generateReport = async (req, res) => {
                 error: 'Prompt is required' 
             });
         }
+        const reportService = getReportService(req);
 
         // Set headers for streaming response
         res.setHeader('Content-Type', 'text/event-stream');
         res.setHeader('Cache-Control', 'no-cache');
         res.setHeader('Connection', 'keep-alive');
 
+        const signal = abortOnDisconnect(res);
+
         // Create a callback function to send updates to the client
         const sendUpdate = (update) => {
-            res.write(`data: ${JSON.stringify(update)}\n\n`);
+            if (!res.writableEnded && !res.destroyed) {
+                res.write(`data: ${JSON.stringify(update)}\n\n`);
+            }
         };
 
         // Pass conversation history and the update callback to the report service
-        await reportService.generateReportStream(prompt, conversationHistory || [], sendUpdate);
+        await reportService.generateReportStream(prompt, conversationHistory || [], sendUpdate, {
+            signal,
+            userId: getUserId(req),
+            sessionId: getSessionId(req)
+        });
         
         // End the response when complete
         res.end();
     } catch (error) {
+        if (error.code === 'UNKNOWN_DATA_SOURCE') {
+            return sendDataSourceError(res, error);
+        }
         console.error('Error in report controller:', error);
         // If headers haven't been sent yet, send an error response
         if (!res.headersSent) {
@@ -58,10 +111,40 @@ export const generateReportNonStreaming = async (req, res) => {
         }
 
         // Pass conversation history to the report service
-        const report = await reportService.generateReport(prompt, conversationHistory || []);
+        const report = await getReportService(req).generateReport(prompt, conversationHistory || [], {
+            signal: abortOnDisconnect(res),
+            userId: getUserId(req),
+            sessionId: getSessionId(req)
+        });
         res.json(report);
     } catch (error) {
+        if (error.code === 'UNKNOWN_DATA_SOURCE') {
+            return sendDataSourceError(res, error);
+        }
+        if (error.type === 'budget_exceeded') {
+            return res.status(429).json({
+                status: 'cancelled',
+                type: error.type,
+                error: 'LLM budget exceeded',
+                message: error.message,
+                budget: error.budget
+            });
+        }
+        // Nobody is left to respond to
+        if (error.code === 'REPORT_CANCELLED') {
+            console.log('Report cancelled:', error.message);
+            return;
+        }
         console.error('Error in report controller:', error);
+        if (error.code === 'SQL_REJECTED') {
+            return res.status(422).json({
+                status: 'rejected',
+                type: error.type,
+                error: 'Generated query was rejected',
+                message: error.reason,
+                sql: error.sql
+            });
+        }
         res.status(500).json({ 
             error: 'Failed to generate report',
             message: error.message 
@@ -69,3 +152,346 @@ export const generateReportNonStreaming = async (req, res) => {
     }
 }
 
+
+// Stop a streamed report in progress; its stream ends with a 'cancelled' update
+export const cancelReport = async (req, res) => {
+    const { reportId } = req.params;
+    if (!dataSourceService.cancelReport(reportId, 'Cancelled by the user')) {
+        return res.status(404).json({ 
+            error: 'Report not found',
+            message: `No report ${reportId} is in progress`
+        });
+    }
+    res.status(202).json({ status: 'cancelling', reportId });
+}
+
+// Report jobs: generation runs in the background and its events can be
+// replayed, so a dropped connection doesn't lose the report
+const sendReportJobError = (res, error, message) => {
+    console.error('Error in report job controller:', error);
+    if (error.code === 'INVALID_REPORT_JOB') {
+        return res.status(error.statusCode).json({ 
+            error: 'Invalid report job',
+            message: error.message 
+        });
+    }
+    res.status(500).json({ 
+        error: message,
+        message: error.message 
+    });
+}
+
+export const createReportJob = async (req, res) => {
+    try {
+        const job = await reportJobService.createJob(req.body, {
+            userId: getUserId(req),
+            sessionId: getSessionId(req)
+        });
+        res.status(202).json({
+            jobId: job.jobId,
+            status: job.status,
+            statusUrl: `${req.baseUrl}/report-jobs/${job.jobId}`,
+            eventsUrl: `${req.baseUrl}/report-jobs/${job.jobId}/events`
+        });
+    } catch (error) {
+        sendReportJobError(res, error, 'Failed to create report job');
+    }
+}
+
+// Status of a job, with the final report payload once it has finished
+export const getReportJob = async (req, res) => {
+    try {
+        const job = await reportJobService.getJob(req.params.jobId);
+        res.json(job);
+    } catch (error) {
+        sendReportJobError(res, error, 'Failed to load report job');
+    }
+}
+
+// Server-sent events of a job. Each event's id is its sequence number; a
+// reconnecting client sends the last one it saw as Last-Event-ID (or the
+// lastEventId query parameter) and gets everything after it. The stream ends
+// with an 'end' event once the job has finished.
+export const streamReportJobEvents = async (req, res) => {
+    const lastEventId = Number(req.get('Last-Event-ID') ?? req.query.lastEventId ?? 0);
+    const signal = abortOnDisconnect(res);
+    let keepAlive = null;
+
+    try {
+        // Fails with a 404 before the stream starts when the job doesn't exist
+        await reportJobService.getJob(req.params.jobId);
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.flushHeaders();
+
+        keepAlive = setInterval(() => res.write(': keep-alive\n\n'), reportJobsConfig.keepAliveMs);
+
+        const status = await reportJobService.followEvents(
+            req.params.jobId,
+            Number.isSafeInteger(lastEventId) && lastEventId > 0 ? lastEventId : 0,
+            ({ seq, data }) => res.write(`id: ${seq}\ndata: ${JSON.stringify(data)}\n\n`),
+            signal
+        );
+
+        if (status) {
+            res.write(`event: end\ndata: ${JSON.stringify({ status })}\n\n`);
+        }
+        res.end();
+    } catch (error) {
+        if (!res.headersSent) {
+            return sendReportJobError(res, error, 'Failed to stream report job');
+        }
+        console.error('Error streaming report job:', error);
+        res.end();
+    } finally {
+        clearInterval(keepAlive);
+    }
+}
+
+export const cancelReportJob = async (req, res) => {
+    const { jobId } = req.params;
+    if (!reportJobService.cancelJob(jobId)) {
+        return res.status(404).json({ 
+            error: 'Report job not found',
+            message: `Report job ${jobId} is not running on this server`
+        });
+    }
+    res.status(202).json({ status: 'cancelling', jobId });
+}
+
+// Stage, LLM call and query timings of a report. ?format=otlp returns the
+// trace as an OpenTelemetry OTLP/JSON export request.
+export const getReportTrace = async (req, res) => {
+    try {
+        const { reportId } = req.params;
+        const trace = await dataSourceService.traceService.getTrace(reportId);
+        if (!trace) {
+            return res.status(404).json({ 
+                error: 'Trace not found',
+                message: `There is no trace of report ${reportId}`
+            });
+        }
+
+        res.json(req.query.format === 'otlp' ? dataSourceService.traceService.toOtlp(trace) : trace);
+    } catch (error) {
+        console.error('Error in trace controller:', error);
+        res.status(500).json({ 
+            error: 'Failed to load trace',
+            message: error.message 
+        });
+    }
+}
+
+// LLM token usage and cost of a report, by stage and model
+export const getReportUsage = async (req, res) => {
+    try {
+        const { reportId } = req.params;
+        const usage = await dataSourceService.usageService.getReportUsage(reportId);
+        if (!usage) {
+            return res.status(404).json({ 
+                error: 'Usage not found',
+                message: `Report ${reportId} made no LLM calls`
+            });
+        }
+        res.json(usage);
+    } catch (error) {
+        console.error('Error in usage controller:', error);
+        res.status(500).json({ 
+            error: 'Failed to load usage',
+            message: error.message 
+        });
+    }
+}
+
+// LLM usage per day and user (?days=7&userId=...), with the budgets and
+// what is left of today's
+export const getUsage = async (req, res) => {
+    try {
+        const days = Number(req.query.days ?? 7);
+        if (!Number.isInteger(days) || days < 1 || days > 366) {
+            return res.status(400).json({ 
+                error: 'Invalid usage query',
+                message: 'days must be a whole number from 1 to 366'
+            });
+        }
+
+        const usage = await dataSourceService.usageService.getUsage({
+            days,
+            userId: req.query.userId || null
+        });
+        res.json(usage);
+    } catch (error) {
+        console.error('Error in usage controller:', error);
+        res.status(500).json({ 
+            error: 'Failed to load usage',
+            message: error.message 
+        });
+    }
+}
+
+// Thumbs up/down, corrected SQL and comments for a generated report. The
+// feedback goes to the knowledge base of the report's data source.
+export const submitReportFeedback = async (req, res) => {
+    try {
+        const { reportId } = req.params;
+        const result = await getReportService(req).feedbackService.submitFeedback(reportId, req.body);
+        res.status(201).json(result);
+    } catch (error) {
+        if (error.code === 'UNKNOWN_DATA_SOURCE') {
+            return sendDataSourceError(res, error);
+        }
+        console.error('Error in feedback controller:', error);
+        if (error.code === 'SQL_REJECTED') {
+            return res.status(422).json({
+                status: 'rejected',
+                type: error.type,
+                error: 'Corrected SQL was rejected',
+                message: error.reason,
+                sql: error.sql
+            });
+        }
+        if (error.code === 'INVALID_FEEDBACK') {
+            return res.status(error.statusCode).json({ 
+                error: 'Invalid feedback',
+                message: error.message 
+            });
+        }
+        res.status(500).json({ 
+            error: 'Failed to save feedback',
+            message: error.message 
+        });
+    }
+}
+
+// Business glossary: display names, aliases and descriptions of tables and
+// columns, kept per data source
+const sendGlossaryError = (res, error, message) => {
+    if (error.code === 'UNKNOWN_DATA_SOURCE') {
+        return sendDataSourceError(res, error);
+    }
+    console.error('Error in glossary controller:', error);
+    if (error.code === 'INVALID_GLOSSARY_ENTRY') {
+        return res.status(error.statusCode).json({ 
+            error: 'Invalid glossary entry',
+            message: error.message 
+        });
+    }
+    res.status(500).json({ 
+        error: message,
+        message: error.message 
+    });
+}
+
+export const listGlossaryEntries = async (req, res) => {
+    try {
+        const entries = await getReportService(req).glossaryService.listEntries({ table: req.query.table });
+        res.json({ entries });
+    } catch (error) {
+        sendGlossaryError(res, error, 'Failed to list glossary entries');
+    }
+}
+
+export const getGlossaryEntry = async (req, res) => {
+    try {
+        const entry = await getReportService(req).glossaryService.getEntry(req.params.id);
+        res.json(entry);
+    } catch (error) {
+        sendGlossaryError(res, error, 'Failed to load glossary entry');
+    }
+}
+
+export const createGlossaryEntry = async (req, res) => {
+    try {
+        const entry = await getReportService(req).glossaryService.createEntry(req.body);
+        res.status(201).json(entry);
+    } catch (error) {
+        sendGlossaryError(res, error, 'Failed to create glossary entry');
+    }
+}
+
+export const updateGlossaryEntry = async (req, res) => {
+    try {
+        const entry = await getReportService(req).glossaryService.updateEntry(req.params.id, req.body);
+        res.json(entry);
+    } catch (error) {
+        sendGlossaryError(res, error, 'Failed to update glossary entry');
+    }
+}
+
+export const deleteGlossaryEntry = async (req, res) => {
+    try {
+        await getReportService(req).glossaryService.deleteEntry(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        sendGlossaryError(res, error, 'Failed to delete glossary entry');
+    }
+}
+
+// CSV, XLSX and JSON files uploaded as tables of the session named by the
+// session header, kept per data source
+const sendUploadError = (res, error, message) => {
+    if (error.code === 'UNKNOWN_DATA_SOURCE') {
+        return sendDataSourceError(res, error);
+    }
+    console.error('Error in upload controller:', error);
+    if (error.code === 'INVALID_UPLOAD') {
+        return res.status(error.statusCode).json({ 
+            error: 'Invalid upload',
+            message: error.message 
+        });
+    }
+    res.status(500).json({ 
+        error: message,
+        message: error.message 
+    });
+}
+
+// The file is the request body; `filename` (in the query string) decides how
+// it is read and, unless `table` is given, names the table
+export const uploadFile = async (req, res) => {
+    try {
+        const tables = await getReportService(req).uploadService.upload(
+            getSessionId(req),
+            { fileName: req.query.filename, table: req.query.table },
+            req.body
+        );
+        res.status(201).json({ tables });
+    } catch (error) {
+        sendUploadError(res, error, 'Failed to upload file');
+    }
+}
+
+export const listUploads = async (req, res) => {
+    try {
+        const tables = await getReportService(req).uploadService.listTables(getSessionId(req));
+        res.json({ tables });
+    } catch (error) {
+        sendUploadError(res, error, 'Failed to list uploaded tables');
+    }
+}
+
+export const deleteUpload = async (req, res) => {
+    try {
+        await getReportService(req).uploadService.deleteTable(getSessionId(req), req.params.table);
+        res.status(204).end();
+    } catch (error) {
+        sendUploadError(res, error, 'Failed to delete uploaded table');
+    }
+}
+
+// Drop every table of the session, e.g. when the user signs out
+export const deleteUploadSession = async (req, res) => {
+    try {
+        await getReportService(req).uploadService.deleteSession(getSessionId(req));
+        res.status(204).end();
+    } catch (error) {
+        sendUploadError(res, error, 'Failed to delete uploaded tables');
+    }
+}
+
+// The data sources reports can run on, for the `dataSource` parameter
+export const listDataSources = (req, res) => {
+    res.json({ dataSources: dataSourceService.list() });
+}
@@ -0,0 +1,382 @@
+import { SqlDialect } from "./SqlDialect.js";
+
+// Key columns are aggregated into one string and split again
+const COLUMN_SEPARATOR = "\n";
+
+const splitColumns = (value) => (value ? String(value).split(COLUMN_SEPARATOR) : []);
+
+// Labels of an enum or set column type, e.g. enum('new','paid')
+const parseEnumValues = (columnType) => {
+  const match = /^(?:enum|set)\((.*)\)$/is.exec(columnType || "");
+  if (!match) return null;
+  return [...match[1].matchAll(/'((?:[^'\\]|''|\\.)*)'/g)].map(([, value]) =>
+    value.replace(/''/g, "'").replace(/\\(.)/g, "$1")
+  );
+};
+
+const TABLE_TYPES = {
+  "BASE TABLE": "table",
+  VIEW: "view",
+};
+
+// Result rows in the shape of a pg result
+const toResult = (rows) =>
+  Array.isArray(rows)
+    ? { rows, rowCount: rows.length }
+    : { rows: [], rowCount: rows?.affectedRows ?? 0 };
+
+// A pg-like pool over mysql2: query(sql, params) and connect() resolve to the
+// same { rows, rowCount } results, clients carry their thread id as processID.
+// mysql2 is an optional dependency, so it is imported on first use.
+export class MySqlPool {
+  constructor(connection) {
+    this.connection = connection;
+    this.pool = null;
+  }
+
+  getPool() {
+    if (!this.pool) {
+      this.pool = (async () => {
+        const { default: mysql } = await import("mysql2/promise");
+        const { connectionString, host, port, user, password, database, ssl } = this.connection;
+        return mysql.createPool({
+          ...(connectionString ? { uri: connectionString } : { host, port, user, password, database }),
+          ...(ssl ? { ssl: ssl === true ? {} : ssl } : {}),
+        });
+      })().catch((error) => {
+        this.pool = null;
+        throw new Error(`Could not open the MySQL pool: ${error.message}`);
+      });
+    }
+    return this.pool;
+  }
+
+  async query(sql, params = []) {
+    const pool = await this.getPool();
+    const [rows] = await pool.query(sql, params);
+    return toResult(rows);
+  }
+
+  async connect() {
+    const connection = await (await this.getPool()).getConnection();
+    return {
+      processID: connection.threadId,
+      query: async (sql, params = []) => toResult((await connection.query(sql, params))[0]),
+      // Like pg, a truthy argument closes the connection instead of reusing it
+      release: (destroy) => (destroy ? connection.destroy() : connection.release()),
+    };
+  }
+
+  async end() {
+    if (!this.pool) return;
+    const pool = await this.pool;
+    this.pool = null;
+    await pool.end();
+  }
+}
+
+// MySQL (5.7 and later) and MariaDB, read through information_schema. A MySQL
+// database is what the other engines call a schema; tables are identified by
+// "database.table".
+export class MySqlDialect extends SqlDialect {
+  constructor({ database = null } = {}) {
+    super({
+      name: "mysql",
+      label: "MySQL",
+      parserDatabase: "MySQL",
+      defaultSchema: database,
+      systemSchemas: ["mysql", "performance_schema", "sys"],
+    });
+  }
+
+  createPool(connection) {
+    return new MySqlPool(connection);
+  }
+
+  quoteIdentifier(name) {
+    return `\`${String(name).replace(/`/g, "``")}\``;
+  }
+
+  orderDescNullsLast(expression) {
+    return `${expression} IS NULL, ${expression} DESC`;
+  }
+
+  get promptNotes() {
+    return "There is no FULL OUTER JOIN, NULLS LAST or ILIKE; use LOWER(...) LIKE for case-insensitive matching.";
+  }
+
+  dateTrunc(unit, expression) {
+    this.assertDateUnit(unit);
+    switch (unit) {
+      case "hour":
+        return `DATE_FORMAT(${expression}, '%Y-%m-%d %H:00:00')`;
+      case "day":
+        return `DATE(${expression})`;
+      case "week":
+        return `DATE_SUB(DATE(${expression}), INTERVAL WEEKDAY(${expression}) DAY)`;
+      case "month":
+        return `DATE_FORMAT(${expression}, '%Y-%m-01')`;
+      case "quarter":
+        return `MAKEDATE(YEAR(${expression}), 1) + INTERVAL QUARTER(${expression}) - 1 QUARTER`;
+      default:
+        return `DATE_FORMAT(${expression}, '%Y-01-01')`;
+    }
+  }
+
+  dateAdd(expression, amount, unit) {
+    this.assertDateUnit(unit);
+    return `DATE_ADD(${expression}, INTERVAL ${Math.trunc(amount)} ${unit.toUpperCase()})`;
+  }
+
+  // MAX_EXECUTION_TIME only applies to SELECT statements, which is all
+  // that runs here. It is set on the pooled connection, so commit and
+  // rollback put it back for whatever runs on the connection next.
+  async beginReadOnly(client, statementTimeoutMs) {
+    await client.query(`SET SESSION MAX_EXECUTION_TIME = ${Math.floor(statementTimeoutMs || 0)}`);
+    await client.query("START TRANSACTION READ ONLY");
+  }
+
+  async commit(client) {
+    try {
+      await client.query("COMMIT");
+    } finally {
+      await this.resetExecutionTime(client);
+    }
+  }
+
+  async rollback(client) {
+    try {
+      await client.query("ROLLBACK");
+    } finally {
+      await this.resetExecutionTime(client);
+    }
+  }
+
+  async resetExecutionTime(client) {
+    await client.query("SET SESSION MAX_EXECUTION_TIME = DEFAULT");
+  }
+
+  async estimateCost(client, sql) {
+    const { rows } = await client.query(`EXPLAIN FORMAT=JSON ${sql}`);
+    const plan = rows[0]?.EXPLAIN;
+    const parsedPlan = typeof plan === "string" ? JSON.parse(plan) : plan;
+    const cost = Number(parsedPlan?.query_block?.cost_info?.query_cost);
+    return Number.isFinite(cost) ? cost : null;
+  }
+
+  async cancel(pool, client) {
+    await pool.query(`KILL QUERY ${Number(client.processID)}`);
+  }
+
+  // 3024 = ER_QUERY_TIMEOUT, raised when MAX_EXECUTION_TIME is hit
+  isTimeoutError(error) {
+    return error?.errno === 3024;
+  }
+
+  // WHERE condition on a schema column for the introspected schemas
+  schemaFilter(column, { includeSchemas, excludeSchemas }) {
+    const conditions = [`${column} NOT IN (?)`];
+    const params = [[...this.systemSchemas, ...excludeSchemas]];
+    if (includeSchemas.length) {
+      conditions.push(`${column} IN (?)`);
+      params.push(includeSchemas);
+    }
+    return { sql: conditions.join(" AND "), params };
+  }
+
+  async getRelations(pool, filter) {
+    const schemaFilter = this.schemaFilter("TABLE_SCHEMA", filter);
+    const { rows } = await pool.query(
+      `
+      SELECT
+        CONCAT(TABLE_SCHEMA, '.', TABLE_NAME) AS id,
+        TABLE_SCHEMA AS table_schema,
+        TABLE_NAME AS table_name,
+        TABLE_TYPE AS table_type,
+        NULLIF(TABLE_COMMENT, '') AS table_comment
+      FROM
+        information_schema.TABLES
+      WHERE
+        TABLE_TYPE IN ('BASE TABLE', 'VIEW')
+        AND ${schemaFilter.sql}
+      ORDER BY
+        TABLE_SCHEMA, TABLE_NAME
+      `,
+      schemaFilter.params
+    );
+    return rows.map(({ table_type, ...row }) => ({ ...row, type: TABLE_TYPES[table_type] }));
+  }
+
+  // Enum columns are listed by their base type, with their labels
+  async getColumns(pool, ids) {
+    if (!ids.length) return [];
+
+    const { rows } = await pool.query(
+      `
+      SELECT
+        CONCAT(TABLE_SCHEMA, '.', TABLE_NAME) AS id,
+        COLUMN_NAME AS column_name,
+        DATA_TYPE AS base_type,
+        COLUMN_TYPE AS column_type,
+        IS_NULLABLE AS is_nullable,
+        COLUMN_DEFAULT AS column_default,
+        NULLIF(COLUMN_COMMENT, '') AS column_comment
+      FROM
+        information_schema.COLUMNS
+      WHERE
+        CONCAT(TABLE_SCHEMA, '.', TABLE_NAME) IN (?)
+      ORDER BY
+        TABLE_SCHEMA, TABLE_NAME, ORDINAL_POSITION
+      `,
+      [ids]
+    );
+    return rows.map(({ base_type, column_type, ...row }) => {
+      const enumValues = parseEnumValues(column_type);
+      return {
+        ...row,
+        data_type: enumValues ? base_type : column_type,
+        enum_values: enumValues,
+      };
+    });
+  }
+
+  // Primary key, unique, foreign key and (on MySQL 8.0.16 and later) check
+  // constraints, with definitions written out like Postgres does
+  async getConstraints(pool, ids) {
+    if (!ids.length) return [];
+
+    const { rows } = await pool.query(
+      `
+      SELECT
+        CONCAT(tc.TABLE_SCHEMA, '.', tc.TABLE_NAME) AS id,
+        tc.CONSTRAINT_NAME AS constraint_name,
+        tc.CONSTRAINT_TYPE AS constraint_type,
+        GROUP_CONCAT(k.COLUMN_NAME ORDER BY k.ORDINAL_POSITION SEPARATOR '\\n') AS columns,
+        MAX(k.REFERENCED_TABLE_SCHEMA) AS foreign_table_schema,
+        MAX(k.REFERENCED_TABLE_NAME) AS foreign_table_name,
+        GROUP_CONCAT(k.REFERENCED_COLUMN_NAME ORDER BY k.ORDINAL_POSITION SEPARATOR '\\n')
+          AS foreign_columns
+      FROM
+        information_schema.TABLE_CONSTRAINTS tc
+        LEFT JOIN information_schema.KEY_COLUMN_USAGE k
+          ON k.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA
+          AND k.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+          AND k.TABLE_NAME = tc.TABLE_NAME
+      WHERE
+        CONCAT(tc.TABLE_SCHEMA, '.', tc.TABLE_NAME) IN (?)
+        AND tc.CONSTRAINT_TYPE IN ('PRIMARY KEY', 'UNIQUE', 'FOREIGN KEY', 'CHECK')
+      GROUP BY
+        tc.TABLE_SCHEMA, tc.TABLE_NAME, tc.CONSTRAINT_NAME, tc.CONSTRAINT_TYPE
+      ORDER BY
+        tc.TABLE_SCHEMA, tc.TABLE_NAME, tc.CONSTRAINT_NAME
+      `,
+      [ids]
+    );
+    const checkClauses = await this.getCheckClauses(pool);
+
+    const columnList = (columns) => columns.map((name) => this.quoteIdentifier(name)).join(", ");
+    return rows.map(({ foreign_table_schema, foreign_table_name, foreign_columns, ...row }) => {
+      const columns = splitColumns(row.columns);
+      let definition = `${row.constraint_type} (${columnList(columns)})`;
+      if (row.constraint_type === "FOREIGN KEY") {
+        definition += ` REFERENCES ${this.qualify(foreign_table_schema, foreign_table_name)}(${columnList(
+          splitColumns(foreign_columns)
+        )})`;
+      } else if (row.constraint_type === "CHECK") {
+        definition = `CHECK (${checkClauses.get(`${row.id}.${row.constraint_name}`) ?? "..."})`;
+      }
+      return { ...row, columns, definition };
+    });
+  }
+
+  // Check clauses by "database.table.constraint"; older servers have no
+  // CHECK_CONSTRAINTS table
+  async getCheckClauses(pool) {
+    try {
+      const { rows } = await pool.query(`
+        SELECT
+          CONCAT(tc.TABLE_SCHEMA, '.', tc.TABLE_NAME, '.', tc.CONSTRAINT_NAME) AS name,
+          cc.CHECK_CLAUSE AS check_clause
+        FROM
+          information_schema.TABLE_CONSTRAINTS tc
+          JOIN information_schema.CHECK_CONSTRAINTS cc
+            ON cc.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA
+            AND cc.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+        WHERE
+          tc.CONSTRAINT_TYPE = 'CHECK'
+      `);
+      return new Map(rows.map((row) => [row.name, row.check_clause]));
+    } catch {
+      return new Map();
+    }
+  }
+
+  // Indexes with their key columns in index order. Functional index parts
+  // have no column and are left out.
+  async getIndexes(pool, ids) {
+    if (!ids.length) return [];
+
+    const { rows } = await pool.query(
+      `
+      SELECT
+        CONCAT(TABLE_SCHEMA, '.', TABLE_NAME) AS id,
+        TABLE_SCHEMA AS table_schema,
+        TABLE_NAME AS table_name,
+        INDEX_NAME AS index_name,
+        MAX(NON_UNIQUE) = 0 AS is_unique,
+        INDEX_NAME = 'PRIMARY' AS is_primary,
+        GROUP_CONCAT(COLUMN_NAME ORDER BY SEQ_IN_INDEX SEPARATOR '\\n') AS columns,
+        MAX(INDEX_TYPE) AS index_type
+      FROM
+        information_schema.STATISTICS
+      WHERE
+        CONCAT(TABLE_SCHEMA, '.', TABLE_NAME) IN (?)
+      GROUP BY
+        TABLE_SCHEMA, TABLE_NAME, INDEX_NAME
+      ORDER BY
+        TABLE_SCHEMA, TABLE_NAME, INDEX_NAME
+      `,
+      [ids]
+    );
+    return rows.map(({ table_schema, table_name, index_type, ...row }) => {
+      const columns = splitColumns(row.columns);
+      const isUnique = Boolean(row.is_unique);
+      return {
+        ...row,
+        is_unique: isUnique,
+        is_primary: Boolean(row.is_primary),
+        columns,
+        definition: `CREATE ${isUnique ? "UNIQUE " : ""}INDEX ${this.quoteIdentifier(
+          row.index_name
+        )} ON ${this.qualify(table_schema, table_name)} USING ${index_type} (${columns
+          .map((name) => this.quoteIdentifier(name))
+          .join(", ")})`,
+      };
+    });
+  }
+
+  async getRelationships(pool, filter) {
+    const schemaFilter = this.schemaFilter("TABLE_SCHEMA", filter);
+    const { rows } = await pool.query(
+      `
+      SELECT
+        CONSTRAINT_NAME AS constraint_name,
+        TABLE_SCHEMA AS table_schema,
+        TABLE_NAME AS table_name,
+        COLUMN_NAME AS column_name,
+        REFERENCED_TABLE_SCHEMA AS foreign_table_schema,
+        REFERENCED_TABLE_NAME AS foreign_table_name,
+        REFERENCED_COLUMN_NAME AS foreign_column_name
+      FROM
+        information_schema.KEY_COLUMN_USAGE
+      WHERE
+        REFERENCED_TABLE_NAME IS NOT NULL
+        AND ${schemaFilter.sql}
+      ORDER BY
+        TABLE_SCHEMA, TABLE_NAME, CONSTRAINT_NAME, ORDINAL_POSITION
+      `,
+      schemaFilter.params
+    );
+    return rows;
+  }
+}
@@ -0,0 +1,239 @@
+import pkg from "pg";
+import { SqlDialect } from "./SqlDialect.js";
+
+const { Pool } = pkg;
+
+// pg_class.relkind values that can be queried like a table
+const RELATION_TYPES = {
+  r: "table",
+  p: "partitioned_table",
+  v: "view",
+  m: "materialized_view",
+  f: "foreign_table",
+};
+
+// Restricts pg_namespace alias `n` to the introspected schemas.
+// $1 is the include list (empty for all), $2 the exclude list.
+const SCHEMA_FILTER = `
+  n.nspname !~ '^pg_'
+  AND n.nspname <> ALL($2::text[])
+  AND (cardinality($1::text[]) = 0 OR n.nspname = ANY($1::text[]))
+`;
+
+// PostgreSQL, read through the system catalogs. Tables are identified by oid.
+export class PostgresDialect extends SqlDialect {
+  constructor() {
+    super({ name: "postgresql", label: "PostgreSQL", parserDatabase: "PostgresQL" });
+    this.notifiesSchemaChanges = true;
+    this.hasColumnStats = true;
+  }
+
+  createPool(connection) {
+    return new Pool(connection);
+  }
+
+  get promptNotes() {
+    return "Use ILIKE for case-insensitive matching.";
+  }
+
+  dateTrunc(unit, expression) {
+    this.assertDateUnit(unit);
+    return `date_trunc('${unit}', ${expression})`;
+  }
+
+  dateAdd(expression, amount, unit) {
+    this.assertDateUnit(unit);
+    return `${expression} + INTERVAL '${Math.trunc(amount)} ${unit}'`;
+  }
+
+  // Keys are sent as one array parameter, however many there are
+  selectByKeys(table, column, keys, limit) {
+    return {
+      sql: `SELECT * FROM ${table} WHERE ${column} = ANY($1) LIMIT $2`,
+      params: [keys, limit],
+    };
+  }
+
+  async beginReadOnly(client, statementTimeoutMs, searchPath = []) {
+    await client.query("BEGIN READ ONLY");
+
+    if (searchPath.length > 0) {
+      await client.query(
+        `SET LOCAL search_path = ${searchPath.map((schema) => this.quoteIdentifier(schema)).join(", ")}`
+      );
+    }
+
+    if (statementTimeoutMs) {
+      await client.query(`SET LOCAL statement_timeout = ${Math.floor(statementTimeoutMs)}`);
+    }
+  }
+
+  async estimateCost(client, sql) {
+    const result = await client.query(`EXPLAIN (FORMAT JSON) ${sql}`);
+    const plan = result.rows[0]?.["QUERY PLAN"];
+    const parsedPlan = typeof plan === "string" ? JSON.parse(plan) : plan;
+    return parsedPlan?.[0]?.Plan?.["Total Cost"] ?? null;
+  }
+
+  // Postgres only stops a query when asked from another connection
+  async cancel(pool, client) {
+    await pool.query("SELECT pg_cancel_backend($1)", [client.processID]);
+  }
+
+  // 57014 = query_canceled, raised when statement_timeout is hit
+  isTimeoutError(error) {
+    return error?.code === "57014";
+  }
+
+  // Tables, views, materialized views and foreign tables. Partitions are
+  // left out since they are queried through their parent.
+  async getRelations(pool, { includeSchemas, excludeSchemas }) {
+    const { rows } = await pool.query(
+      `
+      SELECT
+        c.oid AS id,
+        n.nspname AS table_schema,
+        c.relname AS table_name,
+        c.relkind,
+        obj_description(c.oid, 'pg_class') AS table_comment
+      FROM
+        pg_class c
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE
+        c.relkind IN ('r', 'p', 'v', 'm', 'f')
+        AND NOT c.relispartition
+        AND ${SCHEMA_FILTER}
+      ORDER BY
+        n.nspname, c.relname;
+      `,
+      [includeSchemas, excludeSchemas]
+    );
+    return rows.map(({ relkind, ...row }) => ({ ...row, type: RELATION_TYPES[relkind] }));
+  }
+
+  // Columns in table order, with comments and the labels of enum columns
+  // (including arrays of and domains over enums)
+  async getColumns(pool, ids) {
+    const { rows } = await pool.query(
+      `
+      SELECT
+        a.attrelid AS id,
+        a.attname AS column_name,
+        format_type(a.atttypid, a.atttypmod) AS data_type,
+        CASE WHEN a.attnotnull THEN 'NO' ELSE 'YES' END AS is_nullable,
+        pg_get_expr(d.adbin, d.adrelid) AS column_default,
+        col_description(a.attrelid, a.attnum) AS column_comment,
+        (
+          SELECT array_agg(e.enumlabel::text ORDER BY e.enumsortorder)
+          FROM pg_enum e
+          WHERE e.enumtypid IN (a.atttypid, t.typelem, t.typbasetype)
+        ) AS enum_values
+      FROM
+        pg_attribute a
+        JOIN pg_type t ON t.oid = a.atttypid
+        LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+      WHERE
+        a.attrelid = ANY($1::oid[])
+        AND a.attnum > 0
+        AND NOT a.attisdropped
+      ORDER BY
+        a.attrelid, a.attnum;
+      `,
+      [ids]
+    );
+    return rows;
+  }
+
+  // Primary key, unique, foreign key, check and exclusion constraints with
+  // their columns in key order
+  async getConstraints(pool, ids) {
+    const { rows } = await pool.query(
+      `
+      SELECT
+        con.conrelid AS id,
+        con.conname AS constraint_name,
+        CASE con.contype
+          WHEN 'p' THEN 'PRIMARY KEY'
+          WHEN 'u' THEN 'UNIQUE'
+          WHEN 'f' THEN 'FOREIGN KEY'
+          WHEN 'c' THEN 'CHECK'
+          WHEN 'x' THEN 'EXCLUDE'
+        END AS constraint_type,
+        ARRAY(
+          SELECT a.attname::text
+          FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, position)
+          JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+          ORDER BY k.position
+        ) AS columns,
+        pg_get_constraintdef(con.oid, true) AS definition
+      FROM
+        pg_constraint con
+      WHERE
+        con.conrelid = ANY($1::oid[])
+        AND con.contype IN ('p', 'u', 'f', 'c', 'x')
+      ORDER BY
+        con.conrelid, con.conname;
+      `,
+      [ids]
+    );
+    return rows;
+  }
+
+  // Indexes with their key columns (or expressions) in index order
+  async getIndexes(pool, ids) {
+    const { rows } = await pool.query(
+      `
+      SELECT
+        i.indrelid AS id,
+        ic.relname AS index_name,
+        i.indisunique AS is_unique,
+        i.indisprimary AS is_primary,
+        ARRAY(
+          SELECT pg_get_indexdef(i.indexrelid, k, true)
+          FROM generate_series(1, i.indnkeyatts) AS k
+          ORDER BY k
+        ) AS columns,
+        pg_get_indexdef(i.indexrelid) AS definition
+      FROM
+        pg_index i
+        JOIN pg_class ic ON ic.oid = i.indexrelid
+      WHERE
+        i.indrelid = ANY($1::oid[])
+      ORDER BY
+        i.indrelid, ic.relname;
+      `,
+      [ids]
+    );
+    return rows;
+  }
+
+  async getRelationships(pool, { includeSchemas, excludeSchemas }) {
+    const { rows } = await pool.query(
+      `
+      SELECT
+        con.conname AS constraint_name,
+        n.nspname AS table_schema,
+        c.relname AS table_name,
+        a.attname AS column_name,
+        fn.nspname AS foreign_table_schema,
+        fc.relname AS foreign_table_name,
+        fa.attname AS foreign_column_name
+      FROM
+        pg_constraint con
+        JOIN pg_class c ON c.oid = con.conrelid
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        JOIN pg_class fc ON fc.oid = con.confrelid
+        JOIN pg_namespace fn ON fn.oid = fc.relnamespace
+        CROSS JOIN LATERAL unnest(con.conkey, con.confkey)
+          AS k(attnum, foreign_attnum)
+        JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+        JOIN pg_attribute fa ON fa.attrelid = con.confrelid AND fa.attnum = k.foreign_attnum
+      WHERE
+        con.contype = 'f'
+        AND ${SCHEMA_FILTER};
+      `,
+      [includeSchemas, excludeSchemas]
+    );
+    return rows;
+  }
+}
@@ -0,0 +1,137 @@
+// Units dateTrunc and dateAdd accept
+const DATE_UNITS = ["hour", "day", "week", "month", "quarter", "year"];
+
+// What the report pipeline needs to know about a database engine: how to
+// connect, introspect its schema, quote and limit queries, work with dates,
+// run read-only statements and cancel them, and what to tell the LLM about
+// its SQL. Subclasses override what their engine does differently from the
+// SQL standard.
+//
+// Introspection methods take the data source's pool and return rows keyed by
+// `id`, an engine-specific identifier of the table:
+//   getRelations   -> { id, table_schema, table_name, type, table_comment }
+//   getColumns     -> { id, column_name, data_type, is_nullable, column_default,
+//                       column_comment, enum_values }
+//   getConstraints -> { id, constraint_name, constraint_type, columns, definition }
+//   getIndexes     -> { id, index_name, is_unique, is_primary, columns, definition }
+// getRelationships returns one row per foreign key column pair.
+export class SqlDialect {
+  constructor({ name, label, parserDatabase, defaultSchema = null, systemSchemas = [] }) {
+    // Also the OpenTelemetry db.system of its queries
+    this.name = name;
+    // How the engine is named in prompts
+    this.label = label;
+    // node-sql-parser's name for the dialect
+    this.parserDatabase = parserDatabase;
+    // Schema whose tables keep their bare name, null to use SCHEMA_DEFAULT
+    this.defaultSchema = defaultSchema;
+    // Schemas never introspected besides the configured excludes
+    this.systemSchemas = systemSchemas;
+    // Whether the migrations' event trigger can announce schema changes
+    this.notifiesSchemaChanges = false;
+    // Whether the planner keeps column statistics ColumnProfileService can read
+    this.hasColumnStats = false;
+  }
+
+  createPool() {
+    throw new Error(`The ${this.label} dialect can't open connections`);
+  }
+
+  quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+
+  // A table reference, schema-qualified unless the schema is omitted
+  qualify(schemaName, tableName) {
+    return schemaName
+      ? `${this.quoteIdentifier(schemaName)}.${this.quoteIdentifier(tableName)}`
+      : this.quoteIdentifier(tableName);
+  }
+
+  limit(count) {
+    return `LIMIT ${Math.floor(count)}`;
+  }
+
+  // ORDER BY item sorting descending with NULLs after every value
+  orderDescNullsLast(expression) {
+    return `${expression} DESC NULLS LAST`;
+  }
+
+  assertDateUnit(unit) {
+    if (!DATE_UNITS.includes(unit)) {
+      throw new Error(`Unsupported date unit "${unit}", expected one of ${DATE_UNITS.join(", ")}`);
+    }
+  }
+
+  get currentDate() {
+    return "CURRENT_DATE";
+  }
+
+  // The start of the hour, day, ... `expression` falls in
+  dateTrunc() {
+    throw new Error(`The ${this.label} dialect has no date truncation`);
+  }
+
+  // `expression` moved by `amount` units, backwards when negative
+  dateAdd() {
+    throw new Error(`The ${this.label} dialect has no date arithmetic`);
+  }
+
+  // Rows of `table` whose `column` is one of `keys`, at most `limit` of them.
+  // Both identifiers must be quoted already.
+  selectByKeys(table, column, keys, limit) {
+    return {
+      sql: `SELECT * FROM ${table} WHERE ${column} IN (${keys.map(() => "?").join(", ")}) ${this.limit(limit)}`,
+      params: keys,
+    };
+  }
+
+  // Engine-specific advice appended to the other SQL generation guidelines
+  get promptNotes() {
+    return "";
+  }
+
+  // One line telling the LLM which SQL to write, with this dialect's syntax
+  // for what differs most between engines
+  promptGuidance() {
+    return [
+      `Write ${this.label} SQL:`,
+      `quote identifiers that need it as ${this.quoteIdentifier("name")},`,
+      `truncate dates with ${this.dateTrunc("month", "created_at")},`,
+      `compute relative dates with ${this.dateAdd(this.currentDate, -30, "day")}`,
+      `and limit rows with ${this.limit(10)}.`,
+      this.promptNotes,
+    ]
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  // Start the transaction a generated query runs in. Writes must fail in it
+  // and statements must stop after statementTimeoutMs (0 for no limit).
+  // Unqualified table names should only resolve to the schemas of searchPath,
+  // where the engine has a search path.
+  async beginReadOnly(client) {
+    await client.query("START TRANSACTION READ ONLY");
+  }
+
+  async commit(client) {
+    await client.query("COMMIT");
+  }
+
+  async rollback(client) {
+    await client.query("ROLLBACK");
+  }
+
+  // The planner's estimated cost of a query, or null if it has none
+  async estimateCost() {
+    return null;
+  }
+
+  // Stop the statement running on a checked out client
+  async cancel() {}
+
+  // Whether the error is the statement timeout of beginReadOnly
+  isTimeoutError() {
+    return false;
+  }
+}
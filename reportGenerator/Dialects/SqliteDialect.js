@@ -0,0 +1,349 @@
+import { SqlDialect } from "./SqlDialect.js";
+
+// SQLite has no schemas besides the attached databases; only the main one is
+// introspected
+const MAIN_SCHEMA = "main";
+
+// Tables and views of the main database, as alias `m`
+const RELATION_FILTER = "m.type IN ('table', 'view') AND m.name NOT LIKE 'sqlite\\_%' ESCAPE '\\'";
+
+const placeholders = (values) => values.map(() => "?").join(", ");
+
+// A pg-like pool over one better-sqlite3 database, opened read-only.
+// better-sqlite3 is synchronous, so a query blocks the process while it runs
+// and there is never a second statement to interleave with. The package is an
+// optional dependency, imported on first use.
+export class SqlitePool {
+  constructor({ filename }) {
+    this.filename = filename;
+    this.database = null;
+  }
+
+  getDatabase() {
+    if (!this.database) {
+      this.database = (async () => {
+        const { default: Database } = await import("better-sqlite3");
+        return new Database(this.filename, { readonly: true, fileMustExist: true });
+      })().catch((error) => {
+        this.database = null;
+        throw new Error(`Could not open the SQLite database ${this.filename}: ${error.message}`);
+      });
+    }
+    return this.database;
+  }
+
+  async query(sql, params = []) {
+    const statement = (await this.getDatabase()).prepare(sql);
+    if (!statement.reader) {
+      return { rows: [], rowCount: statement.run(...params).changes };
+    }
+    const rows = statement.all(...params);
+    return { rows, rowCount: rows.length };
+  }
+
+  async connect() {
+    return {
+      processID: null,
+      query: (sql, params) => this.query(sql, params),
+      release: () => {},
+    };
+  }
+
+  async end() {
+    if (!this.database) return;
+    const database = await this.database;
+    this.database = null;
+    database.close();
+  }
+}
+
+// SQLite through better-sqlite3. Tables are identified by name. The database
+// is opened read-only, which is what keeps generated queries from writing;
+// statements can't be timed out or cancelled.
+export class SqliteDialect extends SqlDialect {
+  constructor() {
+    super({ name: "sqlite", label: "SQLite", parserDatabase: "Sqlite", defaultSchema: MAIN_SCHEMA });
+  }
+
+  createPool(connection) {
+    return new SqlitePool(connection);
+  }
+
+  // node-sql-parser can't parse NULLS LAST for SQLite
+  orderDescNullsLast(expression) {
+    return `${expression} IS NULL, ${expression} DESC`;
+  }
+
+  get currentDate() {
+    return "date('now')";
+  }
+
+  get promptNotes() {
+    return "Dates are stored as ISO text: use strftime() to extract parts of a date; there is no EXTRACT, DATE_TRUNC, INTERVAL, NULLS LAST or ILIKE.";
+  }
+
+  dateTrunc(unit, expression) {
+    this.assertDateUnit(unit);
+    switch (unit) {
+      case "hour":
+        return `strftime('%Y-%m-%d %H:00:00', ${expression})`;
+      case "day":
+        return `date(${expression})`;
+      case "week":
+        return `date(${expression}, '-6 days', 'weekday 1')`;
+      case "month":
+        return `date(${expression}, 'start of month')`;
+      case "quarter":
+        return `date(${expression}, 'start of month', '-' || ((CAST(strftime('%m', ${expression}) AS INTEGER) - 1) % 3) || ' months')`;
+      default:
+        return `date(${expression}, 'start of year')`;
+    }
+  }
+
+  // Weeks and quarters are not date modifiers; they are counted in days and
+  // months
+  dateAdd(expression, amount, unit) {
+    this.assertDateUnit(unit);
+    const [count, modifierUnit] = {
+      week: [amount * 7, "days"],
+      quarter: [amount * 3, "months"],
+    }[unit] || [amount, `${unit}s`];
+    const modifier = `${count >= 0 ? "+" : ""}${Math.trunc(count)} ${modifierUnit}`;
+    return `${unit === "hour" ? "datetime" : "date"}(${expression}, '${modifier}')`;
+  }
+
+  // The connection is read-only already, and statements can't interleave
+  async beginReadOnly() {}
+
+  async commit() {}
+
+  async rollback() {}
+
+  isIntrospected({ includeSchemas, excludeSchemas }) {
+    return (
+      !excludeSchemas.includes(MAIN_SCHEMA) &&
+      (includeSchemas.length === 0 || includeSchemas.includes(MAIN_SCHEMA))
+    );
+  }
+
+  async getRelations(pool, filter) {
+    if (!this.isIntrospected(filter)) return [];
+
+    const { rows } = await pool.query(
+      `
+      SELECT
+        m.name AS id,
+        m.name AS table_name,
+        m.type
+      FROM
+        sqlite_master m
+      WHERE
+        ${RELATION_FILTER}
+      ORDER BY
+        m.name
+      `
+    );
+    return rows.map((row) => ({ ...row, table_schema: MAIN_SCHEMA, table_comment: null }));
+  }
+
+  async getColumns(pool, ids) {
+    if (!ids.length) return [];
+
+    const { rows } = await pool.query(
+      `
+      SELECT
+        m.name AS id,
+        p.name AS column_name,
+        p.type AS data_type,
+        CASE WHEN p."notnull" THEN 'NO' ELSE 'YES' END AS is_nullable,
+        p.dflt_value AS column_default
+      FROM
+        sqlite_master m
+        JOIN pragma_table_info(m.name) p
+      WHERE
+        m.name IN (${placeholders(ids)})
+      ORDER BY
+        m.name, p.cid
+      `,
+      ids
+    );
+    return rows.map((row) => ({ ...row, column_comment: null, enum_values: null }));
+  }
+
+  // Primary key columns by table, in key order
+  async getPrimaryKeys(pool, ids) {
+    const { rows } = await pool.query(
+      `
+      SELECT
+        m.name AS id,
+        p.name AS column_name
+      FROM
+        sqlite_master m
+        JOIN pragma_table_info(m.name) p
+      WHERE
+        m.name IN (${placeholders(ids)})
+        AND p.pk > 0
+      ORDER BY
+        m.name, p.pk
+      `,
+      ids
+    );
+    const primaryKeys = new Map();
+    rows.forEach((row) => {
+      if (!primaryKeys.has(row.id)) primaryKeys.set(row.id, []);
+      primaryKeys.get(row.id).push(row.column_name);
+    });
+    return primaryKeys;
+  }
+
+  // One row per foreign key column pair. A foreign key that names no columns
+  // references the primary key of the other table.
+  async getForeignKeys(pool, ids) {
+    const { rows } = await pool.query(
+      `
+      SELECT
+        m.name AS table_name,
+        f.id AS key_id,
+        f.seq,
+        f."table" AS foreign_table_name,
+        f."from" AS column_name,
+        f."to" AS foreign_column_name
+      FROM
+        sqlite_master m
+        JOIN pragma_foreign_key_list(m.name) f
+      WHERE
+        m.name IN (${placeholders(ids)})
+      ORDER BY
+        m.name, f.id, f.seq
+      `,
+      ids
+    );
+
+    const foreignTables = [...new Set(rows.map((row) => row.foreign_table_name))];
+    const primaryKeys = foreignTables.length
+      ? await this.getPrimaryKeys(pool, foreignTables)
+      : new Map();
+    return rows.map((row) => ({
+      ...row,
+      constraint_name: `${row.table_name}_fkey${row.key_id}`,
+      foreign_column_name:
+        row.foreign_column_name ?? primaryKeys.get(row.foreign_table_name)?.[row.seq] ?? null,
+    }));
+  }
+
+  // Primary keys and foreign keys. Unique constraints are read as indexes;
+  // check constraints are only in the table's CREATE statement.
+  async getConstraints(pool, ids) {
+    if (!ids.length) return [];
+
+    const [primaryKeys, foreignKeys] = await Promise.all([
+      this.getPrimaryKeys(pool, ids),
+      this.getForeignKeys(pool, ids),
+    ]);
+    const columnList = (columns) => columns.map((name) => this.quoteIdentifier(name)).join(", ");
+
+    const constraints = [...primaryKeys].map(([id, columns]) => ({
+      id,
+      constraint_name: `${id}_pkey`,
+      constraint_type: "PRIMARY KEY",
+      columns,
+      definition: `PRIMARY KEY (${columnList(columns)})`,
+    }));
+
+    const keys = new Map();
+    foreignKeys.forEach((row) => {
+      if (!keys.has(row.constraint_name)) {
+        keys.set(row.constraint_name, { ...row, columns: [], foreignColumns: [] });
+      }
+      keys.get(row.constraint_name).columns.push(row.column_name);
+      keys.get(row.constraint_name).foreignColumns.push(row.foreign_column_name);
+    });
+    keys.forEach((key) => {
+      constraints.push({
+        id: key.table_name,
+        constraint_name: key.constraint_name,
+        constraint_type: "FOREIGN KEY",
+        columns: key.columns,
+        definition: `FOREIGN KEY (${columnList(key.columns)}) REFERENCES ${this.quoteIdentifier(
+          key.foreign_table_name
+        )}(${columnList(key.foreignColumns.filter(Boolean))})`,
+      });
+    });
+
+    return constraints;
+  }
+
+  // Indexes with their key columns in index order. Indexes SQLite creates
+  // for constraints have no CREATE statement, so one is written out.
+  async getIndexes(pool, ids) {
+    if (!ids.length) return [];
+
+    const { rows } = await pool.query(
+      `
+      SELECT
+        m.name AS id,
+        il.name AS index_name,
+        il."unique" AS is_unique,
+        il.origin,
+        ii.name AS column_name,
+        s.sql AS definition
+      FROM
+        sqlite_master m
+        JOIN pragma_index_list(m.name) il
+        JOIN pragma_index_info(il.name) ii
+        LEFT JOIN sqlite_master s ON s.type = 'index' AND s.name = il.name
+      WHERE
+        m.name IN (${placeholders(ids)})
+      ORDER BY
+        m.name, il.name, ii.seqno
+      `,
+      ids
+    );
+
+    const indexes = new Map();
+    rows.forEach((row) => {
+      if (!indexes.has(row.index_name)) {
+        indexes.set(row.index_name, {
+          id: row.id,
+          index_name: row.index_name,
+          is_unique: Boolean(row.is_unique),
+          is_primary: row.origin === "pk",
+          columns: [],
+          definition: row.definition,
+        });
+      }
+      // Expression parts have no column name
+      indexes.get(row.index_name).columns.push(row.column_name ?? "<expression>");
+    });
+
+    return [...indexes.values()].map((index) => ({
+      ...index,
+      definition:
+        index.definition ||
+        `CREATE ${index.is_unique ? "UNIQUE " : ""}INDEX ${this.quoteIdentifier(
+          index.index_name
+        )} ON ${this.quoteIdentifier(index.id)} (${index.columns
+          .map((name) => this.quoteIdentifier(name))
+          .join(", ")})`,
+    }));
+  }
+
+  async getRelationships(pool, filter) {
+    const relations = await this.getRelations(pool, filter);
+    if (!relations.length) return [];
+
+    const foreignKeys = await this.getForeignKeys(
+      pool,
+      relations.map((relation) => relation.id)
+    );
+    return foreignKeys.map((row) => ({
+      constraint_name: row.constraint_name,
+      table_schema: MAIN_SCHEMA,
+      table_name: row.table_name,
+      column_name: row.column_name,
+      foreign_table_schema: MAIN_SCHEMA,
+      foreign_table_name: row.foreign_table_name,
+      foreign_column_name: row.foreign_column_name,
+    }));
+  }
+}
@@ -0,0 +1,41 @@
+import { SqlDialect } from "./SqlDialect.js";
+import { PostgresDialect } from "./PostgresDialect.js";
+import { MySqlDialect, MySqlPool } from "./MySqlDialect.js";
+import { SqliteDialect, SqlitePool } from "./SqliteDialect.js";
+
+export const DIALECTS = ["postgresql", "mysql", "sqlite"];
+
+// The database a connection string selects, e.g. mysql://host/shop
+const getUrlDatabase = (connectionString) => {
+  try {
+    return decodeURIComponent(new URL(connectionString).pathname.slice(1)) || null;
+  } catch {
+    return null;
+  }
+};
+
+// Create the dialect of a data source. `connection` holds its connection
+// settings, which decide e.g. the default MySQL database.
+export const createDialect = (name = "postgresql", connection = {}) => {
+  switch (name) {
+    case "mysql":
+      return new MySqlDialect({
+        database: connection.database || getUrlDatabase(connection.connectionString),
+      });
+    case "sqlite":
+      return new SqliteDialect();
+    case "postgresql":
+      return new PostgresDialect();
+    default:
+      throw new Error(`Unknown SQL dialect "${name}", expected one of ${DIALECTS.join(", ")}`);
+  }
+};
+
+export {
+  SqlDialect,
+  PostgresDialect,
+  MySqlDialect,
+  MySqlPool,
+  SqliteDialect,
+  SqlitePool,
+};
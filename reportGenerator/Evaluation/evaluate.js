@@ -0,0 +1,131 @@
+// Evaluate text-to-SQL accuracy on a dataset, and compare two evaluations:
+//
+//   npm run evaluate -- run Evaluation/datasets/shop.json [--label name] [--out file] [--only id,id]
+//                                                         [--data-source name]
+//   npm run evaluate -- diff base.json head.json
+//
+// `run` writes the results to --out (default Evaluation/runs/<label>.json).
+// Run it once per prompt or model variant, e.g. with LLM_MODEL or
+// LLM_STAGE_CONFIG changed, then diff the two files.
+import fs from "fs/promises";
+import path from "path";
+import pool from "../Config/Db.js";
+import { EvaluationService } from "../Services/EvaluationService.js";
+
+const parseArgs = (args) => {
+  const positional = [];
+  const options = {};
+  for (let index = 0; index < args.length; index += 1) {
+    if (args[index].startsWith("--")) {
+      options[args[index].slice(2)] = args[index + 1];
+      index += 1;
+    } else {
+      positional.push(args[index]);
+    }
+  }
+  return { positional, options };
+};
+
+const percent = (value) => (value === null ? "-" : `${(value * 100).toFixed(1)}%`);
+
+const signed = (value, format = String) =>
+  value === null ? "-" : `${value > 0 ? "+" : ""}${format(value)}`;
+
+const printSummary = (run) => {
+  const { summary } = run;
+  console.log(`\n${run.label} (${run.config.provider} ${run.config.model}) on ${run.dataset}`);
+  console.log(`  questions           ${summary.questions}`);
+  console.log(`  execution accuracy  ${percent(summary.executionAccuracy)}`);
+  console.log(`  valid SQL           ${percent(summary.validSqlRate)}`);
+  console.log(`  table recall        ${percent(summary.tableRecall)}`);
+  console.log(`  errors              ${summary.errors}`);
+  console.log(`  latency             mean ${summary.latency.meanMs}ms, p95 ${summary.latency.p95Ms}ms`);
+  console.log(`  tokens              ${summary.tokens}`);
+  console.log("\n  stage               accuracy  failures  mean      p95");
+  Object.entries(summary.stages).forEach(([stage, stats]) => {
+    console.log(
+      `  ${stage.padEnd(20)}${percent(stats.accuracy ?? null).padEnd(10)}` +
+        `${String(stats.failures).padEnd(10)}${`${stats.meanMs}ms`.padEnd(10)}${stats.p95Ms}ms`
+    );
+  });
+};
+
+const printDiff = (diff) => {
+  console.log(`\n${diff.base.label} -> ${diff.head.label}`);
+  Object.entries(diff.summary).forEach(([metric, { base, head, delta }]) => {
+    const isRate = ["executionAccuracy", "validSqlRate", "tableRecall"].includes(metric);
+    const format = isRate ? percent : String;
+    console.log(
+      `  ${metric.padEnd(20)}${format(base).padEnd(10)}${format(head).padEnd(10)}` +
+        `${signed(delta, isRate ? percent : String)}`
+    );
+  });
+
+  if (diff.questions.length) console.log("");
+  diff.questions.forEach((question) => {
+    console.log(`  ${question.change.padEnd(10)}${question.id}: ${question.question}`);
+  });
+  if (diff.unmatched.length) {
+    console.log(`\n  only in one run: ${diff.unmatched.join(", ")}`);
+  }
+};
+
+const run = async (datasetFile, options) => {
+  // Loaded here so diffing doesn't start the report services
+  const { DataSourceService } = await import("../Services/DataSourceService.js");
+  const dataSourceService = new DataSourceService();
+  const evaluationService = new EvaluationService(
+    dataSourceService.getReportService(options["data-source"])
+  );
+
+  try {
+    const dataset = await evaluationService.loadDataset(datasetFile);
+    const result = await evaluationService.run(dataset, {
+      label: options.label,
+      only: options.only?.split(","),
+      onResult: (question) => {
+        const outcome =
+          question.match === true ? "match" : question.match === false ? "miss" : "unscored";
+        const error = question.error ? ` ${question.error}` : "";
+        console.log(`${outcome.padEnd(9)}${question.id} (${question.totalMs}ms)${error}`);
+      },
+    });
+
+    const out = options.out || path.join("Evaluation", "runs", `${result.label}.json`);
+    await fs.mkdir(path.dirname(out), { recursive: true });
+    await fs.writeFile(out, `${JSON.stringify(result, null, 2)}\n`);
+
+    printSummary(result);
+    console.log(`\nResults written to ${out}`);
+  } finally {
+    await dataSourceService.close();
+  }
+};
+
+const diff = async (baseFile, headFile) => {
+  const [base, head] = await Promise.all(
+    [baseFile, headFile].map(async (file) => JSON.parse(await fs.readFile(file, "utf8")))
+  );
+  printDiff(new EvaluationService(null).diff(base, head));
+};
+
+try {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [command, ...files] = positional;
+
+  if (command === "run" && files.length === 1) {
+    await run(files[0], options);
+  } else if (command === "diff" && files.length === 2) {
+    await diff(files[0], files[1]);
+  } else {
+    throw new Error(
+      "Usage: evaluate run <dataset.json> [--label name] [--out file] [--only id,id] [--data-source name]\n" +
+        "       evaluate diff <base.json> <head.json>"
+    );
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,44 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { PGlite } from "@electric-sql/pglite";
+import { PGLiteSocketServer } from "@electric-sql/pglite-socket";
+
+const SEED_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "seed.sql");
+
+// The fixture database (see seed.sql) in an in-process Postgres, served on a
+// free local port so tests and fixture recording need no database server.
+// It points the DB_* variables at itself, so modules that import Config/Db.js
+// have to be imported after it has started:
+//
+//   const database = await startFixtureDatabase();
+//   const { createReportHarness } = await import("./harness.js");
+//   ...
+//   await database.stop();
+//
+// PGlite runs a single backend: a connection inside a transaction holds the
+// others back until it commits, so queries still see one transaction each.
+export const startFixtureDatabase = async () => {
+  const db = await PGlite.create();
+  await db.exec(await fs.readFile(SEED_FILE, "utf8"));
+
+  const server = new PGLiteSocketServer({ db, port: 0, maxConnections: 20 });
+  await server.start();
+
+  Object.assign(process.env, {
+    DB_HOST: "127.0.0.1",
+    DB_PORT: String(server.port),
+    DB_USER: "postgres",
+    DB_PASSWORD: "postgres",
+    DB_NAME: "report_fixtures",
+  });
+
+  return {
+    db,
+    port: server.port,
+    async stop() {
+      await server.stop();
+      await db.close();
+    },
+  };
+};
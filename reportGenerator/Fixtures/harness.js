@@ -0,0 +1,77 @@
+import pool from "../Config/Db.js";
+import llmConfig from "../Config/Llm.js";
+import { RecordReplayProvider } from "../Providers/RecordReplayProvider.js";
+import { ReportService } from "../Services/ReportService.js";
+
+// Runs reports end to end against the fixture database (see seed.sql) with the
+// LLM answered from recorded fixtures, so tests can assert on the generated
+// SQL, row counts and streamed events without network access:
+//
+//   const harness = createReportHarness({ fixturesDir: "Fixtures/llm" });
+//   const { result, sql, rowCount, stages } = await harness.stream("Revenue by category");
+//   await harness.close();
+//
+// Record the fixtures with mode "record" (or "auto"); record.js does so for
+// the reports Tests/reports.test.js replays.
+export const createReportHarness = ({
+  fixturesDir = llmConfig.fixturesDir,
+  mode = "replay",
+} = {}) => {
+  const reportService = new ReportService();
+  const { mistralService } = reportService;
+
+  // The provider is wrapped already when LLM_FIXTURES is set
+  const inner =
+    mistralService.provider instanceof RecordReplayProvider
+      ? mistralService.provider.provider
+      : mistralService.provider;
+  const provider = new RecordReplayProvider({
+    provider: mode === "replay" ? null : inner,
+    mode,
+    dir: fixturesDir,
+    name: inner?.name || llmConfig.provider,
+    model: inner?.model || llmConfig.model,
+  });
+  mistralService.provider = provider;
+
+  return {
+    reportService,
+    provider,
+
+    // The response of generateReport
+    report: (prompt, history = [], options = {}) =>
+      reportService.generateReport(prompt, history, options),
+
+    // Stream a report, collecting its updates. Returns the final response with
+    // the updates, the SQL and row count it ran with and the stages it went
+    // through, in order.
+    async stream(prompt, history = [], options = {}) {
+      const events = [];
+      const result = await reportService.generateReportStream(
+        prompt,
+        history,
+        (update) => events.push(update),
+        options
+      );
+
+      return {
+        result,
+        events,
+        sql: result?.generatedSQL ?? null,
+        rowCount: result?.rowCount ?? null,
+        stages: events
+          .filter((event) => event.type === "stage" && event.phase !== "started")
+          .map((event) => ({ stage: event.stage, phase: event.phase })),
+      };
+    },
+
+    // Stop the schema watcher, wait for pending writes and close the pool so
+    // the process can exit
+    async close() {
+      await reportService.schemaChangeService.stop();
+      await reportService.usageService.writes;
+      await reportService.traceService.writes;
+      await pool.end();
+    },
+  };
+};
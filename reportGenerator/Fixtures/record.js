@@ -0,0 +1,35 @@
+// Record the LLM responses the tests replay: npm run record-fixtures
+// Runs the reports in reports.js against the fixture database (in-process,
+// see database.js) with the configured LLM provider, replacing Fixtures/llm.
+// The committed fixtures were recorded from the fake provider answering from
+// llm-responses.json:
+//
+//   LLM_PROVIDER=fake LLM_FAKE_RESPONSES=Fixtures/llm-responses.json npm run record-fixtures
+//
+// Fixtures are keyed by model, so the tests replay them as the fake
+// provider's model; update Tests/reports.test.js when recording another one.
+import fs from "fs/promises";
+import { startFixtureDatabase } from "./database.js";
+import { FIXTURES_DIR, fixtureEnvironment, fixtureReports } from "./reports.js";
+
+Object.assign(process.env, fixtureEnvironment);
+
+const database = await startFixtureDatabase();
+const { createReportHarness } = await import("./harness.js");
+
+await fs.rm(FIXTURES_DIR, { recursive: true, force: true });
+const harness = createReportHarness({ fixturesDir: FIXTURES_DIR, mode: "record" });
+
+try {
+  for (const prompt of fixtureReports) {
+    const { result, sql } = await harness.stream(prompt);
+    console.log(`Recorded "${prompt}": ${result?.status || "complete"}, SQL: ${sql ?? "none"}`);
+  }
+  console.log(`Recorded ${harness.provider.stats.recorded} LLM responses in ${FIXTURES_DIR}`);
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await harness.close();
+  await database.stop();
+}
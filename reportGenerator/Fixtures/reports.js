@@ -0,0 +1,22 @@
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Recorded LLM responses, one file per request (see RecordReplayProvider)
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "llm");
+
+// Settings the fixtures are recorded and replayed with. Hashed embeddings
+// pick the same tables and examples everywhere without a model download, and
+// without the schema watcher nothing re-reads the schema mid-run.
+export const fixtureEnvironment = {
+  EMBEDDING_PROVIDER: "hash",
+  SCHEMA_WATCH: "off",
+};
+
+// The reports recorded by `npm run record-fixtures` and replayed by
+// Tests/reports.test.js, in this order: later prompts include the queries
+// learned from earlier reports.
+export const fixtureReports = [
+  "Total revenue by product category",
+  "Number of orders per customer country",
+  "Delete all cancelled orders",
+];
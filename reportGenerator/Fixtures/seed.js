@@ -0,0 +1,26 @@
+// Load the fixture database: npm run seed-fixtures [-- --force]
+// It drops tables, so it only runs against a database whose name ends in
+// _test or _fixtures unless --force is given.
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import pool from "../Config/Db.js";
+
+const SEED_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "seed.sql");
+
+try {
+  const database = process.env.DB_NAME || "";
+  if (!/_(test|fixtures)$/.test(database) && !process.argv.includes("--force")) {
+    throw new Error(
+      `Refusing to seed "${database}": use a database named *_test or *_fixtures, or pass --force`
+    );
+  }
+
+  await pool.query(await fs.readFile(SEED_FILE, "utf8"));
+  console.log(`Seeded fixture database ${database}`);
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
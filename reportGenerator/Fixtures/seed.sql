@@ -0,0 +1,80 @@
+-- Fixture database for replayed report runs: a small shop with deterministic
+-- data (no random()), so the same prompt always yields the same rows. The app's
+-- own tables are dropped too, so learned queries from earlier runs don't
+-- change the prompts sent to the LLM. Load it with `npm run seed-fixtures`.
+
+DROP SCHEMA IF EXISTS report_ai CASCADE;
+DROP TABLE IF EXISTS order_items, orders, products, customers CASCADE;
+
+CREATE TABLE customers (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL UNIQUE,
+    country TEXT NOT NULL,
+    created_at DATE NOT NULL
+);
+COMMENT ON TABLE customers IS 'People who placed orders in the shop';
+
+CREATE TABLE products (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    price NUMERIC(10, 2) NOT NULL
+);
+COMMENT ON TABLE products IS 'Products sold in the shop';
+
+CREATE TABLE orders (
+    id INTEGER PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers (id),
+    status TEXT NOT NULL CHECK (status IN ('pending', 'shipped', 'delivered', 'cancelled')),
+    ordered_at DATE NOT NULL
+);
+COMMENT ON TABLE orders IS 'Orders placed by customers';
+
+CREATE TABLE order_items (
+    order_id INTEGER NOT NULL REFERENCES orders (id),
+    product_id INTEGER NOT NULL REFERENCES products (id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_price NUMERIC(10, 2) NOT NULL,
+    PRIMARY KEY (order_id, product_id)
+);
+COMMENT ON TABLE order_items IS 'Products and quantities of each order';
+
+INSERT INTO customers (id, name, email, country, created_at)
+SELECT
+    n,
+    'Customer ' || n,
+    'customer' || n || '@example.com',
+    (ARRAY['Germany', 'France', 'Spain', 'Italy', 'Netherlands'])[1 + n % 5],
+    DATE '2023-01-01' + (n * 11)
+FROM generate_series(1, 20) AS n;
+
+INSERT INTO products (id, name, category, price) VALUES
+    (1, 'Espresso Beans', 'Coffee', 12.50),
+    (2, 'Filter Beans', 'Coffee', 10.00),
+    (3, 'Decaf Beans', 'Coffee', 11.00),
+    (4, 'Green Tea', 'Tea', 6.50),
+    (5, 'Black Tea', 'Tea', 5.50),
+    (6, 'Herbal Tea', 'Tea', 7.00),
+    (7, 'Ceramic Mug', 'Accessories', 9.00),
+    (8, 'French Press', 'Accessories', 29.00),
+    (9, 'Milk Frother', 'Accessories', 24.00),
+    (10, 'Burr Grinder', 'Equipment', 89.00),
+    (11, 'Espresso Machine', 'Equipment', 349.00),
+    (12, 'Kettle', 'Equipment', 45.00);
+
+INSERT INTO orders (id, customer_id, status, ordered_at)
+SELECT
+    n,
+    1 + (n * 7) % 20,
+    (ARRAY['delivered', 'delivered', 'shipped', 'pending', 'cancelled'])[1 + n % 5],
+    DATE '2024-01-01' + (n * 3) % 365
+FROM generate_series(1, 200) AS n;
+
+-- One to three different products per order
+INSERT INTO order_items (order_id, product_id, quantity, unit_price)
+SELECT o.id, p.id, 1 + (o.id + i) % 4, p.price
+FROM orders o
+CROSS JOIN generate_series(0, 2) AS i
+JOIN products p ON p.id = 1 + (o.id * 5 + i * 4) % 12
+WHERE i <= o.id % 3;
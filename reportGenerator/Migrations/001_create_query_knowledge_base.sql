@@ -0,0 +1,34 @@
+-- Query knowledge base: queries that ran successfully, how often each table is
+-- used and the table/join combinations that keep coming back. Kept in its own
+-- schema so it never shows up in the introspected "public" schema sent to the LLM.
+
+CREATE SCHEMA IF NOT EXISTS report_ai;
+
+CREATE TABLE IF NOT EXISTS report_ai.kb_successful_queries (
+    id BIGSERIAL PRIMARY KEY,
+    query TEXT NOT NULL,
+    user_prompt TEXT NOT NULL,
+    tables TEXT[] NOT NULL DEFAULT '{}',
+    joins TEXT[] NOT NULL DEFAULT '{}',
+    where_conditions TEXT NOT NULL DEFAULT '',
+    result_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS kb_successful_queries_created_at_idx
+    ON report_ai.kb_successful_queries (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS report_ai.kb_table_usage_stats (
+    table_name TEXT PRIMARY KEY,
+    usage_count INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS report_ai.kb_query_patterns (
+    pattern_key TEXT PRIMARY KEY,
+    tables TEXT[] NOT NULL DEFAULT '{}',
+    joins TEXT[] NOT NULL DEFAULT '{}',
+    usage_count INTEGER NOT NULL DEFAULT 0,
+    last_query TEXT,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
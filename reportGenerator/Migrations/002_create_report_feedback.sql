@@ -0,0 +1,32 @@
+-- Feedback on generated reports. Every report that ran a query is recorded in
+-- report_runs so thumbs up/down, corrected SQL and comments can be attached to
+-- it later. Feedback changes the weight of the learned queries for that report;
+-- corrected SQL is stored as a learned query of its own with a higher weight.
+
+ALTER TABLE report_ai.kb_successful_queries
+    ADD COLUMN IF NOT EXISTS report_id TEXT,
+    ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'learned',
+    ADD COLUMN IF NOT EXISTS weight REAL NOT NULL DEFAULT 1;
+
+CREATE INDEX IF NOT EXISTS kb_successful_queries_report_id_idx
+    ON report_ai.kb_successful_queries (report_id);
+
+CREATE TABLE IF NOT EXISTS report_ai.report_runs (
+    report_id TEXT PRIMARY KEY,
+    user_prompt TEXT NOT NULL,
+    sql TEXT,
+    row_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS report_ai.report_feedback (
+    id BIGSERIAL PRIMARY KEY,
+    report_id TEXT NOT NULL REFERENCES report_ai.report_runs (report_id) ON DELETE CASCADE,
+    rating SMALLINT CHECK (rating IN (-1, 1)),
+    corrected_sql TEXT,
+    comment TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS report_feedback_report_id_idx
+    ON report_ai.report_feedback (report_id);
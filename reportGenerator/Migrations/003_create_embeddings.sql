@@ -0,0 +1,15 @@
+-- Embedding index for nearest-neighbour retrieval of tables, columns and
+-- knowledge-base prompts. Vectors are plain REAL[] so the pgvector extension is
+-- not required; similarity is computed in the application. Rows are keyed by
+-- model because vectors from different models cannot be compared.
+
+CREATE TABLE IF NOT EXISTS report_ai.embeddings (
+    kind TEXT NOT NULL,
+    item_key TEXT NOT NULL,
+    model TEXT NOT NULL,
+    content_hash TEXT NOT NULL,
+    content TEXT NOT NULL,
+    embedding REAL[] NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (kind, item_key, model)
+);
@@ -0,0 +1,41 @@
+-- Schema change detection. Every detected change to the introspected schema is
+-- recorded with a snapshot of tables and columns and a diff against the
+-- previous snapshot, so a restarted server can tell what changed while it was
+-- down. Learned queries that reference dropped tables or columns are flagged
+-- as invalid and no longer used as examples until the objects come back.
+
+CREATE TABLE IF NOT EXISTS report_ai.schema_changes (
+    id BIGSERIAL PRIMARY KEY,
+    fingerprint TEXT NOT NULL,
+    snapshot JSONB NOT NULL,
+    diff JSONB,
+    detected_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE report_ai.kb_successful_queries
+    ADD COLUMN IF NOT EXISTS invalidated_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS invalid_reason TEXT;
+
+-- DDL anywhere in the database notifies listening servers. Event triggers need
+-- superuser rights; without them servers fall back to polling.
+CREATE OR REPLACE FUNCTION report_ai.notify_schema_change()
+RETURNS event_trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    PERFORM pg_notify('report_ai_schema_changed', tg_tag);
+END;
+$$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_event_trigger WHERE evtname = 'report_ai_schema_changed'
+    ) THEN
+        CREATE EVENT TRIGGER report_ai_schema_changed ON ddl_command_end
+            EXECUTE FUNCTION report_ai.notify_schema_change();
+    END IF;
+EXCEPTION WHEN insufficient_privilege THEN
+    RAISE NOTICE 'Not allowed to create the schema change event trigger, schema changes will be detected by polling';
+END;
+$$;
@@ -0,0 +1,19 @@
+-- Business glossary: human-friendly display names, aliases and descriptions for
+-- tables (column_name NULL) and columns. Entries are merged into the
+-- introspected schema and used for table identification, SQL prompts and
+-- report column headers.
+
+CREATE TABLE IF NOT EXISTS report_ai.glossary_entries (
+    id BIGSERIAL PRIMARY KEY,
+    table_name TEXT NOT NULL,
+    column_name TEXT,
+    display_name TEXT,
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    description TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- One entry per table and per column
+CREATE UNIQUE INDEX IF NOT EXISTS glossary_entries_target_idx
+    ON report_ai.glossary_entries (table_name, COALESCE(column_name, ''));
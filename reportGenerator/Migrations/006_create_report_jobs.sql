@@ -0,0 +1,31 @@
+-- Background report jobs. A job runs the streamed report pipeline without
+-- holding a client connection: every progress update is appended to
+-- report_job_events so a client can reconnect and replay what it missed, and
+-- the final payload is kept on the job once it finishes.
+
+CREATE TABLE IF NOT EXISTS report_ai.report_jobs (
+    id UUID PRIMARY KEY,
+    prompt TEXT NOT NULL,
+    conversation_history JSONB NOT NULL DEFAULT '[]',
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'complete', 'error', 'cancelled')),
+    report_id TEXT,
+    result JSONB,
+    error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    -- Touched with every event, so a job nobody is running any more shows up
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS report_jobs_completed_at_idx
+    ON report_ai.report_jobs (completed_at);
+
+-- seq is the SSE event id: 1, 2, 3... per job
+CREATE TABLE IF NOT EXISTS report_ai.report_job_events (
+    job_id UUID NOT NULL REFERENCES report_ai.report_jobs (id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL,
+    event JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (job_id, seq)
+);
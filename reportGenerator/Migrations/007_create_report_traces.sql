@@ -0,0 +1,16 @@
+-- Traces of report runs: one span per pipeline stage, LLM call and SQL
+-- execution, nested under the span of the report. Served by
+-- GET /api/ai/reports/:reportId/trace.
+
+CREATE TABLE IF NOT EXISTS report_ai.report_traces (
+    report_id TEXT PRIMARY KEY,
+    trace_id TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('ok', 'error')),
+    started_at TIMESTAMPTZ NOT NULL,
+    duration_ms DOUBLE PRECISION NOT NULL,
+    spans JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS report_traces_created_at_idx
+    ON report_ai.report_traces (created_at);
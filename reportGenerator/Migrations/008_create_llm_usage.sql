@@ -0,0 +1,27 @@
+-- Token usage of every LLM call, with its cost under the pricing in effect
+-- when it was made. Aggregated per report, user and day by the usage endpoint
+-- and checked against the budgets.
+
+CREATE TABLE IF NOT EXISTS report_ai.llm_usage (
+    id BIGSERIAL PRIMARY KEY,
+    report_id TEXT,
+    user_id TEXT,
+    stage TEXT,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    prompt_tokens INTEGER NOT NULL,
+    completion_tokens INTEGER NOT NULL,
+    -- The provider reported no usage and the counts were estimated
+    estimated BOOLEAN NOT NULL DEFAULT false,
+    cost NUMERIC(14, 6) NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS llm_usage_created_at_idx
+    ON report_ai.llm_usage (created_at);
+
+CREATE INDEX IF NOT EXISTS llm_usage_user_created_at_idx
+    ON report_ai.llm_usage (user_id, created_at);
+
+CREATE INDEX IF NOT EXISTS llm_usage_report_id_idx
+    ON report_ai.llm_usage (report_id);
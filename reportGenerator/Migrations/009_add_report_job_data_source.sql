@@ -0,0 +1,4 @@
+-- The data source a report job runs on (NULL for jobs created before data
+-- sources were configurable, which ran on the default one)
+
+ALTER TABLE report_ai.report_jobs ADD COLUMN IF NOT EXISTS data_source TEXT;
@@ -0,0 +1,22 @@
+-- Tables created from uploaded CSV, XLSX and JSON files. Each upload session
+-- has its own schema in the data source's database; these rows record what is
+-- in it so idle sessions can be dropped.
+
+CREATE TABLE IF NOT EXISTS report_ai.uploaded_tables (
+    session_id TEXT NOT NULL,
+    schema_name TEXT NOT NULL,
+    table_name TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    -- The worksheet or JSON key the table was read from, if the file had several
+    sheet_name TEXT,
+    -- [{ name, header, type }] in table order
+    columns JSONB NOT NULL,
+    row_count INTEGER NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    -- Last upload or report in the session
+    last_used_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (session_id, table_name)
+);
+
+CREATE INDEX IF NOT EXISTS uploaded_tables_last_used_at_idx
+    ON report_ai.uploaded_tables (last_used_at);
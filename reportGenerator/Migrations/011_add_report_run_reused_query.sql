@@ -0,0 +1,10 @@
+-- A report that reused a stored query records which one, so feedback on the
+-- report re-weights that entry. Each feedback row keeps the weight change it
+-- made, so sending the same rating again for a report changes nothing.
+
+ALTER TABLE report_ai.report_runs
+    ADD COLUMN IF NOT EXISTS reused_query_id BIGINT
+        REFERENCES report_ai.kb_successful_queries (id) ON DELETE SET NULL;
+
+ALTER TABLE report_ai.report_feedback
+    ADD COLUMN IF NOT EXISTS weight_delta REAL NOT NULL DEFAULT 0;
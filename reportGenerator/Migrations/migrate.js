@@ -0,0 +1,17 @@
+// Apply pending migrations without starting the server: npm run migrate
+import pool from "../Config/Db.js";
+import { runMigrations } from "../Services/MigrationService.js";
+
+try {
+  const applied = await runMigrations();
+  console.log(
+    applied.length
+      ? `Applied ${applied.length} migration(s)`
+      : "Database is up to date"
+  );
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
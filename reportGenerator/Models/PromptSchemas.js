@@ -0,0 +1,216 @@
+// JSON Schemas for every prompt that asks the LLM for structured output.
+// Responses are validated against these before the pipeline uses them.
+
+const stringArray = { type: "array", items: { type: "string" } };
+
+export const promptAnalysisSchema = {
+  type: "object",
+  required: [
+    "coreQuestion",
+    "intentClassification",
+    "entitiesAndRelationships",
+    "dataRequirements",
+    "complexityAssessment",
+  ],
+  properties: {
+    coreQuestion: { type: "string" },
+    intentClassification: {
+      type: "object",
+      required: ["type", "metrics"],
+      properties: {
+        type: {
+          type: "string",
+          enum: ["descriptive", "diagnostic", "predictive", "prescriptive"],
+        },
+        metrics: stringArray,
+      },
+    },
+    entitiesAndRelationships: {
+      type: "object",
+      required: ["entities", "relationships", "timePeriods"],
+      properties: {
+        entities: stringArray,
+        relationships: stringArray,
+        timePeriods: stringArray,
+      },
+    },
+    dataRequirements: {
+      type: "object",
+      required: ["relevantTables", "relevantFields", "aggregations", "filters"],
+      properties: {
+        relevantTables: stringArray,
+        relevantFields: stringArray,
+        aggregations: stringArray,
+        filters: stringArray,
+      },
+    },
+    complexityAssessment: {
+      type: "object",
+      required: ["level", "requiresMultipleQueries", "requiresAdvancedAnalysis"],
+      properties: {
+        level: { type: "string", enum: ["simple", "moderate", "complex"] },
+        requiresMultipleQueries: { type: "boolean" },
+        requiresAdvancedAnalysis: { type: "boolean" },
+      },
+    },
+  },
+};
+
+export const analysisDecisionsSchema = {
+  type: "object",
+  required: ["dataRequirements", "calculationsNeeded", "analysisSteps"],
+  properties: {
+    intentClassification: {
+      type: "object",
+      properties: {
+        type: { type: "string" },
+        confidence: { type: "number" },
+        reasoning: { type: "string" },
+      },
+    },
+    dataAssessment: {
+      type: "object",
+      properties: {
+        availableFields: stringArray,
+        dataTypes: { type: "object" },
+        sufficiencyScore: { type: "number" },
+        qualityIssues: stringArray,
+      },
+    },
+    analysisStrategy: {
+      type: "object",
+      properties: {
+        recommendedTechniques: stringArray,
+        visualizations: stringArray,
+      },
+    },
+    dataRequirements: {
+      type: "object",
+      required: ["needsAdditionalQuery"],
+      properties: {
+        needsAdditionalQuery: { type: "boolean" },
+        additionalQueryDescription: { type: ["string", "null"] },
+      },
+    },
+    calculationsNeeded: stringArray,
+    analysisSteps: stringArray,
+  },
+};
+
+export const schemaDecisionsSchema = {
+  type: "object",
+  required: ["primaryTable", "joinTables", "keyColumns", "queryApproach"],
+  properties: {
+    primaryTable: { type: "string" },
+    joinTables: stringArray,
+    keyColumns: stringArray,
+    aggregations: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          function: { type: "string" },
+          column: { type: "string" },
+          alias: { type: "string" },
+        },
+      },
+    },
+    timeAnalysis: {
+      type: ["object", "null"],
+      properties: {
+        column: { type: "string" },
+        groupBy: { type: "string" },
+      },
+    },
+    filters: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          column: { type: "string" },
+          operator: { type: "string" },
+          value: {},
+        },
+      },
+    },
+    complexCalculations: { type: "boolean" },
+    queryApproach: { type: "string" },
+    potentialIssues: stringArray,
+  },
+};
+
+export const analyticalConceptsSchema = {
+  type: "object",
+  required: [
+    "businessMetrics",
+    "timePeriods",
+    "filterConditions",
+    "groupingDimensions",
+    "sortingRequirements",
+    "comparisonRequests",
+  ],
+  properties: {
+    businessMetrics: stringArray,
+    timePeriods: stringArray,
+    filterConditions: stringArray,
+    groupingDimensions: stringArray,
+    sortingRequirements: stringArray,
+    comparisonRequests: stringArray,
+  },
+};
+
+export const metricMappingSchema = {
+  type: "object",
+  required: ["mappings"],
+  properties: {
+    mappings: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["metric", "tables", "columns", "calculation"],
+        properties: {
+          metric: { type: "string" },
+          tables: stringArray,
+          columns: stringArray,
+          calculation: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+export const semanticFiltersSchema = {
+  type: "object",
+  required: ["conditions"],
+  properties: {
+    conditions: stringArray,
+  },
+};
+
+export const tableIdentificationSchema = {
+  type: "object",
+  required: ["tables"],
+  properties: {
+    tables: stringArray,
+  },
+};
+
+export const additionalQueriesSchema = {
+  type: "object",
+  required: ["queries"],
+  properties: {
+    queries: {
+      type: "array",
+      maxItems: 3,
+      items: {
+        type: "object",
+        required: ["description", "sql"],
+        properties: {
+          description: { type: "string" },
+          // SELECT or WITH, in any case
+          sql: { type: "string", pattern: "^\\s*([Ss][Ee][Ll][Ee][Cc][Tt]|[Ww][Ii][Tt][Hh])\\b" },
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,54 @@
+// JSON Schema for the semantic model file (see README, "Semantic Model").
+// Metric, dimension and join expressions reference columns as table.column,
+// using the table names shown to the LLM ("schema.table" outside the default schema).
+
+const stringArray = { type: "array", items: { type: "string", minLength: 1 } };
+
+const namePattern = "^[A-Za-z_][A-Za-z0-9_]*$";
+
+const definition = (extraProperties = {}) => ({
+  type: "object",
+  required: ["table", "expression"],
+  additionalProperties: false,
+  properties: {
+    description: { type: "string" },
+    // Table the expression is evaluated over
+    table: { type: "string", minLength: 1 },
+    expression: { type: "string", minLength: 1 },
+    synonyms: stringArray,
+    ...extraProperties,
+  },
+});
+
+export const semanticModelSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    metrics: {
+      type: "object",
+      propertyNames: { pattern: namePattern },
+      additionalProperties: definition({
+        // Conditions always applied when computing the metric
+        filters: stringArray,
+      }),
+    },
+    dimensions: {
+      type: "object",
+      propertyNames: { pattern: namePattern },
+      additionalProperties: definition(),
+    },
+    joins: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["from", "to", "on"],
+        additionalProperties: false,
+        properties: {
+          from: { type: "string", minLength: 1 },
+          to: { type: "string", minLength: 1 },
+          on: { type: "string", minLength: 1 },
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,51 @@
+// Deterministic in-process provider for tests and offline development.
+// Each rule is { match, stage, content } or { match, stage, error }: `match` is
+// a substring or RegExp tested against the last message, `stage` limits the
+// rule to one pipeline stage, `content` is a string or a function of
+// (prompt, messages), `error` an object describing the error to throw.
+export class FakeProvider {
+  constructor({ responses = [], defaultResponse = "{}", model = "fake-model" } = {}) {
+    this.name = "fake";
+    this.model = model;
+    this.responses = responses;
+    this.defaultResponse = defaultResponse;
+    this.calls = [];
+  }
+
+  // Check whether a rule applies to the prompt
+  matches(rule, prompt, stage) {
+    if (rule.stage && rule.stage !== stage) return false;
+    if (rule.match instanceof RegExp) return rule.match.test(prompt);
+    if (typeof rule.match === "string") return prompt.includes(rule.match);
+    return !rule.match;
+  }
+
+  async chat({ messages, model = this.model, stage = null, signal = null, ...options }) {
+    signal?.throwIfAborted();
+
+    const prompt = messages[messages.length - 1]?.content || "";
+    this.calls.push({ messages, model, stage, ...options });
+
+    const rule = this.responses.find((candidate) =>
+      this.matches(candidate, prompt, stage)
+    );
+
+    if (rule?.error) {
+      const error = new Error(rule.error.message || "Fake provider error");
+      error.statusCode = rule.error.statusCode;
+      throw error;
+    }
+
+    const content = !rule
+      ? this.defaultResponse
+      : typeof rule.content === "function"
+      ? rule.content(prompt, messages)
+      : rule.content;
+
+    return {
+      content,
+      model,
+      usage: null,
+    };
+  }
+}
@@ -0,0 +1,58 @@
+// Offline embeddings built from words and character trigrams hashed into a
+// fixed-size vector. Matches plurals, snake_case names and partial words but
+// knows nothing about synonyms, so it is the fallback rather than the default.
+export class HashEmbeddingProvider {
+  constructor({ dimensions = 512 } = {}) {
+    this.name = "hash";
+    this.dimensions = dimensions;
+    this.model = `hash-${dimensions}`;
+  }
+
+  // Split camelCase and snake_case, lower-case and strip simple plurals
+  tokenize(text) {
+    return String(text || "")
+      .replace(/([a-z])([A-Z])/g, "$1 $2")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+      .map((word) =>
+        word.length > 3 ? word.replace(/ies$/, "y").replace(/([^s])s$/, "$1") : word
+      );
+  }
+
+  // 32-bit FNV-1a
+  hash(feature) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < feature.length; i++) {
+      hash ^= feature.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    const addFeature = (feature, weight) => {
+      const hash = this.hash(feature);
+      // The top bit picks the sign so unrelated collisions tend to cancel out
+      vector[hash % this.dimensions] += hash & 0x80000000 ? -weight : weight;
+    };
+
+    this.tokenize(text).forEach((word) => {
+      addFeature(`w:${word}`, 1);
+
+      const padded = `#${word}#`;
+      for (let i = 0; i < padded.length - 2; i++) {
+        addFeature(`c:${padded.slice(i, i + 3)}`, 0.5);
+      }
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map((value) => value / norm) : vector;
+  }
+
+  async embed(texts) {
+    return texts.map((text) => this.embedOne(text));
+  }
+}
@@ -0,0 +1,39 @@
+// Runs a sentence-transformers model in-process with @xenova/transformers.
+// Models are read from modelDir and only downloaded when allowDownload is set,
+// so the server works without network access once the model is on disk.
+export class LocalEmbeddingProvider {
+  constructor({ model = "Xenova/all-MiniLM-L6-v2", modelDir = null, allowDownload = false } = {}) {
+    this.name = "local";
+    this.model = model;
+    this.modelDir = modelDir;
+    this.allowDownload = allowDownload;
+    this.extractor = null;
+  }
+
+  // Load the model once; the package is optional so it is imported lazily
+  getExtractor() {
+    if (!this.extractor) {
+      this.extractor = (async () => {
+        const { pipeline, env } = await import("@xenova/transformers");
+
+        env.allowRemoteModels = this.allowDownload;
+        if (this.modelDir) {
+          env.localModelPath = this.modelDir;
+        }
+
+        return pipeline("feature-extraction", this.model);
+      })().catch((error) => {
+        // Allow a retry, e.g. after the model has been copied into modelDir
+        this.extractor = null;
+        throw new Error(`Could not load local embedding model ${this.model}: ${error.message}`);
+      });
+    }
+    return this.extractor;
+  }
+
+  async embed(texts) {
+    const extractor = await this.getExtractor();
+    const output = await extractor(texts, { pooling: "mean", normalize: true });
+    return output.tolist();
+  }
+}
@@ -0,0 +1,18 @@
+import { OpenAICompatibleProvider } from "./OpenAICompatibleProvider.js";
+
+// Mistral's hosted API uses the same chat completions format
+export class MistralProvider extends OpenAICompatibleProvider {
+  constructor({
+    baseUrl = "https://api.mistral.ai/v1",
+    apiKey = "",
+    model = "mistral-small-latest",
+    jsonMode = true,
+  } = {}) {
+    super({ baseUrl, apiKey, model, name: "mistral", jsonMode });
+
+    if (!apiKey) {
+      console.error("Error: MISTRAL_API_KEY is not set in the environment variables.");
+      console.error("Please add your Mistral API key to the .env file.");
+    }
+  }
+}
@@ -0,0 +1,91 @@
+// Provider for any server that implements the OpenAI chat completions and
+// embeddings APIs (OpenAI, vLLM, llama.cpp server, Ollama, LM Studio...)
+export class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey = "", model, name = "openai", jsonMode = true } = {}) {
+    if (!baseUrl) {
+      throw new Error(`No base URL configured for the ${name} LLM provider`);
+    }
+
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.model = model;
+    // Whether the server understands response_format: { type: "json_object" }
+    this.supportsJsonMode = jsonMode;
+  }
+
+  // Build the request headers, local servers usually don't need a key
+  buildHeaders() {
+    return {
+      "Content-Type": "application/json",
+      ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+    };
+  }
+
+  // POST a JSON body to the API and return the parsed response. Aborting
+  // `signal` aborts the request.
+  async post(path, body, signal = null) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: "POST",
+      headers: this.buildHeaders(),
+      body: JSON.stringify(body),
+      ...(signal ? { signal } : {}),
+    });
+
+    if (!response.ok) {
+      if (response.status === 429) {
+        const error = new Error("Requests rate limit exceeded");
+        error.statusCode = 429;
+        throw error;
+      }
+
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(
+        `${this.name} API error: ${response.status} ${JSON.stringify(errorData)}`
+      );
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  // Send a chat completion request and return { content, model, usage }.
+  // Generation parameters left null use the server's defaults and
+  // responseFormat "json" turns on JSON mode when the server supports it.
+  async chat({
+    messages,
+    model = this.model,
+    temperature = null,
+    maxTokens = null,
+    stop = null,
+    responseFormat = null,
+    signal = null,
+  }) {
+    const data = await this.post("/chat/completions", {
+      model,
+      messages,
+      ...(temperature !== null ? { temperature } : {}),
+      ...(maxTokens !== null ? { max_tokens: maxTokens } : {}),
+      ...(stop ? { stop } : {}),
+      ...(responseFormat === "json" && this.supportsJsonMode
+        ? { response_format: { type: "json_object" } }
+        : {}),
+    }, signal);
+
+    return {
+      content: data.choices?.[0]?.message?.content ?? "",
+      model: data.model || model,
+      usage: data.usage || null,
+    };
+  }
+
+  // Embed a batch of texts with the /embeddings endpoint, one vector per text
+  async embed(texts, model = this.model) {
+    const data = await this.post("/embeddings", { model, input: texts });
+
+    return [...(data.data || [])]
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  }
+}
@@ -0,0 +1,138 @@
+import fs from "fs/promises";
+import path from "path";
+import { createHash } from "crypto";
+
+const MODES = ["record", "replay", "auto"];
+
+// Parts of prompts that change from run to run without changing the request
+const VOLATILE_PATTERNS = [
+  [/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, "<uuid>"],
+  [/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?/g, "<timestamp>"],
+];
+
+// JSON with sorted keys, so equal requests always hash the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Records the responses of another provider into fixture files and plays
+// them back, so the pipeline can run offline and deterministically. Each
+// request (messages, model, stage and generation parameters) is keyed by a
+// hash and stored as <dir>/<key>.json. Modes:
+//   record - call the provider and save every response
+//   replay - answer from the fixtures only, failing on a request not recorded
+//   auto   - replay what is recorded, record the rest
+export class RecordReplayProvider {
+  // `name` and `model` stand in for the provider's when replaying without one
+  constructor({ provider = null, mode = "replay", dir, name = "replay", model = null } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown LLM fixture mode "${mode}", expected one of ${MODES.join(", ")}`);
+    }
+    if (mode !== "replay" && !provider) {
+      throw new Error(`LLM fixture mode "${mode}" needs a provider to record from`);
+    }
+
+    this.provider = provider;
+    this.mode = mode;
+    this.dir = dir;
+    // Usage and pricing are accounted to the recorded provider
+    this.name = provider?.name || name;
+    this.model = provider?.model || model;
+    this.stats = { replayed: 0, recorded: 0 };
+  }
+
+  // The request as it is hashed: what decides the response, not the signal
+  // or volatile ids in the prompt
+  normalizeRequest({ messages, model, stage, temperature, maxTokens, stop, responseFormat }) {
+    const normalizeText = (text) =>
+      VOLATILE_PATTERNS.reduce(
+        (result, [pattern, replacement]) => result.replace(pattern, replacement),
+        String(text ?? "")
+      );
+
+    return {
+      messages: messages.map((message) => ({
+        role: message.role,
+        content: normalizeText(message.content),
+      })),
+      model: model || this.model,
+      stage: stage || null,
+      temperature: temperature ?? null,
+      maxTokens: maxTokens ?? null,
+      stop: stop ?? null,
+      responseFormat: responseFormat || null,
+    };
+  }
+
+  getKey(request) {
+    return createHash("sha256").update(stableStringify(request)).digest("hex").slice(0, 32);
+  }
+
+  getFixturePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async loadFixture(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.getFixturePath(key), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async saveFixture(key, request, response) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const fixture = {
+      key,
+      stage: request.stage,
+      request,
+      response: {
+        content: response.content,
+        model: response.model || null,
+        usage: response.usage || null,
+      },
+    };
+    await fs.writeFile(this.getFixturePath(key), `${JSON.stringify(fixture, null, 2)}\n`);
+  }
+
+  createMissingFixtureError(key, request) {
+    const error = new Error(
+      `No recorded LLM response for the ${request.stage || "default"} request ${key} in ${this.dir}; ` +
+        "record it with LLM_FIXTURES=record or auto"
+    );
+    error.code = "LLM_FIXTURE_MISSING";
+    error.fixtureKey = key;
+    return error;
+  }
+
+  async chat(options) {
+    options.signal?.throwIfAborted();
+    const request = this.normalizeRequest(options);
+    const key = this.getKey(request);
+
+    if (this.mode !== "record") {
+      const fixture = await this.loadFixture(key);
+      if (fixture) {
+        this.stats.replayed += 1;
+        return fixture.response;
+      }
+      if (this.mode === "replay") {
+        throw this.createMissingFixtureError(key, request);
+      }
+    }
+
+    const response = await this.provider.chat(options);
+    await this.saveFixture(key, request, response);
+    this.stats.recorded += 1;
+    return response;
+  }
+}
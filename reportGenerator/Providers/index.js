@@ -0,0 +1,76 @@
+import fs from "fs";
+import llmConfig from "../Config/Llm.js";
+import embeddingConfig from "../Config/Embeddings.js";
+import { MistralProvider } from "./MistralProvider.js";
+import { OpenAICompatibleProvider } from "./OpenAICompatibleProvider.js";
+import { FakeProvider } from "./FakeProvider.js";
+import { RecordReplayProvider } from "./RecordReplayProvider.js";
+import { LocalEmbeddingProvider } from "./LocalEmbeddingProvider.js";
+import { HashEmbeddingProvider } from "./HashEmbeddingProvider.js";
+
+// Load canned responses for the fake provider from a JSON file
+const loadFakeResponses = (file) => {
+  if (!file) return [];
+
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.error(`Could not load fake LLM responses from ${file}:`, error);
+    return [];
+  }
+};
+
+// Create the LLM provider selected by configuration, behind the fixture
+// recorder when LLM_FIXTURES is set
+export const createLlmProvider = (config = llmConfig) => {
+  if (config.fixturesMode && config.fixturesMode !== "off") {
+    return new RecordReplayProvider({
+      // Replaying needs no provider, nor its API key
+      provider:
+        config.fixturesMode === "replay"
+          ? null
+          : createLlmProvider({ ...config, fixturesMode: "off" }),
+      mode: config.fixturesMode,
+      dir: config.fixturesDir,
+      name: config.provider,
+      model: config.model,
+    });
+  }
+
+  switch (config.provider) {
+    case "openai":
+      return new OpenAICompatibleProvider(config);
+    case "fake":
+      return new FakeProvider({
+        model: config.model,
+        responses: loadFakeResponses(config.fakeResponsesFile),
+      });
+    case "mistral":
+    default:
+      return new MistralProvider(config);
+  }
+};
+
+// Create the embedding provider selected by configuration
+export const createEmbeddingProvider = (config = embeddingConfig) => {
+  switch (config.provider) {
+    case "openai":
+      return new OpenAICompatibleProvider(config);
+    case "mistral":
+      return new MistralProvider(config);
+    case "hash":
+      return new HashEmbeddingProvider(config);
+    case "local":
+    default:
+      return new LocalEmbeddingProvider(config);
+  }
+};
+
+export {
+  MistralProvider,
+  OpenAICompatibleProvider,
+  FakeProvider,
+  RecordReplayProvider,
+  LocalEmbeddingProvider,
+  HashEmbeddingProvider,
+};
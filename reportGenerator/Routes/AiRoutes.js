@@ -1,12 +1,70 @@
 import express from "express";
-import { generateReport, generateReportNonStreaming } from "../Controls/ReportController.js";
+import {
+  generateReport,
+  generateReportNonStreaming,
+  cancelReport,
+  getReportTrace,
+  getReportUsage,
+  getUsage,
+  createReportJob,
+  getReportJob,
+  streamReportJobEvents,
+  cancelReportJob,
+  submitReportFeedback,
+  listGlossaryEntries,
+  getGlossaryEntry,
+  createGlossaryEntry,
+  updateGlossaryEntry,
+  deleteGlossaryEntry,
+  listDataSources,
+  uploadFile,
+  listUploads,
+  deleteUpload,
+  deleteUploadSession,
+} from "../Controls/ReportController.js";
 
 const router = express.Router();
 
+// Databases reports can run on; the report endpoints take one as `dataSource`
+router.get("/data-sources", listDataSources);
+
 // Streaming endpoint
 router.post("/generate-report-stream", generateReport);
 
 // Keep the original endpoint for backward compatibility
 router.post("/generate-report", generateReportNonStreaming);
 
+// Background report jobs with resumable event streams
+router.post("/report-jobs", createReportJob);
+router.get("/report-jobs/:jobId", getReportJob);
+router.get("/report-jobs/:jobId/events", streamReportJobEvents);
+router.post("/report-jobs/:jobId/cancel", cancelReportJob);
+
+// Cancel a streamed report, identified by the reportId of its first update
+router.post("/reports/:reportId/cancel", cancelReport);
+
+// Timing breakdown of a report's stages, LLM calls and queries
+router.get("/reports/:reportId/trace", getReportTrace);
+
+// LLM token usage and cost of a report, and per day and user
+router.get("/reports/:reportId/usage", getReportUsage);
+router.get("/usage", getUsage);
+
+// Feedback on a generated report, identified by the reportId it was returned with
+router.post("/reports/:reportId/feedback", submitReportFeedback);
+
+// Business glossary for tables and columns
+router.get("/glossary", listGlossaryEntries);
+router.post("/glossary", createGlossaryEntry);
+router.get("/glossary/:id", getGlossaryEntry);
+router.put("/glossary/:id", updateGlossaryEntry);
+router.delete("/glossary/:id", deleteGlossaryEntry);
+
+// Files uploaded as tables of the session named by the X-Session-Id header,
+// which reports sent with the same header can query
+router.get("/uploads", listUploads);
+router.post("/uploads", uploadFile);
+router.delete("/uploads", deleteUploadSession);
+router.delete("/uploads/:table", deleteUpload);
+
 export default router;
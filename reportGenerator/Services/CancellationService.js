@@ -0,0 +1,104 @@
+import { AsyncLocalStorage } from "async_hooks";
+import defaultPool from "../Config/Db.js";
+import { PostgresDialect } from "../Dialects/index.js";
+import { setSpanAttributes, withSpan } from "./TraceService.js";
+
+// Cancellation of report generation. The AbortSignal of a report is bound to
+// its async call tree with runWithSignal, so LLM calls and database queries
+// made anywhere below the report pipeline pick it up through getCurrentSignal
+// without every method in between passing it along.
+const signalStorage = new AsyncLocalStorage();
+
+export const createCancellationError = (message = "Report generation was cancelled") => {
+  const error = new Error(message);
+  error.code = "REPORT_CANCELLED";
+  return error;
+};
+
+// fetch rejects with the signal's reason, or an AbortError without one
+export const isCancellationError = (error) =>
+  error?.code === "REPORT_CANCELLED" || error?.name === "AbortError";
+
+export const runWithSignal = (signal, operation) =>
+  signalStorage.run(signal || null, operation);
+
+export const getCurrentSignal = () => signalStorage.getStore() || null;
+
+export const throwIfCancelled = (signal = getCurrentSignal()) => {
+  if (!signal?.aborted) return;
+  throw isCancellationError(signal.reason) ? signal.reason : createCancellationError();
+};
+
+// setTimeout that rejects as soon as the signal is aborted
+export const cancellableDelay = (ms, signal = getCurrentSignal()) =>
+  new Promise((resolve, reject) => {
+    throwIfCancelled(signal);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(isCancellationError(signal.reason) ? signal.reason : createCancellationError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+const postgresDialect = new PostgresDialect();
+
+// Cancel the statement running on a checked out client when the signal is
+// aborted. Postgres and MySQL only stop a query when asked from another
+// connection, so the dialect sends the cancel through the client's pool.
+// Returns a function that stops watching, to be called before the client is
+// released.
+export const cancelQueriesOnAbort = (
+  client,
+  signal = getCurrentSignal(),
+  pool = defaultPool,
+  dialect = postgresDialect
+) => {
+  if (!signal) return () => {};
+
+  const onAbort = () => {
+    dialect
+      .cancel(pool, client)
+      .catch((error) => console.warn("Could not cancel query:", error.message));
+  };
+  signal.addEventListener("abort", onAbort, { once: true });
+  return () => signal.removeEventListener("abort", onAbort);
+};
+
+// pool.query for queries made while a report is generated: the query is
+// cancelled on the server when the report is, and traced. `pool` and
+// `dialect` are the report's data source's.
+export const cancellableQuery = (
+  sql,
+  params = [],
+  { signal = getCurrentSignal(), pool = defaultPool, dialect = postgresDialect } = {}
+) =>
+  withSpan("sql query", "sql", { "db.system": dialect.name, "db.statement": sql }, async () => {
+    throwIfCancelled(signal);
+    const result = await runCancellableQuery(sql, params, signal, pool, dialect);
+    setSpanAttributes({ "db.row_count": result.rows?.length ?? result.rowCount ?? 0 });
+    return result;
+  });
+
+const runCancellableQuery = async (sql, params, signal, pool, dialect) => {
+  if (!signal) return pool.query(sql, params);
+
+  const client = await pool.connect();
+  const stopWatching = cancelQueriesOnAbort(client, signal, pool, dialect);
+
+  try {
+    return await client.query(sql, params);
+  } catch (error) {
+    // The error of a cancelled query
+    throwIfCancelled(signal);
+    throw error;
+  } finally {
+    stopWatching();
+    // A late cancel could hit the next query on this connection
+    client.release(signal.aborted);
+  }
+};
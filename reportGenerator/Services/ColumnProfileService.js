@@ -0,0 +1,244 @@
+import defaultPool from "../Config/Db.js";
+import profilingConfig from "../Config/Profiling.js";
+import { PostgresDialect } from "../Dialects/index.js";
+
+// Longer values (free text, JSON) are useless as filter examples
+const MAX_VALUE_LENGTH = 80;
+
+const formatPercent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+const toProfileValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value !== null && typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+// Per-column statistics for grounding generated SQL in real data. Profiles come
+// from pg_stats when the planner has analyzed a table, otherwise (and on
+// other engines than Postgres) from a sample of its rows. Profiles are keyed by table key (as used by SchemaService) and
+// column name: { [table]: { [column]: profile } }, where a profile is
+// { source, nullRatio, distinctCount, topValues: [{ value, frequency }], min, max }.
+export class ColumnProfileService {
+  constructor(sqlGuardService, config = profilingConfig, pool = defaultPool, dialect = new PostgresDialect()) {
+    this.sqlGuardService = sqlGuardService;
+    this.config = { ...config };
+    this.pool = pool;
+    this.dialect = dialect;
+  }
+
+  // Profiles for every analyzed table in the schema map, from one pg_stats query
+  async getStatsProfiles(schemas) {
+    if (!this.config.enabled || !this.dialect.hasColumnStats) return {};
+
+    try {
+      const tableKeys = new Map(
+        Object.entries(schemas).map(([key, schema]) => [
+          `${schema.schema}.${schema.name}`,
+          key,
+        ])
+      );
+      const schemaNames = [
+        ...new Set(Object.values(schemas).map((schema) => schema.schema)),
+      ];
+
+      // Array columns are skipped: their statistics can't be cast to text[].
+      // Stats including inheritance children sort last and take precedence.
+      const { rows } = await this.pool.query(
+        `
+        SELECT
+          s.schemaname,
+          s.tablename,
+          s.attname,
+          s.null_frac,
+          s.n_distinct,
+          c.reltuples,
+          s.most_common_vals::text::text[] AS most_common_vals,
+          s.most_common_freqs,
+          s.histogram_bounds::text::text[] AS histogram_bounds
+        FROM
+          pg_stats s
+          JOIN pg_namespace n ON n.nspname = s.schemaname
+          JOIN pg_class c ON c.relnamespace = n.oid AND c.relname = s.tablename
+          JOIN pg_attribute a ON a.attrelid = c.oid AND a.attname = s.attname
+          JOIN pg_type t ON t.oid = a.atttypid
+        WHERE
+          s.schemaname = ANY($1::text[])
+          AND t.typcategory <> 'A'
+        ORDER BY
+          s.inherited;
+        `,
+        [schemaNames]
+      );
+
+      const profiles = {};
+      rows.forEach((row) => {
+        const tableKey = tableKeys.get(`${row.schemaname}.${row.tablename}`);
+        if (!tableKey) return;
+
+        profiles[tableKey] = profiles[tableKey] || {};
+        profiles[tableKey][row.attname] = this.profileFromStats(row);
+      });
+
+      console.log(
+        `Loaded column statistics for ${Object.keys(profiles).length} tables`
+      );
+      return profiles;
+    } catch (error) {
+      console.warn("Could not read column statistics:", error.message);
+      return {};
+    }
+  }
+
+  profileFromStats(row) {
+    // A negative n_distinct is a fraction of the row count
+    const rowCount = Number(row.reltuples);
+    let distinctCount = null;
+    if (row.n_distinct > 0) {
+      distinctCount = Math.round(row.n_distinct);
+    } else if (row.n_distinct < 0 && rowCount > 0) {
+      distinctCount = Math.round(-row.n_distinct * rowCount);
+    }
+
+    const values = row.most_common_vals || [];
+    const frequencies = row.most_common_freqs || [];
+    const bounds = row.histogram_bounds || [];
+
+    return {
+      source: "pg_stats",
+      nullRatio: Number(row.null_frac) || 0,
+      distinctCount,
+      topValues: values.map((value, i) => ({
+        value,
+        frequency: Number(frequencies[i]) || 0,
+      })),
+      // Histogram bounds leave out the most common values, so these are approximate
+      min: bounds.length ? bounds[0] : null,
+      max: bounds.length ? bounds[bounds.length - 1] : null,
+    };
+  }
+
+  // Profile a table without statistics from its first sampleRows rows
+  async sampleTable(schema) {
+    const { rows } = await this.sqlGuardService.executeReadOnly(
+      `SELECT * FROM ${this.dialect.qualify(schema.schema, schema.name)}`,
+      { maxRows: this.config.sampleRows, maxCost: 0 }
+    );
+
+    const profiles = {};
+    schema.columns.forEach((col) => {
+      profiles[col.column_name] = this.profileFromSample(
+        rows.map((row) => row[col.column_name])
+      );
+    });
+    return profiles;
+  }
+
+  profileFromSample(values) {
+    const nonNull = values.filter((value) => value !== null && value !== undefined);
+    const counts = new Map();
+    nonNull.forEach((value) => {
+      const key = toProfileValue(value);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    // Only numbers and dates have a meaningful range
+    let min = null;
+    let max = null;
+    if (nonNull.length && nonNull.every((value) => typeof value === "number")) {
+      min = Math.min(...nonNull);
+      max = Math.max(...nonNull);
+    } else if (nonNull.length && nonNull.every((value) => value instanceof Date)) {
+      const times = nonNull.map((value) => value.getTime());
+      min = new Date(Math.min(...times)).toISOString();
+      max = new Date(Math.max(...times)).toISOString();
+    }
+
+    return {
+      source: "sample",
+      nullRatio: values.length ? 1 - nonNull.length / values.length : 0,
+      distinctCount: counts.size,
+      // Columns where every sampled value is different (ids, free text) have no
+      // values worth listing
+      topValues:
+        counts.size < nonNull.length
+          ? [...counts.entries()]
+              .sort((a, b) => b[1] - a[1])
+              .map(([value, count]) => ({ value, frequency: count / values.length }))
+          : [],
+      min,
+      max,
+    };
+  }
+
+  // Profiles for the given tables, sampling (and caching in `profiles`) any
+  // table the planner has no statistics for
+  async profileTables(schemas, tableKeys, profiles) {
+    if (!this.config.enabled) return {};
+
+    const tableProfiles = {};
+    for (const tableKey of tableKeys) {
+      const schema = schemas[tableKey];
+      if (!schema) continue;
+
+      if (!profiles[tableKey]) {
+        try {
+          profiles[tableKey] = await this.sampleTable(schema);
+        } catch (error) {
+          console.warn(`Could not sample ${tableKey}:`, error.message);
+          profiles[tableKey] = {};
+        }
+      }
+      tableProfiles[tableKey] = profiles[tableKey];
+    }
+    return tableProfiles;
+  }
+
+  // One line per column with something worth telling the LLM: its real values
+  // for categorical columns, its range otherwise, and how often it is null
+  describeProfile(profile) {
+    const parts = [];
+
+    const values = profile.topValues
+      .filter(({ value }) => value.length <= MAX_VALUE_LENGTH)
+      .slice(0, this.config.topValues);
+    const categorical =
+      profile.distinctCount !== null && profile.distinctCount <= this.config.maxDistinct;
+
+    if (categorical && values.length) {
+      const listed = values
+        .map(({ value, frequency }) => `'${value}' (${formatPercent(frequency)})`)
+        .join(", ");
+      parts.push(
+        `${profile.distinctCount} distinct, values: ${listed}${
+          values.length < profile.distinctCount ? ", ..." : ""
+        }`
+      );
+    } else if (profile.min !== null && profile.max !== null) {
+      parts.push(`range ${profile.min} to ${profile.max}`);
+    }
+
+    if (parts.length && profile.nullRatio > 0) {
+      parts.push(`${formatPercent(profile.nullRatio)} null`);
+    }
+
+    return parts.join("; ");
+  }
+
+  // Render the profiles of the given tables as a section of the SQL prompt
+  formatProfiles(tableProfiles) {
+    const lines = [];
+    Object.entries(tableProfiles).forEach(([tableKey, columns]) => {
+      Object.entries(columns).forEach(([column, profile]) => {
+        const description = this.describeProfile(profile);
+        if (description) {
+          lines.push(`- ${tableKey}.${column}: ${description}`);
+        }
+      });
+    });
+
+    if (lines.length === 0) return "";
+
+    return `COLUMN PROFILES (from the actual data; use these exact values, including case, in filters):
+${lines.join("\n")}`;
+  }
+}
@@ -1,10 +1,78 @@
-import pool from "../Config/Db.js";
+import defaultPool from "../Config/Db.js";
+import { PostgresDialect } from "../Dialects/index.js";
+import { cancellableQuery } from "./CancellationService.js";
 import pkg from "danfojs-node";
 const { dfd } = pkg;
 
+// Foreign key lookups are sent in chunks of this many keys
+const KEY_LOOKUP_CHUNK_SIZE = 500;
+// Maximum number of related rows fetched for a single foreign key column
+const KEY_LOOKUP_ROW_LIMIT = 1000;
+
 export class DataEnrichmentService {
-  constructor() {
-    // Initialize any required properties
+  constructor(getSchema = null, pool = defaultPool, dialect = new PostgresDialect()) {
+    // The data source related queries run on
+    this.pool = pool;
+    this.dialect = dialect;
+    // Returns the cached { schemas, relationships } used to validate identifiers
+    this.getSchema = getSchema;
+  }
+
+  // Quote an identifier for safe use in SQL
+  quoteIdentifier(name) {
+    return this.dialect.quoteIdentifier(name);
+  }
+
+  // Check a table/column pair against the cached schema and return the quoted
+  // identifiers, or null if either one does not exist
+  async resolveIdentifiers(table, column) {
+    if (!this.getSchema || !table || !column) return null;
+
+    const { schemas } = await this.getSchema();
+    const tableSchema = schemas?.[table];
+    if (!tableSchema) return null;
+
+    const columnExists = tableSchema.columns.some(
+      (col) => col.column_name === column
+    );
+    if (!columnExists) return null;
+
+    return {
+      table: this.dialect.qualify(tableSchema.schema, tableSchema.name),
+      column: this.quoteIdentifier(column),
+    };
+  }
+
+  // Fetch the rows of a table whose column matches any of the given keys.
+  // Keys are passed as parameters and sent in chunks.
+  async fetchRowsByKeys(table, column, keys) {
+    const identifiers = await this.resolveIdentifiers(table, column);
+    if (!identifiers) {
+      console.warn(`Skipping lookup on unknown column ${table}.${column}`);
+      return [];
+    }
+
+    const rows = [];
+    for (
+      let i = 0;
+      i < keys.length && rows.length < KEY_LOOKUP_ROW_LIMIT;
+      i += KEY_LOOKUP_CHUNK_SIZE
+    ) {
+      const chunk = keys.slice(i, i + KEY_LOOKUP_CHUNK_SIZE);
+      const { sql, params } = this.dialect.selectByKeys(
+        identifiers.table,
+        identifiers.column,
+        chunk,
+        KEY_LOOKUP_ROW_LIMIT - rows.length
+      );
+      const result = await cancellableQuery(sql, params, {
+        pool: this.pool,
+        dialect: this.dialect,
+      });
+      rows.push(...result.rows);
+    }
+
+    return rows;
   }
 
   // Add a new method to perform multiple related queries
@@ -44,23 +112,18 @@ export class DataEnrichmentService {
 
         if (fkValues.length === 0) continue;
 
-        // Build query to fetch related data
-        const relatedQuery = `
-          SELECT * FROM ${fkInfo.referencedTable}
-          WHERE ${fkInfo.referencedColumn} IN (${fkValues
-          .map((v) => (typeof v === "string" ? `'${v}'` : v))
-          .join(",")})
-          LIMIT 1000
-        `;
-
         try {
-          const result = await pool.query(relatedQuery);
-          if (result.rows.length > 0) {
-            relatedData[fkInfo.referencedTable] = result.rows;
+          const rows = await this.fetchRowsByKeys(
+            fkInfo.referencedTable,
+            fkInfo.referencedColumn,
+            fkValues
+          );
+          if (rows.length > 0) {
+            relatedData[fkInfo.referencedTable] = rows;
             processedRelationships.push(`${fkInfo.table}_${fkInfo.column}`);
 
             console.log(
-              `Fetched ${result.rows.length} related records from ${fkInfo.referencedTable}`
+              `Fetched ${rows.length} related records from ${fkInfo.referencedTable}`
             );
           }
         } catch (error) {
@@ -558,8 +621,32 @@ export class DataEnrichmentService {
     }
   }
 
+  // Glossary display names by result column name, from a minimal schema
+  // (see SqlGenerationService.createMinimalSchema). A column name that gets
+  // different display names in different tables is left out since the result
+  // column can't be attributed to either.
+  getGlossaryHeaders(schema) {
+    const headers = {};
+    const ambiguous = new Set();
+
+    Object.values(schema?.tables || {}).forEach((table) => {
+      (table.columns || []).forEach((col) => {
+        if (!col.displayName || ambiguous.has(col.name)) return;
+
+        if (headers[col.name] && headers[col.name] !== col.displayName) {
+          delete headers[col.name];
+          ambiguous.add(col.name);
+        } else {
+          headers[col.name] = col.displayName;
+        }
+      });
+    });
+
+    return headers;
+  }
+
   // Generate consistent table structure for reports
-  generateConsistentTableStructure(data, metadata) {
+  generateConsistentTableStructure(data, metadata, schema = null) {
     try {
       if (!data || data.length === 0) {
         return { tableData: [], tableStructure: {} };
@@ -581,12 +668,15 @@ export class DataEnrichmentService {
         tableStructure.primaryKey = idColumn;
       }
 
+      // Headers come from the glossary when it names the column
+      const glossaryHeaders = this.getGlossaryHeaders(schema);
+
       // Process each column
       for (const [column, info] of Object.entries(metadata)) {
         // Add to columns list
         tableStructure.columns.push({
           name: column,
-          displayName: info.displayName,
+          displayName: glossaryHeaders[column] || info.displayName,
           type: info.type,
           format: info.format,
         });
@@ -760,31 +850,24 @@ export class DataEnrichmentService {
         // If we found a referenced table, fetch the data
         if (referencedTable) {
           try {
-            // Build query to fetch related data
-            const query = `
-              SELECT * FROM ${referencedTable}
-              WHERE ${referencedColumn} IN (${uniqueValues
-              .map((v) => (typeof v === "string" ? `'${v}'` : v))
-              .join(",")})
-              LIMIT 1000
-            `;
-
-            const result = await pool.query(query);
-
-            if (result.rows.length > 0) {
+            const rows = await this.fetchRowsByKeys(
+              referencedTable,
+              referencedColumn,
+              uniqueValues
+            );
+
+            if (rows.length > 0) {
               console.log(
-                `Fetched ${result.rows.length} records from ${referencedTable} for column ${column}`
+                `Fetched ${rows.length} records from ${referencedTable} for column ${column}`
               );
 
               // Find the best descriptive field
-              const descriptiveField = this.findDescriptiveField(
-                result.rows[0]
-              );
+              const descriptiveField = this.findDescriptiveField(rows[0]);
 
               if (descriptiveField) {
                 // Create a lookup map for quick access
                 const lookupMap = {};
-                result.rows.forEach((row) => {
+                rows.forEach((row) => {
                   lookupMap[row[referencedColumn]] = row[descriptiveField];
                 });
 
@@ -821,45 +904,6 @@ export class DataEnrichmentService {
     }
   }
 
-  // Add this method to perform batch queries for better performance
-  async performBatchQueries(queries) {
-    try {
-      if (!queries || queries.length === 0) {
-        return [];
-      }
-      
-      console.log(`Performing ${queries.length} batch queries...`);
-      
-      // Use Promise.all to execute queries in parallel
-      const results = await Promise.all(
-        queries.map(async (query) => {
-          try {
-            const result = await pool.query(query.sql);
-            return {
-              id: query.id,
-              success: true,
-              rows: result.rows,
-              rowCount: result.rowCount
-            };
-          } catch (error) {
-            console.warn(`Error executing batch query ${query.id}:`, error);
-            return {
-              id: query.id,
-              success: false,
-              error: error.message
-            };
-          }
-        })
-      );
-      
-      console.log(`Completed ${results.filter(r => r.success).length} of ${queries.length} batch queries`);
-      return results;
-    } catch (error) {
-      console.error("Error performing batch queries:", error);
-      return [];
-    }
-  }
-
   // Add this method to the DataEnrichmentService class
   async buildRelationshipGraph(schema, relationships) {
     try {
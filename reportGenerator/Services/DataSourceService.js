@@ -0,0 +1,141 @@
+import pkg from "pg";
+import defaultPool from "../Config/Db.js";
+import dataSourcesConfig from "../Config/DataSources.js";
+import { createDialect } from "../Dialects/index.js";
+import { ReportService } from "./ReportService.js";
+import { TraceService } from "./TraceService.js";
+import { UsageService } from "./UsageService.js";
+
+const { Pool } = pkg;
+
+// Registry of the databases reports can run on. Each data source gets its own
+// dialect, pool and report service, and with it its own schema cache,
+// knowledge base, embeddings and glossary (stored in report_ai of its
+// database, or of its Postgres store when it is not Postgres). They are
+// created the first time the data source is used. Report traces and LLM usage
+// are shared and kept in the default database.
+export class DataSourceService {
+  constructor(config = dataSourcesConfig) {
+    this.config = config;
+    this.sources = new Map([
+      [
+        config.defaultName,
+        {
+          name: config.defaultName,
+          description: config.defaultDescription,
+          dialect: "postgresql",
+          introspection: {},
+        },
+      ],
+      ...config.sources.map((source) => [source.name, source]),
+    ]);
+    this.pools = new Map([[config.defaultName, defaultPool]]);
+    this.storePools = new Map();
+    this.reportServices = new Map();
+    this.usageService = new UsageService();
+    this.traceService = new TraceService();
+  }
+
+  get defaultName() {
+    return this.config.defaultName;
+  }
+
+  createDataSourceError(name) {
+    const error = new Error(
+      `Unknown data source "${name}", expected one of ${[...this.sources.keys()].join(", ")}`
+    );
+    error.code = "UNKNOWN_DATA_SOURCE";
+    error.statusCode = 400;
+    return error;
+  }
+
+  // The data source a request names, the default one when it names none
+  resolve(name = null) {
+    const source = this.sources.get(name || this.defaultName);
+    if (!source) throw this.createDataSourceError(name);
+    return source;
+  }
+
+  // The data sources clients can pick from, without their connection settings
+  list() {
+    return [...this.sources.values()].map((source) => ({
+      name: source.name,
+      description: source.description,
+      dialect: source.dialect,
+      default: source.name === this.defaultName,
+    }));
+  }
+
+  getPool(name = null) {
+    const source = this.resolve(name);
+    if (!this.pools.has(source.name)) {
+      this.pools.set(
+        source.name,
+        createDialect(source.dialect, source.connection).createPool(source.connection)
+      );
+    }
+    return this.pools.get(source.name);
+  }
+
+  // The Postgres pool holding the data source's report_ai tables: its own
+  // unless it names a store
+  getStorePool(name = null) {
+    const source = this.resolve(name);
+    if (!source.store) return this.getPool(source.name);
+
+    if (!this.storePools.has(source.name)) {
+      this.storePools.set(source.name, new Pool(source.store));
+    }
+    return this.storePools.get(source.name);
+  }
+
+  getReportService(name = null) {
+    const source = this.resolve(name);
+    if (!this.reportServices.has(source.name)) {
+      const dialect = createDialect(source.dialect, source.connection || {});
+      this.reportServices.set(
+        source.name,
+        new ReportService(
+          {
+            name: source.name,
+            dialect,
+            pool: this.getPool(source.name),
+            storePool: this.getStorePool(source.name),
+            // MySQL and SQLite tables keep their bare name in their own
+            // database, whatever SCHEMA_DEFAULT says
+            introspection: {
+              ...(dialect.defaultSchema ? { defaultSchema: dialect.defaultSchema } : {}),
+              ...source.introspection,
+            },
+          },
+          { usageService: this.usageService, traceService: this.traceService }
+        )
+      );
+    }
+    return this.reportServices.get(source.name);
+  }
+
+  // Cancel a streamed report in progress on any data source. Returns false if
+  // there is none with that id.
+  cancelReport(reportId, reason) {
+    return [...this.reportServices.values()].some((reportService) =>
+      reportService.cancelReport(reportId, reason)
+    );
+  }
+
+  // Stop the schema watchers and close the pools this registry opened. The
+  // default pool is left to its owner.
+  async close() {
+    await Promise.all(
+      [...this.reportServices.values()].map((reportService) =>
+        reportService.schemaChangeService.stop()
+      )
+    );
+    await this.usageService.writes;
+    await Promise.all(
+      [...this.pools.values(), ...this.storePools.values()]
+        .filter((pool) => pool !== defaultPool)
+        .map((pool) => pool.end())
+    );
+  }
+}
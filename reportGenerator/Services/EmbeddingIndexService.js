@@ -0,0 +1,329 @@
+import crypto from "crypto";
+import defaultPool from "../Config/Db.js";
+import embeddingConfig from "../Config/Embeddings.js";
+import {
+  createEmbeddingProvider,
+  HashEmbeddingProvider,
+} from "../Providers/index.js";
+import { runMigrations } from "./MigrationService.js";
+import { throwIfCancelled } from "./CancellationService.js";
+
+// Query vectors kept in memory so one request doesn't embed its prompt twice
+const QUERY_CACHE_SIZE = 100;
+
+const hashContent = (text) =>
+  crypto.createHash("sha1").update(text).digest("hex");
+
+const humanize = (name) => String(name).replace(/_/g, " ");
+
+export const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Embedding index over table names, column names and comments, and
+// knowledge-base prompts. Vectors are persisted in report_ai.embeddings and
+// searched in memory by cosine similarity.
+export class EmbeddingIndexService {
+  constructor(provider = createEmbeddingProvider(), config = embeddingConfig, pool = defaultPool) {
+    this.provider = provider;
+    this.config = { ...config };
+    this.pool = pool;
+    this.index = new Map(); // kind -> Map(key -> { contentHash, vector, metadata })
+    this.queryCache = new Map();
+    this.loaded = null;
+  }
+
+  get model() {
+    return this.provider.model;
+  }
+
+  getKindIndex(kind) {
+    if (!this.index.has(kind)) {
+      this.index.set(kind, new Map());
+    }
+    return this.index.get(kind);
+  }
+
+  // Load vectors stored by earlier runs for the current model
+  ensureLoaded() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          await runMigrations(this.pool);
+          const { rows } = await this.pool.query(
+            `SELECT kind, item_key, content_hash, embedding
+             FROM report_ai.embeddings
+             WHERE model = $1`,
+            [this.model]
+          );
+
+          rows.forEach((row) => {
+            this.getKindIndex(row.kind).set(row.item_key, {
+              contentHash: row.content_hash,
+              vector: row.embedding,
+            });
+          });
+          console.log(`Loaded ${rows.length} stored embeddings for ${this.model}`);
+        } catch (error) {
+          console.warn(
+            "Could not load stored embeddings, they will be recomputed:",
+            error.message
+          );
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  // Switch to hashed embeddings when the configured model can't be used
+  // (local model missing, embedding server down) so retrieval keeps working
+  useFallbackProvider(error) {
+    console.warn(
+      `Embedding provider ${this.provider.name} failed (${error.message}), falling back to hashed embeddings`
+    );
+    this.provider = new HashEmbeddingProvider(this.config);
+    this.index = new Map();
+    this.queryCache = new Map();
+    this.loaded = null;
+  }
+
+  // Embed texts in batches with the current provider
+  async embedTexts(texts) {
+    const vectors = [];
+    const batchSize = this.config.batchSize || 32;
+
+    for (let i = 0; i < texts.length; i += batchSize) {
+      // Outside the try so a cancelled report doesn't switch providers
+      throwIfCancelled();
+      const batch = texts.slice(i, i + batchSize);
+      try {
+        vectors.push(...(await this.provider.embed(batch)));
+      } catch (error) {
+        if (this.provider instanceof HashEmbeddingProvider) throw error;
+        this.useFallbackProvider(error);
+        return this.embedTexts(texts);
+      }
+    }
+
+    return vectors;
+  }
+
+  async embedQuery(text) {
+    const cacheKey = `${this.model}:${text}`;
+    if (this.queryCache.has(cacheKey)) {
+      return this.queryCache.get(cacheKey);
+    }
+
+    const [vector] = await this.embedTexts([text]);
+
+    if (this.queryCache.size >= QUERY_CACHE_SIZE) {
+      this.queryCache.delete(this.queryCache.keys().next().value);
+    }
+    this.queryCache.set(`${this.model}:${text}`, vector);
+    return vector;
+  }
+
+  // Make sure every item ({ key, text, metadata }) has a vector for its
+  // current text, embedding only new or changed items
+  async ensureIndexed(kind, items) {
+    await this.ensureLoaded();
+
+    const model = this.model;
+    const kindIndex = this.getKindIndex(kind);
+    const stale = items.filter(
+      (item) => kindIndex.get(item.key)?.contentHash !== hashContent(item.text)
+    );
+
+    if (stale.length > 0) {
+      const vectors = await this.embedTexts(stale.map((item) => item.text));
+
+      // The provider fell back while embedding: index everything again
+      if (this.model !== model) {
+        return this.ensureIndexed(kind, items);
+      }
+
+      stale.forEach((item, i) => {
+        kindIndex.set(item.key, {
+          contentHash: hashContent(item.text),
+          vector: vectors[i],
+        });
+      });
+      await this.saveEmbeddings(kind, stale, vectors);
+    }
+
+    items.forEach((item) => {
+      const entry = kindIndex.get(item.key);
+      if (entry) entry.metadata = item.metadata;
+    });
+  }
+
+  async saveEmbeddings(kind, items, vectors) {
+    try {
+      await runMigrations(this.pool);
+      const client = await this.pool.connect();
+
+      try {
+        await client.query("BEGIN");
+        for (let i = 0; i < items.length; i++) {
+          await client.query(
+            `INSERT INTO report_ai.embeddings
+               (kind, item_key, model, content_hash, content, embedding)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (kind, item_key, model) DO UPDATE
+             SET content_hash = EXCLUDED.content_hash,
+                 content = EXCLUDED.content,
+                 embedding = EXCLUDED.embedding,
+                 updated_at = now()`,
+            [kind, items[i].key, this.model, hashContent(items[i].text), items[i].text, vectors[i]]
+          );
+        }
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.warn("Could not store embeddings:", error.message);
+    }
+  }
+
+  // Nearest neighbours of the text among the indexed items of one kind,
+  // optionally restricted to a set of keys
+  async search(kind, text, { limit = 5, minScore = 0, keys = null } = {}) {
+    const queryVector = await this.embedQuery(text);
+    const results = [];
+
+    for (const [key, entry] of this.getKindIndex(kind)) {
+      if (keys && !keys.has(key)) continue;
+
+      const score = cosineSimilarity(queryVector, entry.vector);
+      if (score >= minScore) {
+        results.push({ key, score, metadata: entry.metadata });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  // One document per table (name, comment, column names) and one per column
+  // (table and column name plus comment)
+  buildSchemaDocuments(schemas) {
+    const tables = [];
+    const columns = [];
+
+    Object.entries(schemas).forEach(([tableName, schema]) => {
+      const tableColumns = schema.columns || [];
+
+      tables.push({
+        key: tableName,
+        text: [
+          `Table ${humanize(tableName)}`,
+          schema.displayName,
+          schema.aliases?.length && `Also called ${schema.aliases.join(", ")}`,
+          schema.description || schema.comment,
+          `Columns: ${tableColumns
+            .map((col) => col.display_name || humanize(col.column_name))
+            .join(", ")}`,
+        ]
+          .filter(Boolean)
+          .join(". "),
+        metadata: { table: tableName },
+      });
+
+      tableColumns.forEach((col) => {
+        columns.push({
+          key: `${tableName}.${col.column_name}`,
+          text: [
+            `${humanize(tableName)} ${humanize(col.column_name)}`,
+            col.display_name,
+            col.aliases?.length && `Also called ${col.aliases.join(", ")}`,
+            col.description || col.column_comment,
+            col.enum_values?.length && `Values: ${col.enum_values.join(", ")}`,
+          ]
+            .filter(Boolean)
+            .join(": "),
+          metadata: { table: tableName, column: col.column_name },
+        });
+      });
+    });
+
+    return { tables, columns };
+  }
+
+  // Tables closest to the prompt. A table scores as well as its best-matching
+  // document, itself or one of its columns. Returns [{ table, score }].
+  async findRelevantTables(userPrompt, schemas, limit = this.config.tableLimit) {
+    const model = this.model;
+    const { tables, columns } = this.buildSchemaDocuments(schemas);
+    await this.ensureIndexed("table", tables);
+    await this.ensureIndexed("column", columns);
+
+    const minScore = this.config.tableMinScore;
+    const matches = [
+      ...(await this.search("table", userPrompt, {
+        limit: Infinity,
+        minScore,
+        keys: new Set(tables.map((doc) => doc.key)),
+      })),
+      ...(await this.search("column", userPrompt, {
+        limit: Infinity,
+        minScore,
+        keys: new Set(columns.map((doc) => doc.key)),
+      })),
+    ];
+
+    // The provider fell back part way through: start again with one model
+    if (this.model !== model) {
+      return this.findRelevantTables(userPrompt, schemas, limit);
+    }
+
+    const scores = new Map();
+    matches.forEach(({ score, metadata }) => {
+      scores.set(metadata.table, Math.max(scores.get(metadata.table) ?? 0, score));
+    });
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([table, score]) => ({ table, score }));
+  }
+
+  // Cosine similarity between the prompt and the prompt of each
+  // knowledge-base entry, in the order of the entries
+  async rankPrompts(userPrompt, entries) {
+    const model = this.model;
+    const items = [
+      ...new Map(
+        entries.map((entry) => [
+          hashContent(entry.userPrompt),
+          { key: hashContent(entry.userPrompt), text: entry.userPrompt },
+        ])
+      ).values(),
+    ];
+    await this.ensureIndexed("query", items);
+
+    const queryVector = await this.embedQuery(userPrompt);
+    if (this.model !== model) {
+      return this.rankPrompts(userPrompt, entries);
+    }
+
+    const kindIndex = this.getKindIndex("query");
+
+    return entries.map((entry) =>
+      cosineSimilarity(queryVector, kindIndex.get(hashContent(entry.userPrompt))?.vector)
+    );
+  }
+}
@@ -0,0 +1,388 @@
+import { randomUUID } from "crypto";
+import { execSync } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import { performance } from "perf_hooks";
+import llmConfig from "../Config/Llm.js";
+import llmStages from "../Config/LlmStages.js";
+import { PipelineEngine } from "./PipelineEngine.js";
+import { REPORT_PIPELINE_INPUTS } from "./ReportPipeline.js";
+import { runWithUsageMeter } from "./UsageService.js";
+
+// The report stages an evaluation runs: everything up to SQL generation. The
+// generated SQL is then executed on its own, without the report's fallbacks,
+// so a failing query counts as a failure instead of turning into sample data.
+const LAST_EVALUATED_STAGE = "generateSql";
+
+// Numbers are compared to this many decimals, so SUM and AVG over NUMERIC
+// columns match whether they come back as "12.50" or 12.5
+const DECIMALS = 2;
+
+const round = (value) => Math.round(value * 10 ** DECIMALS) / 10 ** DECIMALS;
+
+const normalizeValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "number" || typeof value === "bigint") return round(Number(value));
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    return /^-?\d+(\.\d+)?$/.test(trimmed) ? round(Number(trimmed)) : trimmed;
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+};
+
+// A row as a string that ignores column names and column order
+const canonicalRow = (row) =>
+  JSON.stringify(
+    Object.values(row)
+      .map((value) => JSON.stringify(normalizeValue(value)))
+      .sort()
+  );
+
+// "public.Orders" and "orders" are the same table
+const normalizeTable = (table) =>
+  String(table).replace(/"/g, "").toLowerCase().replace(/^public\./, "");
+
+const mean = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+const percentile = (values, p) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+};
+
+const rate = (results, predicate) => {
+  const counted = results.filter((result) => predicate(result) !== null);
+  return counted.length
+    ? counted.filter((result) => predicate(result)).length / counted.length
+    : null;
+};
+
+const roundMetric = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+const describeLatency = (values) => ({
+  meanMs: values.length ? Math.round(mean(values)) : null,
+  p50Ms: percentile(values, 50),
+  p95Ms: percentile(values, 95),
+});
+
+const getCommit = () => {
+  try {
+    return execSync("git rev-parse --short HEAD", { stdio: ["ignore", "pipe", "ignore"] })
+      .toString()
+      .trim();
+  } catch {
+    return null;
+  }
+};
+
+// Runs a dataset of questions through table identification and SQL generation
+// and scores the results against gold SQL or gold result sets by executing
+// both. A dataset is { name, questions: [{ id, question, tables?, goldSql?,
+// goldResult?, ordered? }] }: `tables` are the tables the question needs,
+// `goldResult` the expected rows (or `goldSql` to compute them) and `ordered`
+// makes row order count.
+export class EvaluationService {
+  constructor(reportService) {
+    this.reportService = reportService;
+  }
+
+  createEvaluationError(message) {
+    const error = new Error(message);
+    error.code = "EVALUATION_INVALID";
+    return error;
+  }
+
+  async loadDataset(file) {
+    const dataset = JSON.parse(await fs.readFile(file, "utf8"));
+    const questions = Array.isArray(dataset) ? dataset : dataset.questions;
+    if (!Array.isArray(questions) || !questions.length) {
+      throw this.createEvaluationError(`${file} has no questions`);
+    }
+
+    const ids = new Set();
+    questions.forEach((item, index) => {
+      if (!item.id || !item.question) {
+        throw this.createEvaluationError(`Question ${index + 1} of ${file} needs an id and a question`);
+      }
+      if (ids.has(item.id)) {
+        throw this.createEvaluationError(`${file} has more than one question ${item.id}`);
+      }
+      if (!item.goldSql && !Array.isArray(item.goldResult)) {
+        throw this.createEvaluationError(`Question ${item.id} needs goldSql or goldResult`);
+      }
+      ids.add(item.id);
+    });
+
+    return {
+      name: dataset.name || path.basename(file, path.extname(file)),
+      questions,
+    };
+  }
+
+  // The report pipeline cut after SQL generation, including custom stages
+  // added before it
+  async createPipeline() {
+    await this.reportService.ensurePipeline();
+    const { reportPipeline } = this.reportService;
+    const stages = reportPipeline.stages.slice(0, reportPipeline.indexOf(LAST_EVALUATED_STAGE) + 1);
+
+    return new PipelineEngine(stages, {
+      initialKeys: REPORT_PIPELINE_INPUTS,
+      stageTimeoutMs: reportPipeline.stageTimeoutMs,
+      stageTimeouts: reportPipeline.stageTimeouts,
+    });
+  }
+
+  // Execution match: the same rows with the same values, whatever the column
+  // names and order. Row order only counts for `ordered` questions.
+  compareResults(predicted, gold, ordered = false) {
+    if (predicted.length !== gold.length) return false;
+
+    const predictedRows = predicted.map(canonicalRow);
+    const goldRows = gold.map(canonicalRow);
+    if (!ordered) {
+      predictedRows.sort();
+      goldRows.sort();
+    }
+    return predictedRows.every((row, index) => row === goldRows[index]);
+  }
+
+  // Share of the gold tables that were identified, or null without gold tables
+  getTableRecall(goldTables, predictedTables) {
+    if (!goldTables?.length) return null;
+
+    const predicted = new Set(predictedTables.map(normalizeTable));
+    const found = goldTables.filter((table) => predicted.has(normalizeTable(table)));
+    return found.length / goldTables.length;
+  }
+
+  async executeTimed(sql) {
+    const startedAt = performance.now();
+    const result = await this.reportService.sqlGuardService.executeReadOnly(sql);
+    return {
+      rows: result.rows,
+      truncated: Boolean(result.policy?.truncated),
+      durationMs: Math.round(performance.now() - startedAt),
+    };
+  }
+
+  async evaluateQuestion(pipeline, item) {
+    const reportId = randomUUID();
+    const latency = {};
+    const failedStages = [];
+    const result = {
+      id: item.id,
+      question: item.question,
+      goldTables: item.tables || [],
+      tables: [],
+      tableRecall: null,
+      sql: null,
+      sqlSource: null,
+      executed: false,
+      match: null,
+      rowCount: null,
+      goldRowCount: null,
+      truncated: false,
+      failedStages,
+      error: null,
+      latency,
+      totalMs: 0,
+      usage: null,
+    };
+
+    // Without a gold result the question can't be scored
+    let gold;
+    try {
+      gold = Array.isArray(item.goldResult)
+        ? { rows: item.goldResult }
+        : await this.reportService.sqlGuardService.executeReadOnly(item.goldSql);
+      result.goldRowCount = gold.rows.length;
+    } catch (error) {
+      result.error = `Gold SQL failed: ${error.message}`;
+      return result;
+    }
+
+    const startedAt = performance.now();
+    const meter = await this.reportService.usageService.createMeter(reportId, "evaluation");
+
+    try {
+      const { state } = await runWithUsageMeter(meter, () =>
+        pipeline.run(
+          { reportId, userPrompt: item.question, conversationHistory: [] },
+          {
+            context: { reportId, streaming: false, sendUpdate: () => {} },
+            onEvent: ({ stage, phase, durationMs }) => {
+              if (durationMs !== undefined) latency[stage] = durationMs;
+              if (phase === "failed") failedStages.push(stage);
+            },
+          }
+        )
+      );
+
+      result.tables = state.relevantTables || [];
+      result.tableRecall = this.getTableRecall(item.tables, result.tables);
+      result.sql = state.sql || null;
+      result.sqlSource = state.sqlSource || null;
+      if (!result.sql) throw new Error("No SQL was generated");
+
+      const predicted = await this.executeTimed(result.sql);
+      latency.executeSql = predicted.durationMs;
+      result.executed = true;
+      result.rowCount = predicted.rows.length;
+      result.truncated = predicted.truncated;
+      result.match = this.compareResults(predicted.rows, gold.rows, item.ordered);
+    } catch (error) {
+      // A question the pipeline or its SQL failed on is a miss
+      result.error = error.message;
+      result.match = false;
+    }
+
+    result.totalMs = Math.round(performance.now() - startedAt);
+    result.usage = this.reportService.usageService.summarize(meter);
+    return result;
+  }
+
+  summarize(results) {
+    const stageNames = [...new Set(results.flatMap((result) => Object.keys(result.latency)))];
+    const stageLatency = (stage) =>
+      describeLatency(
+        results.map((result) => result.latency[stage]).filter((value) => value !== undefined)
+      );
+
+    const stages = Object.fromEntries(
+      stageNames.map((stage) => [
+        stage,
+        {
+          failures: results.filter((result) => result.failedStages.includes(stage)).length,
+          ...stageLatency(stage),
+        },
+      ])
+    );
+
+    // Accuracy of the stages that are scored: every gold table found, SQL
+    // that runs, and SQL that returns the gold result
+    if (stages.identifyTables) {
+      stages.identifyTables.accuracy = roundMetric(
+        rate(results, (result) => (result.tableRecall === null ? null : result.tableRecall === 1))
+      );
+    }
+    if (stages.generateSql) {
+      stages.generateSql.accuracy = roundMetric(rate(results, (result) => result.executed));
+    }
+    if (stages.executeSql) {
+      stages.executeSql.accuracy = roundMetric(rate(results, (result) => result.match));
+    }
+
+    return {
+      questions: results.length,
+      executionAccuracy: roundMetric(rate(results, (result) => result.match)),
+      validSqlRate: roundMetric(rate(results, (result) => result.executed)),
+      tableRecall: roundMetric(
+        mean(results.map((result) => result.tableRecall).filter((recall) => recall !== null))
+      ),
+      errors: results.filter((result) => result.error).length,
+      latency: describeLatency(results.map((result) => result.totalMs)),
+      tokens: results.reduce((sum, result) => sum + (result.usage?.totalTokens || 0), 0),
+      cost: roundMetric(results.reduce((sum, result) => sum + (result.usage?.cost || 0), 0)),
+      stages,
+    };
+  }
+
+  // Evaluate a dataset. `only` limits it to some question ids; onResult gets
+  // each question's result as it is scored. The run records the provider,
+  // model, stage settings and commit it was made with, so runs of prompt or
+  // model variants can be told apart and diffed.
+  async run(dataset, { label = null, only = null, onResult = () => {} } = {}) {
+    const questions = only
+      ? dataset.questions.filter((item) => only.includes(item.id))
+      : dataset.questions;
+    const pipeline = await this.createPipeline();
+    const startedAt = new Date().toISOString();
+
+    const results = [];
+    for (const item of questions) {
+      const result = await this.evaluateQuestion(pipeline, item);
+      results.push(result);
+      onResult(result);
+    }
+
+    return {
+      label: label || `${llmConfig.provider}-${llmConfig.model}`,
+      dataset: dataset.name,
+      startedAt,
+      config: {
+        dataSource: this.reportService.dataSource.name,
+        dialect: this.reportService.dataSource.dialect.name,
+        provider: llmConfig.provider,
+        model: llmConfig.model,
+        stages: llmStages,
+        fixtures: llmConfig.fixturesMode,
+        commit: getCommit(),
+      },
+      summary: this.summarize(results),
+      results,
+    };
+  }
+
+  // What changed from run `base` to run `head`: the summary metrics and the
+  // questions that started or stopped matching, or whose tables or SQL changed
+  diff(base, head) {
+    const delta = (before, after) =>
+      before === null || after === null ? null : roundMetric(after - before);
+    const metrics = ["executionAccuracy", "validSqlRate", "tableRecall", "errors", "tokens", "cost"];
+
+    const summary = Object.fromEntries(
+      metrics.map((metric) => [
+        metric,
+        {
+          base: base.summary[metric],
+          head: head.summary[metric],
+          delta: delta(base.summary[metric], head.summary[metric]),
+        },
+      ])
+    );
+    summary.meanLatencyMs = {
+      base: base.summary.latency.meanMs,
+      head: head.summary.latency.meanMs,
+      delta: delta(base.summary.latency.meanMs, head.summary.latency.meanMs),
+    };
+
+    const baseResults = new Map(base.results.map((result) => [result.id, result]));
+    const questions = head.results
+      .filter((result) => baseResults.has(result.id))
+      .map((result) => {
+        const before = baseResults.get(result.id);
+        let change = null;
+        if (before.match !== true && result.match === true) change = "fixed";
+        else if (before.match === true && result.match !== true) change = "regressed";
+        else if (before.tableRecall !== result.tableRecall) change = "tables";
+        else if (before.sql !== result.sql) change = "sql";
+
+        return {
+          id: result.id,
+          question: result.question,
+          change,
+          match: { base: before.match, head: result.match },
+          tableRecall: { base: before.tableRecall, head: result.tableRecall },
+          sql: { base: before.sql, head: result.sql },
+          totalMs: { base: before.totalMs, head: result.totalMs },
+        };
+      })
+      .filter((question) => question.change);
+
+    return {
+      base: { label: base.label, config: base.config },
+      head: { label: head.label, config: head.config },
+      summary,
+      questions,
+      // Questions only one of the runs has
+      unmatched: [
+        ...base.results.filter((result) => !head.results.some((other) => other.id === result.id)),
+        ...head.results.filter((result) => !baseResults.has(result.id)),
+      ].map((result) => result.id),
+    };
+  }
+}
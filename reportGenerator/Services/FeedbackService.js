@@ -0,0 +1,126 @@
+const RATINGS = { up: 1, down: -1, "1": 1, "-1": -1 };
+const MAX_COMMENT_LENGTH = 2000;
+
+// Feedback on a generated report: a thumbs up/down, corrected SQL and/or a
+// free-text comment. Ratings re-weight the query learned or reused by the
+// report and corrected SQL is learned as a high-priority example.
+export class FeedbackService {
+  constructor(sqlGenerationService, sqlGuardService) {
+    this.sqlGenerationService = sqlGenerationService;
+    this.sqlGuardService = sqlGuardService;
+  }
+
+  get knowledgeBaseStore() {
+    return this.sqlGenerationService.knowledgeBaseStore;
+  }
+
+  createFeedbackError(message, statusCode) {
+    const error = new Error(message);
+    error.code = "INVALID_FEEDBACK";
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  // Validate the request body and normalize it to { rating, correctedSql, comment }
+  normalizeFeedback({ rating = null, correctedSql = null, comment = null } = {}) {
+    let normalizedRating = null;
+    if (rating !== null && rating !== undefined && rating !== "") {
+      normalizedRating = RATINGS[String(rating).toLowerCase()] ?? null;
+      if (normalizedRating === null) {
+        throw this.createFeedbackError('rating must be "up" or "down"', 400);
+      }
+    }
+
+    if (correctedSql !== null && typeof correctedSql !== "string") {
+      throw this.createFeedbackError("correctedSql must be a string", 400);
+    }
+    if (comment !== null && typeof comment !== "string") {
+      throw this.createFeedbackError("comment must be a string", 400);
+    }
+
+    const normalizedComment = comment?.trim() || null;
+    if (normalizedComment && normalizedComment.length > MAX_COMMENT_LENGTH) {
+      throw this.createFeedbackError(
+        `comment must be at most ${MAX_COMMENT_LENGTH} characters`,
+        400
+      );
+    }
+
+    const feedback = {
+      rating: normalizedRating,
+      correctedSql: correctedSql?.trim() || null,
+      comment: normalizedComment,
+    };
+
+    if (!feedback.rating && !feedback.correctedSql && !feedback.comment) {
+      throw this.createFeedbackError(
+        "Provide a rating, corrected SQL or a comment",
+        400
+      );
+    }
+
+    return feedback;
+  }
+
+  // A thumbs down, or a correction without a thumbs up, means the learned SQL
+  // for this report was wrong
+  getWeightDelta({ rating, correctedSql }) {
+    const step = this.knowledgeBaseStore.config.feedbackWeightStep;
+    if (rating === 1) return step;
+    if (rating === -1 || correctedSql) return -step;
+    return 0;
+  }
+
+  async submitFeedback(reportId, body) {
+    const feedback = this.normalizeFeedback(body);
+
+    const run = await this.knowledgeBaseStore.getReportRun(reportId);
+    if (!run) {
+      throw this.createFeedbackError(`Report ${reportId} was not found`, 404);
+    }
+
+    let correctedEntry = null;
+    if (feedback.correctedSql) {
+      // Corrected SQL becomes an example, so it has to pass the same guard as
+      // generated SQL (throws SQL_REJECTED)
+      feedback.correctedSql = this.sqlGuardService.assertReadOnly(
+        feedback.correctedSql
+      );
+
+      correctedEntry = {
+        ...this.sqlGenerationService.buildQueryPattern(
+          feedback.correctedSql,
+          run.userPrompt,
+          0
+        ),
+        reportId,
+        source: "corrected",
+        weight: this.knowledgeBaseStore.config.correctedQueryWeight,
+      };
+    }
+
+    const saved = await this.knowledgeBaseStore.saveFeedback(
+      reportId,
+      feedback,
+      this.getWeightDelta(feedback),
+      correctedEntry
+    );
+    const { weightDelta } = saved;
+
+    this.sqlGenerationService.applyFeedback(
+      reportId,
+      weightDelta,
+      correctedEntry,
+      saved.reusedQueryId
+    );
+
+    return {
+      id: saved.id,
+      reportId,
+      rating: feedback.rating,
+      weightDelta,
+      correctedQueryLearned: Boolean(correctedEntry),
+      createdAt: saved.createdAt,
+    };
+  }
+}
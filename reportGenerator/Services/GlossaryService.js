@@ -0,0 +1,242 @@
+import defaultPool from "../Config/Db.js";
+import { runMigrations } from "./MigrationService.js";
+
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_ALIASES = 50;
+
+// CRUD for the business glossary: display names, aliases and descriptions of
+// tables and columns. SchemaService merges the entries into the schema;
+// onChange is called after every write so cached schemas can be refreshed.
+export class GlossaryService {
+  constructor(schemaService, onChange = null, pool = defaultPool) {
+    this.schemaService = schemaService;
+    this.onChange = onChange;
+    this.pool = pool;
+  }
+
+  createGlossaryError(message, statusCode) {
+    const error = new Error(message);
+    error.code = "INVALID_GLOSSARY_ENTRY";
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  parseId(id) {
+    const entryId = Number(id);
+    if (!Number.isSafeInteger(entryId) || entryId <= 0) {
+      throw this.createGlossaryError(`Glossary entry ${id} was not found`, 404);
+    }
+    return entryId;
+  }
+
+  toEntry(row) {
+    return {
+      id: Number(row.id),
+      table: row.table_name,
+      column: row.column_name,
+      displayName: row.display_name,
+      aliases: row.aliases,
+      description: row.description,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString(),
+    };
+  }
+
+  readText(body, field, maxLength) {
+    const value = body[field];
+    if (value === undefined || value === null) return null;
+    if (typeof value !== "string") {
+      throw this.createGlossaryError(`${field} must be a string`, 400);
+    }
+
+    const trimmed = value.trim();
+    if (trimmed.length > maxLength) {
+      throw this.createGlossaryError(`${field} must be at most ${maxLength} characters`, 400);
+    }
+    return trimmed || null;
+  }
+
+  readAliases(body) {
+    const { aliases } = body;
+    if (aliases === undefined || aliases === null) return [];
+    if (!Array.isArray(aliases) || aliases.some((alias) => typeof alias !== "string")) {
+      throw this.createGlossaryError("aliases must be an array of strings", 400);
+    }
+
+    // Trimmed, without blanks or case-insensitive duplicates
+    const seen = new Set();
+    const normalized = aliases
+      .map((alias) => alias.trim())
+      .filter((alias) => {
+        const key = alias.toLowerCase();
+        if (!alias || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+    if (normalized.length > MAX_ALIASES) {
+      throw this.createGlossaryError(`At most ${MAX_ALIASES} aliases are allowed`, 400);
+    }
+    if (normalized.some((alias) => alias.length > MAX_NAME_LENGTH)) {
+      throw this.createGlossaryError(
+        `Aliases must be at most ${MAX_NAME_LENGTH} characters`,
+        400
+      );
+    }
+    return normalized;
+  }
+
+  // Validate a request body and normalize it. On update, fields missing from
+  // the body keep their current value and the target can't change.
+  normalizeEntry(body = {}, existing = null) {
+    const has = (field) => Object.prototype.hasOwnProperty.call(body, field);
+
+    if (existing && (has("table") || has("column"))) {
+      const sameTarget =
+        (!has("table") || body.table === existing.table) &&
+        (!has("column") || (body.column || null) === existing.column);
+      if (!sameTarget) {
+        throw this.createGlossaryError(
+          "table and column can't be changed; delete the entry and create a new one",
+          400
+        );
+      }
+    }
+
+    const entry = {
+      table: existing ? existing.table : this.readText(body, "table", MAX_NAME_LENGTH),
+      column: existing ? existing.column : this.readText(body, "column", MAX_NAME_LENGTH),
+      displayName:
+        !existing || has("displayName")
+          ? this.readText(body, "displayName", MAX_NAME_LENGTH)
+          : existing.displayName,
+      aliases: !existing || has("aliases") ? this.readAliases(body) : existing.aliases,
+      description:
+        !existing || has("description")
+          ? this.readText(body, "description", MAX_DESCRIPTION_LENGTH)
+          : existing.description,
+    };
+
+    if (!entry.table) {
+      throw this.createGlossaryError("table is required", 400);
+    }
+    if (!entry.displayName && entry.aliases.length === 0 && !entry.description) {
+      throw this.createGlossaryError(
+        "Provide a displayName, aliases or a description",
+        400
+      );
+    }
+
+    return entry;
+  }
+
+  // Entries must describe a table or column that exists
+  async assertTargetExists({ table, column }) {
+    const schemas = await this.schemaService.getAllTableSchemas();
+    const schema = schemas[table];
+
+    if (!schema) {
+      throw this.createGlossaryError(`Table ${table} was not found`, 400);
+    }
+    if (column && !schema.columns.some((col) => col.column_name === column)) {
+      throw this.createGlossaryError(`Column ${table}.${column} was not found`, 400);
+    }
+  }
+
+  async notifyChange() {
+    try {
+      await this.onChange?.();
+    } catch (error) {
+      console.error("Error applying glossary change:", error);
+    }
+  }
+
+  async listEntries({ table = null } = {}) {
+    await runMigrations(this.pool);
+
+    const { rows } = await this.pool.query(
+      `SELECT * FROM report_ai.glossary_entries
+       WHERE $1::text IS NULL OR table_name = $1
+       ORDER BY table_name, column_name NULLS FIRST`,
+      [table || null]
+    );
+    return rows.map((row) => this.toEntry(row));
+  }
+
+  async getEntry(id) {
+    const entryId = this.parseId(id);
+    await runMigrations(this.pool);
+
+    const { rows } = await this.pool.query(
+      "SELECT * FROM report_ai.glossary_entries WHERE id = $1",
+      [entryId]
+    );
+    if (rows.length === 0) {
+      throw this.createGlossaryError(`Glossary entry ${id} was not found`, 404);
+    }
+    return this.toEntry(rows[0]);
+  }
+
+  async createEntry(body) {
+    const entry = this.normalizeEntry(body);
+    await this.assertTargetExists(entry);
+    await runMigrations(this.pool);
+
+    try {
+      const { rows } = await this.pool.query(
+        `INSERT INTO report_ai.glossary_entries
+           (table_name, column_name, display_name, aliases, description)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [entry.table, entry.column, entry.displayName, entry.aliases, entry.description]
+      );
+
+      await this.notifyChange();
+      return this.toEntry(rows[0]);
+    } catch (error) {
+      // 23505 = unique_violation: the table or column already has an entry
+      if (error.code === "23505") {
+        throw this.createGlossaryError(
+          `${entry.column ? `${entry.table}.${entry.column}` : entry.table} already has a glossary entry`,
+          409
+        );
+      }
+      throw error;
+    }
+  }
+
+  async updateEntry(id, body) {
+    const existing = await this.getEntry(id);
+    const entry = this.normalizeEntry(body, existing);
+
+    const { rows } = await this.pool.query(
+      `UPDATE report_ai.glossary_entries
+       SET display_name = $2, aliases = $3, description = $4, updated_at = now()
+       WHERE id = $1
+       RETURNING *`,
+      [existing.id, entry.displayName, entry.aliases, entry.description]
+    );
+    if (rows.length === 0) {
+      throw this.createGlossaryError(`Glossary entry ${id} was not found`, 404);
+    }
+
+    await this.notifyChange();
+    return this.toEntry(rows[0]);
+  }
+
+  async deleteEntry(id) {
+    const entryId = this.parseId(id);
+    await runMigrations(this.pool);
+
+    const { rowCount } = await this.pool.query(
+      "DELETE FROM report_ai.glossary_entries WHERE id = $1",
+      [entryId]
+    );
+    if (rowCount === 0) {
+      throw this.createGlossaryError(`Glossary entry ${id} was not found`, 404);
+    }
+
+    await this.notifyChange();
+  }
+}
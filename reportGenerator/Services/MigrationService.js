@@ -0,0 +1,98 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import defaultPool from "../Config/Db.js";
+
+const MIGRATIONS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "Migrations"
+);
+
+// Arbitrary key for the advisory lock that keeps server instances from
+// applying the same migration at the same time
+const MIGRATION_LOCK_KEY = 48151623;
+
+export class MigrationService {
+  constructor(directory = MIGRATIONS_DIR, pool = defaultPool) {
+    this.directory = directory;
+    this.pool = pool;
+  }
+
+  // Migration files are applied in file name order: 001_..., 002_...
+  async listMigrations() {
+    const files = await fs.readdir(this.directory);
+    return files.filter((file) => file.endsWith(".sql")).sort();
+  }
+
+  // Apply every migration that has not been recorded yet, each in its own
+  // transaction. Returns the names of the migrations that were applied.
+  async run() {
+    const client = await this.pool.connect();
+    const applied = [];
+
+    try {
+      await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+
+      await client.query("CREATE SCHEMA IF NOT EXISTS report_ai");
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS report_ai.schema_migrations (
+          name TEXT PRIMARY KEY,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+      `);
+
+      const { rows } = await client.query(
+        "SELECT name FROM report_ai.schema_migrations"
+      );
+      const done = new Set(rows.map((row) => row.name));
+
+      for (const name of await this.listMigrations()) {
+        if (done.has(name)) continue;
+
+        const sql = await fs.readFile(path.join(this.directory, name), "utf8");
+
+        try {
+          await client.query("BEGIN");
+          await client.query(sql);
+          await client.query(
+            "INSERT INTO report_ai.schema_migrations (name) VALUES ($1)",
+            [name]
+          );
+          await client.query("COMMIT");
+          applied.push(name);
+          console.log(`Applied migration ${name}`);
+        } catch (error) {
+          await client.query("ROLLBACK").catch(() => {});
+          error.message = `Migration ${name} failed: ${error.message}`;
+          throw error;
+        }
+      }
+
+      return applied;
+    } finally {
+      await client
+        .query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY])
+        .catch(() => {});
+      client.release();
+    }
+  }
+}
+
+// Migrations run once per process and database; callers that need the tables
+// await this with the pool of the database they use
+const migrationRuns = new Map();
+
+export const runMigrations = (pool = defaultPool) => {
+  if (!migrationRuns.has(pool)) {
+    migrationRuns.set(
+      pool,
+      new MigrationService(MIGRATIONS_DIR, pool).run().catch((error) => {
+        // Allow a later call to retry, e.g. once the database is reachable
+        migrationRuns.delete(pool);
+        throw error;
+      })
+    );
+  }
+  return migrationRuns.get(pool);
+};
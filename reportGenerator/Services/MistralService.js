@@ -1,20 +1,42 @@
+import { createLlmProvider } from "../Providers/index.js";
+import llmStages from "../Config/LlmStages.js";
+import {
+  cancellableDelay,
+  getCurrentSignal,
+  isCancellationError,
+  throwIfCancelled,
+} from "./CancellationService.js";
+import { setSpanAttributes, withSpan } from "./TraceService.js";
+
 export class MistralService {
-  constructor(mistralClient) {
-    this.mistral = mistralClient;
+  constructor(provider = createLlmProvider(), stages = llmStages, usageService = null) {
+    // LLM backend selected by configuration (Mistral, OpenAI-compatible or fake)
+    this.provider = provider;
+    // Model and generation parameters per pipeline stage
+    this.stages = stages;
+    // Counts the tokens of every call and enforces the budgets
+    this.usageService = usageService;
+    // Most recent calls with the stage they served, newest last
+    this.recentCalls = [];
+    this.maxRecentCalls = 200;
     this.maxRetries = 3; // Maximum number of retries
     this.baseDelay = 1000; // Base delay in milliseconds (1 second)
   }
 
-  // Helper function to delay execution
-  async delay(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  // Helper function to delay execution, cut short when the report is cancelled
+  async delay(ms, signal = getCurrentSignal()) {
+    return cancellableDelay(ms, signal);
   }
 
   // Retry wrapper with exponential backoff
-  async retryWithBackoff(operation, retryCount = 0) {
+  async retryWithBackoff(operation, retryCount = 0, signal = getCurrentSignal()) {
     try {
+      throwIfCancelled(signal);
       return await operation();
     } catch (error) {
+      // A cancelled report is not retried
+      if (isCancellationError(error)) throw error;
+
       // Check for rate limit errors (429) from both direct API calls and client library
       const isRateLimit =
         error?.statusCode === 429 ||
@@ -30,8 +52,8 @@ export class MistralService {
             retryCount + 1
           }/${this.maxRetries})`
         );
-        await this.delay(delayTime);
-        return this.retryWithBackoff(operation, retryCount + 1);
+        await this.delay(delayTime, signal);
+        return this.retryWithBackoff(operation, retryCount + 1, signal);
       }
 
       // If we've exhausted retries or it's not a rate limit error
@@ -63,9 +85,56 @@ export class MistralService {
       .join("\n");
   }
 
-  // Generate response from Mistral AI with retry capability
-  async generateMistralResponse(prompt, conversationHistory = []) {
-    return this.retryWithBackoff(async () => {
+  // Resolve the generation settings for a stage on top of the defaults
+  getStageSettings(stage) {
+    const settings = {
+      ...this.stages.default,
+      ...(stage ? this.stages[stage] : {}),
+    };
+
+    return {
+      model: settings.model || this.provider.model,
+      temperature: settings.temperature ?? null,
+      maxTokens: settings.maxTokens ?? null,
+      stop: settings.stop ?? null,
+    };
+  }
+
+  // Remember which stage a call served and with which settings
+  recordCall(call) {
+    this.recentCalls.push(call);
+    if (this.recentCalls.length > this.maxRecentCalls) {
+      this.recentCalls.shift();
+    }
+    console.log(
+      `LLM call [${call.stage || "default"}] model=${call.model} took ${call.durationMs}ms`
+    );
+  }
+
+  // Generate response from the configured LLM provider with retry capability.
+  // `options.stage` selects the model and generation parameters for the call,
+  // `options.responseFormat: "json"` requests the provider's JSON mode and
+  // `options.signal` (by default the current report's) aborts the request.
+  async generateMistralResponse(prompt, conversationHistory = [], options = {}) {
+    const stage = options.stage || null;
+    const settings = this.getStageSettings(stage);
+    const responseFormat = options.responseFormat || null;
+    const signal = options.signal || getCurrentSignal();
+    let attempts = 0;
+
+    // A report that used up its budget makes no more calls
+    this.usageService?.assertWithinBudget();
+
+    // One span for the call, including its retries
+    return withSpan(`llm ${stage || "default"}`, "llm", {
+      "llm.provider": this.provider.name,
+      "llm.stage": stage,
+      "llm.model": settings.model,
+      "llm.prompt_chars": prompt.length,
+    }, () => this.retryWithBackoff(async () => {
+      attempts += 1;
+      setSpanAttributes({ "llm.retries": attempts - 1 });
+
       try {
         // Prepare messages array
         const messages = [];
@@ -91,41 +160,49 @@ export class MistralService {
           content: prompt,
         });
 
-        // Use a direct approach without relying on the client's chat.complete method
-        const response = await fetch(
-          "https://api.mistral.ai/v1/chat/completions",
-          {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${process.env.MISTRAL_API_KEY}`,
-            },
-            body: JSON.stringify({
-              model: "mistral-small-latest",
-              messages: messages,
-            }),
-          }
-        );
-
-        if (!response.ok) {
-          if (response.status === 429) {
-            // Special handling for rate limit errors
-            console.log("Rate limit detected, will retry with backoff");
-            const error = new Error("Requests rate limit exceeded");
-            error.statusCode = 429;
-            throw error;
-          }
+        const startedAt = Date.now();
+        const response = await this.provider.chat({
+          messages,
+          stage,
+          responseFormat,
+          signal,
+          ...settings,
+        });
 
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(
-            `Mistral API error: ${response.status} ${JSON.stringify(errorData)}`
-          );
-        }
+        this.recordCall({
+          stage,
+          ...settings,
+          model: response.model || settings.model,
+          durationMs: Date.now() - startedAt,
+          timestamp: new Date().toISOString(),
+        });
+        const usage = this.usageService?.recordCall({
+          stage,
+          provider: this.provider.name,
+          model: response.model || settings.model,
+          usage: response.usage,
+          promptText: messages.map((message) => message.content).join("\n"),
+          completionText: response.content,
+        });
+        setSpanAttributes({
+          "llm.model": response.model || settings.model,
+          "llm.history_messages": messages.length - 1,
+          "llm.response_chars": response.content?.length ?? 0,
+          "llm.latency_ms": Date.now() - startedAt,
+          ...(usage
+            ? {
+                "llm.prompt_tokens": usage.promptTokens,
+                "llm.completion_tokens": usage.completionTokens,
+                "llm.tokens_estimated": usage.estimated,
+                "llm.cost": usage.cost,
+              }
+            : {}),
+        });
 
-        const data = await response.json();
-        return data.choices[0].message.content;
+        return response.content;
       } catch (error) {
-        console.error("Error calling Mistral AI:", error);
+        if (isCancellationError(error)) throw error;
+        console.error(`Error calling ${this.provider.name} LLM provider:`, error);
 
         // Properly propagate rate limit errors for the retry mechanism
         if (
@@ -139,6 +216,6 @@ export class MistralService {
 
         throw new Error(`AI Service Error: ${error.message}`);
       }
-    });
+    }, 0, signal));
   }
 } 
\ No newline at end of file
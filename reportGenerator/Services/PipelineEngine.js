@@ -0,0 +1,230 @@
+import {
+  getCurrentSignal,
+  isCancellationError,
+  runWithSignal,
+  throwIfCancelled,
+} from "./CancellationService.js";
+import { withSpan } from "./TraceService.js";
+
+const ERROR_POLICIES = ["fail", "continue", "fallback"];
+
+const pick = (source, keys) =>
+  Object.fromEntries(keys.filter((key) => key in source).map((key) => [key, source[key]]));
+
+// Runs named stages in order over a shared state. A stage is
+//   { name, inputs, outputs, run(inputs, context), skip?(inputs, context),
+//     timeoutMs?, onError?, fallback?(error, inputs, context), defaults? }
+// `run` gets the state keys listed in `inputs` and returns an object whose keys
+// listed in `outputs` are written back; every input must be an initial key or
+// the output of an earlier stage. A skipped stage writes its `defaults` (an
+// object, or a function of the inputs returning one). `onError` decides what a
+// failure does: "fail" (the default) ends the run, "continue" writes the
+// defaults and "fallback" writes what `fallback` returns. A stage can end the
+// run early with context.stop(result).
+export class PipelineEngine {
+  constructor(stages = [], { initialKeys = [], stageTimeoutMs = 0, stageTimeouts = {} } = {}) {
+    this.initialKeys = initialKeys;
+    this.stageTimeoutMs = stageTimeoutMs;
+    this.stageTimeouts = { ...stageTimeouts };
+    this.stages = [];
+    stages.forEach((stage) => this.addStage(stage));
+  }
+
+  createPipelineError(message) {
+    const error = new Error(message);
+    error.code = "PIPELINE_INVALID";
+    return error;
+  }
+
+  createTimeoutError(stage, timeoutMs) {
+    const error = new Error(`Stage ${stage.name} timed out after ${timeoutMs}ms`);
+    error.code = "STAGE_TIMEOUT";
+    error.stage = stage.name;
+    return error;
+  }
+
+  normalizeStage(stage) {
+    if (!stage?.name || typeof stage.run !== "function") {
+      throw this.createPipelineError("A stage needs a name and a run function");
+    }
+
+    const onError = stage.onError || "fail";
+    if (!ERROR_POLICIES.includes(onError)) {
+      throw this.createPipelineError(
+        `Stage ${stage.name} has an unknown error policy "${onError}"`
+      );
+    }
+    if (onError === "fallback" && typeof stage.fallback !== "function") {
+      throw this.createPipelineError(`Stage ${stage.name} needs a fallback function`);
+    }
+
+    return { ...stage, inputs: stage.inputs || [], outputs: stage.outputs || [], onError };
+  }
+
+  // Every input has to be available by the time its stage runs
+  validate(stages = this.stages) {
+    const available = new Set(this.initialKeys);
+
+    stages.forEach((stage) => {
+      const missing = stage.inputs.filter((key) => !available.has(key));
+      if (missing.length) {
+        throw this.createPipelineError(
+          `Stage ${stage.name} reads ${missing.join(", ")}, which no earlier stage writes`
+        );
+      }
+      stage.outputs.forEach((key) => available.add(key));
+    });
+  }
+
+  indexOf(name) {
+    const index = this.stages.findIndex((stage) => stage.name === name);
+    if (index === -1) {
+      throw this.createPipelineError(`There is no stage ${name}`);
+    }
+    return index;
+  }
+
+  // Add a stage at the end, or before/after the named stage
+  addStage(stage, { before = null, after = null } = {}) {
+    const normalized = this.normalizeStage(stage);
+    if (this.stages.some((existing) => existing.name === normalized.name)) {
+      throw this.createPipelineError(`There already is a stage ${normalized.name}`);
+    }
+
+    let index = this.stages.length;
+    if (before) index = this.indexOf(before);
+    if (after) index = this.indexOf(after) + 1;
+
+    const stages = [...this.stages];
+    stages.splice(index, 0, normalized);
+    this.validate(stages);
+    this.stages = stages;
+    return this;
+  }
+
+  replaceStage(name, stage) {
+    const stages = [...this.stages];
+    stages[this.indexOf(name)] = this.normalizeStage(stage);
+    this.validate(stages);
+    this.stages = stages;
+    return this;
+  }
+
+  removeStage(name) {
+    this.indexOf(name);
+    const stages = this.stages.filter((stage) => stage.name !== name);
+    this.validate(stages);
+    this.stages = stages;
+    return this;
+  }
+
+  getStageNames() {
+    return this.stages.map((stage) => stage.name);
+  }
+
+  getTimeout(stage) {
+    return this.stageTimeouts[stage.name] ?? stage.timeoutMs ?? this.stageTimeoutMs;
+  }
+
+  getDefaults(stage, inputs) {
+    return typeof stage.defaults === "function"
+      ? stage.defaults(inputs)
+      : stage.defaults || {};
+  }
+
+  // Run a stage under its timeout. The timeout aborts the signal the stage's
+  // LLM calls and queries listen to, so they stop along with it.
+  async runStage(stage, inputs, context) {
+    const timeoutMs = this.getTimeout(stage);
+    if (!timeoutMs) return stage.run(inputs, context);
+
+    const parent = getCurrentSignal();
+    const timeout = new AbortController();
+    const signal = parent ? AbortSignal.any([parent, timeout.signal]) : timeout.signal;
+    const timer = setTimeout(
+      () => timeout.abort(this.createTimeoutError(stage, timeoutMs)),
+      timeoutMs
+    );
+
+    try {
+      return await runWithSignal(signal, () =>
+        Promise.race([
+          stage.run(inputs, context),
+          new Promise((resolve, reject) =>
+            signal.addEventListener("abort", () => reject(signal.reason), { once: true })
+          ),
+        ])
+      );
+    } catch (error) {
+      if (timeout.signal.aborted && !parent?.aborted) throw timeout.signal.reason;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Run every stage over a copy of initialState. onEvent gets
+  // { stage, phase: "started" | "finished" | "skipped" | "failed", durationMs, error }.
+  // Returns { state, result, stoppedBy }, where result is what a stage passed
+  // to context.stop (null if none did).
+  async run(initialState, { context = {}, onEvent = () => {} } = {}) {
+    const state = { ...initialState };
+    let stopped = null;
+    const stageContext = {
+      ...context,
+      stop: (result) => {
+        stopped = { result };
+      },
+    };
+
+    for (const stage of this.stages) {
+      throwIfCancelled();
+      const inputs = pick(state, stage.inputs);
+
+      if (stage.skip && (await stage.skip(inputs, stageContext))) {
+        Object.assign(state, pick(this.getDefaults(stage, inputs), stage.outputs));
+        await withSpan(stage.name, "stage", { "pipeline.stage.skipped": true }, () => {});
+        onEvent({ stage: stage.name, phase: "skipped" });
+        continue;
+      }
+
+      onEvent({ stage: stage.name, phase: "started" });
+      const startedAt = Date.now();
+      let outputs;
+
+      try {
+        outputs = await withSpan(
+          stage.name,
+          "stage",
+          { "pipeline.stage.timeout_ms": this.getTimeout(stage) || null },
+          () => this.runStage(stage, inputs, stageContext)
+        );
+        onEvent({ stage: stage.name, phase: "finished", durationMs: Date.now() - startedAt });
+      } catch (error) {
+        if (isCancellationError(error)) throw error;
+        error.stage = error.stage || stage.name;
+
+        onEvent({
+          stage: stage.name,
+          phase: "failed",
+          durationMs: Date.now() - startedAt,
+          error: error.message,
+        });
+        if (stage.onError === "fail") throw error;
+
+        console.warn(`Stage ${stage.name} failed, continuing:`, error.message);
+        outputs =
+          stage.onError === "fallback"
+            ? await stage.fallback(error, inputs, stageContext)
+            : this.getDefaults(stage, inputs);
+      }
+
+      Object.assign(state, pick(outputs || {}, stage.outputs));
+      if (stopped) {
+        return { state, result: stopped.result, stoppedBy: stage.name };
+      }
+    }
+
+    return { state, result: null, stoppedBy: null };
+  }
+}
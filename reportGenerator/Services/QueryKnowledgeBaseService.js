@@ -0,0 +1,293 @@
+import defaultPool from "../Config/Db.js";
+import knowledgeBaseConfig from "../Config/KnowledgeBase.js";
+import { runMigrations } from "./MigrationService.js";
+
+// Learned queries never weigh more than this, however much positive feedback they get
+const MAX_QUERY_WEIGHT = 3;
+
+// Reads and writes the query knowledge base and report feedback tables
+// created by the migrations in Migrations/
+export class QueryKnowledgeBaseService {
+  constructor(config = knowledgeBaseConfig, pool = defaultPool) {
+    this.config = { ...config };
+    this.pool = pool;
+  }
+
+  createEmptyKnowledgeBase() {
+    return {
+      successfulQueries: [],
+      queryPatterns: {},
+      tableUsageStats: {},
+      lastUpdated: null,
+    };
+  }
+
+  // Apply a feedback delta, keeping the weight between 0 (never used) and the max
+  adjustWeight(weight, delta) {
+    return Math.min(MAX_QUERY_WEIGHT, Math.max(0, (weight ?? 1) + delta));
+  }
+
+  // Tables and joins identify a pattern regardless of the filters used
+  getPatternKey(tables, joins) {
+    return [...new Set([...tables, ...joins].map((t) => t.toLowerCase()))]
+      .sort()
+      .join("+");
+  }
+
+  // Load the most recent successful queries plus all usage stats and patterns.
+  // Queries flagged by schema change detection are left out.
+  async load() {
+    await runMigrations(this.pool);
+
+    const [queries, stats, patterns] = await Promise.all([
+      this.pool.query(
+        `SELECT id, query, user_prompt, tables, joins, where_conditions, result_count,
+                report_id, source, weight, created_at
+         FROM report_ai.kb_successful_queries
+         WHERE invalidated_at IS NULL
+         ORDER BY created_at DESC, id DESC
+         LIMIT $1`,
+        [this.config.loadLimit]
+      ),
+      this.pool.query(
+        "SELECT table_name, usage_count FROM report_ai.kb_table_usage_stats"
+      ),
+      this.pool.query(
+        `SELECT pattern_key, tables, joins, usage_count, last_query, updated_at
+         FROM report_ai.kb_query_patterns`
+      ),
+    ]);
+
+    const knowledgeBase = this.createEmptyKnowledgeBase();
+
+    // Oldest first, matching the order queries are learned in
+    knowledgeBase.successfulQueries = queries.rows.reverse().map((row) => ({
+      id: Number(row.id),
+      query: row.query,
+      userPrompt: row.user_prompt,
+      tables: row.tables,
+      joins: row.joins,
+      whereConditions: row.where_conditions,
+      resultCount: row.result_count,
+      reportId: row.report_id,
+      source: row.source,
+      weight: row.weight,
+      timestamp: new Date(row.created_at).toISOString(),
+    }));
+
+    stats.rows.forEach((row) => {
+      knowledgeBase.tableUsageStats[row.table_name] = row.usage_count;
+    });
+
+    patterns.rows.forEach((row) => {
+      knowledgeBase.queryPatterns[row.pattern_key] = {
+        tables: row.tables,
+        joins: row.joins,
+        count: row.usage_count,
+        lastQuery: row.last_query,
+        lastUsed: new Date(row.updated_at).toISOString(),
+      };
+    });
+
+    const timestamps = knowledgeBase.successfulQueries.map((q) => q.timestamp);
+    knowledgeBase.lastUpdated = timestamps.length
+      ? timestamps[timestamps.length - 1]
+      : null;
+
+    return knowledgeBase;
+  }
+
+  // Record a successful query, its table usage and its pattern in one
+  // transaction so concurrent instances never see a partial update. Returns
+  // the new entry's id.
+  async saveSuccessfulQuery(queryPattern) {
+    await runMigrations(this.pool);
+
+    const { query, tables, joins } = queryPattern;
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const id = await this.insertSuccessfulQuery(client, queryPattern);
+
+      for (const table of tables) {
+        await client.query(
+          `INSERT INTO report_ai.kb_table_usage_stats (table_name, usage_count)
+           VALUES ($1, 1)
+           ON CONFLICT (table_name) DO UPDATE
+           SET usage_count = report_ai.kb_table_usage_stats.usage_count + 1,
+               updated_at = now()`,
+          [table]
+        );
+      }
+
+      const patternKey = this.getPatternKey(tables, joins);
+      if (patternKey) {
+        await client.query(
+          `INSERT INTO report_ai.kb_query_patterns
+             (pattern_key, tables, joins, usage_count, last_query)
+           VALUES ($1, $2, $3, 1, $4)
+           ON CONFLICT (pattern_key) DO UPDATE
+           SET usage_count = report_ai.kb_query_patterns.usage_count + 1,
+               last_query = EXCLUDED.last_query,
+               updated_at = now()`,
+          [patternKey, tables, joins, query]
+        );
+      }
+
+      await client.query("COMMIT");
+      return id;
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async insertSuccessfulQuery(client, queryPattern) {
+    const {
+      query,
+      userPrompt,
+      tables,
+      joins,
+      whereConditions,
+      resultCount,
+      reportId = null,
+      source = "learned",
+      weight = 1,
+    } = queryPattern;
+
+    const { rows } = await client.query(
+      `INSERT INTO report_ai.kb_successful_queries
+         (query, user_prompt, tables, joins, where_conditions, result_count,
+          report_id, source, weight)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [
+        query,
+        userPrompt,
+        tables,
+        joins,
+        whereConditions,
+        resultCount,
+        reportId,
+        source,
+        weight,
+      ]
+    );
+
+    return Number(rows[0].id);
+  }
+
+  // Remember which prompt and SQL produced a report so feedback can refer to
+  // it, and which stored query it reused, if any
+  async saveReportRun(reportId, userPrompt, sql, rowCount, reusedQueryId = null) {
+    await runMigrations(this.pool);
+
+    await this.pool.query(
+      `INSERT INTO report_ai.report_runs
+         (report_id, user_prompt, sql, row_count, reused_query_id)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (report_id) DO UPDATE
+       SET sql = EXCLUDED.sql, row_count = EXCLUDED.row_count,
+           reused_query_id = EXCLUDED.reused_query_id`,
+      [reportId, userPrompt, sql, rowCount, reusedQueryId]
+    );
+  }
+
+  async getReportRun(reportId) {
+    await runMigrations(this.pool);
+
+    const { rows } = await this.pool.query(
+      `SELECT report_id, user_prompt, sql, row_count, reused_query_id, created_at
+       FROM report_ai.report_runs
+       WHERE report_id = $1`,
+      [reportId]
+    );
+
+    if (rows.length === 0) return null;
+
+    return {
+      reportId: rows[0].report_id,
+      userPrompt: rows[0].user_prompt,
+      sql: rows[0].sql,
+      rowCount: rows[0].row_count,
+      reusedQueryId: rows[0].reused_query_id === null ? null : Number(rows[0].reused_query_id),
+      createdAt: new Date(rows[0].created_at).toISOString(),
+    };
+  }
+
+  // Store the feedback, re-weight the queries the report learned or reused
+  // and add the corrected query (if any) in one transaction.
+  //
+  // weightDelta is what this feedback says the report's queries should have
+  // gained or lost overall. Only the difference from what earlier feedback on
+  // the report already applied is applied, so repeating a rating does nothing
+  // and changing it moves the weight once. Returns the applied delta.
+  async saveFeedback(reportId, { rating, correctedSql, comment }, weightDelta, correctedEntry) {
+    await runMigrations(this.pool);
+
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      // Locking the run serializes feedback on the same report
+      const run = await client.query(
+        `SELECT reused_query_id FROM report_ai.report_runs
+         WHERE report_id = $1
+         FOR UPDATE`,
+        [reportId]
+      );
+      const reusedQueryId = run.rows[0]?.reused_query_id ?? null;
+
+      let appliedDelta = 0;
+      if (weightDelta) {
+        const previous = await client.query(
+          `SELECT COALESCE(SUM(weight_delta), 0) AS total
+           FROM report_ai.report_feedback
+           WHERE report_id = $1`,
+          [reportId]
+        );
+        appliedDelta = weightDelta - Number(previous.rows[0].total);
+      }
+
+      const { rows } = await client.query(
+        `INSERT INTO report_ai.report_feedback
+           (report_id, rating, corrected_sql, comment, weight_delta)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, created_at`,
+        [reportId, rating, correctedSql, comment, appliedDelta]
+      );
+
+      if (appliedDelta) {
+        await client.query(
+          `UPDATE report_ai.kb_successful_queries
+           SET weight = LEAST($3, GREATEST(0, weight + $2))
+           WHERE (report_id = $1 AND source = 'learned') OR id = $4`,
+          [reportId, appliedDelta, MAX_QUERY_WEIGHT, reusedQueryId]
+        );
+      }
+
+      if (correctedEntry) {
+        correctedEntry.id = await this.insertSuccessfulQuery(client, correctedEntry);
+      }
+
+      await client.query("COMMIT");
+
+      return {
+        id: rows[0].id,
+        weightDelta: appliedDelta,
+        reusedQueryId: reusedQueryId === null ? null : Number(reusedQueryId),
+        createdAt: new Date(rows[0].created_at).toISOString(),
+      };
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
@@ -0,0 +1,294 @@
+import { randomUUID } from "crypto";
+import { EventEmitter } from "events";
+import pool from "../Config/Db.js";
+import reportJobsConfig from "../Config/ReportJobs.js";
+import { runMigrations } from "./MigrationService.js";
+import { cancellableDelay, createCancellationError } from "./CancellationService.js";
+
+const FINISHED_STATUSES = ["complete", "error", "cancelled"];
+
+// Runs streamed reports as background jobs. Every update the pipeline sends is
+// numbered and appended to report_ai.report_job_events, so a client that loses
+// its connection can replay the events after the last one it saw and pick up
+// the live ones; the final payload is stored on the job.
+export class ReportJobService {
+  // Jobs run on the data source they name, through dataSourceService
+  constructor(dataSourceService, config = reportJobsConfig) {
+    this.dataSourceService = dataSourceService;
+    this.config = { ...config };
+    // Jobs running in this process: { controller, emitter, events, writes, reportId }
+    this.running = new Map();
+  }
+
+  createJobError(message, statusCode) {
+    const error = new Error(message);
+    error.code = "INVALID_REPORT_JOB";
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  toJob(row) {
+    return {
+      jobId: row.id,
+      status: row.status,
+      reportId: row.report_id,
+      prompt: row.prompt,
+      dataSource: row.data_source || this.dataSourceService.defaultName,
+      result: row.result,
+      error: row.error,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString(),
+      completedAt: row.completed_at ? new Date(row.completed_at).toISOString() : null,
+    };
+  }
+
+  // userId is who the job's LLM usage is counted for, sessionId the upload
+  // session whose tables the report can query
+  async createJob({ prompt, conversationHistory = [], dataSource = null } = {}, { userId = null, sessionId = null } = {}) {
+    if (typeof prompt !== "string" || !prompt.trim()) {
+      throw this.createJobError("Prompt is required", 400);
+    }
+    if (!Array.isArray(conversationHistory)) {
+      throw this.createJobError("conversationHistory must be an array", 400);
+    }
+
+    let reportService;
+    try {
+      reportService = this.dataSourceService.getReportService(dataSource);
+    } catch (error) {
+      throw this.createJobError(error.message, 400);
+    }
+
+    await runMigrations();
+    await this.purgeExpiredJobs();
+
+    const { rows } = await pool.query(
+      `INSERT INTO report_ai.report_jobs (id, prompt, conversation_history, data_source)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [randomUUID(), prompt, JSON.stringify(conversationHistory), reportService.dataSource.name]
+    );
+    const job = this.toJob(rows[0]);
+
+    const state = {
+      controller: new AbortController(),
+      emitter: new EventEmitter(),
+      events: [],
+      writes: Promise.resolve(),
+      reportId: null,
+    };
+    this.running.set(job.jobId, state);
+
+    this.runJob(reportService, job.jobId, prompt, conversationHistory, state, { userId, sessionId }).catch(
+      (error) => console.error(`Error running report job ${job.jobId}:`, error)
+    );
+    return job;
+  }
+
+  async runJob(reportService, jobId, prompt, conversationHistory, state, { userId = null, sessionId = null } = {}) {
+    let status = "error";
+    let result = null;
+    let errorMessage = null;
+
+    try {
+      await pool.query(
+        "UPDATE report_ai.report_jobs SET status = 'running', updated_at = now() WHERE id = $1",
+        [jobId]
+      );
+
+      result = await reportService.generateReportStream(
+        prompt,
+        conversationHistory,
+        (update) => this.appendEvent(jobId, state, update),
+        { signal: state.controller.signal, userId, sessionId }
+      );
+
+      // A job stopped by a budget failed, nobody cancelled it
+      if (result?.status === "cancelled" && result.type === "budget_exceeded") {
+        errorMessage = result.message;
+      } else if (result?.status === "cancelled") {
+        status = "cancelled";
+      } else if (result?.status === "error") {
+        errorMessage = result.error;
+      } else {
+        status = "complete";
+      }
+    } catch (error) {
+      errorMessage = error.message;
+      this.appendEvent(jobId, state, {
+        status: "error",
+        message: `Error generating report: ${error.message}`,
+        error: error.message,
+      });
+    } finally {
+      // Events are stored before the job is marked finished, so a stream that
+      // sees a finished job has every event
+      await state.writes;
+      await pool
+        .query(
+          `UPDATE report_ai.report_jobs
+           SET status = $2, result = $3, error = $4, updated_at = now(), completed_at = now()
+           WHERE id = $1`,
+          [jobId, status, result && JSON.stringify(result), errorMessage]
+        )
+        .catch((error) => console.error(`Error saving report job ${jobId}:`, error));
+
+      this.running.delete(jobId);
+      state.emitter.emit("end");
+    }
+  }
+
+  // Number an update, hand it to the streams following the job and queue it
+  // for storage. Called synchronously from the pipeline's sendUpdate.
+  appendEvent(jobId, state, update) {
+    const event = { seq: state.events.length + 1, data: update };
+    state.events.push(event);
+    state.emitter.emit("event", event);
+
+    const reportId = !state.reportId && update?.reportId;
+    if (reportId) state.reportId = reportId;
+
+    state.writes = state.writes
+      .then(() =>
+        pool.query(
+          `WITH event AS (
+             INSERT INTO report_ai.report_job_events (job_id, seq, event)
+             VALUES ($1, $2, $3)
+           )
+           UPDATE report_ai.report_jobs
+           SET updated_at = now(), report_id = COALESCE(report_id, $4)
+           WHERE id = $1`,
+          [jobId, event.seq, JSON.stringify(update), reportId || null]
+        )
+      )
+      .catch((error) =>
+        console.error(`Error storing event ${event.seq} of report job ${jobId}:`, error)
+      );
+  }
+
+  async loadJob(jobId) {
+    // Job ids are UUIDs; anything else can't exist
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(jobId)) {
+      return null;
+    }
+
+    await runMigrations();
+    const { rows } = await pool.query("SELECT * FROM report_ai.report_jobs WHERE id = $1", [
+      jobId,
+    ]);
+    return rows[0] || null;
+  }
+
+  // The job's status, and its final payload once it has finished
+  async getJob(jobId) {
+    const row = await this.loadJob(jobId);
+    if (!row) {
+      throw this.createJobError(`Report job ${jobId} was not found`, 404);
+    }
+
+    const stale = await this.failIfStale(row);
+    return this.toJob(stale || row);
+  }
+
+  // Mark a job that stopped sending events (its server went away) as failed.
+  // Returns the updated row, or null if the job is not stale.
+  async failIfStale(row) {
+    if (
+      !this.config.staleAfterMs ||
+      FINISHED_STATUSES.includes(row.status) ||
+      this.running.has(row.id) ||
+      Date.now() - new Date(row.updated_at).getTime() < this.config.staleAfterMs
+    ) {
+      return null;
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE report_ai.report_jobs
+       SET status = 'error', error = 'The job was interrupted', updated_at = now(), completed_at = now()
+       WHERE id = $1 AND status NOT IN ('complete', 'error', 'cancelled')
+       RETURNING *`,
+      [row.id]
+    );
+    return rows[0] || null;
+  }
+
+  // Deliver the job's events after afterSeq to onEvent({ seq, data }), first
+  // the stored ones and then the live ones, until the job finishes or the
+  // signal is aborted. Resolves to the job's final status.
+  async followEvents(jobId, afterSeq, onEvent, signal = null) {
+    const row = await this.loadJob(jobId);
+    if (!row) {
+      throw this.createJobError(`Report job ${jobId} was not found`, 404);
+    }
+
+    let lastSeq = afterSeq;
+    const deliver = (event) => {
+      if (event.seq <= lastSeq) return;
+      lastSeq = event.seq;
+      onEvent(event);
+    };
+
+    while (!signal?.aborted) {
+      const state = this.running.get(jobId);
+      if (state) {
+        // Running here: every event is still in memory
+        state.events.forEach(deliver);
+        await new Promise((resolve) => {
+          const stop = () => {
+            state.emitter.off("event", deliver);
+            state.emitter.off("end", stop);
+            signal?.removeEventListener("abort", stop);
+            resolve();
+          };
+          state.emitter.on("event", deliver);
+          state.emitter.once("end", stop);
+          signal?.addEventListener("abort", stop, { once: true });
+        });
+        continue;
+      }
+
+      // Finished, or running on another server instance
+      const { rows: events } = await pool.query(
+        `SELECT seq, event FROM report_ai.report_job_events
+         WHERE job_id = $1 AND seq > $2
+         ORDER BY seq`,
+        [jobId, lastSeq]
+      );
+      events.forEach(({ seq, event }) => deliver({ seq, data: event }));
+
+      const job = await this.loadJob(jobId);
+      if (FINISHED_STATUSES.includes(job.status)) return job.status;
+      if (await this.failIfStale(job)) return "error";
+
+      try {
+        await cancellableDelay(this.config.pollIntervalMs, signal);
+      } catch {
+        break;
+      }
+    }
+    return null;
+  }
+
+  // Cancel a job running on this server. Returns false if it isn't running here.
+  cancelJob(jobId) {
+    const state = this.running.get(jobId);
+    if (!state) return false;
+
+    state.controller.abort(createCancellationError("Cancelled by the user"));
+    return true;
+  }
+
+  async purgeExpiredJobs() {
+    if (!this.config.retentionDays) return;
+
+    try {
+      await pool.query(
+        `DELETE FROM report_ai.report_jobs
+         WHERE completed_at < now() - $1 * interval '1 day'`,
+        [this.config.retentionDays]
+      );
+    } catch (error) {
+      console.warn("Could not purge expired report jobs:", error.message);
+    }
+  }
+}
@@ -0,0 +1,567 @@
+import pipelineConfig from "../Config/Pipeline.js";
+import { PipelineEngine } from "./PipelineEngine.js";
+import { isCancellationError } from "./CancellationService.js";
+
+// Keys every run starts with
+export const REPORT_PIPELINE_INPUTS = ["reportId", "userPrompt", "conversationHistory"];
+
+// Used when the prompt can't be analyzed
+const createDefaultPromptAnalysis = (userPrompt) => ({
+  coreQuestion: userPrompt,
+  intentClassification: { type: "descriptive", metrics: [] },
+  entitiesAndRelationships: { entities: [], relationships: [], timePeriods: [] },
+  dataRequirements: { relevantTables: [], relevantFields: [], aggregations: [], filters: [] },
+  complexityAssessment: { level: "moderate", requiresMultipleQueries: false, requiresAdvancedAnalysis: false },
+});
+
+const hasCalculationResults = (calculations) =>
+  Object.values(calculations || {}).some(
+    (result) => result && typeof result === "object" && Object.keys(result).length > 0
+  );
+
+// The stages of report generation, shared by the streaming and non-streaming
+// endpoints. Each stage's `message` is shown to streaming clients when it
+// starts. context carries { reportId, streaming, sendUpdate }; sendUpdate is a
+// no-op for non-streaming reports.
+export const createReportStages = (reportService) => [
+  {
+    name: "analyzePrompt",
+    message: "Analyzing your request...",
+    inputs: ["userPrompt", "conversationHistory"],
+    outputs: ["promptAnalysis"],
+    run: async ({ userPrompt, conversationHistory }, { sendUpdate }) => {
+      const promptAnalysis = await reportService.analyzeUserPrompt(userPrompt, conversationHistory);
+      sendUpdate({
+        status: "processing",
+        message: "Request analysis complete",
+        promptAnalysis,
+      });
+      return { promptAnalysis };
+    },
+    onError: "fallback",
+    fallback: (error, { userPrompt }, { sendUpdate }) => {
+      reportService.reportStructuredOutputError(error, sendUpdate);
+      return { promptAnalysis: createDefaultPromptAnalysis(userPrompt) };
+    },
+  },
+  {
+    name: "loadSchema",
+    message: "Retrieving database schema...",
+    outputs: ["schemas", "relationships"],
+    run: async () => {
+      const { schemas, relationships } = await reportService.getSchemaWithCache();
+      return { schemas, relationships };
+    },
+  },
+  {
+    name: "identifyTables",
+    message: "Identifying relevant data tables...",
+    inputs: ["userPrompt", "schemas", "relationships", "promptAnalysis"],
+    outputs: ["relevantTables", "minimalSchema"],
+    run: async ({ userPrompt, schemas, relationships, promptAnalysis }, { sendUpdate }) => {
+      let relevantTables;
+      try {
+        relevantTables = await reportService.identifyRelevantTablesParallel(
+          userPrompt,
+          schemas,
+          promptAnalysis,
+          sendUpdate
+        );
+
+        sendUpdate({
+          status: "processing",
+          message: "Identified relevant tables",
+          tables: relevantTables,
+        });
+      } catch (tableError) {
+        if (isCancellationError(tableError)) throw tableError;
+
+        console.error("Error identifying relevant tables:", tableError);
+        // Use first available table as fallback
+        relevantTables = Object.keys(schemas).slice(0, 1);
+        if (relevantTables.length === 0) {
+          throw new Error("No tables available in the database");
+        }
+      }
+
+      // Minimal schema with only the relevant tables
+      const minimalSchema = reportService.sqlGenerationService.createMinimalSchema(
+        schemas,
+        relationships,
+        relevantTables
+      );
+      return { relevantTables, minimalSchema };
+    },
+  },
+  {
+    name: "analyticalQuery",
+    message: "Detected complex analytical query, performing specialized analysis...",
+    inputs: ["userPrompt", "promptAnalysis", "schemas", "relationships"],
+    outputs: ["analyticalQueryResult"],
+    skip: ({ promptAnalysis }) => {
+      const complexity = promptAnalysis.complexityAssessment;
+      return !(
+        complexity &&
+        (["complex", "high"].includes(complexity.level) || complexity.requiresAdvancedAnalysis)
+      );
+    },
+    run: async ({ userPrompt, promptAnalysis, schemas, relationships }, { sendUpdate }) => {
+      const analyticalQueryResult = await reportService.handleComplexAnalyticalQuery(
+        userPrompt,
+        promptAnalysis,
+        schemas,
+        relationships,
+        sendUpdate
+      );
+
+      if (analyticalQueryResult?.analyticalSQL) {
+        sendUpdate({
+          status: "processing",
+          message: "Generated specialized analytical query",
+          analyticalConcepts: analyticalQueryResult.extractedConcepts,
+        });
+      }
+      return { analyticalQueryResult };
+    },
+    onError: "continue",
+    defaults: { analyticalQueryResult: null },
+  },
+  {
+    name: "generateSql",
+    inputs: [
+      "userPrompt",
+      "conversationHistory",
+      "promptAnalysis",
+      "minimalSchema",
+      "analyticalQueryResult",
+    ],
+    outputs: ["sql", "sqlSource", "sqlExamples", "reusedQueryId", "maxRows"],
+    run: async (
+      { userPrompt, conversationHistory, promptAnalysis, minimalSchema, analyticalQueryResult },
+      { sendUpdate }
+    ) => {
+      // Analytical SQL is already clean
+      if (analyticalQueryResult?.analyticalSQL) {
+        sendUpdate({
+          status: "processing",
+          message: "Using specialized analytical SQL",
+          sql: analyticalQueryResult.analyticalSQL,
+        });
+        return {
+          sql: analyticalQueryResult.analyticalSQL,
+          sqlSource: analyticalQueryResult.sqlSource,
+          sqlExamples: [],
+        };
+      }
+
+      // Find similar past queries to use as examples, or to reuse outright
+      const sqlExamples = await reportService.sqlGenerationService.findFewShotExamples(
+        userPrompt,
+        minimalSchema
+      );
+
+      if (sqlExamples.length > 0) {
+        sendUpdate({
+          status: "processing",
+          type: "sql_examples",
+          message: `Using ${sqlExamples.length} similar past ${sqlExamples.length === 1 ? "query" : "queries"} as examples`,
+          examples: sqlExamples.map((example) => reportService.summarizeSqlExample(example)),
+        });
+      }
+
+      const knowledgeBasedSql = await reportService.sqlGenerationService.enhanceSqlGenerationWithKnowledge(
+        userPrompt,
+        minimalSchema,
+        sqlExamples
+      );
+
+      if (knowledgeBasedSql) {
+        sendUpdate({
+          status: "processing",
+          type: "sql_reused",
+          message: "Reusing the query from a near-identical earlier request",
+          sql: knowledgeBasedSql.sql,
+          example: reportService.summarizeSqlExample(knowledgeBasedSql.example),
+        });
+        return {
+          sql: knowledgeBasedSql.sql,
+          sqlSource: "knowledge-based",
+          sqlExamples,
+          // Feedback on this report re-weights the reused entry
+          reusedQueryId: knowledgeBasedSql.example.id ?? null,
+          maxRows: knowledgeBasedSql.maxRows,
+        };
+      }
+
+      const sql = await reportService.generateSqlFromPrompt(
+        userPrompt,
+        conversationHistory,
+        promptAnalysis,
+        minimalSchema,
+        sqlExamples
+      );
+      return { sql, sqlSource: "generated", sqlExamples };
+    },
+  },
+  {
+    name: "executeSql",
+    message: "Executing SQL query...",
+    inputs: ["sql", "userPrompt", "minimalSchema", "maxRows"],
+    outputs: ["sql", "data", "fallbackUsed"],
+    run: async ({ sql, userPrompt, minimalSchema, maxRows }, { sendUpdate, stop }) => {
+      let queryResult;
+      try {
+        queryResult = await reportService.executeSqlWithFallback(
+          sql,
+          userPrompt,
+          minimalSchema,
+          sendUpdate,
+          { maxRows }
+        );
+      } catch (executionError) {
+        if (executionError.code !== "SQL_REJECTED") {
+          throw executionError;
+        }
+
+        // The generated SQL is not a safe read-only query, stop here instead of guessing
+        console.warn("Generated SQL rejected:", executionError.reason);
+        const rejection = {
+          status: "rejected",
+          type: executionError.type,
+          message: `The generated query was rejected: ${executionError.reason}`,
+          reason: executionError.reason,
+          sql: executionError.sql || sql,
+          ...(executionError.policy
+            ? { policy: { ...executionError.policy, decision: "refused" } }
+            : {}),
+        };
+        sendUpdate(rejection);
+        stop(rejection);
+        return {};
+      }
+
+      // Report what the execution policy did with the query
+      if (queryResult.policy) {
+        sendUpdate({
+          status: "processing",
+          message: queryResult.policy.truncated
+            ? `Results limited to ${queryResult.policy.maxRows} rows by the execution policy`
+            : "Query passed execution policy checks",
+          policy: {
+            ...queryResult.policy,
+            decision: queryResult.policy.truncated ? "truncated" : "allowed",
+          },
+        });
+      }
+
+      if (queryResult.rewritten) {
+        sendUpdate({
+          status: "processing",
+          message: "Using a cheaper rewrite of the original query",
+          sql: queryResult.sql,
+        });
+      }
+
+      if (queryResult.fallbackUsed) {
+        sendUpdate({
+          status: "processing",
+          message: queryResult.message || "Using simplified query due to errors with original query",
+        });
+      }
+
+      const data = queryResult.data || [];
+      if (data.length === 0) {
+        sendUpdate({
+          status: "processing",
+          message: "No data found. The query may be incorrect or the table might be empty.",
+        });
+      }
+
+      // The query that ran, as normalized by the guard, is the one learned
+      return {
+        sql: queryResult.sql || sql,
+        data,
+        fallbackUsed: Boolean(queryResult.fallbackUsed),
+      };
+    },
+  },
+  {
+    // Remember the report's prompt and SQL so feedback can refer to it
+    name: "recordReportRun",
+    inputs: ["reportId", "userPrompt", "sql", "data", "reusedQueryId"],
+    skip: ({ reportId }) => !reportId,
+    run: async ({ reportId, userPrompt, sql, data, reusedQueryId }) => {
+      await reportService.sqlGenerationService.knowledgeBaseStore.saveReportRun(
+        reportId,
+        userPrompt,
+        sql,
+        data.length,
+        reusedQueryId ?? null
+      );
+      return {};
+    },
+    onError: "continue",
+  },
+  {
+    name: "learnQuery",
+    inputs: ["sql", "minimalSchema", "userPrompt", "data", "reportId", "sqlSource", "fallbackUsed"],
+    // Fallback rows don't answer the question, and reused queries are already stored
+    skip: ({ sqlSource, fallbackUsed }) => fallbackUsed || sqlSource === "knowledge-based",
+    run: async ({ sql, minimalSchema, userPrompt, data, reportId }) => {
+      await reportService.sqlGenerationService.learnFromSuccessfulQuery(
+        sql,
+        minimalSchema,
+        userPrompt,
+        data.length,
+        reportId
+      );
+      return {};
+    },
+    onError: "continue",
+  },
+  {
+    name: "resolveRelationships",
+    inputs: ["data", "minimalSchema", "relationships"],
+    outputs: ["data"],
+    run: async ({ data, minimalSchema, relationships }) => ({
+      data: await reportService.dataEnrichmentService.resolveMultiLevelRelationships(
+        data,
+        minimalSchema,
+        relationships
+      ),
+    }),
+  },
+  {
+    name: "processData",
+    message: "Processing data...",
+    inputs: ["data", "promptAnalysis", "schemas", "relationships"],
+    outputs: ["data", "relatedData", "dataInsights", "calculations", "enhancedResults", "columnTypes"],
+    run: async ({ data, promptAnalysis, schemas, relationships }) => {
+      const {
+        enrichedData,
+        relatedData,
+        insights,
+        calculations,
+        enhancedResults,
+        columnTypes,
+      } = await reportService.processDataInParallel(data, promptAnalysis, schemas, relationships);
+
+      return {
+        data: enrichedData,
+        relatedData,
+        dataInsights: insights,
+        calculations,
+        enhancedResults: { ...enhancedResults, columnTypes },
+        columnTypes,
+      };
+    },
+  },
+  {
+    name: "formatData",
+    inputs: ["data", "minimalSchema"],
+    outputs: ["data", "danfoInsights", "columnMetadata", "tableStructure"],
+    run: async ({ data, minimalSchema }) => {
+      const dataEnrichmentService = reportService.dataEnrichmentService;
+
+      const { formattedData, insights: danfoInsights } =
+        await dataEnrichmentService.formatDataWithDanfo(data);
+
+      // Ensure data consistency and accuracy
+      const { data: consistentData, metadata: columnMetadata } =
+        await dataEnrichmentService.ensureDataConsistency(formattedData, minimalSchema);
+
+      const { tableStructure } = dataEnrichmentService.generateConsistentTableStructure(
+        consistentData,
+        columnMetadata,
+        minimalSchema
+      );
+
+      return { data: consistentData, danfoInsights, columnMetadata, tableStructure };
+    },
+  },
+  {
+    name: "decideAnalysis",
+    message: "Determining analysis approach...",
+    inputs: ["userPrompt", "data"],
+    outputs: ["decisions"],
+    run: async ({ userPrompt, data }, { sendUpdate }) => ({
+      decisions: await reportService.makeAnalysisDecisions(userPrompt, data, sendUpdate),
+    }),
+  },
+  {
+    name: "calculate",
+    message: "Performing calculations...",
+    inputs: ["data", "decisions", "calculations"],
+    outputs: ["calculations", "finalData"],
+    run: async ({ data, decisions, calculations }) => {
+      const decidedCalculations = await reportService.mistralService.retryWithBackoff(async () => {
+        return await reportService.analyticsService.performCalculations(
+          data,
+          decisions.calculationsNeeded
+        );
+      });
+
+      // The calculations the analysis decided on, or the ones made while
+      // processing the data when it decided on none
+      const results = hasCalculationResults(decidedCalculations)
+        ? decidedCalculations
+        : calculations;
+
+      return {
+        calculations: results,
+        finalData: reportService.analyticsService.enrichDataWithCalculations(data, results),
+      };
+    },
+  },
+  {
+    name: "additionalQueries",
+    message: "Generating follow-up questions...",
+    inputs: ["userPrompt", "minimalSchema", "decisions"],
+    outputs: ["additionalQueries"],
+    skip: ({ decisions }) => !decisions.dataRequirements?.needsAdditionalQuery,
+    run: async ({ userPrompt, minimalSchema, decisions }, { sendUpdate }) => ({
+      additionalQueries: await reportService.generateAdditionalQueries(
+        userPrompt,
+        minimalSchema,
+        decisions.dataRequirements.additionalQueryDescription,
+        sendUpdate
+      ),
+    }),
+    defaults: { additionalQueries: [] },
+    onError: "continue",
+  },
+  {
+    name: "enhanceResults",
+    message: "Enhancing analysis results...",
+    inputs: [
+      "userPrompt",
+      "promptAnalysis",
+      "decisions",
+      "data",
+      "finalData",
+      "danfoInsights",
+      "dataInsights",
+      "columnTypes",
+    ],
+    outputs: ["reportInsights"],
+    run: async ({
+      userPrompt,
+      promptAnalysis,
+      decisions,
+      data,
+      finalData,
+      danfoInsights,
+      dataInsights,
+      columnTypes,
+    }) => {
+      const dataEnrichmentService = reportService.dataEnrichmentService;
+
+      let reportInsights = { insights: [], recommendations: [], additionalAnalyses: [] };
+      try {
+        // Process decisions to get enhanced insights
+        reportInsights = await reportService.analyticsService.processDecisions(
+          decisions,
+          finalData,
+          userPrompt
+        );
+        reportInsights.danfoInsights = danfoInsights;
+        console.log("Enhanced results generated successfully");
+      } catch (enhancementError) {
+        console.warn("Error generating enhanced results:", enhancementError);
+        // Keep the default empty structure instead of failing
+      }
+
+      reportInsights.dataFrameInsights = dataInsights;
+      reportInsights.columnTypes = columnTypes;
+
+      // Insights on the fields relevant to the prompt
+      const relevantData = await dataEnrichmentService.filterDataBasedOnPromptAnalysis(
+        data,
+        promptAnalysis
+      );
+      const { insights: aiInsights } = await dataEnrichmentService.analyzeDataForInsights(
+        relevantData,
+        promptAnalysis
+      );
+      reportInsights.aiInsights = aiInsights;
+
+      return { reportInsights };
+    },
+  },
+  {
+    name: "writeReport",
+    message: "Generating final report...",
+    inputs: ["userPrompt", "conversationHistory", "finalData", "reportInsights"],
+    outputs: ["report"],
+    run: async ({ userPrompt, conversationHistory, finalData, reportInsights }) => ({
+      report: await reportService.writeReport(
+        userPrompt,
+        conversationHistory,
+        finalData,
+        reportInsights
+      ),
+    }),
+  },
+  {
+    name: "assembleResponse",
+    inputs: [
+      "reportId",
+      "report",
+      "finalData",
+      "sql",
+      "sqlSource",
+      "sqlExamples",
+      "additionalQueries",
+      "calculations",
+      "relevantTables",
+      "decisions",
+      "enhancedResults",
+      "relatedData",
+      "tableStructure",
+      "columnMetadata",
+      "dataInsights",
+    ],
+    outputs: ["response"],
+    run: async (state) => ({
+      response: {
+        status: "complete",
+        reportId: state.reportId,
+        report: state.report,
+        rawData: state.finalData || [],
+        generatedSQL: state.sql,
+        sqlSource: state.sqlSource,
+        sqlExamples: state.sqlExamples.map((example) => reportService.summarizeSqlExample(example)),
+        additionalQueries: state.additionalQueries,
+        calculations: state.calculations || {},
+        rowCount: Array.isArray(state.finalData) ? state.finalData.length : 0,
+        tablesUsed: state.relevantTables || [],
+        analysisSteps: state.decisions?.analysisSteps || [],
+        enhancedResults: state.enhancedResults || {},
+        relatedData: state.relatedData || {},
+        tableStructure: state.tableStructure || {},
+        columnMetadata: state.columnMetadata || {},
+        aiInsights: state.dataInsights || [],
+        // Token usage and cost of the report's LLM calls
+        usage: reportService.usageService.summarize(),
+        processing: false,
+      },
+    }),
+  },
+  {
+    name: "sendReport",
+    inputs: ["response"],
+    skip: (inputs, { streaming }) => !streaming,
+    run: async ({ response }, { sendUpdate }) => {
+      // Large payloads go out in chunks
+      reportService.chunkJsonData(response, sendUpdate);
+      return {};
+    },
+  },
+];
+
+export const createReportPipeline = (reportService, config = pipelineConfig) =>
+  new PipelineEngine(createReportStages(reportService), {
+    initialKeys: REPORT_PIPELINE_INPUTS,
+    stageTimeoutMs: config.stageTimeoutMs,
+    stageTimeouts: config.stageTimeouts,
+  });
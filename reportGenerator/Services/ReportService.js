@@ -1,60 +1,241 @@
+import { randomUUID } from "crypto";
+import path from "path";
+import { pathToFileURL } from "url";
 import { ChatPromptTemplate } from "@langchain/core/prompts";
 import { StringOutputParser } from "@langchain/core/output_parsers";
 import { RunnableSequence } from "@langchain/core/runnables";
-import mistral from "../Config/MistralAi.js";
 import { SchemaService } from "./SchemaService.js";
 import { SqlGenerationService } from "./SqlGenerationService.js";
 import { DataEnrichmentService } from "./DataEnrichmentService.js";
 import { AnalyticsService } from "./AnalyticsService.js";
 import { MachineLearningService } from "./MachineLearningService.js";
 import { MistralService } from "./MistralService.js";
-import pool from "../Config/Db.js";
+import { createEmbeddingProvider, createLlmProvider } from "../Providers/index.js";
+import { PostgresDialect } from "../Dialects/index.js";
+import { SqlGuardService } from "./SqlGuardService.js";
+import { StructuredOutputService } from "./StructuredOutputService.js";
+import { FeedbackService } from "./FeedbackService.js";
+import { EmbeddingIndexService } from "./EmbeddingIndexService.js";
+import { QueryKnowledgeBaseService } from "./QueryKnowledgeBaseService.js";
+import { ColumnProfileService } from "./ColumnProfileService.js";
+import { SchemaChangeService } from "./SchemaChangeService.js";
+import { SemanticLayerService } from "./SemanticLayerService.js";
+import { GlossaryService } from "./GlossaryService.js";
+import { UploadService, getCurrentUploadSession, runWithUploadSession } from "./UploadService.js";
+import { TraceService, createTrace, runWithTrace } from "./TraceService.js";
+import { UsageService, estimateTokens, runWithUsageMeter } from "./UsageService.js";
+import {
+  createCancellationError,
+  getCurrentSignal,
+  isCancellationError,
+  runWithSignal,
+  throwIfCancelled,
+} from "./CancellationService.js";
+import defaultPool from "../Config/Db.js";
+import dataSourcesConfig from "../Config/DataSources.js";
+import embeddingConfig from "../Config/Embeddings.js";
+import executionPolicy from "../Config/ExecutionPolicy.js";
+import introspectionConfig from "../Config/Introspection.js";
+import knowledgeBaseConfig from "../Config/KnowledgeBase.js";
+import profilingConfig from "../Config/Profiling.js";
+import schemaWatchConfig from "../Config/SchemaWatch.js";
+import semanticModelConfig from "../Config/SemanticModel.js";
+import pipelineConfig from "../Config/Pipeline.js";
+import llmStages from "../Config/LlmStages.js";
+import { createReportPipeline } from "./ReportPipeline.js";
+import {
+  promptAnalysisSchema,
+  analysisDecisionsSchema,
+  schemaDecisionsSchema,
+  analyticalConceptsSchema,
+  metricMappingSchema,
+  semanticFiltersSchema,
+  tableIdentificationSchema,
+  additionalQueriesSchema,
+} from "../Models/PromptSchemas.js";
 
 export class ReportService {
-  constructor() {
+  // Reports run on `dataSource` ({ name, dialect, pool, storePool,
+  // introspection }), the DB_* database unless given. Its schema cache,
+  // knowledge base, embeddings and glossary belong to it and are kept in
+  // storePool, the data source itself when it is a Postgres database. Report
+  // traces and LLM usage are kept in the default database; pass the same
+  // usageService and traceService to the report services of every data source.
+  constructor(dataSource = {}, { usageService = new UsageService(), traceService = new TraceService() } = {}) {
+    this.dataSource = {
+      name: dataSourcesConfig.defaultName,
+      dialect: new PostgresDialect(),
+      pool: defaultPool,
+      introspection: {},
+      ...dataSource
+    };
+    this.dataSource.storePool ||= this.dataSource.pool;
+    const { dialect, pool, storePool } = this.dataSource;
+
     // Initialize services
-    this.mistralService = new MistralService(mistral);
-    this.schemaService = new SchemaService();
-    this.sqlGenerationService = new SqlGenerationService(this.mistralService);
-    this.dataEnrichmentService = new DataEnrichmentService();
+    this.usageService = usageService;
+    this.mistralService = new MistralService(createLlmProvider(), llmStages, this.usageService);
+    this.schemaService = new SchemaService(
+      { ...introspectionConfig, ...this.dataSource.introspection },
+      pool,
+      dialect,
+      storePool
+    );
+    this.embeddingIndexService = new EmbeddingIndexService(
+      createEmbeddingProvider(),
+      embeddingConfig,
+      storePool
+    );
+    this.sqlGuardService = new SqlGuardService(
+      executionPolicy,
+      pool,
+      dialect,
+      this.schemaService.config
+    );
+    this.sqlGenerationService = new SqlGenerationService(
+      this.mistralService,
+      new QueryKnowledgeBaseService(knowledgeBaseConfig, storePool),
+      this.embeddingIndexService,
+      this.schemaService,
+      this.sqlGuardService
+    );
+    this.dataEnrichmentService = new DataEnrichmentService(
+      () => this.getSchemaWithCache(),
+      pool,
+      dialect
+    );
     this.analyticsService = new AnalyticsService();
     this.mlService = new MachineLearningService();
+    this.columnProfileService = new ColumnProfileService(
+      this.sqlGuardService,
+      profilingConfig,
+      pool,
+      dialect
+    );
+    this.semanticLayerService = new SemanticLayerService(semanticModelConfig, dialect);
+    // Glossary edits show up in the next request's schema
+    this.glossaryService = new GlossaryService(
+      this.schemaService,
+      () => this.invalidateSchemaCache(),
+      storePool
+    );
+    // Files uploaded as tables of a session, added to that session's schema
+    this.uploadService = new UploadService(this.schemaService);
+    this.structuredOutputService = new StructuredOutputService(this.mistralService);
+    this.feedbackService = new FeedbackService(
+      this.sqlGenerationService,
+      this.sqlGuardService
+    );
+    // AbortControllers of the streamed reports in progress, by reportId
+    this.activeReports = new Map();
+    // The stages both report endpoints run; custom stages can be added to it
+    this.reportPipeline = createReportPipeline(this);
+    // Timing of every stage, LLM call and query of a report
+    this.traceService = traceService;
     
     // Cache for schema information
     this.#schemaCache = null;
     this.#schemaCacheExpiry = null;
-    this.#cacheDuration = 5 * 60 * 1000; // 5 minutes
+    this.#cacheDuration = schemaWatchConfig.cacheTtlMs;
+
+    // Refresh the cache as soon as the schema changes instead of waiting for
+    // it to expire
+    this.schemaChangeService = new SchemaChangeService(
+      this.schemaService,
+      schemaWatchConfig,
+      storePool
+    );
+    this.schemaChangeService.onChange((change) => this.handleSchemaChange(change));
+    this.schemaChangeService.start();
   }
 
   // Cache for schema information
   #schemaCache = null;
   #schemaCacheExpiry = null;
-  #cacheDuration = 5 * 60 * 1000; // 5 minutes
+  #cacheDuration = schemaWatchConfig.cacheTtlMs;
+
+  invalidateSchemaCache() {
+    this.#schemaCache = null;
+    this.#schemaCacheExpiry = null;
+  }
 
-  // Get schema with caching
+  // Reload the schema cache and drop learned queries the change invalidated
+  async handleSchemaChange(change) {
+    this.invalidateSchemaCache();
+    await this.getSchemaWithCache();
+
+    const { invalidated, restored } = change.knowledgeBase;
+    if (invalidated || restored) {
+      await this.sqlGenerationService.loadQueryKnowledgeBase();
+    }
+  }
+
+  // Get schema with caching, with the tables uploaded in the current upload
+  // session added
   async getSchemaWithCache() {
     if (
       this.#schemaCache &&
       this.#schemaCacheExpiry &&
       Date.now() < this.#schemaCacheExpiry
     ) {
-      return this.#schemaCache;
+      return this.addSessionUploads(this.#schemaCache);
     }
 
     const schemas = await this.schemaService.getAllTableSchemas();
     const relationships = await this.schemaService.getTableRelationships();
+    // Only semantic model definitions that match the live schema are used
+    await this.semanticLayerService.applySchema(schemas);
+    // Profiles from planner statistics; tables without them are sampled on
+    // first use and added here
+    const profiles = await this.columnProfileService.getStatsProfiles(schemas);
 
-    this.#schemaCache = { schemas, relationships };
+    this.#schemaCache = { schemas, relationships, profiles };
     this.#schemaCacheExpiry = Date.now() + this.#cacheDuration;
 
-    return this.#schemaCache;
+    return this.addSessionUploads(this.#schemaCache);
+  }
+
+  // Reports still run on the data source's own tables when the session's
+  // can't be read. Profiles sampled from uploads are kept with the others;
+  // their keys name the session's schema.
+  async addSessionUploads(cache) {
+    const sessionId = getCurrentUploadSession();
+    if (!sessionId) return cache;
+
+    try {
+      const uploads = await this.uploadService.getSessionSchema(sessionId);
+      if (!uploads) return cache;
+
+      return {
+        ...cache,
+        schemas: { ...cache.schemas, ...uploads.schemas },
+        relationships: [...cache.relationships, ...uploads.relationships],
+      };
+    } catch (error) {
+      console.error("Error loading uploaded tables:", error);
+      return cache;
+    }
+  }
+
+  // Prompt section with the column profiles of the given tables
+  async getColumnProfilesSection(tableKeys) {
+    try {
+      const { schemas, profiles } = await this.getSchemaWithCache();
+      const tableProfiles = await this.columnProfileService.profileTables(
+        schemas,
+        tableKeys,
+        profiles
+      );
+      return this.columnProfileService.formatProfiles(tableProfiles);
+    } catch (error) {
+      console.error("Error loading column profiles:", error);
+      return "";
+    }
   }
 
   // Simple token estimator - approximates token count based on text length
   estimateTokenCount(text) {
-    if (!text) return 0;
-    // A rough approximation: 1 token ≈ 4 characters for English text
-    return Math.ceil(text.length / 4);
+    return estimateTokens(text);
   }
 
   // Modify the truncateData method to respect "all data" requests
@@ -161,51 +342,18 @@ export class ReportService {
            - Does it require multiple queries or just one?
            - Does it need advanced statistical analysis?
         
-        Return your analysis as a structured JSON object with these sections.
-        IMPORTANT: Format your response as valid JSON only, with no additional text.
+        Return your analysis as a JSON object with the keys coreQuestion,
+        intentClassification, entitiesAndRelationships, dataRequirements and
+        complexityAssessment. Use the exact table names listed above in
+        dataRequirements.relevantTables.
       `;
       
-      // Get the analysis from the AI
-      const analysisResponse = await this.mistralService.retryWithBackoff(async () => {
-        return this.mistralService.generateMistralResponse(analysisPrompt);
-      });
-      
-      // Parse the JSON response
-      let promptAnalysis;
-      try {
-        const jsonMatch = analysisResponse.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          promptAnalysis = JSON.parse(jsonMatch[0]);
-        } else {
-          throw new Error("Could not extract JSON from analysis response");
-        }
-      } catch (parseError) {
-        console.warn("Failed to parse prompt analysis as JSON:", parseError);
-        // Create a basic fallback analysis
-        promptAnalysis = {
-          coreQuestion: userPrompt,
-          intentClassification: {
-            type: "descriptive",
-            metrics: []
-          },
-          entitiesAndRelationships: {
-            entities: [],
-            relationships: [],
-            timePeriods: []
-          },
-          dataRequirements: {
-            relevantTables: [],
-            relevantFields: [],
-            aggregations: [],
-            filters: []
-          },
-          complexityAssessment: {
-            level: "moderate",
-            requiresMultipleQueries: false,
-            requiresAdvancedAnalysis: false
-          }
-        };
-      }
+      // Get the analysis from the AI, validated against the prompt analysis schema
+      const promptAnalysis = await this.structuredOutputService.generate(
+        analysisPrompt,
+        promptAnalysisSchema,
+        { stage: "promptAnalysis" }
+      );
       
       console.log("Prompt analysis completed:", JSON.stringify(promptAnalysis, null, 2));
       return promptAnalysis;
@@ -215,897 +363,442 @@ export class ReportService {
     }
   }
 
-  // Modify the generateReport method to use the prompt analysis
-  async generateReport(userPrompt, conversationHistory = []) {
-    try {
-      // Initialize variables that might be referenced later
-      let enhancedResults = {
-        insights: [],
-        recommendations: [],
-        additionalAnalyses: [],
-      };
-
-      // Perform deep prompt analysis first
-      let promptAnalysis;
-      try {
-        promptAnalysis = await this.analyzeUserPrompt(userPrompt, conversationHistory);
-      } catch (analysisError) {
-        console.warn("Error in prompt analysis:", analysisError);
-        promptAnalysis = {
-          coreQuestion: userPrompt,
-          intentClassification: { type: "descriptive", metrics: [] },
-          entitiesAndRelationships: { entities: [], relationships: [], timePeriods: [] },
-          dataRequirements: { relevantTables: [], relevantFields: [], aggregations: [], filters: [] },
-          complexityAssessment: { level: "moderate", requiresMultipleQueries: false, requiresAdvancedAnalysis: false }
-        };
-      }
-      
-      // Get schema information with caching
-      const { schemas, relationships } = await this.getSchemaWithCache();
-
-      // Use the prompt analysis to identify relevant tables with retry
-      let relevantTables;
-      try {
-        relevantTables = await this.mistralService.retryWithBackoff(async () => {
-          // First try to use tables from the prompt analysis
-          if (promptAnalysis.dataRequirements && 
-              promptAnalysis.dataRequirements.relevantTables && 
-              promptAnalysis.dataRequirements.relevantTables.length > 0) {
-            
-            // Filter to ensure we only include tables that actually exist in the schema
-            const suggestedTables = promptAnalysis.dataRequirements.relevantTables
-              .map(table => typeof table === 'string' ? table.toLowerCase() : '')
-              .filter(table => schemas[table]);
-              
-            if (suggestedTables.length > 0) {
-              console.log("Using tables from prompt analysis:", suggestedTables);
-              return suggestedTables;
-            }
-          }
-          
-          // Fall back to the original method if prompt analysis didn't yield usable tables
-          const tables = await this.sqlGenerationService.identifyRelevantTables(userPrompt, schemas);
-          if (tables.length === 0) {
-            // If no tables found, use a default table if available
-            const defaultTable = Object.keys(schemas)[0];
-            if (defaultTable) {
-              console.log("No relevant tables found, using default table:", defaultTable);
-              return [defaultTable];
-            }
-            throw new Error("No relevant tables identified for this query");
-          }
-          return tables;
-        });
-      } catch (tableError) {
-        console.error("Error identifying relevant tables:", tableError);
-        // Use first available table as fallback
-        relevantTables = Object.keys(schemas).slice(0, 1);
-        if (relevantTables.length === 0) {
-          throw new Error("No tables available in the database");
-        }
-      }
-
-      // Create minimal schema with only relevant tables
-      const minimalSchema = this.sqlGenerationService.createMinimalSchema(
-        schemas,
-        relationships,
-        relevantTables
-      );
-
-      // Try to use learned knowledge to generate SQL, now enhanced with prompt analysis
-      const knowledgeBasedSql = await this.sqlGenerationService.enhanceSqlGenerationWithKnowledge(
-        userPrompt,
-        minimalSchema
-      );
-
-      let cleanSQL;
-      let sqlSource = "generated";
-
-      if (knowledgeBasedSql) {
-        // Use knowledge-based SQL if available
-        cleanSQL = knowledgeBasedSql;
-        sqlSource = "knowledge-based";
-        console.log("Using knowledge-based SQL:", cleanSQL);
-      } else {
-        // Generate SQL query with retry, now enhanced with prompt analysis
-        const sqlResponse = await this.mistralService.retryWithBackoff(async () => {
-          // Include conversation history context in the SQL generation
-          const historyContext =
-            this.mistralService.formatConversationHistory(conversationHistory);
-          const contextPrefix = historyContext
-            ? `CONVERSATION HISTORY:\n${historyContext}\n\n`
-            : "";
-
-          // Include prompt analysis in the SQL generation
-          const promptAnalysisStr = JSON.stringify(promptAnalysis, null, 2);
-
-          const sqlPromptText = `
-            ${contextPrefix}You are a SQL expert. Generate a PostgreSQL query based on the following information:
-
-            RELEVANT SCHEMA:
-            ${JSON.stringify(minimalSchema, null, 2)}
-
-            USER REQUEST: ${userPrompt}
-            
-            DETAILED REQUEST ANALYSIS:
-            ${promptAnalysisStr}
-
-            IMPORTANT GUIDELINES:
-            1. Use only the tables provided in the schema
-            2. Use appropriate JOINs based on the relationships provided
-            3. Include error handling for NULL values
-            4. Use appropriate aggregation functions when needed
-            5. Return ONLY the SQL query without any markdown formatting, explanations, or backticks
-            6. The query must start with SELECT or WITH
-            7. ALWAYS qualify column names with table aliases to avoid ambiguity (e.g., use "t1.country_id" instead of just "country_id")
-            8. When using UNION, ensure all SELECT statements have the same number of columns with matching data types
-            9. For complex queries, use CTEs (WITH clause) to improve readability and maintainability
-            10. Use table aliases for all tables (e.g., "FROM countries AS c")
-            11. Pay special attention to the core question and intent identified in the request analysis
-            12. Apply any filters or conditions identified in the request analysis
-            13. Include the specific fields identified as relevant in the request analysis
-          `;
-
-          return this.mistralService.generateMistralResponse(
-            sqlPromptText,
-            conversationHistory
-          );
-        });
+  // Ask the LLM for the main SQL query, with similar past queries as examples
+  async generateSqlFromPrompt(userPrompt, conversationHistory, promptAnalysis, minimalSchema, examples = []) {
+    // Real values and ranges of the columns, so filters match the data
+    const profilesSection = await this.getColumnProfilesSection(
+      Object.keys(minimalSchema.tables || {})
+    );
+    // Governed metric and dimension definitions mentioned in the request
+    const semanticTexts = [userPrompt, ...(promptAnalysis?.intentClassification?.metrics || [])];
+    const definitionsSection = this.semanticLayerService.formatDefinitions(
+      this.semanticLayerService.findMetrics(semanticTexts),
+      this.semanticLayerService.findDimensions(semanticTexts)
+    );
 
-        cleanSQL = this.sqlGenerationService.cleanSQLResponse(sqlResponse);
-        console.log("Generated SQL:", cleanSQL);
-      }
+    // Generate SQL query with retry, now enhanced with prompt analysis
+    const sqlResponse = await this.mistralService.retryWithBackoff(async () => {
+      // Include conversation history context in the SQL generation
+      const historyContext =
+        this.mistralService.formatConversationHistory(conversationHistory);
+      const contextPrefix = historyContext
+        ? `CONVERSATION HISTORY:\n${historyContext}\n\n`
+        : "";
 
-      // Validate and potentially fix the SQL
-      const validatedSQL = await this.sqlGenerationService.validateSql(cleanSQL);
+      // Include prompt analysis in the SQL generation
+      const promptAnalysisStr = JSON.stringify(promptAnalysis, null, 2);
 
-      // Execute SQL query
-      const result = await pool.query(validatedSQL);
+      // Past prompt/SQL pairs for similar requests
+      const examplesSection = this.sqlGenerationService.formatFewShotExamples(examples);
 
-      // Learn from this successful query
-      await this.sqlGenerationService.learnFromSuccessfulQuery(
-        validatedSQL,
-        minimalSchema,
-        userPrompt,
-        result.rows.length
-      );
+      const sqlPromptText = `
+        ${contextPrefix}You are a SQL expert. Generate a ${this.dataSource.dialect.label} query based on the following information:
 
-      // Process the primary data
-      let data = result.rows;
+        RELEVANT SCHEMA:
+        ${JSON.stringify(minimalSchema, null, 2)}
 
-      // Build relationship graph for more effective relationship handling
-      const relationshipGraph = await this.dataEnrichmentService.buildRelationshipGraph(
-        minimalSchema,
-        relationships
-      );
+        ${profilesSection}
 
-      // Perform multi-level relationship resolution (new enhanced method)
-      data = await this.dataEnrichmentService.resolveMultiLevelRelationships(
-        data,
-        minimalSchema,
-        relationships
-      );
+        ${definitionsSection}
 
-      // Process data with enhanced Danfo.js processing
-      let insights = {}, columnTypes = {};
-      try {
-        if (this.dataEnrichmentService.processDataWithDanfo) {
-          const result = await this.dataEnrichmentService.processDataWithDanfo(data);
-          if (result) {
-            data = result.processedData || data;
-            insights = result.insights || {};
-            columnTypes = result.columnTypes || {};
-          }
-        }
-      } catch (danfoError) {
-        console.error("Error processing data with Danfo.js:", danfoError);
-      }
-      
-      // Safely filter data based on prompt analysis
-      try {
-        if (this.dataEnrichmentService.filterDataBasedOnPromptAnalysis) {
-          data = await this.dataEnrichmentService.filterDataBasedOnPromptAnalysis(
-            data,
-            promptAnalysis
-          );
-        }
-      } catch (filterError) {
-        console.error("Error filtering data:", filterError);
-      }
-      
-      // Safely analyze data for insights
-      let dataInsights = [];
-      try {
-        if (this.dataEnrichmentService.analyzeDataForInsights) {
-          const result = await this.dataEnrichmentService.analyzeDataForInsights(
-            data,
-            promptAnalysis
-          );
-          dataInsights = result.insights || [];
-        }
-      } catch (insightError) {
-        console.error("Error analyzing data for insights:", insightError);
-      }
-      
-      // Add insights to enhanced results
-      enhancedResults.dataFrameInsights = insights;
-      enhancedResults.columnTypes = columnTypes;
-      enhancedResults.aiInsights = dataInsights;
-      
-      // Perform related queries to enrich the data
-      const { primaryData, relatedData } = await this.dataEnrichmentService.performRelatedQueries(
-        data,
-        minimalSchema,
-        relationships
-      );
+        USER REQUEST: ${userPrompt}
+        
+        DETAILED REQUEST ANALYSIS:
+        ${promptAnalysisStr}
+
+        ${examplesSection}
+
+        IMPORTANT GUIDELINES:
+        1. Use only the tables provided in the schema, named exactly as shown (including any "schema." prefix); only use the listed "values" when filtering enum columns
+        2. Use appropriate JOINs based on the relationships provided
+        3. Include error handling for NULL values
+        4. Use appropriate aggregation functions when needed
+        5. Return ONLY the SQL query without any markdown formatting, explanations, or backticks
+        6. The query must start with SELECT or WITH
+        7. ALWAYS qualify column names with table aliases to avoid ambiguity (e.g., use "t1.country_id" instead of just "country_id")
+        8. When using UNION, ensure all SELECT statements have the same number of columns with matching data types
+        9. For complex queries, use CTEs (WITH clause) to improve readability and maintainability
+        10. Use table aliases for all tables (e.g., "FROM countries AS c")
+        11. Pay special attention to the core question and intent identified in the request analysis
+        12. Apply any filters or conditions identified in the request analysis
+        13. Include the specific fields identified as relevant in the request analysis
+        14. When filtering on a profiled column, use one of its listed values rather than guessing the spelling or case
+        15. Compute any metric listed under business definitions exactly as defined, including its filters
+        16. ${this.dataSource.dialect.promptGuidance()}
+      `;
 
-      // Resolve nested foreign key relationships (new step)
-      data = await this.dataEnrichmentService.resolveNestedForeignKeys(
-        primaryData,
-        minimalSchema,
-        relationships
+      return this.mistralService.generateMistralResponse(
+        sqlPromptText,
+        conversationHistory,
+        { stage: "sqlGeneration" }
       );
+    });
 
-      // Enrich data by replacing IDs with meaningful values
-      data = await this.dataEnrichmentService.enrichDataWithRelatedInfo(data, relatedData);
-
-      // Format data using Danfo.js
-      const { formattedData, insights: danfoInsights } =
-        await this.dataEnrichmentService.formatDataWithDanfo(data);
-      data = formattedData;
-
-      // Ensure data consistency and accuracy (new step)
-      const { data: consistentData, metadata: columnMetadata } =
-        await this.dataEnrichmentService.ensureDataConsistency(data, minimalSchema);
-      data = consistentData;
-
-      // Generate consistent table structure (new step)
-      const { tableData, tableStructure } =
-        this.dataEnrichmentService.generateConsistentTableStructure(data, columnMetadata);
+    const cleanSQL = this.sqlGenerationService.cleanSQLResponse(sqlResponse);
+    console.log("Generated SQL:", cleanSQL);
+    return cleanSQL;
+  }
 
-      // Make analysis decisions with error handling
-      const decisions = await this.mistralService.retryWithBackoff(async () => {
-        // Create a simple decision chain
-        const prompt = `
-          Analyze this request: ${userPrompt}
-          
-          Data sample: ${JSON.stringify(data.slice(0, 3))}
-          
-          Return a JSON with analysis decisions. The JSON should include:
-          - intentClassification (with type, confidence, reasoning)
-          - dataAssessment (with availableFields, dataTypes, sufficiencyScore, qualityIssues)
-          - analysisStrategy (with recommendedTechniques, visualizations)
-          - dataRequirements (with needsAdditionalQuery, additionalQueryDescription)
-          - calculationsNeeded (array of calculations)
-          - analysisSteps (array of steps)
-          
-          IMPORTANT: Format your response as valid JSON only, with no additional text.
-        `;
+  // What the client is told about a past query used as an example
+  summarizeSqlExample(example) {
+    return {
+      userPrompt: example.userPrompt,
+      sql: example.query,
+      similarity: Number(example.similarity.toFixed(2))
+    };
+  }
 
-        const response = await this.mistralService.generateMistralResponse(prompt);
+  // Let the client know an LLM response failed validation and defaults were used
+  reportStructuredOutputError(error, sendUpdate) {
+    if (!sendUpdate || error?.code !== "STRUCTURED_OUTPUT_INVALID") return;
 
-        // Try to parse the response as JSON
-        try {
-          const jsonMatch = response.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
-          }
-          
-          // Fallback to default decisions
-          return {
-            needsAdditionalQuery: false,
-            additionalQueryDescription: null,
-            calculationsNeeded: ["basic statistics"],
-            analysisSteps: ["Basic data analysis"],
-          };
-        } catch (parseError) {
-          console.warn(
-            "Failed to parse decision chain response as JSON:",
-            parseError
-          );
-          // Provide a fallback response if parsing fails
-          return {
-            needsAdditionalQuery: false,
-            additionalQueryDescription: null,
-            calculationsNeeded: ["basic statistics"],
-            analysisSteps: ["Basic data analysis"],
-          };
-        }
-      });
+    sendUpdate({
+      status: 'processing',
+      type: 'structured_output_error',
+      stage: error.stage,
+      message: `The AI response for ${error.stage} was invalid, continuing with defaults`,
+      errors: error.validationErrors
+    });
+  }
 
-      // Perform calculations based on decisions
-      const additionalCalculations = await this.mistralService.retryWithBackoff(async () => {
-        return await this.analyticsService.performCalculations(
-          data,
-          decisions.calculationsNeeded
-        );
-      });
+  // Ask the AI how to analyze the data, falling back to basic statistics when
+  // the response does not match the decisions schema
+  async makeAnalysisDecisions(userPrompt, data, sendUpdate = null) {
+    const prompt = `
+      Analyze this request: ${userPrompt}
+      
+      Data sample: ${JSON.stringify(data.slice(0, 3))}
+      
+      Return a JSON with analysis decisions. The JSON should include:
+      - intentClassification (with type, confidence, reasoning)
+      - dataAssessment (with availableFields, dataTypes, sufficiencyScore, qualityIssues)
+      - analysisStrategy (with recommendedTechniques, visualizations)
+      - dataRequirements (with needsAdditionalQuery, additionalQueryDescription)
+      - calculationsNeeded (array of calculations)
+      - analysisSteps (array of steps)
+    `;
 
-      // Enrich data with calculation results
-      const finalEnrichedData = this.analyticsService.enrichDataWithCalculations(
-        data,
-        additionalCalculations
+    try {
+      return await this.structuredOutputService.generate(
+        prompt,
+        analysisDecisionsSchema,
+        { stage: "decisions" }
       );
-
-      // Check if additional queries are needed
-      let additionalQueries = [];
-      if (
-        decisions.dataRequirements &&
-        decisions.dataRequirements.needsAdditionalQuery
-      ) {
-        additionalQueries = await this.mistralService.retryWithBackoff(async () => {
-          return await this.sqlGenerationService.generateAdditionalQueries(
-            userPrompt,
-            minimalSchema,
-            decisions.dataRequirements.additionalQueryDescription
-          );
-        });
-      }
-
-      // After processing the data, try to enhance the results
-      try {
-        // Process decisions to get enhanced insights
-        enhancedResults = await this.analyticsService.processDecisions(
-          decisions,
-          finalEnrichedData,
-          userPrompt
-        );
-
-        // Add Danfo.js insights
-        enhancedResults.danfoInsights = danfoInsights;
-
-        console.log("Enhanced results generated successfully");
-      } catch (enhancementError) {
-        console.warn("Error generating enhanced results:", enhancementError);
-        // Keep the default empty structure instead of failing
+    } catch (error) {
+      if (error.code !== "STRUCTURED_OUTPUT_INVALID") {
+        throw error;
       }
 
-      // Include the enhanced insights in the final response
-      enhancedResults.dataFrameInsights = insights;
-      enhancedResults.columnTypes = columnTypes;
+      console.warn("Failed to get valid analysis decisions:", error.validationErrors);
+      this.reportStructuredOutputError(error, sendUpdate);
 
-      // Filter data based on prompt analysis to remove irrelevant fields
-      data = await this.dataEnrichmentService.filterDataBasedOnPromptAnalysis(
-        data,
-        promptAnalysis
-      );
-      
-      // Analyze data to extract key insights based on prompt analysis
-      const { insights: aiInsights } = await this.dataEnrichmentService.analyzeDataForInsights(
-        data,
-        promptAnalysis
-      );
-      
-      // Add AI-generated insights to enhanced results
-      enhancedResults.aiInsights = aiInsights;
-      
-      // Include AI insights in the report prompt
-      const reportPrompt = `
-        Generate a comprehensive report based on the following data and analysis:
-        
-        USER REQUEST: ${userPrompt}
-        
-        DATA SUMMARY: ${JSON.stringify(
-          Array.isArray(finalEnrichedData) && finalEnrichedData.length > 0
-            ? finalEnrichedData.slice(0, 5)
-            : []
-        )}
-        ROW COUNT: ${
-          Array.isArray(finalEnrichedData) ? finalEnrichedData.length : 0
-        }
-        ${
-          enhancedResults?.insights
-            ? `ENHANCED INSIGHTS: ${JSON.stringify(
-                enhancedResults.insights
-              )}`
-            : ""
-        }
-        ${
-          enhancedResults?.recommendations
-            ? `RECOMMENDATIONS: ${JSON.stringify(
-                enhancedResults.recommendations
-              )}`
-            : ""
-        }
-        ${
-          enhancedResults?.danfoInsights
-            ? `STATISTICAL INSIGHTS: ${JSON.stringify(
-                enhancedResults.danfoInsights
-              )}`
-            : ""
-        }
-        ${
-          enhancedResults?.aiInsights && enhancedResults.aiInsights.length > 0
-            ? `AI INSIGHTS: ${JSON.stringify(
-                enhancedResults.aiInsights
-              )}`
-            : ""
-        }
-        
-        REPORT GUIDELINES:
-        1. Focus specifically on answering the user's request: "${userPrompt}"
-        2. Start with an executive summary that directly addresses what the user asked for
-        3. Include key findings and insights that are relevant to the user's question
-        4. Support conclusions with data from the analysis
-        5. Use bullet points for clarity where appropriate
-        6. Highlight any anomalies or unexpected patterns
-        7. Format numbers and dates appropriately
-        8. Structure the report in a clear, readable format
-        9. If AI insights are available, incorporate them into the narrative
-        10. If recommendations are available, include them in a dedicated section
-        11. IMPORTANT: Use the actual names of entities rather than IDs (e.g., use "Product Name" instead of "product_id")
-        12. If statistical insights are available, interpret correlations and group analysis in business terms
-        13. DO NOT make assumptions about the data being about bookings or any specific domain - respond directly to what the data shows
-      `;
-
-      // Generate the report
-      const report = await this.mistralService.retryWithBackoff(async () => {
-        return this.mistralService.generateMistralResponse(reportPrompt, conversationHistory);
-      });
-
-      // When returning the final response, include the AI insights
       return {
-        report,
-        rawData: finalEnrichedData || [],
-        generatedSQL: cleanSQL,
-        additionalQueries,
-        calculations: additionalCalculations || {},
-        rowCount: Array.isArray(finalEnrichedData) ? finalEnrichedData.length : 0,
-        tablesUsed: relevantTables || [],
-        analysisSteps: decisions?.analysisSteps || [],
-        enhancedResults: enhancedResults || {},
-        relatedData: relatedData || {},
-        tableStructure: tableStructure || {},
-        columnMetadata: columnMetadata || {},
-        aiInsights: dataInsights || [],
-        processing: false,
+        dataRequirements: {
+          needsAdditionalQuery: false,
+          additionalQueryDescription: null,
+        },
+        calculationsNeeded: ["basic statistics"],
+        analysisSteps: ["Basic data analysis"],
       };
-    } catch (error) {
-      console.error("Error in report generation:", error);
-      throw error;
     }
   }
 
-  // Add this method to the ReportService class
-  async generateReportStream(userPrompt, conversationHistory = [], sendUpdate) {
-    try {
-      // Send initial update to client
-      sendUpdate({ 
-        status: 'processing',
-        message: 'Starting report generation...'
-      });
+  // Up to 3 queries for the additional data the analysis asked for. A
+  // response that fails validation is reported and no queries are suggested.
+  async generateAdditionalQueries(userPrompt, schema, queryDescription, sendUpdate = null) {
+    if (!queryDescription) return [];
 
-      // Initialize variables that might be referenced later
-      let initialResults = {
-        insights: [],
-        recommendations: [],
-        additionalAnalyses: [],
-      };
-
-      // Perform deep prompt analysis first
-      sendUpdate({ 
-        status: 'processing',
-        message: 'Analyzing your request...'
-      });
-
-      let promptAnalysis;
-      try {
-        promptAnalysis = await this.analyzeUserPrompt(userPrompt, conversationHistory);
-        sendUpdate({ 
-          status: 'processing',
-          message: 'Request analysis complete',
-          promptAnalysis: promptAnalysis
-        });
-      } catch (analysisError) {
-        console.warn("Error in prompt analysis:", analysisError);
-        promptAnalysis = {
-          coreQuestion: userPrompt,
-          intentClassification: { type: "descriptive", metrics: [] },
-          entitiesAndRelationships: { entities: [], relationships: [], timePeriods: [] },
-          dataRequirements: { relevantTables: [], relevantFields: [], aggregations: [], filters: [] },
-          complexityAssessment: { level: "moderate", requiresMultipleQueries: false, requiresAdvancedAnalysis: false }
-        };
-      }
+    const prompt = `
+      Based on this user request: "${userPrompt}"
       
-      // Get schema information with caching
-      sendUpdate({ 
-        status: 'processing',
-        message: 'Retrieving database schema...'
-      });
-
-      const { schemas, relationships } = await this.getSchemaWithCache();
-
-      // Use the prompt analysis to identify relevant tables with retry
-      sendUpdate({ 
-        status: 'processing',
-        message: 'Identifying relevant data tables...'
-      });
-
-      let relevantTables;
-      try {
-        // Use the parallel approach for better performance
-        relevantTables = await this.identifyRelevantTablesParallel(userPrompt, schemas, promptAnalysis);
-        
-        sendUpdate({ 
-          status: 'processing',
-          message: 'Identified relevant tables',
-          tables: relevantTables
-        });
-      } catch (tableError) {
-        console.error("Error identifying relevant tables:", tableError);
-        // Use first available table as fallback
-        relevantTables = Object.keys(schemas).slice(0, 1);
-        if (relevantTables.length === 0) {
-          throw new Error("No tables available in the database");
-        }
-      }
+      We need additional data described as: "${queryDescription}"
+      
+      Using this schema: ${JSON.stringify(schema, null, 2)}
+      
+      Generate up to 3 SQL queries that would provide the additional data needed.
+      Return a JSON object with a "queries" array; give each query a "description" and its "sql".
+      
+      IMPORTANT: Each SQL query MUST start with SELECT or WITH.
+    `;
 
-      // Create minimal schema with only relevant tables
-      const minimalSchema = this.sqlGenerationService.createMinimalSchema(
-        schemas,
-        relationships,
-        relevantTables
+    try {
+      const { queries } = await this.structuredOutputService.generate(
+        prompt,
+        additionalQueriesSchema,
+        { stage: "sqlGeneration" }
       );
+      return queries;
+    } catch (error) {
+      if (error.code !== "STRUCTURED_OUTPUT_INVALID") throw error;
 
-      // Check if this is a complex analytical query
-      let isComplexAnalytical = false;
-      let analyticalQueryResult = null;
-
-      if (promptAnalysis.complexityAssessment && 
-          (promptAnalysis.complexityAssessment.level === "high" || 
-           promptAnalysis.complexityAssessment.requiresAdvancedAnalysis)) {
-        
-        sendUpdate({ 
-          status: 'processing',
-          message: 'Detected complex analytical query, performing specialized analysis...'
-        });
-        
-        analyticalQueryResult = await this.handleComplexAnalyticalQuery(
-          userPrompt, 
-          promptAnalysis, 
-          schemas, 
-          relationships
-        );
-        
-        if (analyticalQueryResult && analyticalQueryResult.analyticalSQL) {
-          isComplexAnalytical = true;
-          sendUpdate({ 
-            status: 'processing',
-            message: 'Generated specialized analytical query',
-            analyticalConcepts: analyticalQueryResult.extractedConcepts
-          });
-        }
-      }
-
-      // Then, when generating SQL, use the analytical SQL if available:
-      let sql, cleanSQL;
-
-      if (isComplexAnalytical && analyticalQueryResult.analyticalSQL) {
-        sql = analyticalQueryResult.analyticalSQL;
-        cleanSQL = sql; // Analytical SQL is already clean
-        
-        sendUpdate({ 
-          status: 'processing',
-          message: 'Using specialized analytical SQL',
-          sql: cleanSQL
-        });
-      } else {
-        // Generate SQL query with retry, now enhanced with prompt analysis
-        const sqlResponse = await this.mistralService.retryWithBackoff(async () => {
-          // Include conversation history context in the SQL generation
-          const historyContext =
-            this.mistralService.formatConversationHistory(conversationHistory);
-          const contextPrefix = historyContext
-            ? `CONVERSATION HISTORY:\n${historyContext}\n\n`
-            : "";
-
-          // Include prompt analysis in the SQL generation
-          const promptAnalysisStr = JSON.stringify(promptAnalysis, null, 2);
-
-          const sqlPromptText = `
-            ${contextPrefix}You are a SQL expert. Generate a PostgreSQL query based on the following information:
-
-            RELEVANT SCHEMA:
-            ${JSON.stringify(minimalSchema, null, 2)}
-
-            USER REQUEST: ${userPrompt}
-            
-            DETAILED REQUEST ANALYSIS:
-            ${promptAnalysisStr}
-
-            IMPORTANT GUIDELINES:
-            1. Use only the tables provided in the schema
-            2. Use appropriate JOINs based on the relationships provided
-            3. Include error handling for NULL values
-            4. Use appropriate aggregation functions when needed
-            5. Return ONLY the SQL query without any markdown formatting, explanations, or backticks
-            6. The query must start with SELECT or WITH
-            7. ALWAYS qualify column names with table aliases to avoid ambiguity (e.g., use "t1.country_id" instead of just "country_id")
-            8. When using UNION, ensure all SELECT statements have the same number of columns with matching data types
-            9. For complex queries, use CTEs (WITH clause) to improve readability and maintainability
-            10. Use table aliases for all tables (e.g., "FROM countries AS c")
-            11. Pay special attention to the core question and intent identified in the request analysis
-            12. Apply any filters or conditions identified in the request analysis
-            13. Include the specific fields identified as relevant in the request analysis
-          `;
-
-          return this.mistralService.generateMistralResponse(
-            sqlPromptText,
-            conversationHistory
-          );
-        });
-
-        cleanSQL = this.sqlGenerationService.cleanSQLResponse(sqlResponse);
-        console.log("Generated SQL:", cleanSQL);
-      }
-
-      // Execute the SQL query with fallback mechanism
-      sendUpdate({ 
-        status: 'processing',
-        message: 'Executing SQL query...'
-      });
-
-      const queryResult = await this.executeSqlWithFallback(cleanSQL, userPrompt, minimalSchema, sendUpdate);
-
-      // Extract data and handle fallback messages
-      const data = queryResult.data || [];
-      if (queryResult.fallbackUsed) {
-        cleanSQL = queryResult.sql;
-        sendUpdate({ 
-          status: 'processing',
-          message: queryResult.message || 'Using simplified query due to errors with original query'
-        });
-      }
-
-      // If we still have no data, provide a clear message
-      if (data.length === 0) {
-        sendUpdate({ 
-          status: 'processing',
-          message: 'No data found. The query may be incorrect or the table might be empty.'
-        });
-      }
-
-      // Learn from this successful query
-      await this.sqlGenerationService.learnFromSuccessfulQuery(
-        cleanSQL,
-        minimalSchema,
-        userPrompt,
-        data.length
-      );
+      console.warn("Failed to get valid additional queries:", error.validationErrors);
+      this.reportStructuredOutputError(error, sendUpdate);
+      return [];
+    }
+  }
 
-      // Process the primary data
-      let processedData = data;
+  // Add the custom stages of PIPELINE_STAGES_PATH to the report pipeline, once
+  async ensurePipeline() {
+    if (!this.#pipelineReady) {
+      this.#pipelineReady = (async () => {
+        if (!pipelineConfig.stagesPath) return;
 
-      // Build relationship graph for more effective relationship handling
-      const relationshipGraph = await this.dataEnrichmentService.buildRelationshipGraph(
-        minimalSchema,
-        relationships
-      );
+        const module = await import(pathToFileURL(path.resolve(pipelineConfig.stagesPath)).href);
+        await module.default(this.reportPipeline, this);
+        console.log("Report pipeline stages:", this.reportPipeline.getStageNames().join(", "));
+      })();
+    }
+    return this.#pipelineReady;
+  }
 
-      // Perform multi-level relationship resolution (new enhanced method)
-      processedData = await this.dataEnrichmentService.resolveMultiLevelRelationships(
-        processedData,
-        minimalSchema,
-        relationships
+  #pipelineReady = null;
+
+  // Run the report pipeline with its LLM usage metered for userId and the
+  // tables uploaded in sessionId, traced unless tracing is disabled
+  async runPipeline(reportId, userPrompt, conversationHistory, sendUpdate, { streaming = false, userId = null, sessionId = null } = {}) {
+    // A used up budget stops the report the way a cancellation does
+    const budget = new AbortController();
+    const parent = getCurrentSignal();
+    const signal = parent ? AbortSignal.any([parent, budget.signal]) : budget.signal;
+    const meter = await this.usageService.createMeter(reportId, userId, (error) =>
+      budget.abort(error)
+    );
+    this.usageService.assertWithinBudget(meter);
+
+    const run = () =>
+      runWithSignal(signal, () =>
+        runWithUsageMeter(meter, () =>
+          runWithUploadSession(sessionId, () =>
+            this.runPipelineStages(reportId, userPrompt, conversationHistory, sendUpdate, streaming)
+          )
+        )
       );
+    if (!this.traceService.enabled) return run();
 
-      // Process data with enhanced Danfo.js processing
-      sendUpdate({ 
-        status: 'processing',
-        message: 'Processing data...'
-      });
-      
-      // Use parallel processing for better performance
-      const {
-        enrichedData,
-        relatedData,
-        insights: dataInsights,
-        calculations: additionalCalculations,
-        enhancedResults: parallelResults,
-        columnTypes
-      } = await this.processDataInParallel(processedData, promptAnalysis, schemas, relationships);
-
-      // Merge the results
-      const enhancedResults = {
-        ...initialResults,
-        ...parallelResults,
-        columnTypes
-      };
-
-      // Format data using Danfo.js
-      const { formattedData, insights: danfoInsights } =
-        await this.dataEnrichmentService.formatDataWithDanfo(enrichedData);
-      processedData = formattedData;
-
-      // Ensure data consistency and accuracy (new step)
-      const { data: consistentData, metadata: columnMetadata } =
-        await this.dataEnrichmentService.ensureDataConsistency(processedData, minimalSchema);
-      processedData = consistentData;
-
-      // Generate consistent table structure (new step)
-      const { tableData, tableStructure } =
-        this.dataEnrichmentService.generateConsistentTableStructure(processedData, columnMetadata);
+    const trace = createTrace(reportId);
+    this.traceService.track(trace);
+    try {
+      return await runWithTrace(trace, "report", {
+        "report.streaming": streaming,
+        "report.data_source": this.dataSource.name,
+        "report.prompt_chars": userPrompt.length,
+        "report.user_id": userId,
+      }, run);
+    } finally {
+      this.traceService.finishTrace(trace);
+    }
+  }
 
-      // Make analysis decisions with error handling
-      sendUpdate({ 
-        status: 'processing',
-        message: 'Determining analysis approach...'
-      });
-      
-      const decisions = await this.mistralService.retryWithBackoff(async () => {
-        // Create a simple decision chain
-        const prompt = `
-          Analyze this request: ${userPrompt}
-          
-          Data sample: ${JSON.stringify(processedData.slice(0, 3))}
-          
-          Return a JSON with analysis decisions. The JSON should include:
-          - intentClassification (with type, confidence, reasoning)
-          - dataAssessment (with availableFields, dataTypes, sufficiencyScore, qualityIssues)
-          - analysisStrategy (with recommendedTechniques, visualizations)
-          - dataRequirements (with needsAdditionalQuery, additionalQueryDescription)
-          - calculationsNeeded (array of calculations)
-          - analysisSteps (array of steps)
-          
-          IMPORTANT: Format your response as valid JSON only, with no additional text.
-        `;
+  // Stage events go out through sendUpdate as { type: 'stage', stage, phase }
+  // updates. Resolves to the final response, or to the rejection when the
+  // generated SQL was refused.
+  async runPipelineStages(reportId, userPrompt, conversationHistory, sendUpdate, streaming) {
+    await this.ensurePipeline();
 
-        const response = await this.mistralService.generateMistralResponse(prompt);
+    const messages = Object.fromEntries(
+      this.reportPipeline.stages.map((stage) => [stage.name, stage.message])
+    );
 
-        // Try to parse the response as JSON
-        try {
-          const jsonMatch = response.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
-          }
-          
-          // Fallback to default decisions
-          return {
-            needsAdditionalQuery: false,
-            additionalQueryDescription: null,
-            calculationsNeeded: ["basic statistics"],
-            analysisSteps: ["Basic data analysis"],
-          };
-        } catch (parseError) {
-          console.warn(
-            "Failed to parse decision chain response as JSON:",
-            parseError
-          );
-          // Provide a fallback response if parsing fails
-          return {
-            needsAdditionalQuery: false,
-            additionalQueryDescription: null,
-            calculationsNeeded: ["basic statistics"],
-            analysisSteps: ["Basic data analysis"],
-          };
+    const { state, result } = await this.reportPipeline.run(
+      { reportId, userPrompt, conversationHistory },
+      {
+        context: { reportId, streaming, sendUpdate },
+        onEvent: ({ stage, phase, durationMs, error }) => {
+          sendUpdate({
+            status: 'processing',
+            type: 'stage',
+            stage,
+            phase,
+            ...(phase === 'started' && messages[stage] ? { message: messages[stage] } : {}),
+            ...(durationMs !== undefined ? { durationMs } : {}),
+            ...(error ? { error } : {})
+          });
         }
-      });
+      }
+    );
 
-      // Perform calculations based on decisions
-      sendUpdate({ 
-        status: 'processing',
-        message: 'Performing calculations...'
-      });
-      
-      const calculationResults = await this.mistralService.retryWithBackoff(async () => {
-        return await this.analyticsService.performCalculations(
-          processedData,
-          decisions.calculationsNeeded
-        );
-      });
+    return result || state.response;
+  }
 
-      // Enrich data with calculation results
-      const finalEnrichedData = this.analyticsService.enrichDataWithCalculations(
-        processedData,
-        additionalCalculations
+  // Generate a report. Aborting `options.signal` stops the LLM calls and
+  // queries still running and rejects with a REPORT_CANCELLED error, as does
+  // using up an LLM budget (with type 'budget_exceeded'). LLM usage is counted
+  // for `options.userId`; the tables uploaded in `options.sessionId` can be
+  // queried.
+  async generateReport(userPrompt, conversationHistory = [], options = {}) {
+    // Identifies this report when feedback is submitted for it
+    const reportId = randomUUID();
+
+    try {
+      const response = await runWithSignal(options.signal, () =>
+        this.runPipeline(reportId, userPrompt, conversationHistory, () => {}, {
+          userId: options.userId,
+          sessionId: options.sessionId
+        })
       );
 
-      // Check if additional queries are needed
-      let additionalQueries = [];
-      if (
-        decisions.dataRequirements &&
-        decisions.dataRequirements.needsAdditionalQuery
-      ) {
-        sendUpdate({ 
-          status: 'processing',
-          message: 'Generating follow-up questions...'
-        });
-        
-        additionalQueries = await this.mistralService.retryWithBackoff(async () => {
-          return await this.sqlGenerationService.generateAdditionalQueries(
-            userPrompt,
-            minimalSchema,
-            decisions.dataRequirements.additionalQueryDescription
-          );
-        });
+      if (response?.status === 'rejected') {
+        throw this.sqlGuardService.createRejection(response.reason, response.sql, response.type);
       }
+      return response;
+    } catch (error) {
+      console.error("Error in report generation:", error);
+      throw error;
+    }
+  }
 
-      // After processing the data, try to enhance the results
-      sendUpdate({ 
-        status: 'processing',
-        message: 'Enhancing analysis results...'
-      });
-      
-      try {
-        // Process decisions to get enhanced insights
-        initialResults = await this.analyticsService.processDecisions(
-          decisions,
-          finalEnrichedData,
-          userPrompt
-        );
+  // Stream a report through sendUpdate. The first update carries the reportId,
+  // which cancelReport accepts; aborting `options.signal` (e.g. when the client
+  // disconnects) cancels the report too. Cancellation stops the LLM calls and
+  // queries still running, and no further updates are sent except a final
+  // { status: 'cancelled' }. A used up LLM budget stops the report the same
+  // way, with type 'budget_exceeded'. LLM usage is counted for `options.userId`;
+  // the tables uploaded in `options.sessionId` can be queried.
+  async generateReportStream(userPrompt, conversationHistory = [], sendUpdate, options = {}) {
+    // Identifies this report for cancellation and when feedback is submitted for it
+    const reportId = randomUUID();
+    const controller = new AbortController();
+    const signal = options.signal
+      ? AbortSignal.any([options.signal, controller.signal])
+      : controller.signal;
+    this.activeReports.set(reportId, controller);
+
+    // Every stage reports progress, so checking here stops the pipeline at the
+    // next stage even where a failed step would otherwise fall back
+    const sendIfActive = (update) => {
+      throwIfCancelled(signal);
+      sendUpdate(update);
+    };
+
+    try {
+      return await runWithSignal(signal, () =>
+        this.runReportStream(reportId, userPrompt, conversationHistory, sendIfActive, {
+          userId: options.userId,
+          sessionId: options.sessionId
+        })
+      );
+    } catch (error) {
+      if (!isCancellationError(error)) throw error;
 
-        // Add Danfo.js insights
-        initialResults.danfoInsights = danfoInsights;
+      console.log(`Report ${reportId} cancelled: ${error.message}`);
+      // Budget stops say which budget was used up
+      const reason = error.type ? { type: error.type, budget: error.budget } : {};
+      sendUpdate({
+        status: 'cancelled',
+        reportId,
+        message: error.message,
+        ...reason
+      });
+      return { status: 'cancelled', reportId, message: error.message, ...reason };
+    } finally {
+      this.activeReports.delete(reportId);
+    }
+  }
 
-        console.log("Enhanced results generated successfully");
-      } catch (enhancementError) {
-        console.warn("Error generating enhanced results:", enhancementError);
-        // Keep the default empty structure instead of failing
-      }
+  // Cancel a streamed report in progress. Returns false if there is none with
+  // that id.
+  cancelReport(reportId, reason = 'Report generation was cancelled') {
+    const controller = this.activeReports.get(reportId);
+    if (!controller) return false;
 
-      // Include the enhanced insights in the final response
-      initialResults.dataFrameInsights = dataInsights;
-      initialResults.columnTypes = columnTypes;
+    controller.abort(createCancellationError(reason));
+    return true;
+  }
 
-      // Filter data based on prompt analysis to remove irrelevant fields
-      processedData = await this.dataEnrichmentService.filterDataBasedOnPromptAnalysis(
-        processedData,
-        promptAnalysis
-      );
-      
-      // Analyze data to extract key insights based on prompt analysis
-      const { insights: aiInsights } = await this.dataEnrichmentService.analyzeDataForInsights(
-        processedData,
-        promptAnalysis
-      );
-      
-      // Add AI-generated insights to enhanced results
-      initialResults.aiInsights = aiInsights;
-      
-      // Include AI insights in the report prompt
+  async runReportStream(reportId, userPrompt, conversationHistory, sendUpdate, { userId = null, sessionId = null } = {}) {
+    try {
+      // Send initial update to client
       sendUpdate({ 
         status: 'processing',
-        message: 'Generating final report...'
+        message: 'Starting report generation...',
+        reportId,
+        dataSource: this.dataSource.name
+      });
+
+      return await this.runPipeline(reportId, userPrompt, conversationHistory, sendUpdate, {
+        streaming: true,
+        userId,
+        sessionId
+      });
+    } catch (error) {
+      // Handled by generateReportStream
+      if (isCancellationError(error)) throw error;
+
+      console.error("Error in report generation:", error);
+      
+      // Send error update to client
+      sendUpdate({
+        status: 'error',
+        message: `Error generating report: ${error.message}`,
+        error: error.message,
+        ...(error.stage ? { stage: error.stage } : {})
       });
       
-      const reportPrompt = `
+      // Return a graceful error response
+      return {
+        status: 'error',
+        error: error.message,
+        errorDetails: error.stack,
+        partialData: {
+          report: "An error occurred while generating your report. Please try again or refine your query.",
+          rawData: [],
+          generatedSQL: "",
+          additionalQueries: [],
+          calculations: {},
+          rowCount: 0,
+          tablesUsed: [],
+          analysisSteps: ["Error occurred during analysis"],
+          enhancedResults: {},
+          relatedData: {},
+          tableStructure: {},
+          columnMetadata: {},
+          aiInsights: [],
+          processing: false
+        }
+      };
+    }
+  }
+
+  // Write the report text from the final data and the insights gathered on it
+  async writeReport(userPrompt, conversationHistory, data, reportInsights) {
+    const reportPrompt = `
         Generate a comprehensive report based on the following data and analysis:
         
         USER REQUEST: ${userPrompt}
         
         DATA SUMMARY: ${JSON.stringify(
-          Array.isArray(finalEnrichedData) && finalEnrichedData.length > 0
-            ? finalEnrichedData.slice(0, 5)
+          Array.isArray(data) && data.length > 0
+            ? data.slice(0, 5)
             : []
         )}
         ROW COUNT: ${
-          Array.isArray(finalEnrichedData) ? finalEnrichedData.length : 0
+          Array.isArray(data) ? data.length : 0
         }
         ${
-          initialResults?.insights
+          reportInsights?.insights
             ? `ENHANCED INSIGHTS: ${JSON.stringify(
-                initialResults.insights
+                reportInsights.insights
               )}`
             : ""
         }
         ${
-          initialResults?.recommendations
+          reportInsights?.recommendations
             ? `RECOMMENDATIONS: ${JSON.stringify(
-                initialResults.recommendations
+                reportInsights.recommendations
               )}`
             : ""
         }
         ${
-          initialResults?.danfoInsights
+          reportInsights?.danfoInsights
             ? `STATISTICAL INSIGHTS: ${JSON.stringify(
-                initialResults.danfoInsights
+                reportInsights.danfoInsights
               )}`
             : ""
         }
         ${
-          initialResults?.aiInsights && initialResults.aiInsights.length > 0
+          reportInsights?.aiInsights && reportInsights.aiInsights.length > 0
             ? `AI INSIGHTS: ${JSON.stringify(
-                initialResults.aiInsights
+                reportInsights.aiInsights
               )}`
             : ""
         }
@@ -1126,77 +819,31 @@ export class ReportService {
         13. DO NOT make assumptions about the data being about  any specific domain - respond directly to what the data shows
       `;
 
-      // Generate the report
-      const report = await this.mistralService.retryWithBackoff(async () => {
-        return this.mistralService.generateMistralResponse(reportPrompt, conversationHistory);
-      });
-
-      // Send the final complete response in chunks if needed
-      const finalResponse = {
-        status: 'complete',
-        report,
-        rawData: finalEnrichedData || [],
-        generatedSQL: cleanSQL,
-        additionalQueries,
-        calculations: additionalCalculations || {},
-        rowCount: Array.isArray(finalEnrichedData) ? finalEnrichedData.length : 0,
-        tablesUsed: relevantTables || [],
-        analysisSteps: decisions?.analysisSteps || [],
-        enhancedResults: enhancedResults || {},
-        relatedData: relatedData || {},
-        tableStructure: tableStructure || {},
-        columnMetadata: columnMetadata || {},
-        aiInsights: dataInsights || [],
-        processing: false,
-      };
-
-      // Use the chunking method to send the response
-      this.chunkJsonData(finalResponse, sendUpdate);
-      
-      return finalResponse;
-    } catch (error) {
-      console.error("Error in report generation:", error);
-      
-      // Send error update to client
-      sendUpdate({
-        status: 'error',
-        message: `Error generating report: ${error.message}`,
-        error: error.message
+    return this.mistralService.retryWithBackoff(async () => {
+      return this.mistralService.generateMistralResponse(reportPrompt, conversationHistory, {
+        stage: "report",
       });
-      
-      // Return a graceful error response
-      return {
-        status: 'error',
-        error: error.message,
-        errorDetails: error.stack,
-        partialData: {
-          report: "An error occurred while generating your report. Please try again or refine your query.",
-          rawData: [],
-          generatedSQL: "",
-          additionalQueries: [],
-          calculations: {},
-          rowCount: 0,
-          tablesUsed: [],
-          analysisSteps: ["Error occurred during analysis"],
-          enhancedResults: {},
-          relatedData: {},
-          tableStructure: {},
-          columnMetadata: {},
-          aiInsights: [],
-          processing: false
-        }
-      };
-    }
+    });
   }
 
-  // Optimized SQL execution that doesn't block the event loop
-  async executeSqlNonBlocking(sql) {
+  // Optimized SQL execution that doesn't block the event loop. `maxRows`
+  // caps the rows below the execution policy's limit.
+  async executeSqlNonBlocking(sql, { maxRows = null } = {}) {
+    // A lower cap never lifts the execution policy's
+    const policyMaxRows = this.sqlGuardService.policy.maxRows;
+    const options = maxRows && (!policyMaxRows || maxRows < policyMaxRows) ? { maxRows } : {};
+
     return new Promise((resolve, reject) => {
       // Use setImmediate to avoid blocking the event loop
       setImmediate(async () => {
         try {
-          const result = await pool.query(sql);
-          resolve({ data: this.formatDatesInData(result.rows), sql });
+          const result = await this.sqlGuardService.executeReadOnly(sql, options);
+          resolve({
+            data: this.formatDatesInData(result.rows),
+            // As normalized by the guard
+            sql: result.sql,
+            policy: result.policy,
+          });
         } catch (error) {
           console.error("SQL execution error:", error);
           reject(error);
@@ -1206,7 +853,13 @@ export class ReportService {
   }
 
   // Update the executeSqlWithFallback method to use non-blocking execution
-  async executeSqlWithFallback(sql, userPrompt, minimalSchema, sendUpdate) {
+  async executeSqlWithFallback(
+    sql,
+    userPrompt,
+    minimalSchema,
+    sendUpdate,
+    { maxRows = null, costRewrites = 0 } = {}
+  ) {
     try {
       // First attempt: Try the original SQL
       sendUpdate({ 
@@ -1214,23 +867,79 @@ export class ReportService {
         message: 'Executing SQL query...'
       });
       
-      return await this.executeSqlNonBlocking(sql);
+      const result = await this.executeSqlNonBlocking(sql, { maxRows });
+      return costRewrites > 0 ? { ...result, rewritten: true } : result;
     } catch (error) {
+      const policy = this.sqlGuardService.policy;
+
+      // Queries over the cost threshold can be sent back to the LLM to be made cheaper
+      if (
+        error.code === "SQL_REJECTED" &&
+        error.type === "sql_cost_exceeded" &&
+        policy.onCostExceeded === "rewrite" &&
+        costRewrites < policy.maxCostRewrites
+      ) {
+        sendUpdate({ 
+          status: 'processing',
+          message: 'Query is too expensive, asking for a cheaper version...',
+          policy: { ...error.policy, decision: 'rewrite' }
+        });
+
+        const cheaperSql = await this.sqlGenerationService.generateCheaperQuery(
+          sql,
+          userPrompt,
+          minimalSchema,
+          error.estimatedCost,
+          policy.maxCost
+        );
+
+        return this.executeSqlWithFallback(
+          cheaperSql,
+          userPrompt,
+          minimalSchema,
+          sendUpdate,
+          { maxRows, costRewrites: costRewrites + 1 }
+        );
+      }
+
+      // Never fall back to other data when the query itself was refused
+      if (error.code === "SQL_REJECTED") {
+        throw error;
+      }
+
       console.error("SQL execution error:", error);
+
+      // A query that ran out of time isn't followed by more queries; the
+      // timeout is reported instead
+      if (error.policy) {
+        sendUpdate({ 
+          status: 'processing',
+          message: error.message,
+          policy: { ...error.policy, decision: 'timeout' }
+        });
+        return { 
+          data: [], 
+          sql: sql,
+          error: error.message,
+          fallbackUsed: true,
+          message: `${error.message}. Please try a narrower request.`
+        };
+      }
       
       sendUpdate({ 
         status: 'processing',
         message: 'Initial query failed. Attempting simplified query...'
       });
       
-      // Extract table names from the failed query
-      const tableMatches = sql.match(/from\s+([a-z_][a-z0-9_]*)/gi) || [];
-      const joinMatches = sql.match(/join\s+([a-z_][a-z0-9_]*)/gi) || [];
-      
-      const tables = [
-        ...tableMatches.map(match => match.replace(/from\s+/i, "").trim()),
-        ...joinMatches.map(match => match.replace(/join\s+/i, "").trim())
-      ];
+      let schemas = {};
+      try {
+        ({ schemas } = await this.getSchemaWithCache());
+      } catch (schemaError) {
+        console.error("Error loading schema for the fallback:", schemaError);
+      }
+
+      // Tables of the failed query, as far as the schema has them
+      const tables = this.findSchemaTables(sql, schemas);
       
       // If we found tables, try querying them individually
       if (tables.length > 0) {
@@ -1238,69 +947,41 @@ export class ReportService {
           // Get primary table (first one in the FROM clause)
           const primaryTable = tables[0];
           
-          // Create a simple query for the primary table
-          const simpleSql = `SELECT * FROM ${primaryTable} LIMIT 1000`;
-          
           sendUpdate({ 
             status: 'processing',
             message: `Querying primary table: ${primaryTable}`
           });
           
-          // Execute the simple query
-          const result = await pool.query(simpleSql);
+          const result = await this.querySampleRows(schemas[primaryTable], 1000);
           
-          if (result.rows.length > 0) {
-            // If we have more than one table, try to fetch related data
+          if (result.data.length > 0) {
+            // If we have more than one table, look up the related rows
             if (tables.length > 1) {
               sendUpdate({ 
                 status: 'processing',
                 message: 'Fetching related data separately...'
               });
               
-              // Get data from other tables
-              const relatedData = {};
-              for (let i = 1; i < tables.length; i++) {
-                try {
-                  const tableSql = `SELECT * FROM ${tables[i]} LIMIT 1000`;
-                  const tableResult = await pool.query(tableSql);
-                  relatedData[tables[i]] = tableResult.rows;
-                } catch (tableError) {
-                  console.warn(`Error fetching data from ${tables[i]}:`, tableError);
-                }
-              }
+              // Use the DataEnrichmentService to combine the data
+              const enrichedResult = await this.dataEnrichmentService.performRelatedQueries(
+                result.data, 
+                minimalSchema.tables, 
+                minimalSchema.relationships
+              );
               
-              // Perform in-memory join if possible
-              if (Object.keys(relatedData).length > 0) {
-                sendUpdate({ 
-                  status: 'processing',
-                  message: 'Performing in-memory data processing...'
-                });
-                
-                // Use the DataEnrichmentService to combine the data
-                const enrichedResult = await this.dataEnrichmentService.performRelatedQueries(
-                  result.rows, 
-                  minimalSchema.tables, 
-                  minimalSchema.relationships
-                );
-                
-                const formattedData = this.formatDatesInData(enrichedResult.primaryData);
-                return { 
-                  data: formattedData, 
-                  relatedData: enrichedResult.relatedData,
-                  sql: simpleSql,
-                  fallbackUsed: true
-                };
-              }
+              return { 
+                data: enrichedResult.primaryData, 
+                relatedData: enrichedResult.relatedData,
+                sql: result.sql,
+                policy: result.policy,
+                fallbackUsed: true
+              };
             }
             
-            const formattedData = this.formatDatesInData(result.rows);
-            return { 
-              data: formattedData, 
-              sql: simpleSql,
-              fallbackUsed: true
-            };
+            return { ...result, fallbackUsed: true };
           }
         } catch (fallbackError) {
+          if (isCancellationError(fallbackError)) throw fallbackError;
           console.error("Fallback query error:", fallbackError);
         }
       }
@@ -1311,42 +992,23 @@ export class ReportService {
         message: 'Attempting to retrieve sample data...'
       });
       
-      try {
-        // Get list of all tables
-        const tablesQuery = `
-          SELECT table_name 
-          FROM information_schema.tables 
-          WHERE table_schema = 'public'
-          LIMIT 10
-        `;
-        
-        const tablesResult = await pool.query(tablesQuery);
-        
-        if (tablesResult.rows.length > 0) {
-          // Try each table until we get some data
-          for (const tableRow of tablesResult.rows) {
-            try {
-              const tableName = tableRow.table_name;
-              const sampleSql = `SELECT * FROM ${tableName} LIMIT 100`;
-              const sampleResult = await pool.query(sampleSql);
-              
-              if (sampleResult.rows.length > 0) {
-                const formattedData = this.formatDatesInData(sampleResult.rows);
-                return { 
-                  data: formattedData, 
-                  sql: sampleSql,
-                  fallbackUsed: true,
-                  message: `Could not execute original query. Showing sample data from ${tableName} instead.`
-                };
-              }
-            } catch (sampleError) {
-              // Continue to the next table
-              console.warn("Error with sample table:", sampleError);
-            }
+      // The first tables of the cached schema; try each until one has data
+      for (const tableName of Object.keys(schemas).slice(0, 10)) {
+        try {
+          const sampleResult = await this.querySampleRows(schemas[tableName], 100);
+          
+          if (sampleResult.data.length > 0) {
+            return { 
+              ...sampleResult,
+              fallbackUsed: true,
+              message: `Could not execute original query. Showing sample data from ${tableName} instead.`
+            };
           }
+        } catch (sampleError) {
+          if (isCancellationError(sampleError)) throw sampleError;
+          // Continue to the next table
+          console.warn("Error with sample table:", sampleError);
         }
-      } catch (lastResortError) {
-        console.error("Last resort query error:", lastResortError);
       }
       
       // If all else fails, return empty data with error message
@@ -1360,6 +1022,30 @@ export class ReportService {
     }
   }
 
+  // The schema tables a query names in its FROM and JOIN clauses, as schema
+  // keys in order of appearance. Names that aren't in the schema are left
+  // out, so nothing but known tables is ever queried in their place.
+  findSchemaTables(sql, schemas) {
+    const keys = new Map(Object.keys(schemas).map(key => [key.toLowerCase(), key]));
+    const names = [...sql.matchAll(/\b(?:from|join)\s+((?:[`"]?\w+[`"]?\.)?[`"]?\w+[`"]?)/gi)]
+      .map(([, name]) => {
+        const parts = name.replace(/[`"]/g, "").split(".");
+        return parts.length === 2
+          ? this.schemaService.getTableKey(parts[0], parts[1])
+          : parts[0];
+      });
+
+    return [...new Set(names.map(name => keys.get(name.toLowerCase())).filter(Boolean))];
+  }
+
+  // The first rows of a schema table, run through the SQL guard like
+  // generated queries
+  async querySampleRows(table, limit) {
+    const { dialect } = this.dataSource;
+    const sql = `SELECT * FROM ${dialect.qualify(table.schema, table.name)} ${dialect.limit(limit)}`;
+    return this.executeSqlNonBlocking(sql);
+  }
+
   // Add this helper method to the ReportService class
   chunkJsonData(data, sendUpdate) {
     try {
@@ -1536,8 +1222,7 @@ export class ReportService {
         tables: Object.entries(relevantSchemas).map(([tableName, schema]) => ({
           name: tableName,
           columns: schema.columns.map(col => ({
-            name: col.column_name,
-            type: col.data_type,
+            ...this.sqlGenerationService.describeColumn(col),
             nullable: col.is_nullable === 'YES'
           }))
         })),
@@ -1588,21 +1273,20 @@ export class ReportService {
         }
       `;
       
-      // Get AI recommendations
-      const aiDecisionResponse = await this.mistralService.generateMistralResponse(decisionPrompt);
-      
-      // Parse the JSON response
+      // Get AI recommendations, validated against the schema decisions schema
       let aiDecisions;
       try {
-        // Extract JSON from the response
-        const jsonMatch = aiDecisionResponse.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          aiDecisions = JSON.parse(jsonMatch[0]);
-        } else {
-          throw new Error("Could not extract JSON from AI response");
+        aiDecisions = await this.structuredOutputService.generate(
+          decisionPrompt,
+          schemaDecisionsSchema,
+          { stage: "decisions" }
+        );
+      } catch (decisionError) {
+        if (decisionError.code !== "STRUCTURED_OUTPUT_INVALID") {
+          throw decisionError;
         }
-      } catch (parseError) {
-        console.warn("Error parsing AI decisions:", parseError);
+
+        console.warn("Error validating AI decisions:", decisionError.validationErrors);
         // Provide default decisions
         aiDecisions = {
           primaryTable: relevantTables[0],
@@ -1659,18 +1343,34 @@ export class ReportService {
   }
 
   // Add this method to handle complex analytical queries
-  async handleComplexAnalyticalQuery(userPrompt, promptAnalysis, schemas, relationships) {
+  async handleComplexAnalyticalQuery(userPrompt, promptAnalysis, schemas, relationships, sendUpdate = null) {
     try {
       console.log("Handling complex analytical query...");
       
       // Extract key analytical concepts from the prompt
-      const extractedConcepts = await this.extractAnalyticalConcepts(userPrompt);
+      const extractedConcepts = await this.extractAnalyticalConcepts(userPrompt, sendUpdate);
       
       // Identify business metrics and calculations needed
-      const metrics = this.identifyBusinessMetrics(extractedConcepts, promptAnalysis);
+      const metrics = this.identifyBusinessMetrics(extractedConcepts, promptAnalysis, userPrompt);
       
       // Map business metrics to database fields and calculations
-      const metricMappings = await this.mapMetricsToFields(metrics, schemas, relationships);
+      const metricMappings = await this.mapMetricsToFields(metrics, schemas, relationships, sendUpdate);
+      
+      // When every metric is defined in the semantic model, compile the query
+      // from the definitions instead of asking the AI to derive formulas
+      if (metrics.length > 0 && metrics.every(metric => metric.definition)) {
+        const semanticSQL = await this.compileSemanticQuery(extractedConcepts, metrics, schemas, sendUpdate);
+        
+        if (semanticSQL) {
+          return {
+            extractedConcepts,
+            metrics,
+            metricMappings,
+            analyticalSQL: semanticSQL,
+            sqlSource: "semantic_model"
+          };
+        }
+      }
       
       // Generate specialized SQL for complex analytical queries
       const analyticalSQL = await this.generateAnalyticalSQL(metricMappings, promptAnalysis, schemas, relationships);
@@ -1679,7 +1379,8 @@ export class ReportService {
         extractedConcepts,
         metrics,
         metricMappings,
-        analyticalSQL
+        analyticalSQL,
+        sqlSource: "analytical"
       };
     } catch (error) {
       console.error("Error handling complex analytical query:", error);
@@ -1687,8 +1388,93 @@ export class ReportService {
     }
   }
 
+  // Compile the metrics, grouped by the dimensions the user asked for, from
+  // the semantic model. Returns null if the query can't be compiled.
+  async compileSemanticQuery(extractedConcepts, metrics, schemas, sendUpdate = null) {
+    try {
+      const definitions = metrics.map(metric => metric.definition);
+      const dimensions = this.semanticLayerService.findDimensions(
+        extractedConcepts.groupingDimensions || []
+      );
+      const filters = await this.translateSemanticFilters(
+        [...(extractedConcepts.timePeriods || []), ...(extractedConcepts.filterConditions || [])],
+        [...definitions, ...dimensions],
+        schemas
+      );
+      
+      const sql = this.semanticLayerService.compileQuery({
+        metrics: definitions,
+        dimensions,
+        filters,
+        schemas
+      });
+      
+      if (sendUpdate) {
+        sendUpdate({
+          status: 'processing',
+          type: 'semantic_query',
+          message: `Compiled ${definitions.map(d => d.name).join(', ')} from the semantic model`,
+          metrics: definitions.map(d => d.name),
+          dimensions: dimensions.map(d => d.name),
+          filters
+        });
+      }
+      
+      return sql;
+    } catch (error) {
+      console.error("Error compiling semantic query:", error);
+      this.reportStructuredOutputError(error, sendUpdate);
+      return null;
+    }
+  }
+
+  // Turn filter phrases ("last quarter", "in France") into SQL conditions on
+  // the tables the definitions use. Conditions referencing unknown columns are
+  // dropped.
+  async translateSemanticFilters(filterTexts, definitions, schemas) {
+    if (filterTexts.length === 0) return [];
+    
+    const tables = [...new Set([
+      ...definitions.flatMap(definition => definition.tables),
+      ...this.semanticLayerService.active.joins.flatMap(join => [join.from, join.to])
+    ])];
+    const columns = tables
+      .filter(table => schemas[table])
+      .map(table => `${table}: ${schemas[table].columns.map(col => col.column_name).join(', ')}`);
+    
+    const prompt = `
+      Translate these filter conditions into ${this.dataSource.dialect.label} boolean conditions:
+      ${JSON.stringify(filterTexts)}
+      
+      Available columns by table:
+      ${columns.join('\n      ')}
+      
+      Reference columns as table.column, without aliases or subqueries.
+      Use ${this.dataSource.dialect.currentDate} for relative dates. Skip conditions that none of the
+      columns can express.
+      ${this.dataSource.dialect.promptGuidance()}
+      
+      Return a JSON object with a "conditions" array of SQL conditions.
+    `;
+    
+    const { conditions } = await this.structuredOutputService.generate(
+      prompt,
+      semanticFiltersSchema,
+      { stage: "semanticFilters" }
+    );
+    
+    return conditions.filter(condition => {
+      const problems = this.semanticLayerService.findReferenceProblems(null, [condition], schemas);
+      if (problems.length > 0) {
+        console.warn(`Dropping filter "${condition}": ${problems.join(', ')}`);
+        return false;
+      }
+      return true;
+    });
+  }
+
   // Extract analytical concepts from user prompt
-  async extractAnalyticalConcepts(userPrompt) {
+  async extractAnalyticalConcepts(userPrompt, sendUpdate = null) {
     try {
       const conceptExtractionPrompt = `
         Analyze this business query and extract key analytical concepts:
@@ -1702,28 +1488,19 @@ export class ReportService {
         5. Sorting requirements (e.g., top performers, lowest values)
         6. Comparison requests (e.g., compare to previous period, benchmark against target)
         
-        Return as JSON with these categories.
+        Return as JSON with the keys businessMetrics, timePeriods, filterConditions,
+        groupingDimensions, sortingRequirements and comparisonRequests, each an
+        array of strings.
       `;
       
-      const response = await this.mistralService.generateMistralResponse(conceptExtractionPrompt);
-      
-      // Extract JSON from response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      // Fallback if JSON extraction fails
-      return {
-        businessMetrics: [],
-        timePeriods: [],
-        filterConditions: [],
-        groupingDimensions: [],
-        sortingRequirements: [],
-        comparisonRequests: []
-      };
+      return await this.structuredOutputService.generate(
+        conceptExtractionPrompt,
+        analyticalConceptsSchema,
+        { stage: "conceptExtraction" }
+      );
     } catch (error) {
       console.error("Error extracting analytical concepts:", error);
+      this.reportStructuredOutputError(error, sendUpdate);
       return {
         businessMetrics: [],
         timePeriods: [],
@@ -1735,9 +1512,22 @@ export class ReportService {
     }
   }
 
-  // Identify business metrics from concepts
-  identifyBusinessMetrics(extractedConcepts, promptAnalysis) {
-    // Common business metric patterns
+  // Identify business metrics from concepts. Metrics defined in the semantic
+  // model take precedence; generic patterns classify the rest.
+  identifyBusinessMetrics(extractedConcepts, promptAnalysis, userPrompt = "") {
+    const metrics = [];
+    const concepts = extractedConcepts.businessMetrics || [];
+    
+    this.semanticLayerService.findMetrics([...concepts, userPrompt]).forEach(definition => {
+      metrics.push({
+        type: 'semantic',
+        rawText: definition.name,
+        confidence: 1,
+        definition
+      });
+    });
+    
+    // Generic aggregation patterns for metrics the semantic model doesn't define
     const metricPatterns = {
       profit: ['profit', 'net income', 'earnings', 'margin'],
       revenue: ['revenue', 'sales', 'income', 'turnover'],
@@ -1749,13 +1539,15 @@ export class ReportService {
       growth: ['growth', 'increase', 'change', 'difference']
     };
     
-    const metrics = [];
-    
     // Extract metrics from concepts
     if (extractedConcepts.businessMetrics) {
       extractedConcepts.businessMetrics.forEach(concept => {
         const lowerConcept = concept.toLowerCase();
         
+        if (this.semanticLayerService.findMetrics([concept]).length > 0) {
+          return;
+        }
+        
         // Check against patterns
         for (const [metricType, patterns] of Object.entries(metricPatterns)) {
           if (patterns.some(pattern => lowerConcept.includes(pattern))) {
@@ -1774,7 +1566,10 @@ export class ReportService {
     if (promptAnalysis.intentClassification && promptAnalysis.intentClassification.metrics) {
       promptAnalysis.intentClassification.metrics.forEach(metric => {
         // Only add if not already included
-        if (!metrics.some(m => m.rawText.toLowerCase() === metric.toLowerCase())) {
+        if (
+          !metrics.some(m => m.rawText.toLowerCase() === metric.toLowerCase()) &&
+          this.semanticLayerService.findMetrics([metric]).length === 0
+        ) {
           metrics.push({
             type: 'unknown',
             rawText: metric,
@@ -1788,11 +1583,30 @@ export class ReportService {
   }
 
   // Map business metrics to database fields
-  async mapMetricsToFields(metrics, schemas, relationships) {
+  async mapMetricsToFields(metrics, schemas, relationships, sendUpdate = null) {
     if (!metrics || metrics.length === 0) {
       return [];
     }
     
+    // Semantic model metrics map straight to their definitions
+    const definedMappings = metrics
+      .filter(metric => metric.definition)
+      .map(({ definition }) => ({
+        metric: definition.name,
+        tables: definition.tables,
+        columns: this.semanticLayerService
+          .extractColumnReferences(definition.expression)
+          .map(ref => `${ref.table}.${ref.column}`),
+        calculation: definition.expression,
+        filters: definition.filters || [],
+        source: "semantic_model"
+      }));
+    
+    metrics = metrics.filter(metric => !metric.definition);
+    if (metrics.length === 0) {
+      return definedMappings;
+    }
+    
     // Create a simplified schema representation for the AI
     const simplifiedSchema = Object.entries(schemas).map(([tableName, schema]) => ({
       table: tableName,
@@ -1812,22 +1626,22 @@ export class ReportService {
       2. Which column(s) are needed for the calculation
       3. What SQL function or calculation is needed (SUM, AVG, COUNT, custom formula, etc.)
       
-      Return a JSON array with mappings for each metric.
+      Return a JSON object with a "mappings" array holding one entry per metric,
+      each with metric, tables, columns and calculation.
     `;
     
     try {
-      const response = await this.mistralService.generateMistralResponse(mappingPrompt);
-      
-      // Extract JSON from response
-      const jsonMatch = response.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      const result = await this.structuredOutputService.generate(
+        mappingPrompt,
+        metricMappingSchema,
+        { stage: "metricMapping" }
+      );
       
-      return [];
+      return [...definedMappings, ...result.mappings];
     } catch (error) {
       console.error("Error mapping metrics to fields:", error);
-      return [];
+      this.reportStructuredOutputError(error, sendUpdate);
+      return definedMappings;
     }
   }
 
@@ -1858,11 +1672,15 @@ export class ReportService {
       relevantTables.has(rel.table_name) && relevantTables.has(rel.foreign_table_name)
     );
     
+    const profilesSection = await this.getColumnProfilesSection([...relevantTables]);
+    
     // Create SQL generation prompt
     const sqlGenerationPrompt = `
       Generate SQL for this analytical query:
       
       Metrics needed: ${JSON.stringify(metricMappings)}
+      Metrics with source "semantic_model" are governed definitions: use their
+      calculation and filters exactly as given.
       
       User's original request: "${promptAnalysis.coreQuestion}"
       
@@ -1870,18 +1688,23 @@ export class ReportService {
       
       Table relationships: ${JSON.stringify(relevantRelationships)}
       
+      ${profilesSection}
+      
       Additional requirements:
       - Time filters: ${JSON.stringify(promptAnalysis.entitiesAndRelationships?.timePeriods || [])}
       - Filtering conditions: ${JSON.stringify(promptAnalysis.dataRequirements?.filters || [])}
       - Grouping: ${JSON.stringify(promptAnalysis.dataRequirements?.groupBy || [])}
       
       Generate a single SQL query that calculates all required metrics.
-      The SQL should be valid PostgreSQL syntax.
+      The SQL should be valid ${this.dataSource.dialect.label} syntax.
+      ${this.dataSource.dialect.promptGuidance()}
       Include comments explaining complex parts of the query.
     `;
     
     try {
-      const response = await this.mistralService.generateMistralResponse(sqlGenerationPrompt);
+      const response = await this.mistralService.generateMistralResponse(sqlGenerationPrompt, [], {
+        stage: "sqlGeneration",
+      });
       
       // Extract SQL from response
       const sqlMatch = response.match(/```sql\n([\s\S]*?)```/);
@@ -1903,7 +1726,7 @@ export class ReportService {
   }
 
   // Add this optimized method to identify relevant tables in parallel
-  async identifyRelevantTablesParallel(userPrompt, schemas, promptAnalysis) {
+  async identifyRelevantTablesParallel(userPrompt, schemas, promptAnalysis, sendUpdate = null) {
     console.log("Identifying relevant tables in parallel...");
     
     try {
@@ -1925,10 +1748,13 @@ export class ReportService {
         this.sqlGenerationService.identifyRelevantTables(userPrompt, schemas),
         
         // Approach 2: Direct AI query for tables
-        this.identifyTablesWithAI(userPrompt, schemas),
+        this.identifyTablesWithAI(userPrompt, schemas, sendUpdate),
         
         // Approach 3: Extract table names from the prompt
-        this.extractTableNamesFromPrompt(userPrompt, schemas)
+        this.extractTableNamesFromPrompt(userPrompt, schemas),
+        
+        // Approach 4: Nearest tables and columns by embedding similarity
+        this.findTablesWithEmbeddings(userPrompt, schemas)
       ];
       
       // Run all approaches in parallel
@@ -1959,31 +1785,45 @@ export class ReportService {
   }
 
   // Helper method to identify tables directly with AI
-  async identifyTablesWithAI(userPrompt, schemas) {
+  async identifyTablesWithAI(userPrompt, schemas, sendUpdate = null) {
     try {
       const tableNames = Object.keys(schemas);
+      const tableList = tableNames
+        .map(table => this.sqlGenerationService.describeTable(table, schemas[table]))
+        .join(', ');
       
       const prompt = `
         Given this user query: "${userPrompt}"
         
-        And these available database tables: ${tableNames.join(', ')}
+        And these available database tables (business names in parentheses): ${tableList}
         
         Which tables are most relevant to answer this query?
-        Return only the table names as a JSON array, nothing else.
+        Return a JSON object with a "tables" array holding only the table names, not the business names.
       `;
       
-      const response = await this.mistralService.generateMistralResponse(prompt);
-      
-      // Extract JSON array from response
-      const match = response.match(/\[[\s\S]*\]/);
-      if (match) {
-        const tables = JSON.parse(match[0]);
-        return tables.filter(table => tableNames.includes(table));
-      }
+      const { tables } = await this.structuredOutputService.generate(
+        prompt,
+        tableIdentificationSchema,
+        { stage: "tableIdentification" }
+      );
       
-      return [];
+      return tables.filter(table => tableNames.includes(table));
     } catch (error) {
       console.error("Error identifying tables with AI:", error);
+      this.reportStructuredOutputError(error, sendUpdate);
+      return [];
+    }
+  }
+
+  // Helper method to find tables whose name, columns or comments are closest
+  // to the prompt in embedding space
+  async findTablesWithEmbeddings(userPrompt, schemas) {
+    try {
+      const matches = await this.embeddingIndexService.findRelevantTables(userPrompt, schemas);
+      console.log("Embedding matches:", matches.map(({ table, score }) => `${table} (${score.toFixed(2)})`));
+      return matches.map(({ table }) => table);
+    } catch (error) {
+      console.error("Error finding tables with embeddings:", error);
       return [];
     }
   }
@@ -1992,11 +1832,21 @@ export class ReportService {
   extractTableNamesFromPrompt(userPrompt, schemas) {
     const tableNames = Object.keys(schemas);
     const lowerPrompt = userPrompt.toLowerCase();
+
+    // Glossary names are matched as whole words (optionally plural) so short
+    // aliases don't match inside other words
+    const mentions = (name) => {
+      const escaped = name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`\\b${escaped}(e?s)?\\b`).test(lowerPrompt);
+    };
     
-    // Find table names mentioned in the prompt
+    // Find table names, or their glossary names, mentioned in the prompt
     return tableNames.filter(table => 
       lowerPrompt.includes(table.toLowerCase()) ||
-      lowerPrompt.includes(table.toLowerCase().replace('_', ' '))
+      lowerPrompt.includes(table.toLowerCase().replace(/_/g, ' ')) ||
+      [schemas[table].displayName, ...(schemas[table].aliases || [])]
+        .filter(Boolean)
+        .some(mentions)
     );
   }
 
@@ -0,0 +1,401 @@
+import crypto from "crypto";
+import pkg from "node-sql-parser";
+import defaultPool from "../Config/Db.js";
+import schemaWatchConfig from "../Config/SchemaWatch.js";
+import { runMigrations } from "./MigrationService.js";
+
+const { Parser } = pkg;
+
+// Channel notified by the event trigger created in Migrations/004
+const NOTIFY_CHANNEL = "report_ai_schema_changed";
+
+// Detects changes to the introspected schema, either from the event trigger's
+// notifications or by polling. Snapshots and learned queries are kept in
+// `pool`, the Postgres database holding report_ai; only a Postgres data
+// source, which is its own store, can notify. A change is recorded with a diff of added,
+// removed and retyped tables and columns, learned queries that reference
+// objects that no longer exist are flagged, and onChange listeners are called.
+export class SchemaChangeService {
+  constructor(schemaService, config = schemaWatchConfig, pool = defaultPool) {
+    this.schemaService = schemaService;
+    this.config = { ...config };
+    this.pool = pool;
+    this.parser = new Parser();
+    this.listeners = [];
+    this.current = null; // { fingerprint, snapshot } last recorded
+    this.checking = null;
+    this.recheckRequested = false;
+    this.listenClient = null;
+    this.pollTimer = null;
+    this.debounceTimer = null;
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  // Tables and their column types: what the fingerprint and diff cover
+  createSnapshot(schemas) {
+    const snapshot = {};
+    Object.keys(schemas)
+      .sort()
+      .forEach((tableKey) => {
+        snapshot[tableKey] = Object.fromEntries(
+          schemas[tableKey].columns
+            .map((col) => [col.column_name, col.data_type])
+            .sort(([a], [b]) => a.localeCompare(b))
+        );
+      });
+    return snapshot;
+  }
+
+  getFingerprint(snapshot) {
+    return crypto
+      .createHash("sha1")
+      .update(JSON.stringify(snapshot))
+      .digest("hex");
+  }
+
+  diffSnapshots(previous, current) {
+    const diff = {
+      addedTables: Object.keys(current).filter((table) => !previous[table]),
+      removedTables: Object.keys(previous).filter((table) => !current[table]),
+      addedColumns: [],
+      removedColumns: [],
+      changedColumns: [],
+    };
+
+    Object.keys(current)
+      .filter((table) => previous[table])
+      .forEach((table) => {
+        const before = previous[table];
+        const after = current[table];
+
+        Object.keys(after).forEach((column) => {
+          if (!(column in before)) {
+            diff.addedColumns.push(`${table}.${column}`);
+          } else if (before[column] !== after[column]) {
+            diff.changedColumns.push({
+              column: `${table}.${column}`,
+              from: before[column],
+              to: after[column],
+            });
+          }
+        });
+        Object.keys(before)
+          .filter((column) => !(column in after))
+          .forEach((column) => diff.removedColumns.push(`${table}.${column}`));
+      });
+
+    return diff;
+  }
+
+  describeDiff(diff) {
+    return [
+      diff.addedTables.length && `added tables: ${diff.addedTables.join(", ")}`,
+      diff.removedTables.length && `removed tables: ${diff.removedTables.join(", ")}`,
+      diff.addedColumns.length && `added columns: ${diff.addedColumns.join(", ")}`,
+      diff.removedColumns.length && `removed columns: ${diff.removedColumns.join(", ")}`,
+      diff.changedColumns.length &&
+        `retyped columns: ${diff.changedColumns
+          .map(({ column, from, to }) => `${column} (${from} -> ${to})`)
+          .join(", ")}`,
+    ]
+      .filter(Boolean)
+      .join("; ");
+  }
+
+  // Tables and columns a query references that are not in the schema, as
+  // "table" or "table.column". Returns null when the query can't be parsed.
+  findMissingReferences(sql, schemas) {
+    let parsed;
+    try {
+      parsed = this.parser.parse(sql, {
+        database: this.schemaService.dialect.parserDatabase,
+      });
+    } catch {
+      return null;
+    }
+
+    const statements = Array.isArray(parsed.ast) ? parsed.ast : [parsed.ast];
+    const cteNames = new Set(
+      statements.flatMap((statement) =>
+        (statement?.with || []).map((cte) =>
+          String(cte.name?.value ?? cte.name).toLowerCase()
+        )
+      )
+    );
+
+    const columnsByTable = new Map(
+      Object.entries(schemas).map(([tableKey, schema]) => [
+        tableKey.toLowerCase(),
+        new Set(schema.columns.map((col) => col.column_name.toLowerCase())),
+      ])
+    );
+
+    // tableList entries look like "select::schema::table" (schema may be "null")
+    const tables = parsed.tableList
+      .map((entry) => entry.split("::"))
+      .filter(([, , name]) => !cteNames.has(name.toLowerCase()))
+      .map(([, schemaName, name]) => ({
+        name: name.toLowerCase(),
+        key: (schemaName === "null"
+          ? name
+          : this.schemaService.getTableKey(schemaName, name)
+        ).toLowerCase(),
+      }));
+
+    const missing = new Set(
+      tables.filter(({ key }) => !columnsByTable.has(key)).map(({ key }) => key)
+    );
+
+    // columnList entries name the table without its schema; aliases are
+    // already resolved. Columns of unknown tables (subqueries) are skipped.
+    parsed.columnList
+      .map((entry) => entry.split("::"))
+      .forEach(([, tableName, column]) => {
+        if (tableName === "null" || column === "(.*)") return;
+
+        const candidates = tables.filter(
+          ({ name, key }) => name === tableName.toLowerCase() && columnsByTable.has(key)
+        );
+        if (
+          candidates.length &&
+          !candidates.some(({ key }) => columnsByTable.get(key).has(column.toLowerCase()))
+        ) {
+          missing.add(`${candidates[0].key}.${column}`);
+        }
+      });
+
+    return [...missing];
+  }
+
+  // Flag learned queries that reference missing objects and clear the flag on
+  // those whose objects exist again
+  async flagKnowledgeBaseEntries(schemas) {
+    const { rows } = await this.pool.query(
+      "SELECT id, query, invalidated_at FROM report_ai.kb_successful_queries"
+    );
+
+    const invalidated = [];
+    const restored = [];
+    rows.forEach((row) => {
+      const missing = this.findMissingReferences(row.query, schemas);
+      if (missing === null) return;
+
+      if (missing.length > 0 && !row.invalidated_at) {
+        invalidated.push({
+          id: row.id,
+          reason: `References missing objects: ${missing.join(", ")}`,
+        });
+      } else if (missing.length === 0 && row.invalidated_at) {
+        restored.push(row.id);
+      }
+    });
+
+    if (invalidated.length || restored.length) {
+      const client = await this.pool.connect();
+
+      try {
+        await client.query("BEGIN");
+        for (const { id, reason } of invalidated) {
+          await client.query(
+            `UPDATE report_ai.kb_successful_queries
+             SET invalidated_at = now(), invalid_reason = $2
+             WHERE id = $1`,
+            [id, reason]
+          );
+        }
+        if (restored.length) {
+          await client.query(
+            `UPDATE report_ai.kb_successful_queries
+             SET invalidated_at = NULL, invalid_reason = NULL
+             WHERE id = ANY($1)`,
+            [restored]
+          );
+        }
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
+    return { invalidated: invalidated.length, restored: restored.length };
+  }
+
+  async loadLastSnapshot() {
+    await runMigrations(this.pool);
+
+    const { rows } = await this.pool.query(
+      `SELECT fingerprint, snapshot
+       FROM report_ai.schema_changes
+       ORDER BY id DESC
+       LIMIT 1`
+    );
+    return rows[0] || null;
+  }
+
+  // Another server instance may have recorded the same change already
+  async saveSnapshot(fingerprint, snapshot, diff) {
+    await this.pool.query(
+      `INSERT INTO report_ai.schema_changes (fingerprint, snapshot, diff)
+       SELECT $1, $2, $3
+       WHERE NOT EXISTS (
+         SELECT 1
+         FROM (
+           SELECT fingerprint FROM report_ai.schema_changes ORDER BY id DESC LIMIT 1
+         ) AS last
+         WHERE last.fingerprint = $1
+       )`,
+      [fingerprint, JSON.stringify(snapshot), diff && JSON.stringify(diff)]
+    );
+  }
+
+  // Compare the schema with the last recorded snapshot. Returns the change, or
+  // null if there was none (the very first snapshot is only a baseline).
+  async detectChange() {
+    const schemas = await this.schemaService.getAllTableSchemas();
+    const snapshot = this.createSnapshot(schemas);
+    const fingerprint = this.getFingerprint(snapshot);
+
+    if (!this.current) {
+      this.current = await this.loadLastSnapshot();
+    }
+    if (this.current?.fingerprint === fingerprint) return null;
+
+    const diff = this.current ? this.diffSnapshots(this.current.snapshot, snapshot) : null;
+    await this.saveSnapshot(fingerprint, snapshot, diff);
+    this.current = { fingerprint, snapshot };
+
+    const knowledgeBase = await this.flagKnowledgeBaseEntries(schemas);
+    if (!diff) {
+      console.log("Recorded baseline schema snapshot");
+      return null;
+    }
+
+    const change = { fingerprint, diff, knowledgeBase, detectedAt: new Date().toISOString() };
+    console.log(
+      `Schema changed (${this.describeDiff(diff) || "no table or column changes"}), ` +
+        `${knowledgeBase.invalidated} learned queries flagged, ${knowledgeBase.restored} restored`
+    );
+
+    for (const listener of this.listeners) {
+      try {
+        await listener(change);
+      } catch (error) {
+        console.error("Error handling schema change:", error);
+      }
+    }
+    return change;
+  }
+
+  // Checks never overlap; a check requested while one runs runs again after
+  // it, so DDL committed mid-check is not missed
+  check() {
+    if (this.checking) {
+      this.recheckRequested = true;
+      return this.checking;
+    }
+
+    this.checking = (async () => {
+      try {
+        let change = null;
+        do {
+          this.recheckRequested = false;
+          change = (await this.detectChange()) || change;
+        } while (this.recheckRequested);
+        return change;
+      } finally {
+        this.checking = null;
+      }
+    })();
+    return this.checking;
+  }
+
+  // Notifications arrive per DDL statement; wait for a burst to settle
+  scheduleCheck() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => {
+      this.check().catch((error) =>
+        console.warn("Schema change check failed:", error.message)
+      );
+    }, this.config.debounceMs);
+    this.debounceTimer.unref?.();
+  }
+
+  async listen() {
+    if (!this.schemaService.dialect.notifiesSchemaChanges) return false;
+
+    try {
+      await runMigrations(this.pool);
+
+      if (this.config.mode === "auto") {
+        const { rows } = await this.pool.query(
+          "SELECT 1 FROM pg_event_trigger WHERE evtname = $1 AND evtenabled <> 'D'",
+          [NOTIFY_CHANNEL]
+        );
+        if (rows.length === 0) return false;
+      }
+
+      const client = await this.pool.connect();
+      client.on("notification", () => this.scheduleCheck());
+      client.on("error", (error) => {
+        console.warn("Lost schema change listener, polling instead:", error.message);
+        this.listenClient = null;
+        client.release(error);
+        this.startPolling();
+      });
+      await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+
+      this.listenClient = client;
+      console.log("Listening for schema changes");
+      return true;
+    } catch (error) {
+      console.warn("Could not listen for schema changes:", error.message);
+      return false;
+    }
+  }
+
+  startPolling() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => {
+      this.check().catch((error) =>
+        console.warn("Schema change check failed:", error.message)
+      );
+    }, this.config.pollIntervalMs);
+    this.pollTimer.unref?.();
+    console.log(`Polling for schema changes every ${this.config.pollIntervalMs}ms`);
+  }
+
+  async start() {
+    if (this.config.mode === "off") return;
+
+    try {
+      await this.check();
+    } catch (error) {
+      console.warn("Initial schema check failed:", error.message);
+    }
+
+    const listening = this.config.mode !== "poll" && (await this.listen());
+    if (!listening) {
+      this.startPolling();
+    }
+  }
+
+  async stop() {
+    clearTimeout(this.debounceTimer);
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+
+    if (this.listenClient) {
+      const client = this.listenClient;
+      this.listenClient = null;
+      await client.query(`UNLISTEN ${NOTIFY_CHANNEL}`).catch(() => {});
+      client.release();
+    }
+  }
+}
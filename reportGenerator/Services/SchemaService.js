@@ -1,50 +1,91 @@
-import pool from '../Config/Db.js';
+import defaultPool from '../Config/Db.js';
+import introspectionConfig from '../Config/Introspection.js';
+import { PostgresDialect } from '../Dialects/index.js';
+import { runMigrations } from './MigrationService.js';
 
 export class SchemaService {
+    // The schema is read from `pool` in `dialect`; the glossary from
+    // `storePool`, the Postgres database holding report_ai
+    constructor(config = introspectionConfig, pool = defaultPool, dialect = new PostgresDialect(), storePool = pool) {
+        this.config = config;
+        this.pool = pool;
+        this.dialect = dialect;
+        this.storePool = storePool;
+    }
+
+    get schemaFilter() {
+        return {
+            includeSchemas: this.config.includeSchemas,
+            excludeSchemas: this.config.excludeSchemas,
+        };
+    }
+
+    // Schemas left out by prefix, read on their own instead (see UploadService)
+    isExcludedSchema(schemaName) {
+        return (this.config.excludeSchemaPrefixes || []).some(prefix => schemaName.startsWith(prefix));
+    }
+
+    // Tables in the default schema keep their bare name so existing prompts and
+    // learned queries still match; tables elsewhere are qualified
+    getTableKey(schemaName, tableName) {
+        return schemaName === this.config.defaultSchema
+            ? tableName
+            : `${schemaName}.${tableName}`;
+    }
+
     async getAllTableSchemas() {
         try {
-            // Get tables with their columns and constraints
-            const query = `
-                SELECT 
-                    t.table_name,
-                    json_agg(
-                        json_build_object(
-                            'column_name', c.column_name,
-                            'data_type', c.data_type,
-                            'is_nullable', c.is_nullable,
-                            'column_default', c.column_default
-                        )
-                    ) as columns,
-                    (
-                        SELECT json_agg(
-                            json_build_object(
-                                'constraint_name', tc.constraint_name,
-                                'constraint_type', tc.constraint_type
-                            )
-                        )
-                        FROM information_schema.table_constraints tc
-                        WHERE tc.table_name = t.table_name
-                    ) as constraints
-                FROM 
-                    information_schema.tables t
-                    JOIN information_schema.columns c ON t.table_name = c.table_name
-                WHERE 
-                    t.table_schema = 'public'
-                GROUP BY 
-                    t.table_name;
-            `;
-
-            const result = await pool.query(query);
-            
+            const relations = (await this.dialect.getRelations(this.pool, this.schemaFilter))
+                .filter(table => !this.isExcludedSchema(table.table_schema));
+
+            const ids = relations.map(row => row.id);
+            const [columns, constraints, indexes] = await Promise.all([
+                this.dialect.getColumns(this.pool, ids),
+                this.dialect.getConstraints(this.pool, ids),
+                this.dialect.getIndexes(this.pool, ids),
+            ]);
+
+            const groupByRelation = (rows) => {
+                const groups = {};
+                rows.forEach(({ id, ...row }) => {
+                    (groups[id] = groups[id] || []).push(row);
+                });
+                return groups;
+            };
+            const columnsByRelation = groupByRelation(columns);
+            const constraintsByRelation = groupByRelation(constraints);
+            const indexesByRelation = groupByRelation(indexes);
+
             // Transform the result into a more readable format
             const schemaMap = {};
-            result.rows.forEach(table => {
-                schemaMap[table.table_name] = {
-                    columns: table.columns,
-                    constraints: table.constraints || []
+            relations.forEach(table => {
+                const tableConstraints = constraintsByRelation[table.id] || [];
+                const tableIndexes = indexesByRelation[table.id] || [];
+                const primaryKey = tableConstraints.find(
+                    con => con.constraint_type === 'PRIMARY KEY'
+                );
+
+                schemaMap[this.getTableKey(table.table_schema, table.table_name)] = {
+                    schema: table.table_schema,
+                    name: table.table_name,
+                    type: table.type,
+                    comment: table.table_comment,
+                    columns: columnsByRelation[table.id] || [],
+                    constraints: tableConstraints,
+                    primaryKey: primaryKey ? primaryKey.columns : [],
+                    // Unique constraints and standalone unique indexes alike
+                    uniqueKeys: tableIndexes
+                        .filter(index => index.is_unique && !index.is_primary)
+                        .map(index => index.columns),
+                    indexes: tableIndexes,
+                    checks: tableConstraints
+                        .filter(con => con.constraint_type === 'CHECK')
+                        .map(con => ({ name: con.constraint_name, definition: con.definition })),
                 };
             });
 
+            this.applyGlossary(schemaMap, await this.loadGlossary());
+
             return schemaMap;
         } catch (error) {
             console.error('Error fetching schema:', error);
@@ -52,29 +93,68 @@ export class SchemaService {
         }
     }
 
-    // Helper method to get relationships between tables
-    async getTableRelationships() {
+    // Business glossary entries (see GlossaryService). The schema is still
+    // usable without them, e.g. before the migrations have run.
+    async loadGlossary() {
         try {
-            const query = `
-                SELECT
-                    tc.table_name as table_name,
-                    kcu.column_name as column_name,
-                    ccu.table_name AS foreign_table_name,
-                    ccu.column_name AS foreign_column_name
-                FROM 
-                    information_schema.table_constraints AS tc 
-                    JOIN information_schema.key_column_usage AS kcu
-                        ON tc.constraint_name = kcu.constraint_name
-                    JOIN information_schema.constraint_column_usage AS ccu
-                        ON ccu.constraint_name = tc.constraint_name
-                WHERE tc.constraint_type = 'FOREIGN KEY';
-            `;
-
-            const result = await pool.query(query);
+            await runMigrations(this.storePool);
+            const result = await this.storePool.query(`
+                SELECT table_name, column_name, display_name, aliases, description
+                FROM report_ai.glossary_entries;
+            `);
             return result.rows;
+        } catch (error) {
+            console.warn('Could not load the business glossary:', error.message);
+            return [];
+        }
+    }
+
+    // Merge glossary display names, aliases and descriptions into the schema.
+    // Tables get displayName/aliases/description; columns get
+    // display_name/aliases/description.
+    applyGlossary(schemaMap, entries) {
+        Object.values(schemaMap).forEach(table => {
+            table.displayName = null;
+            table.aliases = [];
+            table.description = null;
+            table.columns.forEach(col => {
+                col.display_name = null;
+                col.aliases = [];
+                col.description = null;
+            });
+        });
+
+        entries.forEach(entry => {
+            const table = schemaMap[entry.table_name];
+            if (!table) return;
+
+            const target = entry.column_name
+                ? table.columns.find(col => col.column_name === entry.column_name)
+                : table;
+            if (!target) return;
+
+            target[entry.column_name ? 'display_name' : 'displayName'] = entry.display_name;
+            target.aliases = entry.aliases || [];
+            target.description = entry.description;
+        });
+
+        return schemaMap;
+    }
+
+    // Helper method to get relationships between tables. Multi-column foreign
+    // keys yield one row per column pair.
+    async getTableRelationships() {
+        try {
+            const rows = (await this.dialect.getRelationships(this.pool, this.schemaFilter))
+                .filter(rel => !this.isExcludedSchema(rel.table_schema) && !this.isExcludedSchema(rel.foreign_table_schema));
+            return rows.map(({ table_schema, foreign_table_schema, ...rel }) => ({
+                ...rel,
+                table_name: this.getTableKey(table_schema, rel.table_name),
+                foreign_table_name: this.getTableKey(foreign_table_schema, rel.foreign_table_name),
+            }));
         } catch (error) {
             console.error('Error fetching relationships:', error);
             throw error;
         }
     }
-} 
+}
@@ -0,0 +1,372 @@
+import fs from "fs/promises";
+import path from "path";
+import Ajv from "ajv";
+import YAML from "yaml";
+import semanticModelConfig from "../Config/SemanticModel.js";
+import { PostgresDialect } from "../Dialects/index.js";
+import { semanticModelSchema } from "../Models/SemanticModelSchema.js";
+
+const createEmptyModel = () => ({ metrics: {}, dimensions: {}, joins: [] });
+
+// Lowercase words separated by single spaces and padded, so phrases can be
+// matched on word boundaries with includes()
+const normalizeText = (text) =>
+  ` ${String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()} `;
+
+// Business definitions loaded from the semantic model file: named metrics and
+// dimensions with their SQL expressions and synonyms, and the join paths
+// between tables. Only definitions that reference existing tables and columns
+// are used; queries are compiled from them so a metric is always computed the
+// same way.
+export class SemanticLayerService {
+  // Queries are compiled in the SQL dialect of the data source
+  constructor(config = semanticModelConfig, dialect = new PostgresDialect()) {
+    this.config = { ...config };
+    this.dialect = dialect;
+    this.validateStructure = new Ajv({ allErrors: true, strict: false }).compile(
+      semanticModelSchema
+    );
+    this.model = createEmptyModel(); // as written in the file
+    this.active = createEmptyModel(); // definitions valid against the live schema
+    this.issues = [];
+    this.loaded = null;
+  }
+
+  createModelError(message, validationErrors = []) {
+    const error = new Error(message);
+    error.code = "SEMANTIC_MODEL_INVALID";
+    error.validationErrors = validationErrors;
+    return error;
+  }
+
+  // Parse and structurally validate a model; throws SEMANTIC_MODEL_INVALID
+  parseModel(text, file = "") {
+    let model;
+    try {
+      model = path.extname(file).toLowerCase() === ".json" ? JSON.parse(text) : YAML.parse(text);
+    } catch (error) {
+      throw this.createModelError(`Semantic model is not valid YAML/JSON: ${error.message}`);
+    }
+
+    if (!this.validateStructure(model ?? {})) {
+      const errors = this.validateStructure.errors.map(
+        (err) => `${err.instancePath || "(root)"} ${err.message}`
+      );
+      throw this.createModelError(`Invalid semantic model: ${errors.join("; ")}`, errors);
+    }
+
+    return { ...createEmptyModel(), ...model };
+  }
+
+  async load() {
+    if (!this.config.path) return this.model;
+
+    const text = await fs.readFile(this.config.path, "utf8");
+    this.model = this.parseModel(text, this.config.path);
+    console.log(
+      `Loaded semantic model with ${Object.keys(this.model.metrics).length} metrics and ${
+        Object.keys(this.model.dimensions).length
+      } dimensions`
+    );
+    return this.model;
+  }
+
+  // Load the model file once; a missing or invalid file leaves the layer empty
+  ensureLoaded() {
+    if (!this.loaded) {
+      this.loaded = this.load().catch((error) => {
+        console.error(`Could not load semantic model from ${this.config.path}:`, error.message);
+        this.model = createEmptyModel();
+        return this.model;
+      });
+    }
+    return this.loaded;
+  }
+
+  // table.column (or schema.table.column) references in an SQL expression,
+  // ignoring string literals and qualified function names
+  extractColumnReferences(expression) {
+    const withoutStrings = expression.replace(/'(?:[^']|'')*'/g, "''");
+    const matches = withoutStrings.matchAll(
+      /\b([A-Za-z_]\w*)\.([A-Za-z_]\w*)(?:\.([A-Za-z_]\w*))?\b(?!\s*\()/g
+    );
+
+    return [...matches].map(([, first, second, third]) =>
+      third ? { table: `${first}.${second}`, column: third } : { table: first, column: second }
+    );
+  }
+
+  // Schema key for a table name, accepting bare names of tables outside the
+  // default schema when they are unambiguous
+  resolveTable(name, schemas) {
+    if (schemas[name]) return name;
+
+    const candidates = Object.keys(schemas).filter(
+      (key) => key.split(".").pop() === name
+    );
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  // Problems with the tables and columns a definition references
+  findReferenceProblems(table, expressions, schemas) {
+    const problems = [];
+    if (table && !this.resolveTable(table, schemas)) {
+      problems.push(`unknown table ${table}`);
+    }
+
+    expressions.forEach((expression) => {
+      this.extractColumnReferences(expression).forEach((ref) => {
+        const key = this.resolveTable(ref.table, schemas);
+        if (!key) {
+          problems.push(`unknown table ${ref.table}`);
+        } else if (!schemas[key].columns.some((col) => col.column_name === ref.column)) {
+          problems.push(`unknown column ${ref.table}.${ref.column}`);
+        }
+      });
+    });
+
+    return [...new Set(problems)];
+  }
+
+  // Tables an expression needs joined, as schema keys
+  getReferencedTables(expressions, schemas) {
+    return [
+      ...new Set(
+        expressions
+          .flatMap((expression) => this.extractColumnReferences(expression))
+          .map((ref) => this.resolveTable(ref.table, schemas))
+          .filter(Boolean)
+      ),
+    ];
+  }
+
+  // Validate the model against the live schema and activate the definitions
+  // that are valid. Called whenever the schema is (re)loaded.
+  async applySchema(schemas) {
+    await this.ensureLoaded();
+
+    const issues = [];
+    const active = createEmptyModel();
+
+    const activate = (kind, target) => {
+      Object.entries(this.model[kind]).forEach(([name, definition]) => {
+        const expressions = [definition.expression, ...(definition.filters || [])];
+        const problems = this.findReferenceProblems(definition.table, expressions, schemas);
+        if (problems.length) {
+          issues.push(`${kind}.${name}: ${problems.join(", ")}`);
+          return;
+        }
+
+        const table = this.resolveTable(definition.table, schemas);
+        target[name] = {
+          ...definition,
+          name,
+          table,
+          tables: [...new Set([table, ...this.getReferencedTables(expressions, schemas)])],
+        };
+      });
+    };
+    activate("metrics", active.metrics);
+    activate("dimensions", active.dimensions);
+
+    this.model.joins.forEach((join, i) => {
+      const problems = [
+        ...this.findReferenceProblems(join.from, [join.on], schemas),
+        ...this.findReferenceProblems(join.to, [], schemas),
+      ];
+      if (problems.length) {
+        issues.push(`joins[${i}] (${join.from} -> ${join.to}): ${problems.join(", ")}`);
+        return;
+      }
+      active.joins.push({
+        from: this.resolveTable(join.from, schemas),
+        to: this.resolveTable(join.to, schemas),
+        on: join.on,
+      });
+    });
+
+    if (issues.length) {
+      console.warn(`Semantic model definitions disabled: ${issues.join("; ")}`);
+    }
+    this.active = active;
+    this.issues = issues;
+    return { issues };
+  }
+
+  hasDefinitions() {
+    return Object.keys(this.active.metrics).length > 0;
+  }
+
+  // Definitions whose name or one of whose synonyms appears in any of the texts
+  matchDefinitions(definitions, texts) {
+    const haystacks = texts.filter(Boolean).map(normalizeText);
+
+    return Object.values(definitions).filter((definition) =>
+      [definition.name, ...(definition.synonyms || [])].some((term) => {
+        const needle = normalizeText(term);
+        return needle.trim() && haystacks.some((haystack) => haystack.includes(needle));
+      })
+    );
+  }
+
+  findMetrics(texts) {
+    return this.matchDefinitions(this.active.metrics, texts);
+  }
+
+  findDimensions(texts) {
+    return this.matchDefinitions(this.active.dimensions, texts);
+  }
+
+  // Shortest chain of joins from one table to another, as [{ table, on }]
+  // steps, or null if the join paths don't connect them
+  findJoinPath(from, to) {
+    if (from === to) return [];
+
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+    while (queue.length) {
+      const table = queue.shift();
+      for (const join of this.active.joins) {
+        const next = join.from === table ? join.to : join.to === table ? join.from : null;
+        if (!next || previous.has(next)) continue;
+
+        previous.set(next, { table: next, on: join.on, via: table });
+        if (next === to) {
+          const path = [];
+          for (let step = previous.get(to); step; step = previous.get(step.via)) {
+            path.unshift({ table: step.table, on: step.on });
+          }
+          return path;
+        }
+        queue.push(next);
+      }
+    }
+    return null;
+  }
+
+  canJoin(baseTable, tables) {
+    return tables.every((table) => this.findJoinPath(baseTable, table) !== null);
+  }
+
+  // FROM clause starting at the base table and joining every other table along
+  // the declared join paths
+  buildFromClause(baseTable, tables) {
+    const joined = new Set([baseTable]);
+    const clauses = [`FROM ${baseTable}`];
+
+    tables.forEach((table) => {
+      const path = this.findJoinPath(baseTable, table);
+      if (!path) {
+        const error = new Error(`No join path from ${baseTable} to ${table} in the semantic model`);
+        error.code = "SEMANTIC_JOIN_MISSING";
+        throw error;
+      }
+
+      path.forEach((step) => {
+        if (!joined.has(step.table)) {
+          joined.add(step.table);
+          clauses.push(`JOIN ${step.table} ON ${step.on}`);
+        }
+      });
+    });
+
+    return clauses.join("\n");
+  }
+
+  // Compile metrics grouped by dimensions into SQL. `filters` are extra
+  // conditions (table.column references) applied to every metric. Metrics over
+  // different tables or with different filters are computed in separate
+  // grouped queries joined on the dimensions, so one metric's joins never
+  // multiply another metric's rows.
+  compileQuery({ metrics, dimensions = [], filters = [], schemas, limit = null }) {
+    if (!metrics.length) {
+      throw new Error("At least one metric is needed to compile a query");
+    }
+
+    const groups = new Map();
+    metrics.forEach((metric) => {
+      const key = `${metric.table}|${JSON.stringify(metric.filters || [])}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(metric);
+    });
+
+    const quoteAlias = (name) => this.dialect.quoteIdentifier(name);
+    const dimensionTables = dimensions.flatMap((dimension) => dimension.tables);
+    const compileGroup = (groupMetrics) => {
+      const baseTable = groupMetrics[0].table;
+      // Filters on tables this group can't reach are left out for it
+      const groupFilters = filters.filter((filter) =>
+        this.canJoin(baseTable, this.getReferencedTables([filter], schemas))
+      );
+      const conditions = [...(groupMetrics[0].filters || []), ...groupFilters];
+      const tables = [
+        ...dimensionTables,
+        ...groupMetrics.flatMap((metric) => metric.tables),
+        ...this.getReferencedTables(groupFilters, schemas),
+      ];
+
+      const selectList = [
+        ...dimensions.map((dimension) => `${dimension.expression} AS ${quoteAlias(dimension.name)}`),
+        ...groupMetrics.map((metric) => `${metric.expression} AS ${quoteAlias(metric.name)}`),
+      ];
+
+      let sql = `SELECT\n  ${selectList.join(",\n  ")}\n${this.buildFromClause(baseTable, tables)}`;
+      if (conditions.length) {
+        sql += `\nWHERE ${conditions.map((condition) => `(${condition})`).join("\n  AND ")}`;
+      }
+      if (dimensions.length) {
+        sql += `\nGROUP BY ${dimensions.map((_, i) => i + 1).join(", ")}`;
+      }
+      return sql;
+    };
+
+    let sql;
+    const groupList = [...groups.values()];
+    if (groupList.length === 1) {
+      sql = compileGroup(groupList[0]);
+    } else {
+      const ctes = groupList.map(
+        (groupMetrics, i) => `metric_group_${i + 1} AS (\n${compileGroup(groupMetrics)}\n)`
+      );
+      const dimensionAliases = dimensions.map((dimension) => quoteAlias(dimension.name));
+      const joins = groupList.slice(1).map((_, i) =>
+        dimensions.length
+          ? `FULL JOIN metric_group_${i + 2} USING (${dimensionAliases.join(", ")})`
+          : `CROSS JOIN metric_group_${i + 2}`
+      );
+      sql = `WITH ${ctes.join(",\n")}\nSELECT *\nFROM metric_group_1\n${joins.join("\n")}`;
+    }
+
+    if (dimensions.length) {
+      sql += `\nORDER BY ${this.dialect.orderDescNullsLast(quoteAlias(metrics[0].name))}`;
+    }
+    if (limit) {
+      sql += `\n${this.dialect.limit(limit)}`;
+    }
+    return sql;
+  }
+
+  // Render definitions as a prompt section the LLM must follow
+  formatDefinitions(metrics, dimensions = []) {
+    if (metrics.length === 0 && dimensions.length === 0) return "";
+
+    const lines = [
+      ...metrics.map((metric) => {
+        const filters = metric.filters?.length ? ` WHERE ${metric.filters.join(" AND ")}` : "";
+        const description = metric.description ? ` -- ${metric.description}` : "";
+        return `- metric ${metric.name}: ${metric.expression} (from ${metric.table}${filters})${description}`;
+      }),
+      ...dimensions.map(
+        (dimension) => `- dimension ${dimension.name}: ${dimension.expression} (from ${dimension.table})`
+      ),
+    ];
+
+    const joins = this.active.joins.map((join) => `- ${join.from} JOIN ${join.to} ON ${join.on}`);
+
+    return `BUSINESS DEFINITIONS (use these exact expressions, filters and joins):
+${lines.join("\n")}${joins.length ? `\nJoin paths:\n${joins.join("\n")}` : ""}`;
+  }
+}
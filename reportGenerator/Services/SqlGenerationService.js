@@ -1,44 +1,84 @@
 import { SchemaService } from "./SchemaService.js";
-import pool from "../Config/Db.js";
+import { QueryKnowledgeBaseService } from "./QueryKnowledgeBaseService.js";
+import { EmbeddingIndexService } from "./EmbeddingIndexService.js";
+import { SqlGuardService } from "./SqlGuardService.js";
+
+// Rows a reused query returns unless the request asks for all data
+const REUSED_QUERY_MAX_ROWS = 100;
 
 export class SqlGenerationService {
-  constructor(mistralService) {
+  constructor(
+    mistralService,
+    knowledgeBaseStore = new QueryKnowledgeBaseService(),
+    embeddingIndex = new EmbeddingIndexService(),
+    schemaService = new SchemaService(),
+    sqlGuardService = new SqlGuardService()
+  ) {
     this.mistralService = mistralService;
-    this.schemaService = new SchemaService();
-    this.queryKnowledgeBase = this.loadQueryKnowledgeBase();
+    this.schemaService = schemaService;
+    this.sqlGuardService = sqlGuardService;
+    this.embeddingIndex = embeddingIndex;
+    this.knowledgeBaseStore = knowledgeBaseStore;
+    this.queryKnowledgeBase = this.knowledgeBaseStore.createEmptyKnowledgeBase();
+    this.knowledgeBaseLoadedAt = 0;
+    // Load at boot; lookups wait for this before searching
+    this.knowledgeBaseReady = this.loadQueryKnowledgeBase();
   }
 
-  // Load existing knowledge base or create a new one
-  loadQueryKnowledgeBase() {
+  // Load the knowledge base from the database, keeping the current one on failure
+  async loadQueryKnowledgeBase() {
     try {
-      // Try to load from a file or database
-      // For now, we'll start with an empty knowledge base
-      return {
-        successfulQueries: [],
-        queryPatterns: {},
-        tableUsageStats: {},
-        lastUpdated: null,
-      };
+      this.queryKnowledgeBase = await this.knowledgeBaseStore.load();
+      this.knowledgeBaseLoadedAt = Date.now();
+      console.log(
+        `Loaded query knowledge base with ${this.queryKnowledgeBase.successfulQueries.length} successful queries`
+      );
     } catch (error) {
       console.warn(
-        "Could not load query knowledge base, creating new one:",
-        error
+        "Could not load query knowledge base, continuing with the in-memory one:",
+        error.message
       );
-      return {
-        successfulQueries: [],
-        queryPatterns: {},
-        tableUsageStats: {},
-        lastUpdated: null,
-      };
+    }
+    return this.queryKnowledgeBase;
+  }
+
+  // Mirror a feedback update in the in-memory knowledge base
+  applyFeedback(reportId, weightDelta, correctedEntry = null, reusedQueryId = null) {
+    if (weightDelta) {
+      this.queryKnowledgeBase.successfulQueries.forEach((entry) => {
+        if (
+          (entry.reportId === reportId && entry.source !== "corrected") ||
+          (reusedQueryId !== null && entry.id === reusedQueryId)
+        ) {
+          entry.weight = this.knowledgeBaseStore.adjustWeight(entry.weight, weightDelta);
+        }
+      });
+    }
+
+    if (correctedEntry) {
+      this.queryKnowledgeBase.successfulQueries.push(correctedEntry);
+    }
+  }
+
+  // Reload when the in-memory copy is older than the refresh interval, so
+  // queries learned by other server instances are picked up
+  async refreshQueryKnowledgeBase() {
+    await this.knowledgeBaseReady;
+
+    const { refreshIntervalMs } = this.knowledgeBaseStore.config;
+    if (
+      refreshIntervalMs &&
+      Date.now() - this.knowledgeBaseLoadedAt > refreshIntervalMs
+    ) {
+      this.knowledgeBaseReady = this.loadQueryKnowledgeBase();
+      await this.knowledgeBaseReady;
     }
   }
 
-  // Save the knowledge base
-  async saveQueryKnowledgeBase() {
+  // Persist a newly learned query
+  async saveQueryKnowledgeBase(queryPattern) {
     try {
-      // In a real implementation, save to a file or database
-      console.log("Knowledge base updated with new learnings");
-      // For now, just log the size of the knowledge base
+      queryPattern.id = await this.knowledgeBaseStore.saveSuccessfulQuery(queryPattern);
       console.log(
         `Knowledge base contains ${this.queryKnowledgeBase.successfulQueries.length} successful queries`
       );
@@ -47,43 +87,61 @@ export class SqlGenerationService {
     }
   }
 
-  // Learn from a successful query
-  async learnFromSuccessfulQuery(query, schema, userPrompt, resultCount) {
+  // Describe a query the way the knowledge base stores it
+  buildQueryPattern(query, userPrompt, resultCount) {
+    // Extract tables used in the query
+    const tableMatches = query.match(/from\s+([a-z_][a-z0-9_]*)/gi);
+    const tables = tableMatches
+      ? tableMatches.map((match) => match.replace(/from\s+/i, "").trim())
+      : [];
+
+    // Extract join patterns
+    const joinMatches = query.match(/join\s+([a-z_][a-z0-9_]*)/gi);
+    const joins = joinMatches
+      ? joinMatches.map((match) => match.replace(/join\s+/i, "").trim())
+      : [];
+
+    // Extract where conditions
+    const whereMatch = query.match(
+      /where\s+(.*?)(?:group by|order by|limit|$)/is
+    );
+    const whereConditions = whereMatch ? whereMatch[1].trim() : "";
+
+    return {
+      query,
+      userPrompt,
+      tables,
+      joins,
+      whereConditions,
+      resultCount,
+      source: "learned",
+      weight: 1,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  // Learn from a successful query. The report ID ties the query to any
+  // feedback given on the report later.
+  async learnFromSuccessfulQuery(query, schema, userPrompt, resultCount, reportId = null) {
     try {
       // Only learn from queries that returned results
       if (resultCount <= 0) return;
 
-      // Extract tables used in the query
-      const tableMatches = query.match(/from\s+([a-z_][a-z0-9_]*)/gi);
-      const tables = tableMatches
-        ? tableMatches.map((match) => match.replace(/from\s+/i, "").trim())
-        : [];
-
-      // Extract join patterns
-      const joinMatches = query.match(/join\s+([a-z_][a-z0-9_]*)/gi);
-      const joins = joinMatches
-        ? joinMatches.map((match) => match.replace(/join\s+/i, "").trim())
-        : [];
-
-      // Extract where conditions
-      const whereMatch = query.match(
-        /where\s+(.*?)(?:group by|order by|limit|$)/is
-      );
-      const whereConditions = whereMatch ? whereMatch[1].trim() : "";
-
-      // Create a query pattern object
       const queryPattern = {
-        query,
-        userPrompt,
-        tables,
-        joins,
-        whereConditions,
-        resultCount,
-        timestamp: new Date().toISOString(),
+        ...this.buildQueryPattern(query, userPrompt, resultCount),
+        reportId,
       };
+      const { tables, joins } = queryPattern;
 
-      // Add to successful queries
-      this.queryKnowledgeBase.successfulQueries.push(queryPattern);
+      await this.knowledgeBaseReady;
+
+      // Add to successful queries, keeping only as many as a load would
+      const { successfulQueries } = this.queryKnowledgeBase;
+      successfulQueries.push(queryPattern);
+      const { loadLimit } = this.knowledgeBaseStore.config;
+      if (loadLimit && successfulQueries.length > loadLimit) {
+        successfulQueries.splice(0, successfulQueries.length - loadLimit);
+      }
 
       // Update table usage statistics
       tables.forEach((table) => {
@@ -93,11 +151,25 @@ export class SqlGenerationService {
         this.queryKnowledgeBase.tableUsageStats[table]++;
       });
 
+      // Update the pattern for this combination of tables and joins
+      const patternKey = this.knowledgeBaseStore.getPatternKey(tables, joins);
+      if (patternKey) {
+        const pattern = this.queryKnowledgeBase.queryPatterns[patternKey] || {
+          tables,
+          joins,
+          count: 0,
+        };
+        pattern.count++;
+        pattern.lastQuery = query;
+        pattern.lastUsed = queryPattern.timestamp;
+        this.queryKnowledgeBase.queryPatterns[patternKey] = pattern;
+      }
+
       // Update last updated timestamp
       this.queryKnowledgeBase.lastUpdated = new Date().toISOString();
 
       // Save the updated knowledge base
-      await this.saveQueryKnowledgeBase();
+      await this.saveQueryKnowledgeBase(queryPattern);
 
       console.log(
         `Learned from successful query that returned ${resultCount} results`
@@ -107,41 +179,95 @@ export class SqlGenerationService {
     }
   }
 
-  // Find similar queries in the knowledge base
-  findSimilarQueries(userPrompt) {
-    // Simple similarity based on word overlap for now
-    const promptWords = new Set(
-      userPrompt
-        .toLowerCase()
-        .split(/\W+/)
-        .filter((w) => w.length > 2)
+  // Find similar queries in the knowledge base by nearest-neighbour search over
+  // prompt embeddings, falling back to word overlap if embedding fails
+  async findSimilarQueries(userPrompt, limit = 3, minSimilarity = 0.3) {
+    const entries = this.queryKnowledgeBase.successfulQueries;
+    if (entries.length === 0) return [];
+
+    let similarities;
+    try {
+      similarities = await this.embeddingIndex.rankPrompts(userPrompt, entries);
+    } catch (error) {
+      console.warn("Embedding retrieval failed, using word overlap:", error.message);
+      similarities = entries.map((entry) =>
+        this.calculateTextSimilarity(userPrompt, entry.userPrompt)
+      );
+    }
+
+    return entries
+      .map((entry, i) => ({
+        ...entry,
+        similarity: similarities[i],
+        // Feedback raises or lowers how strongly an entry is preferred
+        score: similarities[i] * (entry.weight ?? 1),
+      }))
+      .filter((entry) => entry.similarity > minSimilarity && entry.score > 0) // Only consider entries with some similarity
+      .sort((a, b) => b.score - a.score) // Sort by weighted similarity (descending)
+      .slice(0, limit); // Take the top matches
+  }
+
+  // Similar past queries that only use tables from the given schema, most
+  // similar first and without duplicate SQL
+  async findUsableQueries(userPrompt, schema, limit) {
+    await this.refreshQueryKnowledgeBase();
+
+    const { minExampleSimilarity } = this.knowledgeBaseStore.config;
+    const tablesInSchema = new Set(
+      Object.keys(schema.tables || {}).map((t) => t.toLowerCase())
     );
+    const seen = new Set();
 
-    return this.queryKnowledgeBase.successfulQueries
-      .map((entry) => {
-        const entryWords = new Set(
-          entry.userPrompt
-            .toLowerCase()
-            .split(/\W+/)
-            .filter((w) => w.length > 2)
-        );
-        let overlap = 0;
-
-        promptWords.forEach((word) => {
-          if (entryWords.has(word)) overlap++;
-        });
-
-        const similarity =
-          overlap / Math.max(promptWords.size, entryWords.size);
-
-        return {
-          ...entry,
-          similarity,
-        };
+    const similarQueries = await this.findSimilarQueries(
+      userPrompt,
+      Infinity,
+      minExampleSimilarity
+    );
+
+    return similarQueries
+      .filter((entry) => {
+        const normalizedQuery = entry.query.trim().toLowerCase();
+        const tablesInQuery = this.extractTablesFromQuery(entry.query);
+
+        if (
+          seen.has(normalizedQuery) ||
+          tablesInQuery.length === 0 ||
+          !tablesInQuery.every((table) => tablesInSchema.has(table.toLowerCase()))
+        ) {
+          return false;
+        }
+
+        seen.add(normalizedQuery);
+        return true;
       })
-      .filter((entry) => entry.similarity > 0.3) // Only consider entries with some similarity
-      .sort((a, b) => b.similarity - a.similarity) // Sort by similarity (descending)
-      .slice(0, 3); // Take top 3 matches
+      .slice(0, limit);
+  }
+
+  // Top-k past prompt/SQL pairs to show the model as few-shot examples
+  async findFewShotExamples(userPrompt, schema) {
+    try {
+      const { fewShotExamples } = this.knowledgeBaseStore.config;
+      if (!fewShotExamples) return [];
+
+      return await this.findUsableQueries(userPrompt, schema, fewShotExamples);
+    } catch (error) {
+      console.error("Error finding few-shot examples:", error);
+      return [];
+    }
+  }
+
+  // Render few-shot examples as a section of the SQL generation prompt
+  formatFewShotExamples(examples) {
+    if (!examples || examples.length === 0) return "";
+
+    const renderedExamples = examples
+      .map(
+        (example, index) =>
+          `Example ${index + 1}\nRequest: ${example.userPrompt}\nSQL: ${example.query}`
+      )
+      .join("\n\n");
+
+    return `EXAMPLES OF PAST REQUESTS AND THE SQL THAT ANSWERED THEM:\n${renderedExamples}\n\nUse these as guidance for table usage and joins, adapting them to the current request instead of copying them.`;
   }
 
   // Calculate text similarity (word overlap method)
@@ -164,55 +290,51 @@ export class SqlGenerationService {
       if (words2.has(word)) overlap++;
     });
 
-    return overlap / Math.max(words1.size, words2.size);
+    return overlap / Math.max(words1.size, words2.size) || 0;
   }
 
-  // Use learned knowledge to enhance SQL generation
-  async enhanceSqlGenerationWithKnowledge(userPrompt, schema) {
+  // Reuse a past query outright when its prompt is near-identical to this one.
+  // Returns { sql, example, maxRows } or null, maxRows being the row cap to
+  // run it with (null for the execution policy's); `examples` can be passed
+  // to avoid a second lookup when few-shot examples were already found.
+  async enhanceSqlGenerationWithKnowledge(userPrompt, schema, examples = null) {
     try {
+      const { reuseSimilarity, reuseMinWeight } = this.knowledgeBaseStore.config;
+      if (!reuseSimilarity) return null;
+
       // Check if this is an "all data" request
       const isAllDataRequest = this.detectAllDataRequest(userPrompt);
 
-      // Find similar queries in our knowledge base
-      const similarQueries = this.findSimilarQueries(userPrompt);
-
-      if (similarQueries.length > 0) {
-        // Use the most similar query as a template
-        const bestMatch = similarQueries[0];
-
-        // Check if the tables in the best match are in the current schema
-        const tablesInQuery = this.extractTablesFromQuery(bestMatch.query);
-        const tablesInSchema = Object.keys(schema.tables || {}).map((t) =>
-          t.toLowerCase()
-        );
-
-        const allTablesExist = tablesInQuery.every((table) =>
-          tablesInSchema.includes(table.toLowerCase())
-        );
-
-        if (!allTablesExist) {
-          console.log(
-            "Tables in best match query don't match current schema, generating new query"
-          );
-          return null;
-        }
-
-        // Modify the SQL based on the current request
-        let modifiedSql = bestMatch.query;
-
-        // If this is an "all data" request, remove any LIMIT clause
-        if (isAllDataRequest && /LIMIT\s+\d+/i.test(modifiedSql)) {
-          modifiedSql = modifiedSql.replace(/LIMIT\s+\d+/i, "");
-        }
-        // If this is NOT an "all data" request but there's no LIMIT, add one
-        else if (!isAllDataRequest && !/LIMIT\s+\d+/i.test(modifiedSql)) {
-          modifiedSql += " LIMIT 100";
-        }
+      // Use the most similar query whose tables exist in the current schema
+      const [bestMatch] = examples?.length
+        ? examples
+        : await this.findUsableQueries(userPrompt, schema, 1);
+
+      if (
+        !bestMatch ||
+        bestMatch.similarity < reuseSimilarity ||
+        (bestMatch.weight ?? 1) < reuseMinWeight
+      ) {
+        return null;
+      }
 
-        return modifiedSql;
+      // Entries learned before queries were stored normalized can end in a
+      // semicolon or comment; ones that are no longer allowed are regenerated
+      let sql;
+      try {
+        sql = this.sqlGuardService.assertReadOnly(bestMatch.query);
+      } catch (rejection) {
+        console.warn("Not reusing a learned query:", rejection.reason);
+        return null;
       }
 
-      return null;
+      // The row cap is applied around the query when it runs, rather than
+      // by editing its LIMIT
+      return {
+        sql,
+        example: bestMatch,
+        maxRows: isAllDataRequest ? null : REUSED_QUERY_MAX_ROWS,
+      };
     } catch (error) {
       console.error("Error enhancing SQL with knowledge:", error);
       return null;
@@ -223,7 +345,9 @@ export class SqlGenerationService {
   async identifyRelevantTables(userPrompt, schemas) {
     const tableIdentificationPrompt = `
             Given this user request: "${userPrompt}"
-            And these table names: ${Object.keys(schemas).join(", ")}
+            And these tables: ${Object.entries(schemas)
+              .map(([tableName, schema]) => this.describeTable(tableName, schema))
+              .join(", ")}
             
             Analyze the request carefully to determine which tables are most relevant.
             Consider:
@@ -232,12 +356,15 @@ export class SqlGenerationService {
             3. The relationships between tables that might be needed to fulfill the request
             
             Return only the names of tables that are relevant to this query, as a comma-separated list.
+            Use the table names themselves, not the business names in parentheses.
             Be thorough - include all tables that might be needed to properly answer the query.
             Do not include any additional text or formatting.
         `;
 
     const relevantTablesStr = await this.mistralService.generateMistralResponse(
-      tableIdentificationPrompt
+      tableIdentificationPrompt,
+      [],
+      { stage: "tableIdentification" }
     );
     return relevantTablesStr
       .replace(/```.*?\n?/g, "") // Remove any markdown
@@ -246,19 +373,50 @@ export class SqlGenerationService {
       .filter((table) => table && schemas[table]); // Only include tables that exist in the schema
   }
 
+  // A table name with the business names the glossary gives it, e.g.
+  // "cust_mst (Customers, also: clients, accounts)"
+  describeTable(tableName, schema) {
+    const names = [
+      schema.displayName,
+      schema.aliases?.length && `also: ${schema.aliases.join(", ")}`,
+    ].filter(Boolean);
+    return names.length ? `${tableName} (${names.join(", ")})` : tableName;
+  }
+
+  // Essential column information, plus what the column means and the values
+  // it can hold when the glossary or the database records them
+  describeColumn(col) {
+    const description = col.description || col.column_comment;
+    return {
+      name: col.column_name,
+      type: col.data_type,
+      ...(col.display_name && { displayName: col.display_name }),
+      ...(col.aliases?.length && { aliases: col.aliases }),
+      ...(description && { description }),
+      ...(col.enum_values?.length && { values: col.enum_values }),
+    };
+  }
+
   // Helper to create a minimal schema representation
   createMinimalSchema(schemas, relationships, relevantTables) {
     const minimalSchema = {};
 
     // Only include relevant tables
     relevantTables.forEach((tableName) => {
-      if (schemas[tableName]) {
-        // Include only essential column information
+      const schema = schemas[tableName];
+      if (schema) {
         minimalSchema[tableName] = {
-          columns: schemas[tableName].columns.map((col) => ({
-            name: col.column_name,
-            type: col.data_type,
-          })),
+          ...(schema.type && schema.type !== "table" && { type: schema.type }),
+          ...(schema.displayName && { displayName: schema.displayName }),
+          ...(schema.aliases?.length && { aliases: schema.aliases }),
+          ...((schema.description || schema.comment) && {
+            description: schema.description || schema.comment,
+          }),
+          columns: schema.columns.map((col) => this.describeColumn(col)),
+          ...(schema.primaryKey?.length && { primaryKey: schema.primaryKey }),
+          ...(schema.checks?.length && {
+            checks: schema.checks.map((check) => check.definition),
+          }),
         };
       }
     });
@@ -288,16 +446,15 @@ export class SqlGenerationService {
       sql = sql.replace(/```sql/g, "").replace(/```/g, "");
 
       // Remove any explanatory text before or after the SQL
-      const sqlRegex = /(SELECT|WITH|INSERT|UPDATE|DELETE)[\s\S]*/i;
+      const sqlRegex = /(SELECT|WITH)[\s\S]*/i;
       const match = sql.match(sqlRegex);
 
       if (match) {
         sql = match[0];
       } else {
-        // If no SQL statement found, check if this is a description or explanation
-        // and return a default SELECT statement
-        console.warn("No valid SQL found in response, using default query");
-        return "SELECT * FROM users LIMIT 10";
+        // No query in the response; the SQL guard rejects the empty result
+        console.warn("No valid SQL found in response");
+        return "";
       }
 
       // Clean up whitespace
@@ -306,148 +463,42 @@ export class SqlGenerationService {
       return sql;
     } catch (error) {
       console.error("Error cleaning SQL response:", error);
-      return "SELECT * FROM users LIMIT 10"; // Return a safe default
+      return "";
     }
   }
 
-  // Add a SQL validation function to check for common issues before executing
-  async validateSql(sql) {
-    try {
-      // Check for basic syntax issues first
-      if (!sql || typeof sql !== "string" || sql.trim() === "") {
-        console.error("Invalid SQL query provided for validation");
-        return "SELECT 1"; // Return a safe default query
-      }
+  // Ask the LLM to rewrite a query whose planner cost is over the policy limit
+  async generateCheaperQuery(sql, userPrompt, schema, estimatedCost, maxCost) {
+    const cheaperQueryPrompt = `
+            This ${this.schemaService.dialect.label} query is too expensive to run. The planner estimates a cost of ${Math.round(
+              estimatedCost
+            )}, but the limit is ${maxCost}.
 
-      // Identify potential issues
-      const issues = [];
+            ${sql}
 
-      // Check for unqualified column names that might be ambiguous
-      const potentialAmbiguousColumns = sql.match(
-        /SELECT\s+(?:.*?,\s*)?(\w+)(?:\s*,|\s*FROM)/gi
-      );
-      if (potentialAmbiguousColumns) {
-        issues.push("ambiguous_columns");
-      }
+            USER REQUEST: ${userPrompt}
 
-      // Check for UNION queries with potential column mismatches
-      if (sql.includes("UNION")) {
-        const unionParts = sql.split(/UNION\s+(?:ALL\s+)?/i);
-        if (unionParts.length > 1) {
-          issues.push("union_mismatch");
-        }
-      }
+            RELEVANT SCHEMA:
+            ${JSON.stringify(schema, null, 2)}
 
-      // Check for potential table alias issues
-      const tableAliases = [];
-      const aliasMatches = sql.match(
-        /(?:FROM|JOIN)\s+(\w+)(?:\s+AS)?\s+(\w+)/gi
-      );
+            Make this query cheaper while still answering the request:
+            1. Filter as early as possible and avoid scanning tables that are not needed
+            2. Aggregate instead of returning raw rows where the request allows it
+            3. Avoid cross joins, correlated subqueries and SELECT *
+            4. Add a reasonable LIMIT if the request does not need every row
+            5. The query must start with SELECT or WITH
+            6. ${this.schemaService.dialect.promptGuidance()}
 
-      if (aliasMatches) {
-        aliasMatches.forEach((match) => {
-          const parts = match.split(/\s+/);
-          // Extract table name and alias
-          let tableName, alias;
-
-          if (parts.length >= 4 && parts[2].toLowerCase() === "as") {
-            // Format: FROM/JOIN table_name AS alias
-            tableName = parts[1];
-            alias = parts[3];
-          } else if (parts.length >= 3) {
-            // Format: FROM/JOIN table_name alias
-            tableName = parts[1];
-            alias = parts[2];
-          }
-
-          if (tableName && alias) {
-            tableAliases.push({ table: tableName, alias: alias });
-          }
-        });
-      }
-
-      // Check for references to aliases that don't exist
-      const columnRefs = sql.match(/(\w+)\.(\w+)/g);
-      if (columnRefs) {
-        columnRefs.forEach((ref) => {
-          const [alias] = ref.split(".");
-          if (
-            !tableAliases.some(
-              (a) => a.alias.toLowerCase() === alias.toLowerCase()
-            )
-          ) {
-            issues.push(`invalid_alias:${alias}`);
-          }
-        });
-      }
-
-      // If we found issues, generate a fixed SQL query
-      if (issues.length > 0) {
-        console.log(`SQL validation found issues: ${issues.join(", ")}`);
-
-        // Create a comprehensive fix prompt based on identified issues
-        let fixPrompt = `
-                    This SQL query has the following issues that need to be fixed:
-                    
-                    ${sql}
-                    
-                    ISSUES:
-                `;
-
-        if (issues.includes("ambiguous_columns")) {
-          fixPrompt +=
-            "\n- Ambiguous column references that need table aliases";
-        }
-
-        if (issues.includes("union_mismatch")) {
-          fixPrompt +=
-            "\n- UNION statements with potentially mismatched columns";
-        }
+            Return ONLY the SQL query without any markdown formatting, explanations, or backticks.
+        `;
 
-        issues.forEach((issue) => {
-          if (issue.startsWith("invalid_alias:")) {
-            const alias = issue.split(":")[1];
-            fixPrompt += `\n- Invalid table alias "${alias}" that doesn't match any defined table alias`;
-          }
-        });
-
-        fixPrompt += `
-                    
-                    Please fix the query by:
-                    1. Ensuring all table aliases are properly defined in FROM/JOIN clauses
-                    2. Using only defined table aliases in column references
-                    3. Adding table aliases to ALL column references to avoid ambiguity
-                    4. Checking for typos in table and alias names
-                    5. Making sure all tables referenced in column qualifiers (e.g., "oy.port_id") are properly defined
-                    
-                    Available table aliases from the query:
-                    ${tableAliases
-                      .map((a) => `${a.table} AS ${a.alias}`)
-                      .join("\n")}
-                    
-                    Return ONLY the fixed SQL query without any explanations.
-                `;
-
-        // Generate fixed SQL
-        const fixedSql = await this.mistralService.generateMistralResponse(fixPrompt);
-
-        const cleanFixedSql = fixedSql
-          .trim()
-          .replace(/```sql|```/g, "")
-          .trim();
-        console.log("Original SQL:", sql);
-        console.log("Fixed SQL:", cleanFixedSql);
-
-        return cleanFixedSql;
-      }
+    const response = await this.mistralService.retryWithBackoff(async () => {
+      return this.mistralService.generateMistralResponse(cheaperQueryPrompt, [], {
+        stage: "sqlGeneration",
+      });
+    });
 
-      // If no issues found, return the original SQL
-      return sql;
-    } catch (error) {
-      console.error("Error validating SQL:", error);
-      // Return the original SQL if validation fails
-      return sql;
-    }
+    return this.cleanSQLResponse(response);
   }
 
   // Add a method to detect if the user is requesting all data
@@ -474,86 +525,34 @@ export class SqlGenerationService {
   extractTablesFromQuery(query) {
     if (!query) return [];
 
-    const tableMatches = query.match(/from\s+([a-z_][a-z0-9_]*)/gi) || [];
-    const joinMatches = query.match(/join\s+([a-z_][a-z0-9_]*)/gi) || [];
+    // Tables may be schema-qualified; the default schema is left off to match
+    // the keys used by SchemaService
+    const tableMatches =
+      query.match(/from\s+([a-z_][a-z0-9_]*(?:\.[a-z_][a-z0-9_]*)?)/gi) || [];
+    const joinMatches =
+      query.match(/join\s+([a-z_][a-z0-9_]*(?:\.[a-z_][a-z0-9_]*)?)/gi) || [];
+    // CTE names appear after FROM/JOIN but are not tables
+    const cteNames = new Set(
+      [...query.matchAll(/(?:with|,)\s*([a-z_][a-z0-9_]*)\s+as\s*\(/gi)].map(
+        (match) => match[1].toLowerCase()
+      )
+    );
+
+    const defaultPrefix = `${this.schemaService.config.defaultSchema}.`.toLowerCase();
+    const toTableKey = (name) =>
+      name.toLowerCase().startsWith(defaultPrefix)
+        ? name.slice(defaultPrefix.length)
+        : name;
 
     const tables = tableMatches.map((match) =>
-      match.replace(/from\s+/i, "").trim()
+      toTableKey(match.replace(/from\s+/i, "").trim())
     );
     const joins = joinMatches.map((match) =>
-      match.replace(/join\s+/i, "").trim()
+      toTableKey(match.replace(/join\s+/i, "").trim())
     );
 
-    return [...new Set([...tables, ...joins])];
-  }
-
-  // Add a new method to generate additional queries based on user requirements
-  async generateAdditionalQueries(userPrompt, schema, queryDescription) {
-    try {
-      if (!queryDescription) {
-        return [];
-      }
-
-      console.log("Generating additional queries based on:", queryDescription);
-
-      const additionalQueriesPrompt = `
-        Based on this user request: "${userPrompt}"
-        
-        We need additional data described as: "${queryDescription}"
-        
-        Using this schema: ${JSON.stringify(schema, null, 2)}
-        
-        Generate up to 3 SQL queries that would provide the additional data needed.
-        Format each query as a JSON object with "description" and "sql" fields.
-        Return an array of these objects.
-        
-        IMPORTANT: Each SQL query MUST start with SELECT or WITH.
-      `;
-
-      const response = await this.mistralService.generateMistralResponse(
-        additionalQueriesPrompt
-      );
-
-      try {
-        // Try to parse the response as JSON
-        const jsonMatch = response.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-          const parsedQueries = JSON.parse(jsonMatch[0]);
-          
-          // Validate each query
-          const validQueries = parsedQueries.map(query => {
-            if (!query.sql || !query.sql.trim().match(/^(SELECT|WITH)/i)) {
-              // Fix invalid SQL
-              return {
-                description: query.description || queryDescription,
-                sql: `SELECT * FROM users LIMIT 10 -- Placeholder for: ${query.description}`
-              };
-            }
-            return query;
-          });
-          
-          return validQueries;
-        }
-
-        // If not a valid JSON array, create a simple structure with a default query
-        return [
-          {
-            description: queryDescription,
-            sql: "SELECT * FROM users LIMIT 10"
-          },
-        ];
-      } catch (error) {
-        console.warn("Error parsing additional queries:", error);
-        return [
-          {
-            description: queryDescription,
-            sql: "SELECT * FROM users LIMIT 10"
-          },
-        ];
-      }
-    } catch (error) {
-      console.error("Error generating additional queries:", error);
-      return [];
-    }
+    return [...new Set([...tables, ...joins])].filter(
+      (table) => !cteNames.has(table.toLowerCase())
+    );
   }
-} 
\ No newline at end of file
+}
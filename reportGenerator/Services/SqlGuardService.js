@@ -0,0 +1,365 @@
+import pkg from "node-sql-parser";
+import defaultPool from "../Config/Db.js";
+import executionPolicy from "../Config/ExecutionPolicy.js";
+import introspectionConfig from "../Config/Introspection.js";
+import { PostgresDialect } from "../Dialects/index.js";
+import {
+  cancelQueriesOnAbort,
+  getCurrentSignal,
+  throwIfCancelled,
+} from "./CancellationService.js";
+import { setSpanAttributes, withSpan } from "./TraceService.js";
+import {
+  UPLOAD_SCHEMA_PREFIX,
+  getCurrentUploadSession,
+  getUploadSchemaName,
+} from "./UploadService.js";
+
+const { Parser } = pkg;
+
+// The service's own tables: knowledge base, feedback, traces and usage
+const SERVICE_SCHEMA = "report_ai";
+
+// Functions that can block, touch the filesystem, reach other servers or
+// mutate server state even when called from inside a SELECT
+const DANGEROUS_FUNCTIONS = [
+  "pg_sleep",
+  "pg_sleep_for",
+  "pg_sleep_until",
+  "pg_read_file",
+  "pg_read_binary_file",
+  "pg_ls_dir",
+  "pg_ls_waldir",
+  "pg_ls_logdir",
+  "pg_ls_tmpdir",
+  "pg_ls_archive_statusdir",
+  "pg_stat_file",
+  "pg_terminate_backend",
+  "pg_cancel_backend",
+  "pg_reload_conf",
+  "pg_rotate_logfile",
+  "pg_notify",
+  "pg_advisory_lock",
+  "pg_advisory_xact_lock",
+  "pg_try_advisory_lock",
+  "pg_try_advisory_xact_lock",
+  "set_config",
+  "nextval",
+  "setval",
+  "lo_import",
+  "lo_export",
+  "lo_get",
+  "lo_put",
+  "lo_unlink",
+  "dblink",
+  "dblink_exec",
+  "dblink_connect",
+  "query_to_xml",
+  "table_to_xml",
+  // MySQL
+  "sleep",
+  "benchmark",
+  "load_file",
+  "get_lock",
+  "release_lock",
+  // SQLite
+  "load_extension",
+];
+
+export class SqlGuardService {
+  constructor(
+    policy = executionPolicy,
+    pool = defaultPool,
+    dialect = new PostgresDialect(),
+    introspection = introspectionConfig
+  ) {
+    this.parser = new Parser();
+    this.dangerousFunctions = new Set(DANGEROUS_FUNCTIONS);
+    this.policy = { ...policy };
+    this.pool = pool;
+    this.dialect = dialect;
+    this.defaultSchema = introspection.defaultSchema;
+  }
+
+  // Build the error thrown for SQL that must not be executed
+  createRejection(reason, sql, type = "sql_rejected") {
+    const error = new Error(`SQL rejected: ${reason}`);
+    error.code = "SQL_REJECTED";
+    error.type = type;
+    error.reason = reason;
+    error.sql = sql;
+    return error;
+  }
+
+  // Parse the SQL and make sure it is a single read-only SELECT/WITH statement
+  // that only reads tables the current report may see.
+  // Returns the normalized SQL or throws a SQL_REJECTED error.
+  assertReadOnly(sql) {
+    const normalizedSql =
+      typeof sql === "string" ? this.stripComments(sql).replace(/[\s;]+$/, "").trim() : "";
+
+    if (normalizedSql === "") {
+      throw this.createRejection("No SQL statement was generated", sql);
+    }
+
+    let ast;
+    let tableList;
+    try {
+      ({ ast, tableList } = this.parser.parse(normalizedSql, {
+        database: this.dialect.parserDatabase,
+      }));
+    } catch (parseError) {
+      throw this.createRejection(
+        `SQL could not be parsed: ${parseError.message.split("\n")[0]}`,
+        sql
+      );
+    }
+
+    const statements = (Array.isArray(ast) ? ast : [ast]).filter(Boolean);
+
+    if (statements.length !== 1) {
+      throw this.createRejection(
+        `Expected a single statement but found ${statements.length}`,
+        sql
+      );
+    }
+
+    const [statement] = statements;
+
+    if (statement.type !== "select") {
+      throw this.createRejection(
+        `Only SELECT or WITH queries are allowed, got ${String(
+          statement.type
+        ).toUpperCase()}`,
+        sql
+      );
+    }
+
+    // SELECT ... INTO creates a table
+    if (statement.into && statement.into.position) {
+      throw this.createRejection("SELECT INTO is not allowed", sql);
+    }
+
+    const blockedFunctions = this.findFunctionNames(statement).filter((name) =>
+      this.dangerousFunctions.has(name.split(".").pop())
+    );
+
+    if (blockedFunctions.length > 0) {
+      throw this.createRejection(
+        `Use of restricted function(s): ${[...new Set(blockedFunctions)].join(
+          ", "
+        )}`,
+        sql
+      );
+    }
+
+    this.assertTablesAllowed(tableList, sql);
+
+    return normalizedSql;
+  }
+
+  // The parser lists every table the statement touches as
+  // "type::schema::table", schema being "null" when it isn't named and
+  // "catalog.schema" for three-part names. A WITH query can still write from
+  // one of its CTEs, and no query may read the service's own tables or the
+  // uploads of another session.
+  assertTablesAllowed(tableList, sql) {
+    const sessionSchema = this.getSessionSchema();
+
+    for (const entry of tableList) {
+      const [type, schema] = entry.split("::");
+
+      if (type !== "select") {
+        throw this.createRejection(
+          `Only SELECT or WITH queries are allowed, got ${type.toUpperCase()}`,
+          sql
+        );
+      }
+
+      const schemaName = schema.split(".").pop().toLowerCase();
+      if (
+        schemaName === SERVICE_SCHEMA ||
+        (schemaName.startsWith(UPLOAD_SCHEMA_PREFIX) && schemaName !== sessionSchema)
+      ) {
+        throw this.createRejection(`Access to schema ${schema} is not allowed`, sql);
+      }
+    }
+  }
+
+  // The schema of the current report's uploaded tables, if it has a session
+  getSessionSchema() {
+    const sessionId = getCurrentUploadSession();
+    return sessionId ? getUploadSchemaName(sessionId) : null;
+  }
+
+  // Unqualified table names resolve to the data source's schema, then to the
+  // session's uploads
+  getSearchPath() {
+    return [this.defaultSchema, this.getSessionSchema()].filter(Boolean);
+  }
+
+  // The SQL without its -- and /* */ comments, so that it can be wrapped in
+  // or followed by more SQL. Quoted strings and identifiers are kept as is.
+  stripComments(sql) {
+    let result = "";
+    let index = 0;
+
+    while (index < sql.length) {
+      const char = sql[index];
+
+      if (char === "'" || char === '"' || char === "`") {
+        // A doubled quote is an escaped one
+        let end = index + 1;
+        while (end < sql.length && (sql[end] !== char || sql[end + 1] === char)) {
+          end += sql[end] === char ? 2 : 1;
+        }
+        result += sql.slice(index, end + 1);
+        index = end + 1;
+      } else if (sql.startsWith("--", index)) {
+        const end = sql.indexOf("\n", index);
+        index = end === -1 ? sql.length : end;
+      } else if (sql.startsWith("/*", index)) {
+        const end = sql.indexOf("*/", index + 2);
+        result += " ";
+        index = end === -1 ? sql.length : end + 2;
+      } else {
+        result += char;
+        index++;
+      }
+    }
+
+    return result;
+  }
+
+  // Walk the AST and collect the lower-cased name of every function call
+  findFunctionNames(node, names = []) {
+    if (!node || typeof node !== "object") return names;
+
+    if (Array.isArray(node)) {
+      node.forEach((child) => this.findFunctionNames(child, names));
+      return names;
+    }
+
+    if (node.type === "function" || node.type === "aggr_func") {
+      const name = this.getFunctionName(node.name);
+      if (name) names.push(name.toLowerCase());
+    }
+
+    Object.values(node).forEach((child) => this.findFunctionNames(child, names));
+    return names;
+  }
+
+  // Function names are either plain strings or { schema, name: [{ value }] }
+  getFunctionName(name) {
+    if (!name) return null;
+    if (typeof name === "string") return name;
+
+    const parts = Array.isArray(name.name)
+      ? name.name.map((part) => part.value)
+      : [];
+    const schema = name.schema?.value || name.schema;
+
+    return [typeof schema === "string" ? schema : null, ...parts]
+      .filter(Boolean)
+      .join(".");
+  }
+
+  // Wrap the query so the database never returns more than maxRows + 1 rows.
+  // The extra row tells us whether the result was truncated.
+  applyRowLimit(sql, maxRows) {
+    if (!maxRows) return sql;
+    return `SELECT * FROM (\n${sql}\n) AS limited_result ${this.dialect.limit(maxRows + 1)}`;
+  }
+
+  // Ask the planner for the estimated total cost of the query
+  async estimateCost(client, sql) {
+    return this.dialect.estimateCost(client, sql);
+  }
+
+  // Validate the SQL and run it inside a read-only transaction, applying the
+  // statement timeout, cost guard and row cap from the execution policy.
+  // The returned result carries the normalized `sql` that ran and a `policy`
+  // report describing what was applied.
+  // The query is cancelled on the server when `signal` (by default the
+  // current report's) is aborted.
+  async executeReadOnly(sql, options = {}) {
+    return withSpan("sql query", "sql", { "db.system": this.dialect.name, "db.statement": sql }, async () => {
+      const result = await this.runReadOnly(sql, options);
+      setSpanAttributes({
+        "db.row_count": result.rowCount,
+        "db.truncated": result.policy.truncated,
+        "db.estimated_cost": result.policy.estimatedCost,
+      });
+      return result;
+    });
+  }
+
+  async runReadOnly(sql, { signal = getCurrentSignal(), ...overrides } = {}) {
+    const safeSql = this.assertReadOnly(sql);
+    const policy = { ...this.policy, ...overrides };
+    const report = {
+      statementTimeoutMs: policy.statementTimeoutMs,
+      maxRows: policy.maxRows,
+      maxCost: policy.maxCost,
+      estimatedCost: null,
+      truncated: false,
+    };
+
+    throwIfCancelled(signal);
+    const client = await this.pool.connect();
+    const stopWatching = cancelQueriesOnAbort(client, signal, this.pool, this.dialect);
+
+    try {
+      await this.dialect.beginReadOnly(client, policy.statementTimeoutMs, this.getSearchPath());
+
+      if (policy.maxCost) {
+        report.estimatedCost = await this.estimateCost(client, safeSql);
+
+        if (report.estimatedCost !== null && report.estimatedCost > policy.maxCost) {
+          const error = this.createRejection(
+            `Estimated query cost ${Math.round(
+              report.estimatedCost
+            )} exceeds the limit of ${policy.maxCost}`,
+            sql,
+            "sql_cost_exceeded"
+          );
+          error.estimatedCost = report.estimatedCost;
+          error.policy = report;
+          throw error;
+        }
+      }
+
+      const result = await client.query(
+        this.applyRowLimit(safeSql, policy.maxRows)
+      );
+      await this.dialect.commit(client);
+
+      let rows = result.rows;
+      if (policy.maxRows && rows.length > policy.maxRows) {
+        rows = rows.slice(0, policy.maxRows);
+        report.truncated = true;
+      }
+
+      return {
+        ...result,
+        sql: safeSql,
+        rows,
+        rowCount: rows.length,
+        policy: report,
+      };
+    } catch (error) {
+      await this.dialect.rollback(client).catch(() => {});
+      throwIfCancelled(signal);
+
+      if (this.dialect.isTimeoutError(error)) {
+        error.message = `Query exceeded the statement timeout of ${policy.statementTimeoutMs}ms`;
+        error.policy = report;
+      }
+      throw error;
+    } finally {
+      stopWatching();
+      // A late cancel could hit the next query on this connection
+      client.release(Boolean(signal?.aborted));
+    }
+  }
+}
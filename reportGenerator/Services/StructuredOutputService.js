@@ -0,0 +1,121 @@
+import Ajv from "ajv";
+
+export class StructuredOutputService {
+  constructor(mistralService, maxAttempts = 2) {
+    this.mistralService = mistralService;
+    this.maxAttempts = maxAttempts; // First attempt plus retries with validation feedback
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    this.validators = new WeakMap();
+  }
+
+  // Compile each schema once
+  getValidator(schema) {
+    if (!this.validators.has(schema)) {
+      this.validators.set(schema, this.ajv.compile(schema));
+    }
+    return this.validators.get(schema);
+  }
+
+  // Build the error thrown when no valid output could be obtained
+  createStructuredOutputError(stage, errors, rawResponse) {
+    const error = new Error(
+      `Invalid structured output for ${stage || "prompt"}: ${errors.join("; ")}`
+    );
+    error.code = "STRUCTURED_OUTPUT_INVALID";
+    error.stage = stage;
+    error.validationErrors = errors;
+    error.rawResponse = rawResponse;
+    return error;
+  }
+
+  // Pull the JSON value out of a response, tolerating markdown fences and
+  // surrounding text
+  extractJson(response) {
+    if (!response || typeof response !== "string") {
+      throw new Error("Empty response");
+    }
+
+    const text = response.replace(/```(?:json)?/gi, "").trim();
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      const match = text.match(/\{[\s\S]*\}|\[[\s\S]*\]/);
+      if (!match) {
+        throw new Error("No JSON found in response");
+      }
+      return JSON.parse(match[0]);
+    }
+  }
+
+  // Parse and validate a response, returning { value } or { errors }
+  parseAndValidate(response, schema) {
+    let value;
+    try {
+      value = this.extractJson(response);
+    } catch (parseError) {
+      return { errors: [`Response is not valid JSON: ${parseError.message}`] };
+    }
+
+    const validate = this.getValidator(schema);
+    if (!validate(value)) {
+      return {
+        errors: validate.errors.map(
+          (err) => `${err.instancePath || "(root)"} ${err.message}`
+        ),
+      };
+    }
+
+    return { value };
+  }
+
+  // Ask the LLM for JSON matching the schema. Invalid responses are retried
+  // with the validation errors fed back; throws STRUCTURED_OUTPUT_INVALID when
+  // every attempt fails.
+  async generate(prompt, schema, { stage = null, conversationHistory = [] } = {}) {
+    const schemaPrompt = `${prompt}
+
+      Respond with a single JSON value that validates against this JSON Schema:
+      ${JSON.stringify(schema)}
+      Return only the JSON, with no additional text or markdown.
+    `;
+
+    let currentPrompt = schemaPrompt;
+    let errors = [];
+    let response = null;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      response = await this.mistralService.retryWithBackoff(async () => {
+        return this.mistralService.generateMistralResponse(
+          currentPrompt,
+          conversationHistory,
+          { stage, responseFormat: "json" }
+        );
+      });
+
+      const result = this.parseAndValidate(response, schema);
+      if (!result.errors) {
+        return result.value;
+      }
+
+      errors = result.errors;
+      console.warn(
+        `Structured output for ${stage || "prompt"} failed validation (attempt ${attempt}/${this.maxAttempts}):`,
+        errors
+      );
+
+      currentPrompt = `${schemaPrompt}
+
+      Your previous response was rejected:
+      ${String(response).slice(0, 2000)}
+
+      Validation errors:
+      ${errors.map((err) => `- ${err}`).join("\n")}
+
+      Fix these errors and return corrected JSON only.
+      `;
+    }
+
+    throw this.createStructuredOutputError(stage, errors, response);
+  }
+}
@@ -0,0 +1,247 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { randomBytes } from "crypto";
+import { performance } from "perf_hooks";
+import pool from "../Config/Db.js";
+import tracingConfig from "../Config/Tracing.js";
+import { runMigrations } from "./MigrationService.js";
+
+// Tracing of report runs. Like the cancellation signal, the span being
+// recorded is bound to the async call tree, so LLM calls and queries made
+// anywhere below a pipeline stage nest under it without the span being passed
+// along. Spans are { spanId, parentSpanId, name, kind, startTime, durationMs,
+// attributes, status, error } with kind "report", "stage", "llm" or "sql" and
+// times in milliseconds.
+const traceStorage = new AsyncLocalStorage();
+
+const now = () => performance.timeOrigin + performance.now();
+
+const createId = (bytes) => randomBytes(bytes).toString("hex");
+
+export const createTrace = (reportId) => ({
+  traceId: createId(16),
+  reportId,
+  spans: [],
+});
+
+export const getCurrentSpan = () => traceStorage.getStore()?.span || null;
+
+// Add attributes to the span being recorded, e.g. the row count of a query
+export const setSpanAttributes = (attributes) => {
+  const span = getCurrentSpan();
+  if (span) Object.assign(span.attributes, attributes);
+};
+
+const recordSpan = async (trace, parent, name, kind, attributes, operation) => {
+  const span = {
+    spanId: createId(8),
+    parentSpanId: parent?.spanId || null,
+    name,
+    kind,
+    startTime: now(),
+    durationMs: null,
+    attributes: { ...attributes },
+    status: "ok",
+    error: null,
+  };
+  trace.spans.push(span);
+
+  try {
+    return await traceStorage.run({ trace, span }, () => operation(span));
+  } catch (error) {
+    span.status = "error";
+    span.error = error.message;
+    throw error;
+  } finally {
+    span.durationMs = now() - span.startTime;
+  }
+};
+
+// Run an operation as the root span of a trace
+export const runWithTrace = (trace, name, attributes, operation) =>
+  recordSpan(trace, null, name, "report", attributes, operation);
+
+// Run an operation as a span nested in the current one. Without a trace
+// (tracing disabled, or a call outside a report) it just runs.
+export const withSpan = (name, kind, attributes, operation) => {
+  const current = traceStorage.getStore();
+  if (!current) return operation(null);
+  return recordSpan(current.trace, current.span, name, kind, attributes, operation);
+};
+
+// OTLP attribute values
+const toAnyValue = (value) => {
+  if (typeof value === "boolean") return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === "number") return { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  return { stringValue: typeof value === "string" ? value : JSON.stringify(value) };
+};
+
+const toAttributes = (attributes) =>
+  Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+
+const toUnixNano = (ms) => (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+
+// OTLP span kinds: LLM calls and queries are requests to other services
+const OTLP_SPAN_KINDS = { report: 1, stage: 1, llm: 3, sql: 3 };
+
+// Stores finished traces, serves them to the API and exports them to an
+// OpenTelemetry collector
+export class TraceService {
+  constructor(config = tracingConfig) {
+    this.config = { ...config };
+    // Traces by reportId, including the ones still running, newest last
+    this.recentTraces = new Map();
+    // Settles once every finished trace is stored and exported
+    this.writes = Promise.resolve();
+  }
+
+  get enabled() {
+    return this.config.enabled;
+  }
+
+  // Make a trace available to the API while it's recorded
+  track(trace) {
+    this.recentTraces.delete(trace.reportId);
+    this.recentTraces.set(trace.reportId, trace);
+    while (this.recentTraces.size > Math.max(this.config.maxRecentTraces, 1)) {
+      this.recentTraces.delete(this.recentTraces.keys().next().value);
+    }
+  }
+
+  // Store and export a finished trace. Failures are only logged, a report
+  // doesn't fail over its trace.
+  async finishTrace(trace) {
+    if (!trace.spans.length) return;
+
+    const finished = Promise.allSettled([this.saveTrace(trace), this.exportTrace(trace)]);
+    this.writes = Promise.all([this.writes, finished]);
+
+    const [saved, exported] = await finished;
+    if (saved.status === "rejected") {
+      console.warn(`Could not store the trace of report ${trace.reportId}:`, saved.reason?.message);
+    }
+    if (exported.status === "rejected") {
+      console.warn(`Could not export the trace of report ${trace.reportId}:`, exported.reason?.message);
+    }
+  }
+
+  async saveTrace(trace) {
+    const root = trace.spans[0];
+    await runMigrations();
+    await pool.query(
+      `INSERT INTO report_ai.report_traces (report_id, trace_id, status, started_at, duration_ms, spans)
+       VALUES ($1, $2, $3, to_timestamp($4 / 1000.0), $5, $6)
+       ON CONFLICT (report_id) DO UPDATE
+       SET trace_id = EXCLUDED.trace_id, status = EXCLUDED.status, started_at = EXCLUDED.started_at,
+           duration_ms = EXCLUDED.duration_ms, spans = EXCLUDED.spans`,
+      [trace.reportId, trace.traceId, root.status, root.startTime, root.durationMs, JSON.stringify(trace.spans)]
+    );
+    await this.purgeExpiredTraces();
+  }
+
+  async purgeExpiredTraces() {
+    if (!this.config.retentionDays) return;
+
+    await pool.query(
+      `DELETE FROM report_ai.report_traces
+       WHERE created_at < now() - $1 * interval '1 day'`,
+      [this.config.retentionDays]
+    );
+  }
+
+  // A trace in the API's shape: the spans in start order plus a summary
+  toTrace(trace) {
+    const spans = [...trace.spans].sort((a, b) => a.startTime - b.startTime);
+    const root = spans.find((span) => !span.parentSpanId) || null;
+    const running = !root || root.durationMs === null;
+
+    return {
+      reportId: trace.reportId,
+      traceId: trace.traceId,
+      status: running ? "running" : root.status,
+      startTime: root ? new Date(root.startTime).toISOString() : null,
+      durationMs: running ? null : root.durationMs,
+      spans: spans.map((span) => ({
+        ...span,
+        offsetMs: root ? span.startTime - root.startTime : 0,
+      })),
+    };
+  }
+
+  // The trace of a report, or null if there is none
+  async getTrace(reportId) {
+    const recent = this.recentTraces.get(reportId);
+    if (recent) return this.toTrace(recent);
+
+    await runMigrations();
+    const { rows } = await pool.query(
+      "SELECT report_id, trace_id, spans FROM report_ai.report_traces WHERE report_id = $1",
+      [reportId]
+    );
+    if (!rows[0]) return null;
+
+    return this.toTrace({
+      reportId: rows[0].report_id,
+      traceId: rows[0].trace_id,
+      spans: rows[0].spans,
+    });
+  }
+
+  // The trace as an OTLP/JSON ExportTraceServiceRequest
+  toOtlp(trace) {
+    return {
+      resourceSpans: [
+        {
+          resource: {
+            attributes: toAttributes({ "service.name": this.config.serviceName }),
+          },
+          scopeSpans: [
+            {
+              scope: { name: "report-generator" },
+              spans: trace.spans
+                .filter((span) => span.durationMs !== null)
+                .map((span) => ({
+                  traceId: trace.traceId,
+                  spanId: span.spanId,
+                  ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+                  name: span.name,
+                  kind: OTLP_SPAN_KINDS[span.kind] || 1,
+                  startTimeUnixNano: toUnixNano(span.startTime),
+                  endTimeUnixNano: toUnixNano(span.startTime + span.durationMs),
+                  attributes: toAttributes({
+                    ...span.attributes,
+                    "report.id": trace.reportId,
+                    "report.span_kind": span.kind,
+                  }),
+                  status:
+                    span.status === "error"
+                      ? { code: 2, message: span.error || "" }
+                      : { code: 1 },
+                })),
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  async exportTrace(trace) {
+    if (!this.config.otlpEndpoint) return;
+
+    const endpoint = this.config.otlpEndpoint.replace(/\/+$/, "");
+    const url = endpoint.endsWith("/v1/traces") ? endpoint : `${endpoint}/v1/traces`;
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...this.config.otlpHeaders },
+      body: JSON.stringify(this.toOtlp(trace)),
+      signal: AbortSignal.timeout(this.config.exportTimeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`OTLP export failed with status ${response.status}`);
+    }
+  }
+}
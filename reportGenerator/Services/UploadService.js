@@ -0,0 +1,549 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { createHash } from "crypto";
+import path from "path";
+import XLSX from "xlsx";
+import uploadsConfig from "../Config/Uploads.js";
+import { SchemaService } from "./SchemaService.js";
+import { runMigrations } from "./MigrationService.js";
+
+// The upload session of a report is bound to its async call tree with
+// runWithUploadSession, so every schema lookup made below the report pipeline
+// sees the session's tables.
+const sessionStorage = new AsyncLocalStorage();
+
+export const runWithUploadSession = (sessionId, operation) =>
+  sessionStorage.run(sessionId || null, operation);
+
+export const getCurrentUploadSession = () => sessionStorage.getStore() || null;
+
+// Session schemas are named this plus a hash of the session id. The
+// introspection config leaves them out of the data source's own schema, and
+// the SQL guard keeps reports out of other sessions' schemas.
+export const UPLOAD_SCHEMA_PREFIX = "report_uploads_";
+
+export const getUploadSchemaName = (sessionId) =>
+  `${UPLOAD_SCHEMA_PREFIX}${createHash("sha256").update(sessionId).digest("hex").slice(0, 16)}`;
+
+const FORMATS = {
+  ".csv": "csv",
+  ".tsv": "csv",
+  ".txt": "csv",
+  ".xlsx": "xlsx",
+  ".xls": "xlsx",
+  ".json": "json",
+};
+
+const MAX_IDENTIFIER_LENGTH = 63;
+// Postgres takes at most 65535 parameters per statement
+const MAX_INSERT_PARAMS = 60000;
+// A session's schema is re-read, and the session marked as used, at most
+// this often
+const SESSION_CACHE_MS = 60 * 1000;
+
+const INTEGER = /^[-+]?(0|[1-9]\d{0,17})$/;
+// Numbers with leading zeros are codes (zip codes, ids) and stay text
+const NUMBER = /^[-+]?((0|[1-9]\d*)(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+const BOOLEAN = /^(true|false)$/i;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+const TIMESTAMPTZ = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)$/i;
+
+const isBlank = (value) =>
+  value === null ||
+  value === undefined ||
+  (typeof value === "string" && !value.trim()) ||
+  (value instanceof Date && Number.isNaN(value.getTime()));
+
+// Rejects dates like 2024-02-30 that match the patterns
+const isValidDate = (text) => {
+  const day = text.slice(0, 10);
+  const date = new Date(`${day}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(day);
+};
+
+const isMidnight = (date) =>
+  !date.getHours() && !date.getMinutes() && !date.getSeconds() && !date.getMilliseconds();
+
+const isText = (value, pattern) => typeof value === "string" && pattern.test(value.trim());
+
+// Column types from the narrowest to the widest; a column gets the first one
+// all its values fit, text if none does
+const COLUMN_TYPES = [
+  ["boolean", (value) => typeof value === "boolean" || isText(value, BOOLEAN)],
+  ["bigint", (value) => Number.isSafeInteger(value) || isText(value, INTEGER)],
+  ["numeric", (value) => Number.isFinite(value) || isText(value, NUMBER)],
+  [
+    "date",
+    (value) =>
+      (value instanceof Date && isMidnight(value)) ||
+      (isText(value, DATE) && isValidDate(value.trim())),
+  ],
+  [
+    "timestamp",
+    (value) =>
+      value instanceof Date ||
+      ((isText(value, DATE) || isText(value, TIMESTAMP)) && isValidDate(value.trim())),
+  ],
+  ["timestamptz", (value) => isText(value, TIMESTAMPTZ) && isValidDate(value.trim())],
+  ["jsonb", (value) => typeof value === "object" && !(value instanceof Date)],
+];
+
+export const inferColumnType = (values) => {
+  const present = values.filter((value) => !isBlank(value));
+  if (!present.length) return "text";
+
+  return COLUMN_TYPES.find(([, fits]) => present.every(fits))?.[0] || "text";
+};
+
+const pad = (number, width = 2) => String(number).padStart(width, "0");
+
+// Spreadsheet dates have no time zone; they are read in the server's
+const formatDate = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const formatTimestamp = (date) =>
+  `${formatDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(
+    date.getSeconds()
+  )}.${pad(date.getMilliseconds(), 3)}`;
+
+const toSqlValue = (value, type) => {
+  if (isBlank(value)) return null;
+  if (value instanceof Date) return type === "date" ? formatDate(value) : formatTimestamp(value);
+  if (typeof value === "object") return JSON.stringify(value);
+  if (type === "text") return String(value);
+  return typeof value === "string" ? value.trim() : value;
+};
+
+// Lower case letters, digits and underscores, not starting with a digit
+export const toIdentifier = (name, fallback) => {
+  const identifier = String(name ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  if (!identifier) return fallback;
+
+  return (/^\d/.test(identifier) ? `_${identifier}` : identifier).slice(0, MAX_IDENTIFIER_LENGTH);
+};
+
+// Identifiers for names, numbered where two come out the same
+const toUniqueIdentifiers = (names, fallback) => {
+  const seen = new Set();
+  return names.map((name, index) => {
+    const base = toIdentifier(name, `${fallback}_${index + 1}`);
+    let identifier = base;
+    for (let count = 2; seen.has(identifier); count++) {
+      identifier = `${base.slice(0, MAX_IDENTIFIER_LENGTH - String(count).length - 1)}_${count}`;
+    }
+    seen.add(identifier);
+    return identifier;
+  });
+};
+
+const stripBom = (text) => text.replace(/^\uFEFF/, "");
+
+// Tables from CSV, XLSX and JSON files, kept per upload session so analysts
+// can report over a spreadsheet as if it were a table of the data source.
+// Every session gets its own schema in the data source's database, so uploads
+// can be joined with the data source's tables; which tables a session has is
+// recorded in report_ai.uploaded_tables of the store. Sessions unused for
+// sessionTtlHours are dropped. Only PostgreSQL data sources take uploads.
+export class UploadService {
+  constructor(schemaService, config = uploadsConfig) {
+    this.schemaService = schemaService;
+    this.config = config;
+    // Schemas of the sessions used lately: { schema, expiresAt } by session id
+    this.sessions = new Map();
+  }
+
+  get pool() {
+    return this.schemaService.pool;
+  }
+
+  get storePool() {
+    return this.schemaService.storePool;
+  }
+
+  get dialect() {
+    return this.schemaService.dialect;
+  }
+
+  // The tables and their report_ai.uploaded_tables rows are written in one
+  // transaction, so both must be in the data source's database
+  get isSupported() {
+    return this.dialect.name === "postgresql" && this.storePool === this.pool;
+  }
+
+  createUploadError(message, statusCode) {
+    const error = new Error(message);
+    error.code = "INVALID_UPLOAD";
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  readSessionId(sessionId) {
+    if (typeof sessionId !== "string" || !sessionId.trim()) {
+      throw this.createUploadError(`The ${this.config.sessionHeader} header is required`, 400);
+    }
+    if (sessionId.length > 200) {
+      throw this.createUploadError("Session ids must be at most 200 characters", 400);
+    }
+    return sessionId;
+  }
+
+  getSchemaName(sessionId) {
+    return getUploadSchemaName(sessionId);
+  }
+
+  toTable(row) {
+    return {
+      // How reports refer to the table
+      table: this.schemaService.getTableKey(row.schema_name, row.table_name),
+      name: row.table_name,
+      schema: row.schema_name,
+      fileName: row.file_name,
+      sheet: row.sheet_name,
+      columns: row.columns,
+      rowCount: Number(row.row_count),
+      createdAt: new Date(row.created_at).toISOString(),
+      lastUsedAt: new Date(row.last_used_at).toISOString(),
+    };
+  }
+
+  // The sheets of a file as { sheet, headers, rows }, rows being arrays in
+  // header order. CSV values are read as text and typed by inferColumnType.
+  parseFile(fileName, buffer) {
+    const format = FORMATS[path.extname(fileName).toLowerCase()];
+    if (!format) {
+      throw this.createUploadError(
+        `Unsupported file ${fileName}, expected one of ${Object.keys(FORMATS).join(", ")}`,
+        400
+      );
+    }
+
+    try {
+      if (format === "json") return this.parseJson(buffer);
+
+      const workbook =
+        format === "csv"
+          ? XLSX.read(stripBom(buffer.toString("utf8")), { type: "string", raw: true })
+          : XLSX.read(buffer, { type: "buffer", cellDates: true });
+      return workbook.SheetNames.map((name) => {
+        const [headers = [], ...rows] = XLSX.utils.sheet_to_json(workbook.Sheets[name], {
+          header: 1,
+          defval: null,
+          raw: true,
+          blankrows: false,
+        });
+        return { sheet: workbook.SheetNames.length > 1 ? name : null, headers, rows };
+      }).filter((sheet) => sheet.headers.length);
+    } catch (error) {
+      if (error.code === "INVALID_UPLOAD") throw error;
+      throw this.createUploadError(`Could not read ${fileName}: ${error.message}`, 400);
+    }
+  }
+
+  // An array of objects is one table, an object of such arrays one table per
+  // key. The columns are the keys of all objects, in the order first seen.
+  parseJson(buffer) {
+    const data = JSON.parse(stripBom(buffer.toString("utf8")));
+    const isRecords = (value) =>
+      Array.isArray(value) &&
+      value.every((record) => record && typeof record === "object" && !Array.isArray(record));
+
+    const sets = isRecords(data)
+      ? [[null, data]]
+      : data && typeof data === "object" && !Array.isArray(data)
+      ? Object.entries(data).filter(([, records]) => isRecords(records))
+      : [];
+    if (!sets.length) {
+      throw this.createUploadError(
+        "JSON uploads must be an array of objects or an object of such arrays",
+        400
+      );
+    }
+
+    return sets
+      .map(([sheet, records]) => {
+        const headers = [...new Set(records.flatMap((record) => Object.keys(record)))];
+        return {
+          sheet: sets.length > 1 ? sheet : null,
+          headers,
+          rows: records.map((record) => headers.map((header) => record[header] ?? null)),
+        };
+      })
+      .filter((sheet) => sheet.headers.length);
+  }
+
+  // Column names and types of a sheet that becomes table `name`
+  buildTable({ sheet, headers, rows }, name) {
+    if (headers.length > this.config.maxColumns) {
+      throw this.createUploadError(
+        `${name} has ${headers.length} columns, at most ${this.config.maxColumns} are allowed`,
+        400
+      );
+    }
+    if (rows.length > this.config.maxRows) {
+      throw this.createUploadError(
+        `${name} has ${rows.length} rows, at most ${this.config.maxRows} are allowed`,
+        413
+      );
+    }
+
+    const columns = toUniqueIdentifiers(headers, "column").map((columnName, index) => ({
+      name: columnName,
+      header: isBlank(headers[index]) ? null : String(headers[index]),
+      type: inferColumnType(rows.map((row) => row[index])),
+    }));
+    return { name, sheet, columns, rows };
+  }
+
+  // Create (or replace) a table in the session's schema and copy the rows in.
+  // The file and the original headers are kept as comments, which the schema
+  // shows the LLM.
+  async createTable(client, schemaName, table, fileName) {
+    const target = this.dialect.qualify(schemaName, table.name);
+    const columnList = table.columns.map((column) => this.dialect.quoteIdentifier(column.name));
+
+    await client.query(`DROP TABLE IF EXISTS ${target}`);
+    await client.query(
+      `CREATE TABLE ${target} (${table.columns
+        .map((column, index) => `${columnList[index]} ${column.type}`)
+        .join(", ")})`
+    );
+    await client.query(
+      `COMMENT ON TABLE ${target} IS ${client.escapeLiteral(
+        `Uploaded from ${fileName}${table.sheet ? `, sheet ${table.sheet}` : ""}`
+      )}`
+    );
+    for (const [index, column] of table.columns.entries()) {
+      if (column.header && column.header !== column.name) {
+        await client.query(
+          `COMMENT ON COLUMN ${target}.${columnList[index]} IS ${client.escapeLiteral(column.header)}`
+        );
+      }
+    }
+
+    const batchSize = Math.max(1, Math.floor(MAX_INSERT_PARAMS / table.columns.length));
+    for (let start = 0; start < table.rows.length; start += batchSize) {
+      const params = [];
+      const values = table.rows.slice(start, start + batchSize).map(
+        (row) =>
+          `(${table.columns
+            .map((column, index) => {
+              params.push(toSqlValue(row[index], column.type));
+              return `$${params.length}`;
+            })
+            .join(", ")})`
+      );
+      await client.query(
+        `INSERT INTO ${target} (${columnList.join(", ")}) VALUES ${values.join(", ")}`,
+        params
+      );
+    }
+  }
+
+  // Load a file into the session as one table per sheet (or JSON key), named
+  // after `table` or the file. A table of the same name is replaced.
+  async upload(sessionId, { fileName, table = null } = {}, buffer) {
+    if (!this.isSupported) {
+      throw this.createUploadError(
+        this.dialect.name === "postgresql"
+          ? "Uploads need a PostgreSQL data source that keeps its own report_ai tables"
+          : `Uploads need a PostgreSQL data source, not ${this.dialect.label}`,
+        400
+      );
+    }
+    const session = this.readSessionId(sessionId);
+    if (typeof fileName !== "string" || !fileName.trim()) {
+      throw this.createUploadError("filename is required", 400);
+    }
+    if (!Buffer.isBuffer(buffer) || !buffer.length) {
+      throw this.createUploadError("The uploaded file is empty", 400);
+    }
+
+    const sheets = this.parseFile(fileName, buffer);
+    if (!sheets.length) {
+      throw this.createUploadError(`${fileName} has no data`, 400);
+    }
+    const baseName = table || path.basename(fileName, path.extname(fileName));
+    const names = toUniqueIdentifiers(
+      sheets.map((sheet) => (sheet.sheet ? `${baseName}_${sheet.sheet}` : baseName)),
+      "upload"
+    );
+    const tables = sheets.map((sheet, index) => this.buildTable(sheet, names[index]));
+
+    await runMigrations(this.storePool);
+    await this.purgeExpiredSessions();
+
+    const existing = await this.listTables(session);
+    const tableCount = new Set([...existing.map((row) => row.name), ...names]).size;
+    if (tableCount > this.config.maxTables) {
+      throw this.createUploadError(
+        `A session can have at most ${this.config.maxTables} uploaded tables`,
+        400
+      );
+    }
+
+    const schemaName = this.getSchemaName(session);
+    const saved = [];
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(`CREATE SCHEMA IF NOT EXISTS ${this.dialect.quoteIdentifier(schemaName)}`);
+      for (const uploaded of tables) {
+        await this.createTable(client, schemaName, uploaded, fileName);
+        const { rows } = await client.query(
+          `INSERT INTO report_ai.uploaded_tables
+             (session_id, schema_name, table_name, file_name, sheet_name, columns, row_count)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           ON CONFLICT (session_id, table_name) DO UPDATE SET
+             schema_name = EXCLUDED.schema_name,
+             file_name = EXCLUDED.file_name,
+             sheet_name = EXCLUDED.sheet_name,
+             columns = EXCLUDED.columns,
+             row_count = EXCLUDED.row_count,
+             created_at = now(),
+             last_used_at = now()
+           RETURNING *`,
+          [
+            session,
+            schemaName,
+            uploaded.name,
+            fileName,
+            uploaded.sheet,
+            JSON.stringify(uploaded.columns),
+            uploaded.rows.length,
+          ]
+        );
+        saved.push(this.toTable(rows[0]));
+      }
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    this.sessions.delete(session);
+    return saved;
+  }
+
+  async listTables(sessionId) {
+    const session = this.readSessionId(sessionId);
+    await runMigrations(this.storePool);
+
+    const { rows } = await this.storePool.query(
+      `SELECT * FROM report_ai.uploaded_tables
+       WHERE session_id = $1
+       ORDER BY created_at, table_name`,
+      [session]
+    );
+    return rows.map((row) => this.toTable(row));
+  }
+
+  async deleteTable(sessionId, tableName) {
+    const session = this.readSessionId(sessionId);
+    await runMigrations(this.storePool);
+
+    const { rows } = await this.storePool.query(
+      `SELECT schema_name FROM report_ai.uploaded_tables
+       WHERE session_id = $1 AND table_name = $2`,
+      [session, tableName]
+    );
+    if (!rows.length) {
+      throw this.createUploadError(`Uploaded table ${tableName} was not found`, 404);
+    }
+
+    await this.pool.query(`DROP TABLE IF EXISTS ${this.dialect.qualify(rows[0].schema_name, tableName)}`);
+    await this.storePool.query(
+      "DELETE FROM report_ai.uploaded_tables WHERE session_id = $1 AND table_name = $2",
+      [session, tableName]
+    );
+    this.sessions.delete(session);
+  }
+
+  // Drop every table of a session. Returns how many there were.
+  async deleteSession(sessionId) {
+    const session = this.readSessionId(sessionId);
+    await runMigrations(this.storePool);
+    return this.dropSession(session);
+  }
+
+  async dropSession(sessionId) {
+    await this.pool.query(
+      `DROP SCHEMA IF EXISTS ${this.dialect.quoteIdentifier(this.getSchemaName(sessionId))} CASCADE`
+    );
+    const { rowCount } = await this.storePool.query(
+      "DELETE FROM report_ai.uploaded_tables WHERE session_id = $1",
+      [sessionId]
+    );
+    this.sessions.delete(sessionId);
+    return rowCount;
+  }
+
+  async purgeExpiredSessions() {
+    const now = Date.now();
+    this.sessions.forEach(({ expiresAt }, sessionId) => {
+      if (expiresAt <= now) this.sessions.delete(sessionId);
+    });
+
+    try {
+      const { rows } = await this.storePool.query(
+        `SELECT session_id FROM report_ai.uploaded_tables
+         GROUP BY session_id
+         HAVING max(last_used_at) < now() - $1 * interval '1 hour'`,
+        [this.config.sessionTtlHours]
+      );
+      for (const row of rows) {
+        await this.dropSession(row.session_id);
+      }
+    } catch (error) {
+      console.warn("Could not purge expired upload sessions:", error.message);
+    }
+  }
+
+  // The schema of a session's tables, shaped like SchemaService's, for the
+  // report pipeline; null when the session has none
+  async getSessionSchema(sessionId) {
+    if (!sessionId || !this.isSupported) return null;
+
+    const cached = this.sessions.get(sessionId);
+    if (cached && Date.now() < cached.expiresAt) return cached.schema;
+
+    const schema = this.loadSessionSchema(sessionId).catch((error) => {
+      this.sessions.delete(sessionId);
+      throw error;
+    });
+    this.sessions.set(sessionId, { schema, expiresAt: Date.now() + SESSION_CACHE_MS });
+    return schema;
+  }
+
+  async loadSessionSchema(sessionId) {
+    await runMigrations(this.storePool);
+    const { rowCount } = await this.storePool.query(
+      "UPDATE report_ai.uploaded_tables SET last_used_at = now() WHERE session_id = $1",
+      [sessionId]
+    );
+    if (!rowCount) return null;
+
+    const { config, pool, dialect, storePool } = this.schemaService;
+    const sessionSchemaService = new SchemaService(
+      {
+        ...config,
+        includeSchemas: [this.getSchemaName(sessionId)],
+        excludeSchemas: [],
+        excludeSchemaPrefixes: [],
+      },
+      pool,
+      dialect,
+      storePool
+    );
+    return {
+      schemas: await sessionSchemaService.getAllTableSchemas(),
+      relationships: [],
+    };
+  }
+}
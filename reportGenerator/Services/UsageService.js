@@ -0,0 +1,335 @@
+import { AsyncLocalStorage } from "async_hooks";
+import pool from "../Config/Db.js";
+import usageConfig from "../Config/Usage.js";
+import { runMigrations } from "./MigrationService.js";
+import { createCancellationError } from "./CancellationService.js";
+
+// Token usage of the LLM calls made for a report is counted on a meter bound
+// to the report's async call tree, the same way as its cancellation signal.
+const meterStorage = new AsyncLocalStorage();
+
+export const runWithUsageMeter = (meter, operation) => meterStorage.run(meter, operation);
+
+export const getCurrentMeter = () => meterStorage.getStore() || null;
+
+// For providers that report no usage: 1 token ≈ 4 characters of English text
+export const estimateTokens = (text) => (text ? Math.ceil(String(text).length / 4) : 0);
+
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+const createTotals = () => ({
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  cost: 0,
+  calls: 0,
+});
+
+// Add a call, or the totals of several, to totals
+const addUsage = (totals, usage) => {
+  totals.promptTokens += usage.promptTokens;
+  totals.completionTokens += usage.completionTokens;
+  totals.totalTokens += usage.totalTokens;
+  totals.cost = roundCost(totals.cost + usage.cost);
+  totals.calls += usage.calls ?? 1;
+  return totals;
+};
+
+const toTotals = (row) => ({
+  promptTokens: Number(row.prompt_tokens),
+  completionTokens: Number(row.completion_tokens),
+  totalTokens: Number(row.prompt_tokens) + Number(row.completion_tokens),
+  cost: roundCost(Number(row.cost)),
+  calls: Number(row.calls),
+});
+
+// Counts prompt and completion tokens per LLM call, prices them, stores them
+// in report_ai.llm_usage and stops reports that use up a budget
+export class UsageService {
+  constructor(config = usageConfig) {
+    this.config = config;
+    // Stores are queued so a burst of calls doesn't hold several connections
+    this.writes = Promise.resolve();
+  }
+
+  // Thrown (and used to abort the report) when a budget is used up. It is a
+  // cancellation, so the pipeline stops wherever it is.
+  createBudgetError(exceeded) {
+    const amount = (value) =>
+      exceeded.limit === "cost"
+        ? `${value.toFixed(4)} ${this.config.currency}`
+        : `${value} tokens`;
+    const error = createCancellationError(
+      `LLM ${exceeded.name} budget exceeded: ${amount(exceeded.used)} of ${amount(exceeded.max)} used`
+    );
+    error.type = "budget_exceeded";
+    error.budget = exceeded;
+    return error;
+  }
+
+  getCost(model, promptTokens, completionTokens) {
+    const price = this.config.pricing[model] || this.config.pricing["*"];
+    if (!price) return 0;
+    return roundCost((promptTokens * price.prompt + completionTokens * price.completion) / 1e6);
+  }
+
+  hasDailyBudgets() {
+    const { userDaily, daily } = this.config.budgets;
+    return Boolean(userDaily.maxTokens || userDaily.maxCost || daily.maxTokens || daily.maxCost);
+  }
+
+  // Usage so far today (UTC), of the user and of everyone
+  async getTodayTotals(userId) {
+    await runMigrations();
+    const { rows } = await pool.query(
+      `SELECT
+         COALESCE(SUM(prompt_tokens + completion_tokens), 0) AS tokens,
+         COALESCE(SUM(cost), 0) AS cost,
+         COALESCE(SUM(prompt_tokens + completion_tokens) FILTER (WHERE user_id = $1), 0) AS user_tokens,
+         COALESCE(SUM(cost) FILTER (WHERE user_id = $1), 0) AS user_cost
+       FROM report_ai.llm_usage
+       WHERE created_at >= date_trunc('day', now() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`,
+      [userId]
+    );
+    return {
+      user: { tokens: Number(rows[0].user_tokens), cost: Number(rows[0].user_cost) },
+      all: { tokens: Number(rows[0].tokens), cost: Number(rows[0].cost) },
+    };
+  }
+
+  // Meter for one report. Daily budgets are checked against today's usage as
+  // of the report's start plus the report's own calls. onBudgetExceeded(error)
+  // is called once, when the report uses up a budget.
+  async createMeter(reportId, userId, onBudgetExceeded = () => {}) {
+    let today = { user: { tokens: 0, cost: 0 }, all: { tokens: 0, cost: 0 } };
+    if (this.hasDailyBudgets()) {
+      try {
+        today = await this.getTodayTotals(userId);
+      } catch (error) {
+        console.warn("Could not load today's LLM usage:", error.message);
+      }
+    }
+
+    return {
+      reportId,
+      userId,
+      today,
+      calls: [],
+      totals: createTotals(),
+      exceeded: null,
+      onBudgetExceeded,
+    };
+  }
+
+  // The first budget the meter has used up, or null
+  findExceededBudget(meter) {
+    const { budgets } = this.config;
+    const { totals, today } = meter;
+    const checks = [
+      {
+        name: "report",
+        limits: budgets.report,
+        tokens: totals.totalTokens,
+        cost: totals.cost,
+      },
+      {
+        name: "daily user",
+        limits: budgets.userDaily,
+        tokens: today.user.tokens + totals.totalTokens,
+        cost: today.user.cost + totals.cost,
+      },
+      {
+        name: "daily",
+        limits: budgets.daily,
+        tokens: today.all.tokens + totals.totalTokens,
+        cost: today.all.cost + totals.cost,
+      },
+    ];
+
+    for (const { name, limits, tokens, cost } of checks) {
+      if (limits.maxTokens && tokens >= limits.maxTokens) {
+        return { name, limit: "tokens", max: limits.maxTokens, used: tokens };
+      }
+      if (limits.maxCost && cost >= limits.maxCost) {
+        return { name, limit: "cost", max: limits.maxCost, used: roundCost(cost) };
+      }
+    }
+    return null;
+  }
+
+  stop(meter, exceeded) {
+    const error = this.createBudgetError(exceeded);
+    if (!meter.exceeded) {
+      meter.exceeded = exceeded;
+      meter.onBudgetExceeded(error);
+    }
+    return error;
+  }
+
+  // Called before every LLM call of a report: no call is made once a budget
+  // is used up
+  assertWithinBudget(meter = getCurrentMeter()) {
+    if (!meter) return;
+
+    const exceeded = meter.exceeded || this.findExceededBudget(meter);
+    if (exceeded) throw this.stop(meter, exceeded);
+  }
+
+  // Count an LLM call. `usage` is what the provider returned
+  // ({ prompt_tokens, completion_tokens }); without it the tokens of
+  // promptText and completionText are estimated. Returns the counted call.
+  recordCall({ stage, provider, model, usage, promptText, completionText }, meter = getCurrentMeter()) {
+    const estimated = !Number.isFinite(usage?.prompt_tokens);
+    const promptTokens = estimated ? estimateTokens(promptText) : usage.prompt_tokens;
+    const completionTokens = estimated
+      ? estimateTokens(completionText)
+      : usage.completion_tokens || 0;
+
+    const call = {
+      stage,
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimated,
+      cost: this.getCost(model, promptTokens, completionTokens),
+      timestamp: new Date().toISOString(),
+    };
+    this.saveCall(call, meter);
+
+    if (meter) {
+      meter.calls.push(call);
+      addUsage(meter.totals, call);
+
+      // The call is made already; stop the report before its next one
+      const exceeded = this.findExceededBudget(meter);
+      if (exceeded) this.stop(meter, exceeded);
+    }
+    return call;
+  }
+
+  saveCall(call, meter) {
+    this.writes = this.writes
+      .then(() => runMigrations())
+      .then(() =>
+        pool.query(
+          `INSERT INTO report_ai.llm_usage
+             (report_id, user_id, stage, provider, model, prompt_tokens, completion_tokens, estimated, cost)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [
+            meter?.reportId || null,
+            meter?.userId || null,
+            call.stage,
+            call.provider,
+            call.model,
+            call.promptTokens,
+            call.completionTokens,
+            call.estimated,
+            call.cost,
+          ]
+        )
+      )
+      .catch((error) => console.warn("Could not store LLM usage:", error.message));
+  }
+
+  // Usage of the current report so far, for its final response
+  summarize(meter = getCurrentMeter()) {
+    if (!meter) return null;
+
+    const byStage = {};
+    meter.calls.forEach((call) => {
+      addUsage((byStage[call.stage || "default"] ||= createTotals()), call);
+    });
+
+    return {
+      ...meter.totals,
+      currency: this.config.currency,
+      estimated: meter.calls.some((call) => call.estimated),
+      byStage,
+    };
+  }
+
+  // Stored usage of a report by stage and model, or null if it made no calls
+  async getReportUsage(reportId) {
+    await runMigrations();
+    const { rows } = await pool.query(
+      `SELECT
+         COALESCE(stage, 'default') AS stage,
+         model,
+         SUM(prompt_tokens) AS prompt_tokens,
+         SUM(completion_tokens) AS completion_tokens,
+         SUM(cost) AS cost,
+         COUNT(*) AS calls,
+         BOOL_OR(estimated) AS estimated
+       FROM report_ai.llm_usage
+       WHERE report_id = $1
+       GROUP BY 1, 2
+       ORDER BY 1, 2`,
+      [reportId]
+    );
+    if (!rows.length) return null;
+
+    const totals = createTotals();
+    const byStage = rows.map((row) => {
+      const stageTotals = toTotals(row);
+      addUsage(totals, stageTotals);
+      return { stage: row.stage, model: row.model, estimated: row.estimated, ...stageTotals };
+    });
+
+    return { reportId, currency: this.config.currency, ...totals, byStage };
+  }
+
+  // Usage per UTC day and user over the last `days` days, optionally of one
+  // user, with the budgets and what is left of today's
+  async getUsage({ userId = null, days = 7 } = {}) {
+    await runMigrations();
+    const { rows } = await pool.query(
+      `SELECT
+         to_char((created_at AT TIME ZONE 'UTC')::date, 'YYYY-MM-DD') AS day,
+         user_id,
+         SUM(prompt_tokens) AS prompt_tokens,
+         SUM(completion_tokens) AS completion_tokens,
+         SUM(cost) AS cost,
+         COUNT(*) AS calls,
+         COUNT(DISTINCT report_id) AS reports
+       FROM report_ai.llm_usage
+       WHERE created_at >= date_trunc('day', now() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+                           - ($1 - 1) * interval '1 day'
+         AND ($2::text IS NULL OR user_id = $2)
+       GROUP BY 1, 2
+       ORDER BY 1 DESC, 2`,
+      [days, userId]
+    );
+
+    const totals = createTotals();
+    const usage = rows.map((row) => {
+      const dayTotals = toTotals(row);
+      addUsage(totals, dayTotals);
+      return { day: row.day, userId: row.user_id, reports: Number(row.reports), ...dayTotals };
+    });
+
+    const today = await this.getTodayTotals(userId);
+    const remaining = (limits, used) => ({
+      tokens: limits.maxTokens ? Math.max(limits.maxTokens - used.tokens, 0) : null,
+      cost: limits.maxCost ? roundCost(Math.max(limits.maxCost - used.cost, 0)) : null,
+    });
+
+    return {
+      currency: this.config.currency,
+      days,
+      userId,
+      totals,
+      usage,
+      budgets: {
+        ...this.config.budgets,
+        today: {
+          all: { ...today.all, remaining: remaining(this.config.budgets.daily, today.all) },
+          ...(userId
+            ? { user: { ...today.user, remaining: remaining(this.config.budgets.userDaily, today.user) } }
+            : {}),
+        },
+      },
+    };
+  }
+}
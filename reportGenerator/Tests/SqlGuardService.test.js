@@ -0,0 +1,211 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { startFixtureDatabase } from "../Fixtures/database.js";
+import { PostgresDialect } from "../Dialects/index.js";
+
+// Generated queries run against the fixture database, with the tables two
+// upload sessions and the service itself keep next to the data source's
+const policy = { statementTimeoutMs: 0, maxRows: 100, maxCost: 0 };
+
+let database;
+let pool;
+let sqlGuardService;
+let runWithUploadSession;
+let ALICE_SCHEMA;
+let BOB_SCHEMA;
+
+const asSession = (sessionId, operation) => runWithUploadSession(sessionId, operation);
+
+before(async () => {
+  database = await startFixtureDatabase();
+  // Imported once the database has set the DB_* variables Config/Db.js reads
+  ({ default: pool } = await import("../Config/Db.js"));
+  const { SqlGuardService } = await import("../Services/SqlGuardService.js");
+  const uploads = await import("../Services/UploadService.js");
+  ({ runWithUploadSession } = uploads);
+  ALICE_SCHEMA = uploads.getUploadSchemaName("alice");
+  BOB_SCHEMA = uploads.getUploadSchemaName("bob");
+
+  await database.db.exec(`
+    CREATE SCHEMA ${ALICE_SCHEMA};
+    CREATE TABLE ${ALICE_SCHEMA}.budget (owner TEXT, amount NUMERIC);
+    INSERT INTO ${ALICE_SCHEMA}.budget VALUES ('alice', 100);
+
+    CREATE SCHEMA ${BOB_SCHEMA};
+    CREATE TABLE ${BOB_SCHEMA}.budget (owner TEXT, amount NUMERIC);
+    INSERT INTO ${BOB_SCHEMA}.budget VALUES ('bob', 200);
+
+    CREATE SCHEMA report_ai;
+    CREATE TABLE report_ai.kb_successful_queries (id BIGINT, sql_query TEXT);
+  `);
+  sqlGuardService = new SqlGuardService(policy, pool, new PostgresDialect(), {
+    defaultSchema: "public",
+  });
+});
+
+after(async () => {
+  await pool?.end();
+  await database?.stop();
+});
+
+const rejects = (sql, reason) =>
+  assert.throws(() => sqlGuardService.assertReadOnly(sql), { code: "SQL_REJECTED", reason });
+
+test("allows a single SELECT or WITH query", () => {
+  assert.equal(
+    sqlGuardService.assertReadOnly("  SELECT id FROM orders WHERE status = 'shipped';  "),
+    "SELECT id FROM orders WHERE status = 'shipped'"
+  );
+  assert.equal(
+    sqlGuardService.assertReadOnly("WITH recent AS (SELECT * FROM orders) SELECT COUNT(*) FROM recent"),
+    "WITH recent AS (SELECT * FROM orders) SELECT COUNT(*) FROM recent"
+  );
+});
+
+test("rejects writes and DDL", () => {
+  rejects("INSERT INTO customers (name) VALUES ('x')", "Only SELECT or WITH queries are allowed, got INSERT");
+  rejects("UPDATE orders SET status = 'cancelled'", "Only SELECT or WITH queries are allowed, got UPDATE");
+  rejects("DELETE FROM orders", "Only SELECT or WITH queries are allowed, got DELETE");
+  rejects("DROP TABLE orders", "Only SELECT or WITH queries are allowed, got DROP");
+  rejects("CREATE TABLE copy (id INT)", "Only SELECT or WITH queries are allowed, got CREATE");
+  rejects("ALTER TABLE orders ADD COLUMN note TEXT", "Only SELECT or WITH queries are allowed, got ALTER");
+  rejects("SELECT * INTO orders_copy FROM orders", "SELECT INTO is not allowed");
+});
+
+test("rejects more than one statement", () => {
+  rejects("SELECT 1; DELETE FROM orders", "Expected a single statement but found 2");
+  rejects("SELECT 1; SELECT 2;", "Expected a single statement but found 2");
+  rejects("", "No SQL statement was generated");
+  assert.throws(() => sqlGuardService.assertReadOnly("SELEC * FROM orders"), {
+    code: "SQL_REJECTED",
+    reason: /^SQL could not be parsed/,
+  });
+});
+
+test("rejects functions that block or reach the server", async () => {
+  rejects("SELECT pg_sleep(10)", "Use of restricted function(s): pg_sleep");
+  rejects(
+    "SELECT id FROM orders WHERE pg_catalog.pg_sleep(1) IS NOT NULL",
+    "Use of restricted function(s): pg_catalog.pg_sleep"
+  );
+  rejects(
+    "SELECT pg_ls_dir('.'), pg_ls_waldir(), pg_ls_logdir(), pg_ls_tmpdir(), pg_ls_archive_statusdir()",
+    "Use of restricted function(s): pg_ls_dir, pg_ls_waldir, pg_ls_logdir, pg_ls_tmpdir, pg_ls_archive_statusdir"
+  );
+
+  // Nothing ran: the rejection comes before the query reaches the database
+  await assert.rejects(
+    sqlGuardService.runReadOnly("SELECT 1; DELETE FROM orders WHERE status = 'cancelled'"),
+    { code: "SQL_REJECTED" }
+  );
+  const { rows } = await database.db.query(
+    "SELECT COUNT(*)::int AS count FROM orders WHERE status = 'cancelled'"
+  );
+  assert.equal(rows[0].count, 40);
+});
+
+test("reads the data source and the session's own uploads", async () => {
+  const { rows } = await asSession("alice", () =>
+    sqlGuardService.runReadOnly(
+      `SELECT b.owner, b.amount, (SELECT COUNT(*)::int FROM customers) AS customers
+       FROM ${ALICE_SCHEMA}.budget b`
+    )
+  );
+  assert.deepEqual(rows, [{ owner: "alice", amount: "100", customers: 20 }]);
+
+  // Unqualified names resolve to the data source's schema, then the session's
+  const searchPath = await asSession("alice", () =>
+    sqlGuardService.runReadOnly("SELECT current_setting('search_path') AS path, owner FROM budget")
+  );
+  assert.deepEqual(searchPath.rows, [{ path: `public, ${ALICE_SCHEMA}`, owner: "alice" }]);
+});
+
+test("rejects another session's uploads", async () => {
+  const rejection = {
+    code: "SQL_REJECTED",
+    reason: `Access to schema ${BOB_SCHEMA} is not allowed`,
+  };
+
+  await assert.rejects(
+    asSession("alice", () => sqlGuardService.runReadOnly(`SELECT * FROM ${BOB_SCHEMA}.budget`)),
+    rejection
+  );
+  await assert.rejects(
+    asSession("alice", () =>
+      sqlGuardService.runReadOnly(
+        `SELECT * FROM ${ALICE_SCHEMA}.budget
+         UNION ALL
+         SELECT * FROM ${BOB_SCHEMA.toUpperCase()}.budget`
+      )
+    ),
+    { code: "SQL_REJECTED", reason: `Access to schema ${BOB_SCHEMA.toUpperCase()} is not allowed` }
+  );
+  await assert.rejects(
+    asSession("alice", () =>
+      sqlGuardService.runReadOnly(
+        `SELECT * FROM customers WHERE name IN (SELECT owner FROM ${BOB_SCHEMA}.budget)`
+      )
+    ),
+    rejection
+  );
+
+  // Naming the database in front of the schema doesn't get around it
+  await assert.rejects(
+    asSession("alice", () =>
+      sqlGuardService.runReadOnly(`SELECT * FROM postgres.${BOB_SCHEMA}.budget`)
+    ),
+    { code: "SQL_REJECTED", reason: `Access to schema postgres.${BOB_SCHEMA} is not allowed` }
+  );
+
+  // Without a session no uploads can be read
+  await assert.rejects(sqlGuardService.runReadOnly(`SELECT * FROM ${ALICE_SCHEMA}.budget`), {
+    code: "SQL_REJECTED",
+    reason: `Access to schema ${ALICE_SCHEMA} is not allowed`,
+  });
+  // nor found by their bare name
+  await assert.rejects(sqlGuardService.runReadOnly("SELECT * FROM budget"), /does not exist/);
+});
+
+test("rejects the service's own tables", async () => {
+  await assert.rejects(
+    asSession("alice", () =>
+      sqlGuardService.runReadOnly("SELECT sql_query FROM report_ai.kb_successful_queries")
+    ),
+    { code: "SQL_REJECTED", reason: "Access to schema report_ai is not allowed" }
+  );
+  await assert.rejects(
+    sqlGuardService.runReadOnly(
+      'WITH learned AS (SELECT id FROM "report_ai"."kb_successful_queries") SELECT * FROM learned'
+    ),
+    { code: "SQL_REJECTED", reason: "Access to schema report_ai is not allowed" }
+  );
+  await assert.rejects(
+    sqlGuardService.runReadOnly("SELECT sql_query FROM postgres.report_ai.kb_successful_queries"),
+    { code: "SQL_REJECTED", reason: "Access to schema postgres.report_ai is not allowed" }
+  );
+  // report_ai isn't on the search path either
+  await assert.rejects(
+    sqlGuardService.runReadOnly("SELECT * FROM kb_successful_queries"),
+    /does not exist/
+  );
+});
+
+test("rejects WITH queries that write from a CTE", async () => {
+  await assert.rejects(
+    sqlGuardService.runReadOnly(
+      "WITH moved AS (UPDATE orders SET status = 'cancelled' RETURNING id) SELECT * FROM moved"
+    ),
+    { code: "SQL_REJECTED", reason: "Only SELECT or WITH queries are allowed, got UPDATE" }
+  );
+  await assert.rejects(
+    sqlGuardService.runReadOnly(
+      "WITH copied AS (INSERT INTO customers (name) VALUES ('x') RETURNING id) SELECT * FROM copied"
+    ),
+    { code: "SQL_REJECTED", reason: "Only SELECT or WITH queries are allowed, got INSERT" }
+  );
+
+  const { rows } = await database.db.query(
+    "SELECT COUNT(*)::int AS count FROM orders WHERE status = 'cancelled'"
+  );
+  assert.equal(rows[0].count, 40);
+});
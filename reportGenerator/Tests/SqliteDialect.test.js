@@ -0,0 +1,232 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import Database from "better-sqlite3";
+import { SqliteDialect } from "../Dialects/index.js";
+import { SchemaService } from "../Services/SchemaService.js";
+import { SqlGuardService } from "../Services/SqlGuardService.js";
+
+// The SQLite dialect against a real database file, opened through the
+// dialect's read-only pool the way a configured data source is
+const SETUP_SQL = `
+  CREATE TABLE customers (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    email TEXT UNIQUE
+  );
+  CREATE TABLE orders (
+    id INTEGER PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers (id),
+    status TEXT NOT NULL DEFAULT 'pending',
+    ordered_at TEXT NOT NULL
+  );
+  CREATE INDEX orders_ordered_at_idx ON orders (ordered_at);
+  CREATE VIEW "order totals" AS
+    SELECT customer_id, COUNT(*) AS orders FROM orders GROUP BY customer_id;
+
+  INSERT INTO customers (id, name, email) VALUES
+    (1, 'Ada', 'ada@example.com'),
+    (2, 'Grace', 'grace@example.com'),
+    (3, 'Edsger', NULL);
+`;
+
+const introspection = {
+  includeSchemas: [],
+  excludeSchemas: [],
+  excludeSchemaPrefixes: [],
+  defaultSchema: "main",
+};
+
+const policy = { statementTimeoutMs: 0, maxRows: 5, maxCost: 1000 };
+
+const dialect = new SqliteDialect();
+let directory;
+let pool;
+
+// One value computed by SQLite
+const selectValue = async (expression) => {
+  const { rows } = await pool.query(`SELECT ${expression} AS value`);
+  return rows[0].value;
+};
+
+before(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), "sqlite-dialect-"));
+  const filename = path.join(directory, "shop.db");
+
+  const database = new Database(filename);
+  database.exec(SETUP_SQL);
+  const insertOrder = database.prepare(
+    "INSERT INTO orders (id, customer_id, status, ordered_at) VALUES (?, ?, ?, ?)"
+  );
+  for (let id = 1; id <= 12; id++) {
+    insertOrder.run(id, 1 + (id % 3), id % 4 ? "shipped" : "cancelled", `2024-${String(id).padStart(2, "0")}-15`);
+  }
+  database.close();
+
+  pool = dialect.createPool({ filename });
+});
+
+after(async () => {
+  await pool?.end();
+  if (directory) await fs.rm(directory, { recursive: true, force: true });
+});
+
+test("introspects tables, views, keys and indexes into the schema map", async () => {
+  // The glossary lives in Postgres; without one the schema is used as is
+  const storePool = {
+    connect: async () => {
+      throw new Error("No report store in this test");
+    },
+  };
+  const schemaService = new SchemaService(introspection, pool, dialect, storePool);
+
+  const schemas = await schemaService.getAllTableSchemas();
+  assert.deepEqual(Object.keys(schemas), ["customers", "order totals", "orders"]);
+
+  const { orders, customers } = schemas;
+  assert.equal(orders.schema, "main");
+  assert.equal(orders.type, "table");
+  assert.equal(schemas["order totals"].type, "view");
+  assert.deepEqual(
+    orders.columns.map((col) => [col.column_name, col.data_type, col.is_nullable]),
+    [
+      ["id", "INTEGER", "YES"],
+      ["customer_id", "INTEGER", "NO"],
+      ["status", "TEXT", "NO"],
+      ["ordered_at", "TEXT", "NO"],
+    ]
+  );
+  assert.equal(orders.columns[2].column_default, "'pending'");
+  assert.deepEqual(orders.primaryKey, ["id"]);
+  assert.deepEqual(customers.uniqueKeys, [["email"]]);
+  assert.deepEqual(
+    orders.constraints.find((con) => con.constraint_type === "FOREIGN KEY"),
+    {
+      constraint_name: "orders_fkey0",
+      constraint_type: "FOREIGN KEY",
+      columns: ["customer_id"],
+      definition: 'FOREIGN KEY ("customer_id") REFERENCES "customers"("id")',
+    }
+  );
+  assert.deepEqual(
+    orders.indexes.map((index) => [index.index_name, index.columns, index.definition]),
+    [
+      [
+        "orders_ordered_at_idx",
+        ["ordered_at"],
+        "CREATE INDEX orders_ordered_at_idx ON orders (ordered_at)",
+      ],
+    ]
+  );
+
+  assert.deepEqual(await schemaService.getTableRelationships(), [
+    {
+      constraint_name: "orders_fkey0",
+      table_name: "orders",
+      column_name: "customer_id",
+      foreign_table_name: "customers",
+      foreign_column_name: "id",
+    },
+  ]);
+});
+
+test("quotes identifiers and limits rows", async () => {
+  assert.equal(dialect.quoteIdentifier('say "hi"'), '"say ""hi"""');
+  assert.equal(dialect.qualify("main", "order totals"), '"main"."order totals"');
+  assert.equal(dialect.limit(2.9), "LIMIT 2");
+
+  const { rows } = await pool.query(
+    `SELECT * FROM ${dialect.qualify("main", "order totals")} ORDER BY customer_id ${dialect.limit(2)}`
+  );
+  assert.deepEqual(rows, [
+    { customer_id: 1, orders: 4 },
+    { customer_id: 2, orders: 4 },
+  ]);
+});
+
+test("truncates dates to each unit", async () => {
+  const timestamp = "'2024-05-17 13:45:00'";
+  const expected = {
+    hour: "2024-05-17 13:00:00",
+    day: "2024-05-17",
+    // Weeks start on Monday
+    week: "2024-05-13",
+    month: "2024-05-01",
+    quarter: "2024-04-01",
+    year: "2024-01-01",
+  };
+
+  for (const [unit, value] of Object.entries(expected)) {
+    assert.equal(await selectValue(dialect.dateTrunc(unit, timestamp)), value, unit);
+  }
+  assert.equal(await selectValue(dialect.dateTrunc("week", "'2024-05-13'")), "2024-05-13");
+  assert.equal(await selectValue(dialect.dateTrunc("week", "'2024-05-19'")), "2024-05-13");
+  assert.throws(() => dialect.dateTrunc("minute", timestamp), /Unsupported date unit "minute"/);
+});
+
+test("moves dates forwards and backwards", async () => {
+  const date = "'2024-05-17'";
+
+  assert.equal(await selectValue(dialect.dateAdd(date, 3, "day")), "2024-05-20");
+  assert.equal(await selectValue(dialect.dateAdd(date, -2, "week")), "2024-05-03");
+  assert.equal(await selectValue(dialect.dateAdd(date, 1, "month")), "2024-06-17");
+  assert.equal(await selectValue(dialect.dateAdd(date, 1, "quarter")), "2024-08-17");
+  assert.equal(await selectValue(dialect.dateAdd(date, -1, "year")), "2023-05-17");
+  assert.equal(
+    await selectValue(dialect.dateAdd("'2024-05-17 23:30:00'", 2, "hour")),
+    "2024-05-18 01:30:00"
+  );
+  assert.match(
+    await selectValue(dialect.dateAdd(dialect.currentDate, -30, "day")),
+    /^\d{4}-\d{2}-\d{2}$/
+  );
+});
+
+test("runs generated queries read-only and caps the rows", async () => {
+  const sqlGuardService = new SqlGuardService(policy, pool, dialect);
+
+  const capped = await sqlGuardService.runReadOnly("SELECT id FROM orders ORDER BY id");
+  assert.deepEqual(
+    capped.rows.map((row) => row.id),
+    [1, 2, 3, 4, 5]
+  );
+  assert.equal(capped.rowCount, 5);
+  // SQLite has no planner cost to check
+  assert.deepEqual(capped.policy, {
+    statementTimeoutMs: 0,
+    maxRows: 5,
+    maxCost: 1000,
+    estimatedCost: null,
+    truncated: true,
+  });
+
+  const byQuarter = await sqlGuardService.runReadOnly(
+    `SELECT ${dialect.dateTrunc("quarter", "ordered_at")} AS quarter, COUNT(*) AS orders
+     FROM orders
+     WHERE status = 'shipped'
+     GROUP BY 1
+     ORDER BY 1`
+  );
+  assert.deepEqual(byQuarter.rows, [
+    { quarter: "2024-01-01", orders: 3 },
+    { quarter: "2024-04-01", orders: 2 },
+    { quarter: "2024-07-01", orders: 2 },
+    { quarter: "2024-10-01", orders: 2 },
+  ]);
+  assert.equal(byQuarter.policy.truncated, false);
+
+  await assert.rejects(sqlGuardService.runReadOnly("DELETE FROM orders"), {
+    code: "SQL_REJECTED",
+    reason: "Only SELECT or WITH queries are allowed, got DELETE",
+  });
+  await assert.rejects(
+    sqlGuardService.runReadOnly("SELECT load_extension('evil.so')"),
+    { code: "SQL_REJECTED", reason: "Use of restricted function(s): load_extension" }
+  );
+
+  // Whatever gets past the guard still can't write: the file is opened read-only
+  await assert.rejects(pool.query("DELETE FROM orders"), /readonly/);
+  assert.equal(await selectValue("(SELECT COUNT(*) FROM orders)"), 12);
+});
@@ -0,0 +1,206 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { startFixtureDatabase } from "../Fixtures/database.js";
+import { FIXTURES_DIR, fixtureEnvironment, fixtureReports } from "../Fixtures/reports.js";
+
+// Replays the LLM responses recorded in Fixtures/llm (npm run
+// record-fixtures) against the fixture database. The reports run in the
+// order they were recorded in, since each one learns from the ones before.
+Object.assign(process.env, fixtureEnvironment, {
+  // The fixtures were recorded with the fake provider's model
+  LLM_PROVIDER: "fake",
+  LLM_FIXTURES: "off",
+});
+
+const [REVENUE_BY_CATEGORY, ORDERS_BY_COUNTRY, DELETE_ORDERS] = fixtureReports;
+
+let database;
+let harness;
+let pool;
+
+const stageNames = (stages, phase) =>
+  stages.filter((stage) => stage.phase === phase).map((stage) => stage.stage);
+
+before(async () => {
+  database = await startFixtureDatabase();
+  // Imported once the database has set the DB_* variables Config/Db.js reads
+  ({ default: pool } = await import("../Config/Db.js"));
+  const { createReportHarness } = await import("../Fixtures/harness.js");
+  harness = createReportHarness({ fixturesDir: FIXTURES_DIR, mode: "replay" });
+});
+
+after(async () => {
+  await harness?.close();
+  await database?.stop();
+});
+
+test("reports revenue by product category from the recorded responses", async () => {
+  const { result, events, sql, rowCount, stages } = await harness.stream(REVENUE_BY_CATEGORY);
+
+  assert.equal(
+    sql,
+    "SELECT p.category, SUM(oi.quantity * oi.unit_price) AS revenue FROM order_items oi " +
+      "JOIN products p ON p.id = oi.product_id GROUP BY p.category ORDER BY revenue DESC"
+  );
+  assert.equal(result.sqlSource, "generated");
+  assert.equal(rowCount, 4);
+  assert.deepEqual(result.rawData, [
+    { category: "Equipment", revenue: "35018.00" },
+    { category: "Accessories", revenue: "4268.00" },
+    { category: "Coffee", revenue: "2878.50" },
+    { category: "Tea", revenue: "1449.00" },
+  ]);
+  assert.match(result.report, /^## Executive Summary/);
+
+  assert.deepEqual(stageNames(stages, "failed"), []);
+  assert.deepEqual(stageNames(stages, "skipped"), ["analyticalQuery", "additionalQueries"]);
+  assert.ok(stageNames(stages, "finished").includes("learnQuery"));
+
+  const policy = events.find((event) => event.policy)?.policy;
+  assert.equal(policy.decision, "allowed");
+  assert.equal(policy.truncated, false);
+  assert.equal(events.filter((event) => event.status === "complete").length, 1);
+  assert.ok(!events.some((event) => event.type === "structured_output_error"));
+});
+
+test("reports orders per country and suggests the follow-up queries", async () => {
+  const { result, sql, rowCount, stages } = await harness.stream(ORDERS_BY_COUNTRY);
+
+  // The markdown fence around the recorded SQL is stripped
+  assert.equal(
+    sql,
+    "SELECT c.country, COUNT(o.id) AS orders\nFROM customers c\n" +
+      "JOIN orders o ON o.customer_id = c.id\nGROUP BY c.country\nORDER BY orders DESC, c.country"
+  );
+  assert.equal(rowCount, 5);
+  assert.deepEqual(
+    result.rawData.map((row) => [row.country, Number(row.orders)]),
+    [
+      ["France", 40],
+      ["Germany", 40],
+      ["Italy", 40],
+      ["Netherlands", 40],
+      ["Spain", 40],
+    ]
+  );
+  assert.deepEqual(result.additionalQueries, [
+    {
+      description: "Orders by status",
+      sql: "SELECT status, COUNT(*) AS orders FROM orders GROUP BY status ORDER BY status",
+    },
+  ]);
+  assert.ok(stageNames(stages, "finished").includes("additionalQueries"));
+
+  // Both reports' queries were learned
+  const { rows } = await pool.query(
+    "SELECT user_prompt FROM report_ai.kb_successful_queries ORDER BY id"
+  );
+  assert.deepEqual(
+    rows.map((row) => row.user_prompt),
+    [REVENUE_BY_CATEGORY, ORDERS_BY_COUNTRY]
+  );
+});
+
+test("rejects a recorded answer that also deletes rows", async () => {
+  const { result, events, sql, stages } = await harness.stream(DELETE_ORDERS);
+
+  assert.equal(result.status, "rejected");
+  assert.equal(result.type, "sql_rejected");
+  assert.equal(result.reason, "Expected a single statement but found 2");
+  assert.equal(sql, null);
+  assert.equal(events.at(-1).stage, "executeSql");
+  assert.equal(events.filter((event) => event.status === "rejected").length, 1);
+
+  // The pipeline stopped at the rejection: nothing was learned or reported
+  assert.equal(stages.at(-1).stage, "executeSql");
+  assert.ok(!stages.some((stage) => stage.stage === "learnQuery"));
+
+  const { rows } = await database.db.query(
+    "SELECT COUNT(*)::int AS count FROM orders WHERE status = 'cancelled'"
+  );
+  assert.equal(rows[0].count, 40);
+});
+
+test("reuses a learned query that ends in a semicolon and a comment", async () => {
+  const { sqlGenerationService } = harness.reportService;
+  const store = sqlGenerationService.knowledgeBaseStore;
+  const { config } = store;
+  store.config = { ...config, reuseSimilarity: 0.9 };
+
+  const learned = {
+    id: null,
+    userPrompt: "List the orders",
+    query: "SELECT id, status FROM orders ORDER BY id;\n-- learned before queries were normalized",
+    similarity: 1,
+    weight: 1,
+  };
+  const run = async (prompt) => {
+    const reused = await sqlGenerationService.enhanceSqlGenerationWithKnowledge(
+      prompt,
+      { tables: {} },
+      [learned]
+    );
+    const result = await harness.reportService.executeSqlWithFallback(
+      reused.sql,
+      prompt,
+      { tables: {}, relationships: [] },
+      () => {},
+      { maxRows: reused.maxRows }
+    );
+    return { reused, result };
+  };
+
+  try {
+    const { reused, result } = await run("List the orders");
+    assert.equal(reused.sql, "SELECT id, status FROM orders ORDER BY id");
+    // The reuse cap is applied around the query, not by editing it
+    assert.equal(reused.maxRows, 100);
+    assert.equal(result.sql, reused.sql);
+    assert.equal(result.fallbackUsed, undefined);
+    assert.equal(result.data.length, 100);
+    assert.deepEqual(result.data[0], { id: 1, status: result.data[0].status });
+    assert.equal(result.policy.truncated, true);
+
+    const allData = await run("Show all data of the orders");
+    assert.equal(allData.reused.maxRows, null);
+    assert.equal(allData.result.data.length, 200);
+    assert.equal(allData.result.policy.truncated, false);
+  } finally {
+    store.config = config;
+  }
+});
+
+test("doesn't reuse a learned query that users voted down", async () => {
+  const { sqlGenerationService } = harness.reportService;
+  const store = sqlGenerationService.knowledgeBaseStore;
+  const { config } = store;
+  store.config = { ...config, reuseSimilarity: 0.9 };
+
+  const learned = {
+    id: null,
+    userPrompt: "List the orders",
+    query: "SELECT id, status FROM orders ORDER BY id",
+    similarity: 1,
+    weight: 1,
+  };
+  const reuse = (entry) =>
+    sqlGenerationService.enhanceSqlGenerationWithKnowledge("List the orders", { tables: {} }, [
+      entry,
+    ]);
+
+  try {
+    assert.ok(await reuse(learned));
+    // One thumbs down is enough to have it generated again
+    const downvoted = { ...learned, weight: store.adjustWeight(learned.weight, -0.5) };
+    assert.equal(await reuse(downvoted), null);
+    // A corrected query is reused
+    assert.ok(await reuse({ ...learned, weight: config.correctedQueryWeight }));
+  } finally {
+    store.config = config;
+  }
+});
+
+test("answered every LLM request from the fixtures", () => {
+  assert.equal(harness.provider.stats.recorded, 0);
+  assert.ok(harness.provider.stats.replayed > 0);
+});
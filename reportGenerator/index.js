@@ -3,6 +3,9 @@ import cors from "cors";
 import dotenv from "dotenv";
 import routes from "./Routes/index.js";
 import morgan from "morgan";
+import { runMigrations } from "./Services/MigrationService.js";
+import usageConfig from "./Config/Usage.js";
+import uploadsConfig from "./Config/Uploads.js";
 import { createRequire } from 'module';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -14,14 +17,24 @@ const app = express();
 app.use(cors({
   origin: '*', // Allow all origins during development
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID', usageConfig.userHeader, uploadsConfig.sessionHeader],
 }));
 
+// Uploaded files are read as they are, whatever their content type, before
+// the JSON parser would take JSON files
+app.use("/api/ai/uploads", express.raw({ type: () => true, limit: uploadsConfig.maxFileBytes }));
 app.use(express.json());
 app.use(morgan("dev"));
 app.use(express.urlencoded({ extended: true }));
 app.use("/api", routes);
 
+// Create or update the app's own tables (query knowledge base, ...) before serving
+try {
+  await runMigrations();
+} catch (error) {
+  console.error("Failed to apply database migrations:", error.message);
+}
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);